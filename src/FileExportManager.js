@@ -6,25 +6,25 @@ const queue = require('async/queue');
 const {
   protocolProperty,
 } = require('./utils/reservedAttributes');
-const {
-  removeDirectory,
-  makeTempDir,
-} = require('./utils/filesystem');
-const exportFile = require('./exportFile');
+const { exportFile, exportProtocolsFile } = require('./exportFile');
 const {
   insertEgoIntoSessionNetworks,
   resequenceIds,
   partitionNetworkByType,
   unionOfNetworks,
 } = require('./formatters/network');
+const { getNodeMetricsOptions, insertNodeMetrics } = require('./formatters/metrics');
 const {
-  verifySessionVariables, getFilePrefix, sleep, handlePlatformSaveDialog,
+  verifySessionVariables, getFilePrefix, sleep,
 } = require('./utils/general');
-const archive = require('./utils/archive');
+const {
+  createManifest, describeExportedFile, manifestFilename, writeManifest,
+} = require('./utils/manifest');
+const { copyToDirectory, getOutputPath, outputModes } = require('./utils/outputDirectory');
 const { ExportError, ErrorMessages } = require('./errors/ExportError');
 const ProgressMessages = require('./ProgressMessages');
 const UserCancelledExport = require('./errors/UserCancelledExport');
-const { isElectron } = require('./utils/Environment');
+const { getDefaultStorage, isStorageAdapter } = require('./storage');
 
 const defaultCSVOptions = {
   adjacencyMatrix: false,
@@ -35,15 +35,72 @@ const defaultCSVOptions = {
   // ignored and only relevant for *only* exporting
   // egoAttributeList
   egoAttributeList: true,
+  // Also list undirected edges in reverse, as they appear in the adjacency matrix
+  edgeListBothDirections: false,
+};
+
+const defaultXLSXOptions = {
+  adjacencyMatrix: false,
+};
+
+const defaultUCINETOptions = {
+  // One of 'fullmatrix' or 'edgelist1'
+  dlFormat: 'fullmatrix',
+};
+
+const defaultDOTOptions = {
+  // Pin nodes to the position of their first layout variable
+  positions: true,
+};
+
+const defaultNeo4jOptions = {
+  // Node and relationship CSVs for `neo4j-admin import`
+  importCSV: true,
+  // A Cypher script, as an alternative to bulk import
+  cypher: true,
 };
 
 const defaultExportOptions = {
   exportGraphML: true,
+  exportGEXF: false,
+  exportJSON: false,
   exportCSV: defaultCSVOptions,
+  exportDOT: false,
+  exportPajek: false,
+  exportUCINET: false,
+  // Sparse adjacency matrices (.mtx), with a CSV of row and column labels
+  exportMatrixMarket: false,
+  exportXLSX: false,
+  exportSQLite: false,
+  exportSPSS: false,
+  exportStata: false,
+  exportSVG: false,
+  exportNeo4j: false,
+  exportR: false,
+  exportPython: false,
+  exportCodebook: false,
+  exportDDI: false,
   globalOptions: {
     exportFilename: 'networkCanvasExport',
+    // One of 'zip', or 'directory' to write files into outputDirectory
+    output: outputModes.zip,
+    // Also where the zip is saved in node, where there is no save dialog
+    outputDirectory: null,
+    // Subfolders of outputDirectory: any of 'protocol', 'case', or 'format', outermost first
+    outputSubfolders: [],
     unifyNetworks: false,
-    useDirectedEdges: false, // TODO
+    // Weighted adjacency matrices: `{ variable, aggregation }`, where aggregation is one of
+    // sum, max, count or mean. Without a variable, each edge weighs 1. Null for binary matrices.
+    matrixWeights: null,
+    // Label matrix rows and columns by 'uid', 'nodeID', or 'name' (the node's name variable)
+    matrixLabels: 'uid',
+    // Add ego to matrices as a row and column, tied to every alter
+    matrixIncludeEgo: false,
+    // Per-node network metrics for attribute lists and GraphML: true, or
+    // `{ metrics, edgeTypes }` to choose metrics and the edge types (by name or UUID) used
+    nodeMetrics: false,
+    // Edge types may override this with `directed` in the codebook
+    useDirectedEdges: false,
     useScreenLayoutCoordinates: true,
     screenLayoutHeight: 1080,
     screenLayoutWidth: 1920,
@@ -52,8 +109,22 @@ const defaultExportOptions = {
 
 // Merge default and user-supplied options
 const getOptions = (exportOptions) => ({
-  ...merge(defaultExportOptions, exportOptions),
+  // merge() mutates its first argument, so the defaults are copied
+  ...merge({}, defaultExportOptions, exportOptions),
   ...(exportOptions.exportCSV === true ? { exportCSV: defaultCSVOptions } : {}),
+  ...(exportOptions.exportDOT === true ? { exportDOT: defaultDOTOptions } : {}),
+  ...(exportOptions.exportUCINET === true ? { exportUCINET: defaultUCINETOptions } : {}),
+  ...(exportOptions.exportXLSX === true ? { exportXLSX: defaultXLSXOptions } : {}),
+  ...(exportOptions.exportNeo4j === true ? { exportNeo4j: defaultNeo4jOptions } : {}),
+  // Import scripts (R and Python) need the ego, attribute list and edge list CSVs
+  ...(exportOptions.exportR || exportOptions.exportPython ? {
+    exportCSV: {
+      ...defaultCSVOptions,
+      ...(typeof exportOptions.exportCSV === 'object' ? exportOptions.exportCSV : {}),
+      attributeList: true,
+      edgeList: true,
+    },
+  } : {}),
 });
 
 /**
@@ -61,7 +132,12 @@ const getOptions = (exportOptions) => ({
  */
 class FileExportManager {
   constructor(exportOptions = {}) {
-    this.exportOptions = getOptions(exportOptions);
+    // The storage adapter isn't an option to merge, or to record in the manifest
+    const { storage, ...options } = exportOptions;
+    this.exportOptions = getOptions(options);
+    this.storage = storage || getDefaultStorage();
+    // Throws for unknown metrics, before any export is started
+    getNodeMetricsOptions(this.exportOptions);
     this.events = new EventEmitter();
   }
 
@@ -90,6 +166,11 @@ class FileExportManager {
    * Rejections from this method are fatal errors, but errors within
    * the run() task only fail that specific task.
    *
+   * run() resolves to whatever the storage adapter's save() resolves to: in node, the path
+   * of the saved zip, and in memory (including the browser) the zip itself (a Blob, or a
+   * Uint8Array where Blob is unavailable). When writing to a directory, it resolves to the
+   * output directory.
+   *
    * @param {*} sessions    collection of session objects
    * @param {*} protocols   object keyed by protocolUID (SHA of protocol.name), where each
    *                        protocols[protocolUID] is a complete protocol object,
@@ -98,13 +179,14 @@ class FileExportManager {
    */
   exportSessions(sessions, protocols) {
     let tmpDir; // will hold temporary directory location
+    let sessionsByProtocol; // will hold resequenced sessions, before any merging
 
     // This queue instance accepts one or more promises and limits their
     // concurrency for better usability in consuming apps
     // https://caolan.github.io/async/v3/docs.html#queue
 
-    // Set concurrency to conservative values for now, based on platform
-    const QUEUE_CONCURRENCY = isElectron() ? 50 : 1;
+    // Set concurrency to conservative values for now, based on storage
+    const QUEUE_CONCURRENCY = this.storage.concurrency || 1;
 
     const q = queue((task, callback) => {
       task()
@@ -114,10 +196,26 @@ class FileExportManager {
 
     const exportFormats = [
       ...(this.exportOptions.exportGraphML ? ['graphml'] : []),
+      ...(this.exportOptions.exportGEXF ? ['gexf'] : []),
+      ...(this.exportOptions.exportJSON ? ['json'] : []),
       ...(this.exportOptions.exportCSV ? ['ego'] : []),
       ...(this.exportOptions.exportCSV.adjacencyMatrix ? ['adjacencyMatrix'] : []),
+      ...(this.exportOptions.exportUCINET ? ['ucinetDL'] : []),
+      ...(this.exportOptions.exportMatrixMarket ? ['matrixMarket', 'matrixMarketLabels'] : []),
       ...(this.exportOptions.exportCSV.attributeList ? ['attributeList'] : []),
       ...(this.exportOptions.exportCSV.edgeList ? ['edgeList'] : []),
+      ...(this.exportOptions.exportPajek ? ['pajek'] : []),
+      ...(this.exportOptions.exportDOT ? ['dot'] : []),
+      ...(this.exportOptions.exportSVG ? ['svg'] : []),
+      ...(this.exportOptions.exportXLSX ? ['xlsx'] : []),
+      ...(this.exportOptions.exportSPSS ? ['spssEgo', 'spssAttributeList'] : []),
+      ...(this.exportOptions.exportStata ? ['stataEgo', 'stataAttributeList', 'stataEdgeList', 'stataRenames'] : []),
+    ];
+
+    // Neo4j files are always written per protocol, regardless of unifyNetworks
+    const neo4jFormats = [
+      ...(this.exportOptions.exportNeo4j.importCSV ? ['neo4jEgo', 'neo4jNodes', 'neo4jRelationships'] : []),
+      ...(this.exportOptions.exportNeo4j.cypher ? ['cypher'] : []),
     ];
 
     // Cleanup function called by abort method, after fatal errors, and after
@@ -125,11 +223,15 @@ class FileExportManager {
     const cleanUp = () => {
       q.kill();
       if (tmpDir) {
-        try {
-          removeDirectory(tmpDir);
-        } catch (error) {
+        const logError = (error) => {
           // eslint-disable-next-line no-console
           console.error('Error removing temp directory:', error);
+        };
+
+        try {
+          Promise.resolve(this.storage.removeDirectory(tmpDir)).catch(logError);
+        } catch (error) {
+          logError(error);
         }
       }
     };
@@ -144,18 +246,36 @@ class FileExportManager {
       return Promise.reject(new ExportError(ErrorMessages.MissingParameters));
     }
 
+    const { output, outputDirectory, outputSubfolders } = this.exportOptions.globalOptions;
+    const writeToDirectory = output === outputModes.directory;
+
+    if (!isStorageAdapter(this.storage) || (writeToDirectory && !outputDirectory)) {
+      return Promise.reject(new ExportError(ErrorMessages.InvalidExportOptions));
+    }
+
     // Will resolve with an object containing run() and abort() methods
     return new Promise((resolveExportPromise) => {
       // State variables for this export
       let cancelled = false;
       const succeeded = [];
       const failed = [];
+      // Details of each exported file, for the manifest
+      const exportedFiles = [];
+
+      const recordFile = (format, partitionEntity, networks) => (filePath) => {
+        exportedFiles.push(
+          describeExportedFile(
+            filePath, format, partitionEntity, networks, this.exportOptions, this.storage,
+          ),
+        );
+        return filePath;
+      };
 
       const shouldContinue = () => !cancelled;
 
       // Main work of the process happens here
       const run = () => new Promise((resolveRun, rejectRun) => {
-        makeTempDir().then((dir) => { tmpDir = dir; })
+        this.storage.makeTempDir().then((dir) => { tmpDir = dir; })
           // Short delay to give consumer UI time to render
           .then(sleep(1000))
           .then(() => {
@@ -173,12 +293,23 @@ class FileExportManager {
           .then((sessionsWithEgo) => resequenceIds(sessionsWithEgo))
           // Group sessions by protocol UUID
           .then((sessionsWithResequencedIDs) => groupBy(sessionsWithResequencedIDs, `sessionVariables.${protocolProperty}`))
+          // Calculate network metrics for each session, before they are unified
+          .then((groupedSessions) => {
+            if (!getNodeMetricsOptions(this.exportOptions)) {
+              return groupedSessions;
+            }
+
+            this.emit('update', ProgressMessages.Metrics);
+            return insertNodeMetrics(groupedSessions, protocols, this.exportOptions);
+          })
           // Then, process the union option
-          .then((sessionsByProtocol) => {
+          .then((groupedSessions) => {
             if (cancelled) {
               throw new UserCancelledExport();
             }
 
+            sessionsByProtocol = groupedSessions;
+
             if (!this.exportOptions.globalOptions.unifyNetworks) {
               return sessionsByProtocol;
             }
@@ -192,6 +323,9 @@ class FileExportManager {
             }
 
             const promisedExports = [];
+            // Every session (or unified network), for files describing the whole export
+            const allNetworks = Object.values(unifiedSessions)
+              .reduce((acc, networks) => [...acc, ...networks], []);
 
             // Create an array of promises representing each session in each export format
             const finishedSessions = [];
@@ -238,6 +372,7 @@ class FileExportManager {
                     protocol.codebook,
                     session,
                     format,
+                    this.exportOptions,
                   );
 
                   partitionedNetworks.forEach((partitionedNetwork) => {
@@ -252,6 +387,9 @@ class FileExportManager {
                           partitionedNetwork,
                           protocol.codebook,
                           this.exportOptions,
+                          this.storage,
+                        ).then(
+                          recordFile(format, partitionedEntity, [partitionedNetwork]),
                         ).then((result) => {
                           if (!finishedSessions.includes(prefix)) {
                             // If we unified the networks, we need to iterate sessionVariables and
@@ -281,6 +419,110 @@ class FileExportManager {
               });
             });
 
+            // The SQLite database is written once, containing every session
+            if (this.exportOptions.exportSQLite) {
+              promisedExports.push(() => exportProtocolsFile(
+                sanitizeFilename(this.exportOptions.globalOptions.exportFilename),
+                'sqlite',
+                tmpDir,
+                sessionsByProtocol,
+                protocols,
+                this.exportOptions,
+                this.storage,
+              ).then(recordFile('sqlite', null, allNetworks)));
+            }
+
+            // Import scripts are written once, and list every CSV file
+            if (this.exportOptions.exportR) {
+              promisedExports.push(() => exportProtocolsFile(
+                'import',
+                'R',
+                tmpDir,
+                unifiedSessions,
+                protocols,
+                this.exportOptions,
+                this.storage,
+              ).then(recordFile('R', null, allNetworks)));
+            }
+
+            if (this.exportOptions.exportPython) {
+              promisedExports.push(() => exportProtocolsFile(
+                'load_networks',
+                'py',
+                tmpDir,
+                unifiedSessions,
+                protocols,
+                this.exportOptions,
+                this.storage,
+              ).then(recordFile('py', null, allNetworks)));
+            }
+
+            // The data dictionary describes the columns of every CSV file
+            if (this.exportOptions.exportCodebook) {
+              ['codebook', 'codebookJSON'].forEach((format) => {
+                promisedExports.push(() => exportProtocolsFile(
+                  sanitizeFilename(this.exportOptions.globalOptions.exportFilename),
+                  format,
+                  tmpDir,
+                  unifiedSessions,
+                  protocols,
+                  this.exportOptions,
+                  this.storage,
+                ).then(recordFile(format, null, allNetworks)));
+              });
+            }
+
+            // DDI metadata describes one protocol (the study) per file
+            if (this.exportOptions.exportDDI) {
+              Object.keys(unifiedSessions).forEach((protocolUID) => {
+                // Missing protocols have already been reported above
+                if (!protocols[protocolUID]) { return; }
+
+                const protocol = protocols[protocolUID];
+                promisedExports.push(() => exportProtocolsFile(
+                  sanitizeFilename(protocol.name),
+                  'ddi',
+                  tmpDir,
+                  { [protocolUID]: unifiedSessions[protocolUID] },
+                  { [protocolUID]: protocol },
+                  this.exportOptions,
+                  this.storage,
+                ).then(recordFile('ddi', null, unifiedSessions[protocolUID])));
+              });
+            }
+
+            if (neo4jFormats.length > 0) {
+              const networksByProtocol = unionOfNetworks(sessionsByProtocol);
+
+              Object.keys(networksByProtocol).forEach((protocolUID) => {
+                // Missing protocols have already been reported above
+                if (!protocols[protocolUID]) { return; }
+
+                const protocol = protocols[protocolUID];
+                const [network] = networksByProtocol[protocolUID];
+
+                neo4jFormats.forEach((format) => {
+                  partitionNetworkByType(protocol.codebook, network, format, this.exportOptions)
+                    .forEach((partitionedNetwork) => {
+                      promisedExports.push(() => exportFile(
+                        sanitizeFilename(protocol.name),
+                        partitionedNetwork.partitionEntity,
+                        format,
+                        tmpDir,
+                        partitionedNetwork,
+                        protocol.codebook,
+                        this.exportOptions,
+                        this.storage,
+                      ).then(recordFile(
+                        format,
+                        partitionedNetwork.partitionEntity,
+                        [partitionedNetwork],
+                      )));
+                    });
+                });
+              });
+            }
+
             q.push(promisedExports, (err, result) => {
               if (err) {
                 failed.push(err);
@@ -293,7 +535,7 @@ class FileExportManager {
               .then(() => resolve({ exportedPaths: succeeded, failedExports: failed }))
               .catch(reject));
           })
-          // Then, Zip the result.
+          // Then, Zip the result (or copy it into the output directory).
           .then(({ exportedPaths, failedExports }) => {
             if (cancelled) {
               throw new UserCancelledExport();
@@ -314,13 +556,39 @@ class FileExportManager {
               return Promise.resolve();
             }
 
+            // In a directory, the manifest also records where each file was placed
+            const outputFiles = writeToDirectory
+              ? exportedFiles.map((file) => ({
+                ...file,
+                path: getOutputPath(file, outputSubfolders),
+              }))
+              : exportedFiles;
+
+            // List every file, with its checksum, alongside the files themselves
+            return createManifest(outputFiles, this.exportOptions, this.storage)
+              .then((manifest) => writeManifest(manifest, tmpDir, this.storage))
+              .then((manifestPath) => [
+                ...outputFiles,
+                { filePath: manifestPath, path: manifestFilename },
+              ]);
+          })
+          .then((outputFiles) => {
+            if (cancelled) {
+              throw new UserCancelledExport();
+            }
+
+            if (writeToDirectory) {
+              this.emit('update', ProgressMessages.Saving);
+              return copyToDirectory(outputFiles, outputDirectory, this.storage).then(() => null);
+            }
+
             const emitZipProgress = (percent) => this.emit('update', ProgressMessages.ZipProgress(percent));
 
             // Start the zip process, and attach a callback to the update
             // progress event.
             this.emit('update', ProgressMessages.ZipStart);
-            return archive(
-              exportedPaths,
+            return this.storage.archive(
+              outputFiles.map(({ filePath }) => filePath),
               tmpDir,
               sanitizeFilename(this.exportOptions.globalOptions.exportFilename),
               emitZipProgress,
@@ -332,26 +600,34 @@ class FileExportManager {
               throw new UserCancelledExport();
             }
 
-            this.emit('update', ProgressMessages.Saving);
+            if (!writeToDirectory) {
+              this.emit('update', ProgressMessages.Saving);
+            }
             return zipLocation;
           })
           .then((zipLocation) => {
             if (cancelled) {
               throw new UserCancelledExport();
             }
-            return handlePlatformSaveDialog(
-              zipLocation,
-              sanitizeFilename(this.exportOptions.globalOptions.exportFilename),
-            );
+
+            // Files are already in place
+            if (writeToDirectory) {
+              return outputDirectory;
+            }
+
+            return this.storage.save(zipLocation, {
+              filename: sanitizeFilename(this.exportOptions.globalOptions.exportFilename),
+              outputDirectory,
+            });
           })
-          .then(() => {
+          .then((outputPath) => {
             if (cancelled) {
               throw new UserCancelledExport();
             }
 
             this.emit('finished', ProgressMessages.Finished);
             cleanUp();
-            resolveRun();
+            resolveRun(outputPath);
           })
           .catch((err) => {
             cleanUp();
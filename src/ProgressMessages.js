@@ -7,6 +7,10 @@ const ProgressMessages = {
     progress: 10,
     statusText: 'Formatting network data...',
   },
+  Metrics: {
+    progress: 15,
+    statusText: 'Calculating network metrics...',
+  },
   Merging: {
     progress: 20,
     statusText: 'Merging sessions by protocol...',
@@ -0,0 +1,174 @@
+/* eslint-env jest */
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import JSZip from 'jszip';
+import { mockCodebook, mockNetwork } from '../../config/mockObjects';
+import FileExportManager from '../FileExportManager';
+import { createMemoryStorage } from '../storage';
+import { getEnvironment } from '../utils/Environment';
+import environments from '../utils/environments';
+
+const protocols = {
+  'protocol-uid-1': { name: 'protocol name', codebook: mockCodebook },
+};
+
+const session = {
+  ...mockNetwork,
+  sessionVariables: { ...mockNetwork.sessionVariables, caseId: 'case' },
+};
+
+const runExport = (exportOptions) => new FileExportManager(exportOptions)
+  .exportSessions([session], protocols)
+  .then(({ run }) => run());
+
+describe('FileExportManager', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'file-export-manager-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmdirSync(dir, { recursive: true });
+  });
+
+  it('runs in plain node', () => {
+    expect(getEnvironment()).toEqual(environments.NODE);
+  });
+
+  it('resolves with the path of the zip', async () => {
+    const zipPath = await runExport({
+      exportGraphML: true,
+      exportCSV: false,
+      globalOptions: { exportFilename: 'export', outputDirectory: dir },
+    });
+
+    expect(zipPath).toEqual(path.join(dir, 'export.zip'));
+
+    const zip = await JSZip.loadAsync(fs.readFileSync(zipPath));
+    expect(Object.keys(zip.files).sort()).toEqual(['case_session-id-1.graphml', 'manifest.json']);
+
+    const manifest = JSON.parse(await zip.file('manifest.json').async('string'));
+    expect(manifest.files.map(({ name }) => name)).toEqual(['case_session-id-1.graphml']);
+  });
+
+  it('saves concurrent exports to separate zips', async () => {
+    const exportOptions = {
+      exportGraphML: true,
+      exportCSV: false,
+      globalOptions: { exportFilename: 'export' },
+    };
+    const zipPaths = await Promise.all([runExport(exportOptions), runExport(exportOptions)]);
+
+    try {
+      expect(zipPaths.map((zipPath) => path.basename(zipPath))).toEqual(['export.zip', 'export.zip']);
+      expect(zipPaths[0]).not.toEqual(zipPaths[1]);
+      zipPaths.forEach((zipPath) => expect(fs.existsSync(zipPath)).toBe(true));
+    } finally {
+      zipPaths.forEach((zipPath) => {
+        fs.unlinkSync(zipPath);
+        fs.rmdirSync(path.dirname(zipPath));
+      });
+    }
+  });
+
+  it('writes files into a directory', async () => {
+    const outputPath = await runExport({
+      exportGraphML: true,
+      exportCSV: false,
+      globalOptions: {
+        output: 'directory',
+        outputDirectory: dir,
+        outputSubfolders: ['protocol', 'format'],
+      },
+    });
+
+    expect(outputPath).toEqual(dir);
+    expect(fs.existsSync(path.join(dir, 'protocol name', 'graphml', 'case_session-id-1.graphml'))).toBe(true);
+
+    const manifest = JSON.parse(fs.readFileSync(path.join(dir, 'manifest.json'), 'utf8'));
+    expect(manifest.files[0].path).toEqual('protocol name/graphml/case_session-id-1.graphml');
+  });
+
+  it('requires a directory to write into', async () => {
+    await expect(new FileExportManager({ globalOptions: { output: 'directory' } })
+      .exportSessions([session], protocols)).rejects.toThrow('Invalid export options');
+  });
+
+  describe('with a storage adapter', () => {
+    it('formats into the adapter', async () => {
+      const storage = createMemoryStorage();
+      const zip = await runExport({ exportGraphML: true, exportCSV: false, storage });
+
+      expect(fs.readdirSync(dir)).toEqual([]);
+      expect(storage.listFiles()).toEqual([]);
+
+      const contents = await JSZip.loadAsync(zip);
+      expect(Object.keys(contents.files).sort()).toEqual(['case_session-id-1.graphml', 'manifest.json']);
+
+      const manifest = JSON.parse(await contents.file('manifest.json').async('string'));
+      expect(manifest.exportOptions.storage).toBeUndefined();
+    });
+
+    it('writes files into a directory of the adapter', async () => {
+      const storage = createMemoryStorage();
+      const outputPath = await runExport({
+        exportGraphML: true,
+        exportCSV: false,
+        storage,
+        globalOptions: { output: 'directory', outputDirectory: 'memory://out' },
+      });
+
+      expect(outputPath).toEqual('memory://out');
+      expect(storage.listFiles().sort()).toEqual([
+        'memory://out/case_session-id-1.graphml',
+        'memory://out/manifest.json',
+      ]);
+    });
+
+    it('reports each session once, whatever the formats', async () => {
+      const sessions = [session, {
+        ...session,
+        sessionVariables: { ...session.sessionVariables, sessionId: 'session-id-2' },
+      }];
+      const exported = [];
+      const fileExportManager = new FileExportManager({
+        exportGraphML: true,
+        exportCSV: true,
+        exportCodebook: true,
+        storage: createMemoryStorage(),
+      });
+      fileExportManager.on('session-exported', (sessionId) => exported.push(sessionId));
+
+      await fileExportManager.exportSessions(sessions, protocols).then(({ run }) => run());
+
+      expect(exported.sort()).toEqual(['session-id-1', 'session-id-2']);
+    });
+
+    it('adds network metrics to attribute lists', async () => {
+      const zip = await runExport({
+        exportGraphML: false,
+        exportCSV: { ego: false, edgeList: false },
+        storage: createMemoryStorage(),
+        globalOptions: { nodeMetrics: { metrics: ['degree'] } },
+      }).then(JSZip.loadAsync);
+
+      const nodeFile = Object.keys(zip.files).find((name) => name.includes('attributeList'));
+      const [header, ...rows] = (await zip.file(nodeFile).async('string')).trim().split('\r\n');
+      expect(header.split(',').pop()).toEqual('networkCanvasDegree');
+      expect(rows.map((row) => row.split(',').pop())).toEqual(['1', '1', '0', '0']);
+    });
+
+    it('rejects unknown node metrics when constructed', () => {
+      expect(() => new FileExportManager({
+        globalOptions: { nodeMetrics: { metrics: ['pagerank'] } },
+      })).toThrow(/pagerank/);
+    });
+
+    it('rejects an incomplete adapter', async () => {
+      await expect(new FileExportManager({ storage: { makeTempDir: () => Promise.resolve('') } })
+        .exportSessions([session], protocols)).rejects.toThrow('Invalid export options');
+    });
+  });
+});
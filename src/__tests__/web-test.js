@@ -0,0 +1,65 @@
+/**
+ * @jest-environment jsdom
+ */
+/* eslint-env jest */
+import JSZip from 'jszip';
+import { mockCodebook, mockNetwork } from '../../config/mockObjects';
+import FileExportManager from '../FileExportManager';
+import ProgressMessages from '../ProgressMessages';
+import { getEnvironment } from '../utils/Environment';
+import environments from '../utils/environments';
+import { createMemoryStorage } from '../storage';
+
+const protocols = {
+  'protocol-uid-1': { name: 'protocol name', codebook: mockCodebook },
+};
+
+const session = {
+  ...mockNetwork,
+  sessionVariables: { ...mockNetwork.sessionVariables, caseId: 'case' },
+};
+
+describe('FileExportManager in the browser', () => {
+  it('runs in the web environment', () => {
+    expect(getEnvironment()).toEqual(environments.WEB);
+  });
+
+  it('resolves with the zip in memory', async () => {
+    const updates = [];
+    const fileExportManager = new FileExportManager({
+      exportGraphML: true,
+      exportCSV: { attributeList: true, edgeList: true },
+    });
+    fileExportManager.on('update', ({ statusText }) => updates.push(statusText));
+
+    const { run } = await fileExportManager.exportSessions([session], protocols);
+    const blob = await run();
+
+    expect(blob).toBeInstanceOf(Blob);
+    expect(updates).toContain(ProgressMessages.ZipStart.statusText);
+    expect(updates).toContain(ProgressMessages.Saving.statusText);
+
+    const zip = await JSZip.loadAsync(blob);
+    expect(Object.keys(zip.files).sort()).toEqual([
+      'case_session-id-1.graphml',
+      'case_session-id-1_attributeList_person.csv',
+      'case_session-id-1_edgeList_peer.csv',
+      'case_session-id-1_ego.csv',
+      'manifest.json',
+    ]);
+
+    const egoList = await zip.file('case_session-id-1_ego.csv').async('string');
+    expect(egoList).toMatch(/^networkCanvasEgoUUID,/);
+  });
+
+  it('keeps files in memory until they are removed', async () => {
+    const storage = createMemoryStorage();
+    const ws = await storage.createWriteStream('memory://test/a.txt');
+    await new Promise((resolve) => ws.end('abc', resolve));
+
+    expect((await storage.readFile('memory://test/a.txt')).toString()).toEqual('abc');
+
+    await storage.removeDirectory('memory://test');
+    await expect(storage.readFile('memory://test/a.txt')).rejects.toThrow('File not found');
+  });
+});
@@ -27,6 +27,7 @@ const ErrorMessages = {
   NotFound: 'Not found',
   NothingToExport: 'No data available to export',
   VerificationFailed: 'Request verification failed',
+  WorksheetTooLarge: 'Too many rows or columns for an XLSX worksheet',
 };
 
 module.exports = {
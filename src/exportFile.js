@@ -1,44 +1,23 @@
-/* eslint-disable global-require */
-const { createWriteStream } = require('./utils/filesystem');
 const {
   getFileExtension,
   makeFilename,
 } = require('./utils/general');
-const { isCordova, isElectron } = require('./utils/Environment');
+const { getDefaultStorage } = require('./storage');
 const getFormatterClass = require('./utils/getFormatterClass');
 const { ExportError } = require('./errors/ExportError');
 const UserCancelledExport = require('./errors/UserCancelledExport');
 
 /**
- * Export a single (CSV or graphml) file
- * @param  {string}   namePrefix used to construct the filename
- * @param  {string}   partitionedEntityName an entity name used by CSV formatters
- * @param  {formats}  exportFormat a special config object that specifies the formatter class
+ * Write a formatter's output to a file.
+ * @param  {function} createFormatter returns the formatter; called when writing starts, so
+ *                    that errors from its constructor reject the returned promise
+ * @param  {string}   outputName the file name
  * @param  {string}   outDir directory where we should write the file
- * @param  {object}   network NC-formatted network `({ nodes, edges, ego })`
- * @param  {Object}   codebook needed to lookup variable types for encoding
- * @param  {Object}   exportOptions the new style configuration object, passed through to
- *                    the formatter
+ * @param  {Object}   storage storage adapter to write the file with
  * @return {Promise}  promise decorated with an `abort` method.
  *                    If aborted, the returned promise will never settle.
- * @private
  */
-const exportFile = (
-  namePrefix,
-  partitonedEntityName,
-  exportFormat,
-  outDir,
-  network,
-  codebook,
-  exportOptions,
-) => {
-  const Formatter = getFormatterClass(exportFormat);
-  const extension = getFileExtension(exportFormat);
-
-  if (!Formatter || !extension) {
-    return Promise.reject(new ExportError(`Invalid export format ${exportFormat}`));
-  }
-
+const writeFormatterFile = (createFormatter, outputName, outDir, storage) => {
   // Establish variables to hold the stream controller (needed to handle abort method)
   // and the stream itself.
   let streamController;
@@ -50,20 +29,10 @@ const exportFile = (
   const pathPromise = new Promise((resolve, reject) => {
     promiseResolve = resolve;
     promiseReject = reject;
-    let filePath;
-
-    const formatter = new Formatter(network, codebook, exportOptions);
-    const outputName = makeFilename(namePrefix, partitonedEntityName, exportFormat, extension);
-    if (isElectron()) {
-      const path = require('path');
-      filePath = path.join(outDir, outputName);
-    }
+    const formatter = createFormatter();
+    const filePath = storage.join(outDir, outputName);
 
-    if (isCordova()) {
-      filePath = `${outDir}${outputName}`;
-    }
-
-    createWriteStream(filePath)
+    storage.createWriteStream(filePath)
       .then((ws) => {
         writeStream = ws;
         writeStream.on('finish', () => {
@@ -93,4 +62,86 @@ const exportFile = (
   return pathPromise;
 };
 
-module.exports = exportFile;
+/**
+ * Export a single (CSV or graphml) file
+ * @param  {string}   namePrefix used to construct the filename
+ * @param  {string}   partitionedEntityName an entity name used by CSV formatters
+ * @param  {formats}  exportFormat a special config object that specifies the formatter class
+ * @param  {string}   outDir directory where we should write the file
+ * @param  {object}   network NC-formatted network `({ nodes, edges, ego })`
+ * @param  {Object}   codebook needed to lookup variable types for encoding
+ * @param  {Object}   exportOptions the new style configuration object, passed through to
+ *                    the formatter
+ * @param  {Object}   [storage] storage adapter to write the file with
+ * @return {Promise}  promise decorated with an `abort` method.
+ *                    If aborted, the returned promise will never settle.
+ * @private
+ */
+const exportFile = (
+  namePrefix,
+  partitionedEntityName,
+  exportFormat,
+  outDir,
+  network,
+  codebook,
+  exportOptions,
+  storage = getDefaultStorage(),
+) => {
+  const Formatter = getFormatterClass(exportFormat);
+  const extension = getFileExtension(exportFormat);
+
+  if (!Formatter || !extension) {
+    return Promise.reject(new ExportError(`Invalid export format ${exportFormat}`));
+  }
+
+  return writeFormatterFile(
+    () => new Formatter(network, codebook, exportOptions),
+    makeFilename(namePrefix, partitionedEntityName, exportFormat, extension),
+    outDir,
+    storage,
+  );
+};
+
+/**
+ * Export a single file describing sessions from one or more protocols, rather than a single
+ * network: the SQLite database, import scripts, the data dictionary, or DDI metadata.
+ * @param  {string}   name used to construct the filename
+ * @param  {formats}  exportFormat a special config object that specifies the formatter class
+ * @param  {string}   outDir directory where we should write the file
+ * @param  {Object}   networksByProtocol sessions (or unified networks), keyed by protocolUID
+ * @param  {Object}   protocols protocol objects (including codebooks), keyed by protocolUID
+ * @param  {Object}   exportOptions the new style configuration object, passed through to
+ *                    the formatter
+ * @param  {Object}   [storage] storage adapter to write the file with
+ * @return {Promise}  promise decorated with an `abort` method.
+ *                    If aborted, the returned promise will never settle.
+ * @private
+ */
+const exportProtocolsFile = (
+  name,
+  exportFormat,
+  outDir,
+  networksByProtocol,
+  protocols,
+  exportOptions,
+  storage = getDefaultStorage(),
+) => {
+  const Formatter = getFormatterClass(exportFormat);
+  const extension = getFileExtension(exportFormat);
+
+  if (!Formatter || !extension) {
+    return Promise.reject(new ExportError(`Invalid export format ${exportFormat}`));
+  }
+
+  return writeFormatterFile(
+    () => new Formatter(networksByProtocol, protocols, exportOptions),
+    makeFilename(name, null, exportFormat, extension),
+    outDir,
+    storage,
+  );
+};
+
+module.exports = {
+  exportFile,
+  exportProtocolsFile,
+};
@@ -0,0 +1,58 @@
+/* eslint-env jest */
+import {
+  mockExportOptions, mockNetwork, mockCodebook, processMockNetworks,
+} from '../../../config/mockObjects';
+import { asEgoDataset, getColumnMetadata, mangleNames } from '../dataset';
+
+describe('dataset', () => {
+  describe('getColumnMetadata', () => {
+    const metadata = getColumnMetadata({
+      a: { name: 'gender', type: 'categorical', options: [{ label: 'Female', value: 'f' }, 'm'] },
+      b: { name: 'closeness', type: 'ordinal', options: [{ label: 'Close', value: 1 }] },
+      c: { name: 'layout', type: 'layout' },
+      d: { name: 'age', type: 'number' },
+    });
+
+    it('expands categorical options to labelled booleans', () => {
+      expect(metadata.gender_f).toEqual(expect.objectContaining({ label: 'gender: Female', measure: 'nominal' }));
+      expect(metadata.gender_m.label).toEqual('gender: m');
+    });
+
+    it('uses options as value labels', () => {
+      expect(metadata.closeness).toEqual(expect.objectContaining({ measure: 'ordinal', valueLabels: [[1, 'Close']] }));
+    });
+
+    it('expands layout variables', () => {
+      expect(Object.keys(metadata)).toEqual(expect.arrayContaining(['layout_x', 'layout_y', 'layout_screenSpaceX']));
+      expect(metadata.layout_x.measure).toEqual('scale');
+    });
+
+    it('sets a measure from the variable type', () => {
+      expect(metadata.age.measure).toEqual('scale');
+    });
+  });
+
+  describe('asEgoDataset', () => {
+    it('types columns from values and the codebook', () => {
+      const [network] = processMockNetworks([mockNetwork], false)['protocol-uid-1'];
+      const { columns, rows } = asEgoDataset(network, mockCodebook, mockExportOptions);
+      const column = (name) => columns.find((col) => col.name === name);
+
+      expect(column('egoAge')).toEqual(expect.objectContaining({ type: 'numeric', measure: 'scale' }));
+      expect(column('egoName').type).toEqual('string');
+      expect(column('boolVar')).toEqual(expect.objectContaining({ type: 'numeric', measure: 'nominal' }));
+      expect(column('networkCanvasCaseID').measure).toEqual('nominal');
+      expect(rows[0][columns.indexOf(column('boolVar'))]).toEqual(0);
+    });
+  });
+
+  describe('mangleNames', () => {
+    it('reports renamed columns', () => {
+      const { names, renamed } = mangleNames(['ok', 'not ok', 'Ok'], {
+        maxLength: 32, invalidCharacters: /[^A-Za-z0-9_]/g, validStart: /^[A-Za-z_]/, prefix: '_',
+      });
+      expect(names).toEqual(['ok', 'not_ok', 'Ok_2']);
+      expect(renamed).toEqual([{ original: 'not ok', name: 'not_ok' }, { original: 'Ok', name: 'Ok_2' }]);
+    });
+  });
+});
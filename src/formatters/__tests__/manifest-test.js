@@ -0,0 +1,93 @@
+/* eslint-env jest */
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  mockExportOptions, mockNetwork, mockNetwork2, processMockNetworks,
+} from '../../../config/mockObjects';
+import {
+  countRows, createManifest, describeExportedFile, writeManifest,
+} from '../../utils/manifest';
+import { nodeStorage } from '../../storage';
+
+describe('manifest', () => {
+  const [session] = processMockNetworks([mockNetwork], false)['protocol-uid-1'];
+  const [unified] = processMockNetworks([mockNetwork, mockNetwork2], true)['protocol-uid-1'];
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'manifest-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmdirSync(dir, { recursive: true });
+  });
+
+  it('counts rows in tabular formats', () => {
+    expect(countRows('attributeList', session)).toEqual(4);
+    expect(countRows('edgeList', session)).toEqual(1);
+    expect(countRows('ego', session)).toEqual(1);
+    expect(countRows('ego', unified)).toEqual(2);
+    expect(countRows('graphml', session)).toBeNull();
+  });
+
+  it('counts the rows of a matrix', () => {
+    const includeEgo = {
+      ...mockExportOptions,
+      globalOptions: { ...mockExportOptions.globalOptions, matrixIncludeEgo: true },
+    };
+    const repeated = { ...session, nodes: [...session.nodes, session.nodes[0]] };
+
+    expect(countRows('adjacencyMatrix', session, mockExportOptions)).toEqual(4);
+    expect(countRows('adjacencyMatrix', repeated, mockExportOptions)).toEqual(4);
+    expect(countRows('adjacencyMatrix', session, includeEgo)).toEqual(5);
+    expect(countRows('adjacencyMatrix', unified, mockExportOptions)).toEqual(6);
+    // Unified networks have an ego for each session
+    expect(countRows('matrixMarketLabels', unified, includeEgo)).toEqual(8);
+  });
+
+  it('describes an exported file', () => {
+    expect(describeExportedFile('/tmp/out/123_session-id-1_attributeList_person.csv', 'attributeList', 'person', [session], mockExportOptions, nodeStorage)).toEqual({
+      filePath: '/tmp/out/123_session-id-1_attributeList_person.csv',
+      name: '123_session-id-1_attributeList_person.csv',
+      format: 'attributeList',
+      partitionEntity: 'person',
+      protocols: [{ protocolUID: 'protocol-uid-1', protocolName: 'protocol name' }],
+      sessions: [{ sessionId: 'session-id-1', caseId: 123 }],
+      rows: 4,
+    });
+  });
+
+  it('lists every session in a unified network', () => {
+    const file = describeExportedFile('/tmp/out/protocol name.graphml', 'graphml', null, [unified], mockExportOptions, nodeStorage);
+    expect(file.sessions.map(({ sessionId }) => sessionId)).toEqual(['session-id-1', 'session-id-2']);
+    expect(file.protocols).toHaveLength(1);
+    expect(file.rows).toBeNull();
+  });
+
+  it('adds sizes and checksums', async () => {
+    const filePath = path.join(dir, 'a.csv');
+    fs.writeFileSync(filePath, 'abc');
+
+    const manifest = await createManifest(
+      [describeExportedFile(filePath, 'ego', null, [session], mockExportOptions, nodeStorage)],
+      mockExportOptions,
+      nodeStorage,
+    );
+
+    expect(manifest.exporterVersion).toEqual(expect.any(String));
+    expect(manifest.exportOptions).toEqual(mockExportOptions);
+    expect(manifest.files[0]).toEqual(expect.objectContaining({
+      name: 'a.csv',
+      bytes: 3,
+      sha256: 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad',
+    }));
+    expect(manifest.files[0].filePath).toBeUndefined();
+  });
+
+  it('writes the manifest', async () => {
+    const manifestPath = await writeManifest({ files: [] }, dir, nodeStorage);
+    expect(manifestPath).toEqual(path.join(dir, 'manifest.json'));
+    expect(JSON.parse(fs.readFileSync(manifestPath, 'utf8'))).toEqual({ files: [] });
+  });
+});
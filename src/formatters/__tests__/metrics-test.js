@@ -0,0 +1,124 @@
+/* eslint-env jest */
+import {
+  calculateNodeMetrics,
+  getNodeMetricsOptions,
+  insertNodeMetrics,
+  metricColumns,
+} from '../metrics';
+import { nodeMetricsProperty } from '../../utils/reservedAttributes';
+
+const codebook = {
+  edge: {
+    knows: { name: 'knows' },
+    follows: { name: 'follows', directed: true },
+    dislikes: { name: 'dislikes' },
+  },
+};
+
+const allMetrics = Object.keys(metricColumns);
+
+const exportOptions = (nodeMetrics) => ({ globalOptions: { nodeMetrics } });
+
+const session = (edges) => ({
+  nodes: ['a', 'b', 'c', 'd'].map((_uid) => ({ _uid, type: 'person' })),
+  edges: edges.map(([from, to, type = 'knows']) => ({ from, to, type })),
+});
+
+// Each metric for nodes a, b, c, d
+const metricValues = (network, options = { metrics: allMetrics }) => {
+  const metrics = calculateNodeMetrics(network, codebook, exportOptions(options));
+  return Object.values(metricColumns).reduce((acc, column) => ({
+    ...acc,
+    [column]: ['a', 'b', 'c', 'd'].map((id) => metrics.get(id)[column]),
+  }), {});
+};
+
+describe('getNodeMetricsOptions', () => {
+  it('is off by default', () => {
+    expect(getNodeMetricsOptions(exportOptions(false))).toBeNull();
+  });
+
+  it('uses the default metrics of every edge type', () => {
+    expect(getNodeMetricsOptions(exportOptions(true))).toEqual({
+      metrics: ['degree', 'betweenness', 'closeness', 'eigenvector', 'clustering'],
+      edgeTypes: null,
+    });
+  });
+
+  it('rejects unknown metrics', () => {
+    expect(() => getNodeMetricsOptions(exportOptions({ metrics: ['pagerank'] }))).toThrow(/pagerank/);
+  });
+});
+
+describe('calculateNodeMetrics', () => {
+  // A triangle (a, b, c), with d attached to c
+  const triangle = session([['a', 'b'], ['b', 'c'], ['c', 'a'], ['c', 'd'], ['c', 'd']]);
+
+  it('calculates degree, ignoring duplicate edges', () => {
+    expect(metricValues(triangle)[metricColumns.degree]).toEqual([2, 2, 3, 1]);
+  });
+
+  it('calculates betweenness', () => {
+    expect(metricValues(triangle)[metricColumns.betweenness]).toEqual([0, 0, 2, 0]);
+  });
+
+  it('calculates closeness', () => {
+    expect(metricValues(triangle)[metricColumns.closeness]).toEqual([1 / 4, 1 / 4, 1 / 3, 1 / 5]);
+  });
+
+  it('calculates clustering', () => {
+    expect(metricValues(triangle)[metricColumns.clustering]).toEqual([1, 1, 1 / 3, null]);
+  });
+
+  it('calculates eigenvector centrality', () => {
+    const [a, b, c, d] = metricValues(triangle)[metricColumns.eigenvector];
+    expect(c).toEqual(1);
+    expect(a).toBeCloseTo(b);
+    expect(d).toBeLessThan(a);
+    expect(d).toBeGreaterThan(0);
+  });
+
+  it('follows the direction of directed edge types', () => {
+    const path = session([['a', 'b', 'follows'], ['b', 'c', 'follows']]);
+    const values = metricValues(path);
+    expect(values[metricColumns.indegree]).toEqual([0, 1, 1, 0]);
+    expect(values[metricColumns.outdegree]).toEqual([1, 1, 0, 0]);
+    expect(values[metricColumns.betweenness]).toEqual([0, 1, 0, 0]);
+    expect(values[metricColumns.closeness]).toEqual([1 / 3, 1, null, null]);
+  });
+
+  it('counts paths along undirected edges in each direction in mixed networks', () => {
+    const path = session([['a', 'b'], ['b', 'c'], ['c', 'd', 'follows']]);
+    // b is between a and c in both directions, and from a to d
+    expect(metricValues(path)[metricColumns.betweenness]).toEqual([0, 3, 2, 0]);
+  });
+
+  it('only uses the selected edge types', () => {
+    const network = session([['a', 'b'], ['b', 'c', 'dislikes']]);
+    const values = metricValues(network, { metrics: ['degree'], edgeTypes: ['knows'] });
+    expect(values[metricColumns.degree]).toEqual([1, 1, 0, 0]);
+    expect(values[metricColumns.betweenness]).toEqual([undefined, undefined, undefined, undefined]);
+  });
+});
+
+describe('insertNodeMetrics', () => {
+  it('adds metrics to the nodes of each session', () => {
+    const sessionsByProtocol = {
+      'protocol-1': [session([['a', 'b']])],
+      'missing-protocol': [session([])],
+    };
+    const result = insertNodeMetrics(
+      sessionsByProtocol,
+      { 'protocol-1': { codebook } },
+      exportOptions({ metrics: ['degree'] }),
+    );
+
+    expect(result['protocol-1'][0].nodes.map((node) => node[nodeMetricsProperty])).toEqual([
+      { [metricColumns.degree]: 1 },
+      { [metricColumns.degree]: 1 },
+      { [metricColumns.degree]: 0 },
+      { [metricColumns.degree]: 0 },
+    ]);
+    expect(result['missing-protocol']).toBe(sessionsByProtocol['missing-protocol']);
+  });
+});
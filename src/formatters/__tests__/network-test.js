@@ -1,5 +1,6 @@
 /* eslint-env jest */
 import {
+  getVariableColumns,
   unionOfNetworks,
   insertEgoIntoSessionNetworks,
 } from '../network';
@@ -112,4 +113,41 @@ describe('network format helpers', () => {
       expect(getEntityAttributes(node)).toEqual({ attr: 1 });
     });
   });
+
+  describe('getVariableColumns', () => {
+    const exportOptions = {
+      globalOptions: {
+        useScreenLayoutCoordinates: true,
+        screenLayoutWidth: 100,
+        screenLayoutHeight: 10,
+      },
+    };
+
+    it('expands categorical options', () => {
+      const variable = { name: 'pets', type: 'categorical', options: [{ label: 'Cat', value: 'cat' }, { label: 'Dog', value: 'dog' }] };
+      expect(getVariableColumns(variable, ['dog'], exportOptions)).toEqual([
+        {
+          column: 'pets_cat', value: false, derivation: 'categoricalOption', option: variable.options[0],
+        },
+        {
+          column: 'pets_dog', value: true, derivation: 'categoricalOption', option: variable.options[1],
+        },
+      ]);
+    });
+
+    it('expands layout coordinates', () => {
+      const columns = getVariableColumns({ name: 'pos', type: 'layout' }, { x: 0.5, y: 0.25 }, exportOptions);
+      expect(columns.map(({ column, value }) => [column, value])).toEqual([
+        ['pos_x', 0.5],
+        ['pos_y', 0.25],
+        ['pos_screenSpaceX', '50.00'],
+        ['pos_screenSpaceY', '7.50'],
+      ]);
+    });
+
+    it('uses the variable name for other types', () => {
+      expect(getVariableColumns({ name: 'age', type: 'number' }, 20, exportOptions))
+        .toEqual([{ column: 'age', value: 20, derivation: 'value' }]);
+    });
+  });
 });
@@ -0,0 +1,62 @@
+/* eslint-env jest */
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { copyToDirectory, getOutputPath } from '../../utils/outputDirectory';
+import { nodeStorage } from '../../storage';
+
+describe('output directory', () => {
+  const file = {
+    name: '123_session-id-1_attributeList_person.csv',
+    format: 'attributeList',
+    protocols: [{ protocolUID: 'protocol-uid-1', protocolName: 'protocol/name' }],
+    sessions: [{ sessionId: 'session-id-1', caseId: 123 }],
+  };
+
+  describe('getOutputPath', () => {
+    it('places files at the top level by default', () => {
+      expect(getOutputPath(file)).toEqual(file.name);
+    });
+
+    it('nests files in subfolders', () => {
+      expect(getOutputPath(file, ['protocol', 'case', 'format']))
+        .toEqual(`protocolname/123/attributeList/${file.name}`);
+      expect(getOutputPath(file, ['format', 'protocol']))
+        .toEqual(`attributeList/protocolname/${file.name}`);
+    });
+
+    it('skips subfolders that a file spans', () => {
+      const unified = {
+        ...file,
+        sessions: [...file.sessions, { sessionId: 'session-id-2', caseId: 456 }],
+      };
+      expect(getOutputPath(unified, ['protocol', 'case'])).toEqual(`protocolname/${file.name}`);
+    });
+  });
+
+  describe('copyToDirectory', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'output-directory-test-'));
+    });
+
+    afterEach(() => {
+      fs.rmdirSync(dir, { recursive: true });
+    });
+
+    it('copies files, creating subfolders', async () => {
+      const source = path.join(dir, 'source.csv');
+      fs.writeFileSync(source, 'a,b');
+      const outputDirectory = path.join(dir, 'out');
+
+      await copyToDirectory([
+        { filePath: source, path: 'protocol/source.csv' },
+        { filePath: source, path: 'copy.csv' },
+      ], outputDirectory, nodeStorage);
+
+      expect(fs.readFileSync(path.join(outputDirectory, 'protocol', 'source.csv'), 'utf8')).toEqual('a,b');
+      expect(fs.existsSync(path.join(outputDirectory, 'copy.csv'))).toBe(true);
+    });
+  });
+});
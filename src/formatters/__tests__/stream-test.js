@@ -0,0 +1,50 @@
+/* eslint-env jest */
+import { Writable } from 'stream';
+import { makeWriteableStream } from '../../../config/setupTestEnv';
+import { generatorToStream, writeGenerator } from '../stream';
+
+describe('stream helpers', () => {
+  it('writes each chunk of a generator', async () => {
+    function* chunks() {
+      yield 'a,';
+      yield 'b';
+    }
+    const writable = makeWriteableStream();
+    writeGenerator(chunks(), writable);
+    await expect(writable.asString()).resolves.toEqual('a,b');
+  });
+
+  it('finishes the generator on abort', async () => {
+    const cleanup = jest.fn();
+    function* chunks() {
+      try {
+        while (true) {
+          yield 'x';
+        }
+      } finally {
+        cleanup();
+      }
+    }
+    const writable = new Writable({
+      write(chunk, encoding, next) {
+        abort(); // eslint-disable-line no-use-before-define
+        next();
+      },
+    });
+    const closed = new Promise((resolve) => { writable.on('close', resolve); });
+    const { abort } = writeGenerator(chunks(), writable);
+    await closed;
+    expect(cleanup).toHaveBeenCalled();
+  });
+
+  it('destroys the stream with errors thrown by the generator', async () => {
+    function* chunks() {
+      yield 'a';
+      throw new Error('failed');
+    }
+    const stream = generatorToStream(chunks());
+    const error = new Promise((resolve) => { stream.on('error', resolve); });
+    stream.resume();
+    await expect(error).resolves.toEqual(new Error('failed'));
+  });
+});
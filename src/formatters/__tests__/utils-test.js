@@ -1,6 +1,8 @@
 /* eslint-env jest */
 import GraphMLFormatter from '../graphml/GraphMLFormatter';
-import { mockCodebook } from '../../../config/mockObjects';
+import {
+  mockCodebook, mockNetwork, mockNetwork2, processMockNetworks,
+} from '../../../config/mockObjects';
 import { entityPrimaryKeyProperty } from '../../utils/reservedAttributes';
 import {
   extensions,
@@ -19,6 +21,79 @@ describe('formatter utilities', () => {
       expect(getFileExtension('attributeList')).toEqual('.csv');
       expect(getFileExtension('ego')).toEqual('.csv');
     });
+
+    it('maps gexf to .gexf', () => {
+      expect(getFileExtension('gexf')).toEqual('.gexf');
+    });
+
+    it('maps json to .json', () => {
+      expect(getFileExtension('json')).toEqual('.json');
+    });
+
+    it('maps pajek to .net', () => {
+      expect(getFileExtension('pajek')).toEqual('.net');
+    });
+
+    it('maps dot to .dot', () => {
+      expect(getFileExtension('dot')).toEqual('.dot');
+    });
+
+    it('maps spss formats to .sav', () => {
+      expect(getFileExtension('spssEgo')).toEqual('.sav');
+      expect(getFileExtension('spssAttributeList')).toEqual('.sav');
+    });
+
+    it('maps stata formats', () => {
+      expect(getFileExtension('stataEgo')).toEqual('.dta');
+      expect(getFileExtension('stataAttributeList')).toEqual('.dta');
+      expect(getFileExtension('stataEdgeList')).toEqual('.dta');
+      expect(getFileExtension('stataRenames')).toEqual('.csv');
+    });
+
+    it('maps svg to .svg', () => {
+      expect(getFileExtension('svg')).toEqual('.svg');
+    });
+
+    it('maps xlsx to .xlsx', () => {
+      expect(getFileExtension('xlsx')).toEqual('.xlsx');
+    });
+
+    it('maps sqlite to .sqlite', () => {
+      expect(getFileExtension('sqlite')).toEqual('.sqlite');
+    });
+
+    it('maps ucinetDL to .dl', () => {
+      expect(getFileExtension('ucinetDL')).toEqual('.dl');
+    });
+
+    it('maps matrix market formats', () => {
+      expect(getFileExtension('matrixMarket')).toEqual('.mtx');
+      expect(getFileExtension('matrixMarketLabels')).toEqual('.csv');
+    });
+
+    it('maps neo4j formats', () => {
+      expect(getFileExtension('neo4jNodes')).toEqual('.csv');
+      expect(getFileExtension('neo4jRelationships')).toEqual('.csv');
+      expect(getFileExtension('neo4jEgo')).toEqual('.csv');
+      expect(getFileExtension('cypher')).toEqual('.cypher');
+    });
+
+    it('maps R to .R', () => {
+      expect(getFileExtension('R')).toEqual('.R');
+    });
+
+    it('maps py to .py', () => {
+      expect(getFileExtension('py')).toEqual('.py');
+    });
+
+    it('maps data dictionary formats', () => {
+      expect(getFileExtension('codebook')).toEqual('.csv');
+      expect(getFileExtension('codebookJSON')).toEqual('.json');
+    });
+
+    it('maps ddi to .xml', () => {
+      expect(getFileExtension('ddi')).toEqual('.xml');
+    });
   });
 
   describe('getFormatterClass', () => {
@@ -59,6 +134,26 @@ describe('formatter utilities', () => {
       expect(partitioned[1].edges).toEqual([network.edges[1]]);
     });
 
+    it('partitions edges for pajek output', () => {
+      const partitioned = partitionNetworkByType(mockCodebook, network, 'pajek');
+      expect(partitioned).toHaveLength(2);
+      expect(partitioned[0].partitionEntity).toEqual('peer');
+    });
+
+    it('does not partition pajek output for unified networks', () => {
+      const partitioned = partitionNetworkByType(mockCodebook, network, 'pajek', { globalOptions: { unifyNetworks: true } });
+      expect(partitioned).toHaveLength(1);
+    });
+
+    it('splits unified networks into sessions for svg output', () => {
+      const [unified] = processMockNetworks([mockNetwork, mockNetwork2], true)['protocol-uid-1'];
+      const partitioned = partitionNetworkByType(mockCodebook, unified, 'svg', { globalOptions: { unifyNetworks: true } });
+      expect(partitioned).toHaveLength(2);
+      expect(partitioned[1].partitionEntity).toEqual('456_session-id-2');
+      expect(partitioned[1].nodes).toHaveLength(2);
+      expect(partitioned[1].sessionVariables).toEqual(mockNetwork2.sessionVariables);
+    });
+
     it('does not partition for other types', () => {
       expect(partitionNetworkByType(mockCodebook, network, 'graphml')).toHaveLength(1);
       expect(partitionNetworkByType(mockCodebook, network, 'ego')).toHaveLength(1);
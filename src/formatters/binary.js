@@ -0,0 +1,71 @@
+/**
+ * This module provides little-endian field writers shared by the binary dataset formats
+ * (SPSS .sav and Stata .dta).
+ * @module Binary
+ */
+
+const uint16 = (value) => {
+  const buffer = Buffer.alloc(2);
+  buffer.writeUInt16LE(value, 0);
+  return buffer;
+};
+
+const int32 = (value) => {
+  const buffer = Buffer.alloc(4);
+  buffer.writeInt32LE(value, 0);
+  return buffer;
+};
+
+const uint64 = (value) => {
+  const buffer = Buffer.alloc(8);
+  buffer.writeUInt32LE(value % 0x100000000, 0);
+  buffer.writeUInt32LE(Math.floor(value / 0x100000000), 4);
+  return buffer;
+};
+
+const float64 = (value) => {
+  const buffer = Buffer.alloc(8);
+  buffer.writeDoubleLE(value, 0);
+  return buffer;
+};
+
+/**
+ * Truncate a string to a number of UTF-8 bytes, without splitting a multibyte character.
+ */
+const truncateBytes = (value, maxBytes) => {
+  const bytes = Buffer.from(String(value), 'utf8');
+  if (bytes.length <= maxBytes) { return bytes; }
+  let end = maxBytes;
+  // eslint-disable-next-line no-bitwise
+  while (end > 0 && (bytes[end] & 0xC0) === 0x80) { end -= 1; }
+  return bytes.slice(0, end);
+};
+
+/**
+ * A string of exactly `length` bytes.
+ * @param {string} value
+ * @param {number} length
+ * @param {Object} options
+ * @param {number} options.maxBytes the number of bytes of `value` to keep, if fewer than `length`
+ * @param {number} options.padding the byte that fills the rest of the field
+ */
+const fixedString = (value, length, { maxBytes = length, padding = 0x00 } = {}) => {
+  const buffer = Buffer.alloc(length, padding);
+  truncateBytes(value, maxBytes).copy(buffer);
+  return buffer;
+};
+
+const monthNames = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const twoDigits = (value) => String(value).padStart(2, '0');
+
+module.exports = {
+  fixedString,
+  float64,
+  int32,
+  monthNames,
+  truncateBytes,
+  twoDigits,
+  uint16,
+  uint64,
+};
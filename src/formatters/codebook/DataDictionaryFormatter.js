@@ -0,0 +1,64 @@
+/* eslint-disable max-classes-per-file */
+const { csvEOL, sanitizedCellValue } = require('../csv/csv');
+const { asDictionaryRows, dictionaryColumns, getDataDictionary } = require('./dataDictionary');
+const { writeGenerator } = require('../stream');
+
+/**
+ * Class providing a data dictionary (CSV), with a row for every column of every exported
+ * CSV file.
+ *
+ * Like the SQLite formatter, this writes a single file for the whole export, so it is
+ * constructed with every network and every protocol.
+ */
+class DataDictionaryCSVFormatter {
+  /**
+   * @param {Object} networksByProtocol - sessions (or unified networks) keyed by protocolUID.
+   * @param {Object} protocols - protocol objects (including codebooks), keyed by protocolUID.
+   * @param {Object} exportOptions - global export options object from FileExportManager.
+   */
+  constructor(networksByProtocol, protocols, exportOptions) {
+    this.rows = asDictionaryRows(getDataDictionary(networksByProtocol, protocols, exportOptions));
+  }
+
+  writeToStream(outStream) {
+    function* dictionaryGenerator(rows) {
+      yield `${dictionaryColumns.join(',')}${csvEOL}`;
+      for (let i = 0; i < rows.length; i += 1) {
+        yield `${rows[i].map(sanitizedCellValue).join(',')}${csvEOL}`;
+      }
+    }
+
+    return writeGenerator(dictionaryGenerator(this.rows), outStream);
+  }
+}
+
+/**
+ * Class providing a data dictionary (JSON), listing the columns of every exported CSV file.
+ */
+class DataDictionaryJSONFormatter {
+  /**
+   * @param {Object} networksByProtocol - sessions (or unified networks) keyed by protocolUID.
+   * @param {Object} protocols - protocol objects (including codebooks), keyed by protocolUID.
+   * @param {Object} exportOptions - global export options object from FileExportManager.
+   */
+  constructor(networksByProtocol, protocols, exportOptions) {
+    this.files = getDataDictionary(networksByProtocol, protocols, exportOptions);
+  }
+
+  writeToStream(outStream) {
+    function* dictionaryGenerator(files) {
+      yield '{"files":[';
+      for (let i = 0; i < files.length; i += 1) {
+        yield `${i > 0 ? ',' : ''}${JSON.stringify(files[i])}`;
+      }
+      yield ']}';
+    }
+
+    return writeGenerator(dictionaryGenerator(this.files), outStream);
+  }
+}
+
+module.exports = {
+  DataDictionaryCSVFormatter,
+  DataDictionaryJSONFormatter,
+};
@@ -0,0 +1,143 @@
+/* eslint-env jest */
+import { makeWriteableStream } from '../../../../config/setupTestEnv';
+import {
+  mockCodebook, mockExportOptions, mockNetwork, processMockNetworks,
+} from '../../../../config/mockObjects';
+import { asDictionaryRows, dictionaryColumns, getDataDictionary } from '../dataDictionary';
+import { DataDictionaryCSVFormatter, DataDictionaryJSONFormatter } from '../DataDictionaryFormatter';
+
+const codebook = {
+  ...mockCodebook,
+  node: {
+    'mock-node-type': {
+      ...mockCodebook.node['mock-node-type'],
+      variables: {
+        ...mockCodebook.node['mock-node-type'].variables,
+        'mock-uuid-7': {
+          name: 'close_friend',
+          type: 'categorical',
+          options: [{ label: 'Family', value: 3 }, { label: 'Work', value: 4 }],
+        },
+      },
+    },
+  },
+};
+
+const protocols = {
+  'protocol-uid-1': { name: 'protocol name', codebook },
+};
+
+const session = {
+  ...mockNetwork,
+  nodes: [
+    {
+      ...mockNetwork.nodes[0],
+      attributes: { ...mockNetwork.nodes[0].attributes, 'mock-uuid-7': [3], 'not-in-codebook': 1 },
+    },
+    ...mockNetwork.nodes.slice(1),
+  ],
+  sessionVariables: { ...mockNetwork.sessionVariables, caseId: 'case' },
+};
+
+const exportOptions = {
+  ...mockExportOptions,
+  exportCSV: { attributeList: true, edgeList: true },
+};
+
+describe('data dictionary', () => {
+  let dictionary;
+
+  beforeEach(() => {
+    dictionary = getDataDictionary(processMockNetworks([session], false), protocols, exportOptions);
+  });
+
+  it('describes every CSV file', () => {
+    expect(dictionary.map(({ file, entity, entityType }) => [file, entity, entityType])).toEqual([
+      ['case_session-id-1_ego.csv', 'ego', null],
+      ['case_session-id-1_attributeList_person.csv', 'node', 'person'],
+      ['case_session-id-1_edgeList_peer.csv', 'edge', 'peer'],
+    ]);
+  });
+
+  it('describes no files when CSV export is off', () => {
+    const networks = processMockNetworks([session], false);
+    expect(getDataDictionary(networks, protocols, { ...exportOptions, exportCSV: false }))
+      .toEqual([]);
+  });
+
+  it('lists columns in file order', () => {
+    const { columns } = dictionary[1];
+    expect(columns.map(({ column }) => column)).toEqual([
+      'nodeID',
+      'networkCanvasEgoUUID',
+      'networkCanvasUUID',
+      'firstName',
+      'age',
+      'layout_x',
+      'layout_y',
+      'layout_screenSpaceX',
+      'layout_screenSpaceY',
+      'boolWithValues',
+      'nullBool',
+      'close_friend_3',
+      'close_friend_4',
+      'not-in-codebook',
+    ]);
+  });
+
+  it('describes derived columns', () => {
+    const column = (name) => dictionary[1].columns.find((col) => col.column === name);
+
+    expect(column('close_friend_3')).toEqual({
+      column: 'close_friend_3',
+      variableUUID: 'mock-uuid-7',
+      variableName: 'close_friend',
+      variableType: 'categorical',
+      optionValue: 3,
+      optionLabel: 'Family',
+      derivation: 'categoricalOption',
+      description: 'true if "Family" was selected',
+    });
+    expect(column('layout_screenSpaceX')).toEqual(expect.objectContaining({
+      variableUUID: 'mock-uuid-3',
+      derivation: 'layoutScreenSpaceX',
+      description: 'Horizontal position in pixels, on a 1920x1080 screen',
+    }));
+    expect(column('nodeID').derivation).toEqual('reserved');
+    expect(column('not-in-codebook')).toEqual(expect.objectContaining({
+      variableUUID: 'not-in-codebook',
+      derivation: 'value',
+      description: 'Not found in the codebook',
+    }));
+  });
+
+  it('flattens to rows', () => {
+    const rows = asDictionaryRows(dictionary);
+    expect(rows[0]).toEqual([
+      'case_session-id-1_ego.csv', 'networkCanvasEgoUUID', 'ego', null, null, null, null, null, null, 'reserved', 'Unique identifier of the ego',
+    ]);
+    expect(rows[0]).toHaveLength(dictionaryColumns.length);
+  });
+
+  describe('formatters', () => {
+    const write = (Formatter) => {
+      const writable = makeWriteableStream();
+      new Formatter(processMockNetworks([session], false), protocols, exportOptions)
+        .writeToStream(writable);
+      return writable.asString();
+    };
+
+    it('writes CSV', async () => {
+      const csv = await write(DataDictionaryCSVFormatter);
+      const lines = csv.split('\r\n');
+      expect(lines[0]).toEqual(dictionaryColumns.join(','));
+      expect(lines).toContain('case_session-id-1_attributeList_person.csv,close_friend_3,node,person,mock-uuid-7,close_friend,categorical,3,Family,categoricalOption,"true if ""Family"" was selected"');
+    });
+
+    it('writes JSON', async () => {
+      const json = JSON.parse(await write(DataDictionaryJSONFormatter));
+      expect(json.files).toHaveLength(3);
+      expect(json.files[2].columns.map(({ column }) => column)).toContain('networkCanvasSourceUUID');
+    });
+  });
+});
@@ -0,0 +1,258 @@
+/**
+ * This module describes every column of the exported CSV files: the codebook variable each
+ * column comes from, and how it was derived (for example, one boolean column per option of
+ * a categorical variable).
+ *
+ * Headers are produced by the CSV formatters themselves, and column names by
+ * `getVariableColumns`, so the dictionary always matches the files.
+ * @module DataDictionary
+ */
+const attributeList = require('../csv/attribute-list');
+const edgeList = require('../csv/edge-list');
+const egoList = require('../csv/ego-list');
+const { listCSVPartitions } = require('../csv/files');
+const { metricDescriptions } = require('../metrics');
+const { getVariableColumns } = require('../network');
+const { VariableType } = require('../../utils/protocol-consts');
+const {
+  edgeExportIDProperty,
+  edgeSourceProperty,
+  edgeTargetProperty,
+  egoProperty,
+  ncCaseProperty,
+  ncProtocolNameProperty,
+  ncSessionProperty,
+  ncSourceUUID,
+  ncTargetUUID,
+  ncUUIDProperty,
+  nodeExportIDProperty,
+  sessionExportTimeProperty,
+  sessionFinishTimeProperty,
+  sessionStartTimeProperty,
+} = require('../../utils/reservedAttributes');
+
+const dictionaryColumns = [
+  'file',
+  'column',
+  'entity',
+  'entityType',
+  'variableUUID',
+  'variableName',
+  'variableType',
+  'optionValue',
+  'optionLabel',
+  'derivation',
+  'description',
+];
+
+// Columns written by the CSV formatters in addition to codebook variables
+const reservedColumns = {
+  ego: {
+    [egoProperty]: 'Unique identifier of the ego',
+    [ncCaseProperty]: 'Case ID of the session',
+    [ncSessionProperty]: 'Unique identifier of the session',
+    [ncProtocolNameProperty]: 'Name of the protocol used for the session',
+    [sessionStartTimeProperty]: 'Time the session started',
+    [sessionFinishTimeProperty]: 'Time the session finished',
+    [sessionExportTimeProperty]: 'Time the session was exported',
+  },
+  node: {
+    [nodeExportIDProperty]: 'Node ID, numbered within each session',
+    [egoProperty]: 'Unique identifier of the ego who created the node',
+    [ncUUIDProperty]: 'Unique identifier of the node',
+    ...metricDescriptions,
+  },
+  edge: {
+    [edgeExportIDProperty]: 'Edge ID, numbered within each session',
+    [edgeSourceProperty]: 'Node ID of the source node',
+    [edgeTargetProperty]: 'Node ID of the target node',
+    [egoProperty]: 'Unique identifier of the ego who created the edge',
+    [ncUUIDProperty]: 'Unique identifier of the edge',
+    [ncSourceUUID]: 'Unique identifier of the source node',
+    [ncTargetUUID]: 'Unique identifier of the target node',
+  },
+};
+
+const csvModules = {
+  ego: egoList,
+  attributeList,
+  edgeList,
+};
+
+const describeDerivation = (derivation, option, exportOptions) => {
+  const { screenLayoutWidth, screenLayoutHeight } = exportOptions.globalOptions;
+  switch (derivation) {
+    case 'categoricalOption':
+      return `true if "${option.label}" was selected`;
+    case 'layoutX':
+      return 'Horizontal position, from 0 to 1';
+    case 'layoutY':
+      return 'Vertical position, from 0 to 1';
+    case 'layoutScreenSpaceX':
+      return `Horizontal position in pixels, on a ${screenLayoutWidth}x${screenLayoutHeight} screen`;
+    case 'layoutScreenSpaceY':
+      return `Vertical position in pixels, on a ${screenLayoutWidth}x${screenLayoutHeight} screen`;
+    default:
+      return null;
+  }
+};
+
+// A value that produces every column for a variable type
+const probeValue = (type) => {
+  switch (type) {
+    case VariableType.categorical:
+      return [];
+    case VariableType.layout:
+      return { x: 0, y: 0 };
+    default:
+      return null;
+  }
+};
+
+/**
+ * Describe the columns that a set of codebook variables can produce, keyed by column name.
+ * @param {Object} variables codebook variables for an entity type
+ * @param {Object} exportOptions
+ * @return {Object}
+ */
+const describeVariableColumns = (variables, exportOptions) => Object.entries(variables || {})
+  .reduce((descriptions, [variableUUID, variable]) => getVariableColumns(
+    variable,
+    probeValue(variable.type),
+    exportOptions,
+  ).reduce((acc, { column, derivation, option }) => ({
+    ...acc,
+    [column]: {
+      variableUUID,
+      variableName: variable.name,
+      variableType: variable.type,
+      optionValue: option ? option.value : null,
+      optionLabel: option ? option.label : null,
+      derivation,
+      description: describeDerivation(derivation, option, exportOptions),
+    },
+  }), descriptions), {});
+
+const getProcessedEntities = (format, partition, codebook, exportOptions) => {
+  switch (format) {
+    case 'attributeList':
+      return attributeList.asAttributeList(partition, codebook, exportOptions);
+    case 'edgeList':
+      return edgeList.asEdgeList(partition, codebook, exportOptions);
+    default:
+      return egoList.asEgoAndSessionVariablesList(partition, codebook, exportOptions);
+  }
+};
+
+/**
+ * The codebook variables for the entity type of a partition.
+ * @return {Object|undefined}
+ */
+const getEntityVariables = (codebook, entity, partition) => {
+  if (entity === 'ego') {
+    return codebook.ego && codebook.ego.variables;
+  }
+  const [first] = entity === 'node' ? partition.nodes : partition.edges;
+  const definition = first && codebook[entity] && codebook[entity][first.type];
+  return definition && definition.variables;
+};
+
+/**
+ * Describe a single CSV file.
+ * @return {Object} `{ file, entity, entityType, columns }`, where each column has the
+ *                  properties in `dictionaryColumns` (other than file, entity, and entityType)
+ */
+const describeFile = ({
+  format, entity, type, file, partition,
+}, codebook, exportOptions) => {
+  const csvModule = csvModules[format];
+  const headers = csvModule.attributeHeaders(
+    getProcessedEntities(format, partition, codebook, exportOptions),
+  );
+  const variableColumns = describeVariableColumns(
+    getEntityVariables(codebook, entity, partition),
+    exportOptions,
+  );
+
+  const columns = headers.map((header) => {
+    const column = csvModule.getPrintableAttribute(header);
+
+    if (reservedColumns[entity][column]) {
+      return {
+        column,
+        variableUUID: null,
+        variableName: null,
+        variableType: null,
+        optionValue: null,
+        optionLabel: null,
+        derivation: 'reserved',
+        description: reservedColumns[entity][column],
+      };
+    }
+
+    // Attributes missing from the codebook are exported using their key
+    return {
+      column,
+      variableUUID: header,
+      variableName: null,
+      variableType: null,
+      optionValue: null,
+      optionLabel: null,
+      derivation: 'value',
+      description: 'Not found in the codebook',
+      ...variableColumns[header],
+    };
+  });
+
+  return {
+    file,
+    entity,
+    entityType: type,
+    columns,
+  };
+};
+
+/**
+ * Describe every ego, attribute list, and edge list CSV file in an export.
+ *
+ * @param {Object} networksByProtocol - sessions (or unified networks) keyed by protocolUID
+ * @param {Object} protocols - protocol objects (including codebooks), keyed by protocolUID.
+ * @param {Object} exportOptions - global export options object from FileExportManager.
+ * @return {Array} `[{ file, entity, entityType, columns }]`
+ */
+const getDataDictionary = (networksByProtocol, protocols, exportOptions) => Object
+  .keys(networksByProtocol)
+  .filter((protocolUID) => protocols[protocolUID])
+  .reduce((files, protocolUID) => {
+    const protocol = protocols[protocolUID];
+    return networksByProtocol[protocolUID].reduce((acc, network) => [
+      ...acc,
+      ...listCSVPartitions(network, protocol, exportOptions)
+        .map((partition) => describeFile(partition, protocol.codebook, exportOptions)),
+    ], files);
+  }, []);
+
+/**
+ * Flatten a data dictionary to one row per column of each file.
+ * @return {Array} rows of values, in the order of `dictionaryColumns`
+ */
+const asDictionaryRows = (dictionary) => dictionary.reduce((rows, {
+  file, entity, entityType, columns,
+}) => [
+  ...rows,
+  ...columns.map((column) => dictionaryColumns.map((name) => ({
+    file,
+    entity,
+    entityType,
+    ...column,
+  })[name])),
+], []);
+
+module.exports = {
+  asDictionaryRows,
+  describeFile,
+  describeVariableColumns,
+  dictionaryColumns,
+  getDataDictionary,
+  getEntityVariables,
+};
@@ -8,6 +8,7 @@ import {
   entityAttributesProperty,
   egoProperty,
   nodeExportIDProperty,
+  nodeMetricsProperty,
   ncUUIDProperty,
 } from '../../../utils/reservedAttributes';
 
@@ -56,6 +57,24 @@ describe('toCSVStream', () => {
     expect(csv).toEqual(result);
   });
 
+  it('appends network metrics', async () => {
+    toCSVStream([
+      { ...testNode, [nodeMetricsProperty]: { networkCanvasDegree: 2 } },
+      {
+        ...testNode,
+        [nodeMetricsProperty]: { networkCanvasDegree: 0, networkCanvasClustering: null },
+      },
+    ], writable);
+
+    const csv = await writable.asString();
+    expect(csv.split('\r\n')).toEqual([
+      [...baseCSVAttributes, 'name', 'networkCanvasDegree', 'networkCanvasClustering'].join(','),
+      ',123,1,Jane,2,',
+      ',123,1,Jane,0,',
+      '',
+    ]);
+  });
+
   it('escapes quotes', async () => {
     toCSVStream([
       {
@@ -60,6 +60,26 @@ describe('asEdgeList', () => {
     ]);
   });
 
+  it('lists undirected edges in both directions when requested', () => {
+    const codebook = {
+      ...mockCodebook,
+      edge: { ...mockCodebook.edge, follows: { directed: true } },
+    };
+    const edges = [
+      {
+        type: 'mock-edge-type', [edgeSourceProperty]: 1, [edgeTargetProperty]: 2, [ncSourceUUID]: 'a', [ncTargetUUID]: 'b',
+      },
+      { type: 'follows', [edgeSourceProperty]: 2, [edgeTargetProperty]: 3 },
+    ];
+    const list = asEdgeList({ edges, nodes }, codebook, {
+      ...mockExportOptions,
+      exportCSV: { edgeListBothDirections: true },
+    });
+
+    expect(list.map(({ from, to }) => [from, to])).toEqual([[1, 2], [2, 1], [2, 3]]);
+    expect(list[1]).toEqual(expect.objectContaining({ [ncSourceUUID]: 'b', [ncTargetUUID]: 'a' }));
+  });
+
   it('include egoID', () => {
     expect(listFromEdges([{
       _egoID: 123,
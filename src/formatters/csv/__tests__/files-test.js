@@ -0,0 +1,79 @@
+/* eslint-env jest */
+import {
+  mockCodebook, mockExportOptions, mockNetwork, mockNetwork2, processMockNetworks,
+} from '../../../../config/mockObjects';
+import { listCSVFiles } from '../files';
+
+const protocols = {
+  'protocol-uid-1': { name: 'protocol name', codebook: mockCodebook },
+};
+
+// Case IDs are strings in exported sessions
+const withStringCaseID = (network) => ({
+  ...network,
+  sessionVariables: {
+    ...network.sessionVariables,
+    caseId: String(network.sessionVariables.caseId),
+  },
+});
+
+const sessions = [mockNetwork, mockNetwork2].map(withStringCaseID);
+
+const exportOptions = {
+  ...mockExportOptions,
+  exportCSV: { attributeList: true, edgeList: true },
+};
+
+describe('listCSVFiles', () => {
+  it('lists files for each session', () => {
+    const networks = processMockNetworks(sessions, false);
+    const [files] = listCSVFiles(networks, protocols, exportOptions);
+
+    expect(files.protocolUID).toEqual('protocol-uid-1');
+    expect(files.ego).toEqual(['123_session-id-1_ego.csv', '456_session-id-2_ego.csv']);
+    expect(files.nodes).toEqual({
+      person: ['123_session-id-1_attributeList_person.csv', '456_session-id-2_attributeList_person.csv'],
+    });
+    expect(files.edges).toEqual({
+      peer: ['123_session-id-1_edgeList_peer.csv', '456_session-id-2_edgeList_peer.csv'],
+    });
+    expect(files.networks[1]).toEqual({
+      name: 'session-id-2',
+      ego: ['456_session-id-2_ego.csv'],
+      nodes: { person: ['456_session-id-2_attributeList_person.csv'] },
+      edges: { peer: ['456_session-id-2_edgeList_peer.csv'] },
+    });
+  });
+
+  it('lists files for unified networks', () => {
+    const networks = processMockNetworks(sessions, true);
+    const [files] = listCSVFiles(networks, protocols, {
+      ...exportOptions,
+      globalOptions: { ...exportOptions.globalOptions, unifyNetworks: true },
+    });
+
+    expect(files.ego).toEqual(['protocol name_ego.csv']);
+    expect(files.nodes).toEqual({ person: ['protocol name_attributeList_person.csv'] });
+    expect(files.networks.map(({ name }) => name)).toEqual(['protocol name']);
+  });
+
+  it('omits formats that are not exported', () => {
+    const networks = processMockNetworks([sessions[0]], false);
+    const [files] = listCSVFiles(networks, protocols, {
+      ...exportOptions,
+      exportCSV: { attributeList: false, edgeList: false },
+    });
+
+    expect(files.nodes).toEqual({});
+    expect(files.edges).toEqual({});
+  });
+
+  it('lists no files when CSV export is off', () => {
+    const networks = processMockNetworks([sessions[0]], false);
+    const [files] = listCSVFiles(networks, protocols, { ...exportOptions, exportCSV: false });
+
+    expect(files.ego).toEqual([]);
+    expect(files.nodes).toEqual({});
+    expect(files.edges).toEqual({});
+  });
+});
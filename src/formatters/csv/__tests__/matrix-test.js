@@ -1,6 +1,11 @@
 /* eslint-env jest */
 import { makeWriteableStream } from '../../../../config/setupTestEnv';
-import { AdjacencyMatrixFormatter, asAdjacencyMatrix } from '../matrix';
+import {
+  AdjacencyMatrixFormatter,
+  asAdjacencyMatrix,
+  getMatrixLabelling,
+  getMatrixWeights,
+} from '../matrix';
 import { ncSourceUUID, ncTargetUUID } from '../../../utils/reservedAttributes';
 
 const mockNetwork = (edges) => ({
@@ -39,6 +44,18 @@ describe('asAdjacencyMatrix', () => {
     ]);
   });
 
+  it('represents mixed directed and undirected edges', () => {
+    const edges = [
+      { type: 'directed', [ncSourceUUID]: 1, [ncTargetUUID]: 2 },
+      { type: 'undirected', [ncSourceUUID]: 2, [ncTargetUUID]: 3 },
+    ];
+    expect(mockMatrix(edges, (edge) => edge.type === 'directed').toArray()).toEqual([
+      0, 1, 0,
+      0, 0, 1,
+      0, 1, 0,
+    ]);
+  });
+
   it('only represents presence (not counts)', () => {
     expect(mockMatrix([
       { [ncSourceUUID]: 1, [ncTargetUUID]: 2 }, { [ncSourceUUID]: 1, [ncTargetUUID]: 2 },
@@ -75,6 +92,18 @@ describe('asAdjacencyMatrix', () => {
   });
 });
 
+describe('rowAt', () => {
+  it('reads a single row of the matrix', () => {
+    const matrix = mockMatrix([
+      { [ncSourceUUID]: 1, [ncTargetUUID]: 2 },
+      { [ncSourceUUID]: 3, [ncTargetUUID]: 4 },
+      { [ncSourceUUID]: 5, [ncTargetUUID]: 1 },
+    ]);
+    expect(Array.from(matrix.rowAt(0))).toEqual([0, 1, 0, 0, 1]);
+    expect(Array.from(matrix.rowAt(3))).toEqual([0, 0, 1, 0, 0]);
+  });
+});
+
 describe('toCSVStream', () => {
   let writable;
 
@@ -137,4 +166,176 @@ describe('AdjacencyMatrixFormatter', () => {
     const controller = formatter.writeToStream(writable);
     expect(controller.abort).toBeInstanceOf(Function);
   });
+
+  it('reads edge directedness from the codebook', async () => {
+    const network = mockNetwork([{ type: 'follows', [ncSourceUUID]: 1, [ncTargetUUID]: 2 }]);
+    const codebook = { edge: { follows: { name: 'follows', directed: true } } };
+    const formatter = new AdjacencyMatrixFormatter(network, codebook, { globalOptions: {} });
+    formatter.writeToStream(writable);
+    expect(await writable.asString()).toEqual(',1,2\r\n1,0,1\r\n2,0,0\r\n');
+  });
+});
+
+describe('weighted matrices', () => {
+  const codebook = {
+    edge: {
+      knows: {
+        name: 'knows',
+        variables: { 'strength-uuid': { name: 'strength', type: 'ordinal' } },
+      },
+    },
+  };
+
+  const edge = (from, to, strength) => ({
+    type: 'knows',
+    [ncSourceUUID]: from,
+    [ncTargetUUID]: to,
+    attributes: { 'strength-uuid': strength },
+  });
+
+  const network = mockNetwork([edge(1, 2, 1), edge(1, 2, 3), edge(2, 3, 2), edge(3, 3, null)]);
+
+  const weightedMatrix = (matrixWeights, directed) => asAdjacencyMatrix(
+    network,
+    directed,
+    getMatrixWeights(codebook, { globalOptions: { matrixWeights } }),
+  );
+
+  it('is binary by default', () => {
+    expect(getMatrixWeights(codebook, { globalOptions: {} })).toBeNull();
+  });
+
+  it('counts edges between a pair when no variable is given', () => {
+    expect(weightedMatrix({}).toArray()).toEqual([
+      0, 2, 0,
+      2, 0, 1,
+      0, 1, 1,
+    ]);
+  });
+
+  it('sums an edge variable, by name', () => {
+    expect(weightedMatrix({ variable: 'strength' }).toArray()).toEqual([
+      0, 4, 0,
+      4, 0, 2,
+      0, 2, 0,
+    ]);
+  });
+
+  it('reads an edge variable by UUID', () => {
+    expect(weightedMatrix({ variable: 'strength-uuid' }).toArray()).toEqual(
+      weightedMatrix({ variable: 'strength' }).toArray(),
+    );
+  });
+
+  it('aggregates with max, count or mean', () => {
+    expect(weightedMatrix({ variable: 'strength', aggregation: 'max' }).rowAt(0)).toEqual([0, 3, 0]);
+    expect(weightedMatrix({ variable: 'strength', aggregation: 'count' }).rowAt(0)).toEqual([0, 2, 0]);
+    expect(weightedMatrix({ variable: 'strength', aggregation: 'mean' }).rowAt(0)).toEqual([0, 2, 0]);
+  });
+
+  it('rejects an unknown aggregation', () => {
+    expect(() => weightedMatrix({ aggregation: 'median' })).toThrow(/median/);
+  });
+
+  it('represents directed edges', () => {
+    expect(weightedMatrix({ variable: 'strength' }, true).toArray()).toEqual([
+      0, 4, 0,
+      0, 0, 2,
+      0, 0, 0,
+    ]);
+  });
+
+  it('lists non-empty cells', () => {
+    expect(weightedMatrix({ variable: 'strength' }, true).entries()).toEqual([
+      { row: 0, col: 1, value: 4 },
+      { row: 1, col: 2, value: 2 },
+    ]);
+  });
+
+  it('writes a weighted csv', async () => {
+    const writable = makeWriteableStream();
+    const formatter = new AdjacencyMatrixFormatter(network, codebook, {
+      globalOptions: { matrixWeights: { variable: 'strength', aggregation: 'mean' } },
+    });
+    formatter.writeToStream(writable);
+    expect(await writable.asString()).toEqual(',1,2,3\r\n1,0,2,0\r\n2,2,0,2\r\n3,0,2,0\r\n');
+  });
+});
+
+describe('matrix labels', () => {
+  const codebook = {
+    ego: { variables: { 'ego-name': { name: 'name' } } },
+    node: { person: { name: 'person', variables: { 'person-name': { name: 'Name' } } } },
+  };
+
+  const network = {
+    ego: { _uid: 'ego-1', attributes: { 'ego-name': 'Me' } },
+    nodes: [
+      {
+        _uid: 'a',
+        nodeID: 1,
+        type: 'person',
+        networkCanvasEgoUUID: 'ego-1',
+        attributes: { 'person-name': 'Smith, "Jo"' },
+      },
+      {
+        _uid: 'b',
+        nodeID: 2,
+        type: 'person',
+        networkCanvasEgoUUID: 'ego-1',
+        attributes: {},
+      },
+    ],
+    edges: [{ [ncSourceUUID]: 'a', [ncTargetUUID]: 'b' }],
+  };
+
+  const labelledMatrix = (globalOptions, weighted) => asAdjacencyMatrix(
+    network,
+    true,
+    weighted ? getMatrixWeights(codebook, { globalOptions: { matrixWeights: {} } }) : null,
+    getMatrixLabelling(codebook, { globalOptions }),
+  );
+
+  it('labels by UID by default', () => {
+    expect(labelledMatrix({}).labels).toEqual(['a', 'b']);
+  });
+
+  it('labels by nodeID', () => {
+    expect(labelledMatrix({ matrixLabels: 'nodeID' }).labels).toEqual([1, 2]);
+  });
+
+  it('labels by name, falling back to nodeID', () => {
+    expect(labelledMatrix({ matrixLabels: 'name' }).labels).toEqual(['Smith, "Jo"', 2]);
+  });
+
+  it('quotes labels in csv output', async () => {
+    const writable = makeWriteableStream();
+    labelledMatrix({ matrixLabels: 'name' }).toCSVStream(writable);
+    const csv = await writable.asString();
+    expect(csv).toEqual(',"Smith, ""Jo""",2\r\n"Smith, ""Jo""",0,1\r\n2,0,0\r\n');
+  });
+
+  it('includes ego, tied to every alter', () => {
+    const matrix = labelledMatrix({ matrixIncludeEgo: true, matrixLabels: 'nodeID' });
+    expect(matrix.labels).toEqual(['ego', 1, 2]);
+    expect(matrix.toArray()).toEqual([
+      0, 1, 1,
+      1, 0, 1,
+      1, 0, 0,
+    ]);
+  });
+
+  it('includes ego in weighted matrices', () => {
+    const matrix = labelledMatrix({ matrixIncludeEgo: true, matrixLabels: 'name' }, true);
+    expect(matrix.labels).toEqual(['Me', 'Smith, "Jo"', 2]);
+    expect(matrix.rowAt(0)).toEqual([0, 1, 1]);
+  });
+
+  it('labels each ego of a unified network', () => {
+    const unified = { ...network, ego: { 'session-1': network.ego } };
+    const matrix = asAdjacencyMatrix(unified, false, null, {
+      codebook, labelBy: 'nodeID', includeEgo: true,
+    });
+    expect(matrix.labels).toEqual(['ego_session-1', 1, 2]);
+  });
 });
@@ -4,8 +4,10 @@ const {
   egoProperty,
   entityPrimaryKeyProperty,
   nodeExportIDProperty,
+  nodeMetricsProperty,
   ncUUIDProperty,
 } = require('../../utils/reservedAttributes');
+const { isNodeMetricColumn, nodeMetricsHeaders } = require('../metrics');
 const { processEntityVariables } = require('../network');
 const { sanitizedCellValue, csvEOL } = require('./csv');
 
@@ -21,7 +23,7 @@ const asAttributeList = (network, codebook, exportOptions) => {
 
 /**
  * The output of this formatter will contain the primary key (_uid)
- * and all model data (inside the `attributes` property)
+ * and all model data (inside the `attributes` property), followed by any network metrics
  */
 const attributeHeaders = (nodes) => {
   const initialHeaderSet = new Set([]);
@@ -35,7 +37,7 @@ const attributeHeaders = (nodes) => {
     });
     return headers;
   }, initialHeaderSet);
-  return [...headerSet];
+  return [...headerSet, ...nodeMetricsHeaders(nodes)];
 };
 
 const getPrintableAttribute = (attribute) => {
@@ -47,6 +49,27 @@ const getPrintableAttribute = (attribute) => {
   }
 };
 
+/**
+ * Get the (unsanitized) cell values for a single node, in header order.
+ * @param {Object} node a node processed by asAttributeList()
+ * @param {Array} attrNames headers returned by attributeHeaders()
+ * @return {Array}
+ */
+const rowValues = (node, attrNames) => attrNames.map((attrName) => {
+  // The primary key and ego id exist at the top-level; all others inside `.attributes`
+  if (
+    attrName === entityPrimaryKeyProperty
+    || attrName === egoProperty
+    || attrName === nodeExportIDProperty
+  ) {
+    return node[attrName];
+  }
+  if (isNodeMetricColumn(attrName)) {
+    return (node[nodeMetricsProperty] || {})[attrName];
+  }
+  return node[entityAttributesProperty][attrName];
+});
+
 /**
  * @return {Object} an abort controller; call the attached abort() method as needed.
  */
@@ -65,20 +88,7 @@ const toCSVStream = (nodes, outStream) => {
         headerWritten = true;
       } else if (rowIndex < totalRows) {
         node = nodes[rowIndex];
-        const values = attrNames.map((attrName) => {
-          // The primary key and ego id exist at the top-level; all others inside `.attributes`
-          let value;
-          if (
-            attrName === entityPrimaryKeyProperty
-            || attrName === egoProperty
-            || attrName === nodeExportIDProperty
-          ) {
-            value = node[attrName];
-          } else {
-            value = node[entityAttributesProperty][attrName];
-          }
-          return sanitizedCellValue(value);
-        });
+        const values = rowValues(node, attrNames).map(sanitizedCellValue);
         rowContent = `${values.join(',')}${csvEOL}`;
         this.push(rowContent);
         rowIndex += 1;
@@ -109,5 +119,8 @@ class AttributeListFormatter {
 module.exports = {
   AttributeListFormatter,
   asAttributeList,
+  attributeHeaders,
+  getPrintableAttribute,
+  rowValues,
   toCSVStream,
 };
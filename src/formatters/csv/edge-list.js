@@ -9,6 +9,7 @@ const {
   ncUUIDProperty,
 } = require('../../utils/reservedAttributes');
 const { processEntityVariables } = require('../network');
+const { isDirectedEdgeType } = require('../graphml/helpers');
 const { sanitizedCellValue, csvEOL } = require('./csv');
 
 /**
@@ -17,6 +18,9 @@ const { sanitizedCellValue, csvEOL } = require('./csv');
  *
  * Note that duplicate edges (e.g., of different types) are not conveyed in the output.
  *
+ * Undirected edges are listed once, unless `exportCSV.edgeListBothDirections` is set, when
+ * they are also listed in reverse (matching the symmetric adjacency matrix).
+ *
  * @example
  * ```
  * | from | to   |
@@ -27,27 +31,32 @@ const { sanitizedCellValue, csvEOL } = require('./csv');
  * ```
  *
  * @param  {Object} network NC network containing edges
- * @param  {Boolean} directed if false, adjacencies are represented in both directions
- *                            default: false
+ * @param  {Object} codebook edge types may set `directed` (see isDirectedEdgeType())
+ * @param  {Object} exportOptions
  * @return {Array} the edges list
  */
 const asEdgeList = (network, codebook, exportOptions) => {
-  const directed = exportOptions.globalOptions.useDirectedEdges;
+  const bothDirections = !!(exportOptions.exportCSV
+    && exportOptions.exportCSV.edgeListBothDirections);
   const processedEdges = (network.edges || []).map((edge) => processEntityVariables(edge, 'edge', codebook, exportOptions));
 
-  // This code block duplicated the edges when directed mode was off.
-  // It has been disabled pending full directed mode support:
-  // https://netcanvasteam.slack.com/archives/G1Q262J3Y/p1589465079036100
-  if (directed === false) {
-    // // this may change if we have support for directed vs undirected edges in NC
-    // return (processedEdges || []).reduce((arr, edge) => (
-    //   arr.concat(
-    //     { ...edge, to: edge.to, from: edge.from },
-    //     { ...edge, to: edge.from, from: edge.to },
-    //   )
-    // ), []);
+  if (!bothDirections) {
+    return processedEdges;
   }
-  return processedEdges;
+
+  return processedEdges.reduce((arr, edge) => {
+    if (isDirectedEdgeType(codebook, edge.type, exportOptions)) {
+      return arr.concat(edge);
+    }
+
+    return arr.concat(edge, {
+      ...edge,
+      from: edge.to,
+      to: edge.from,
+      [ncSourceUUID]: edge[ncTargetUUID],
+      [ncTargetUUID]: edge[ncSourceUUID],
+    });
+  }, []);
 };
 
 /**
@@ -84,6 +93,28 @@ const getPrintableAttribute = (attribute) => {
   }
 };
 
+/**
+ * Get the (unsanitized) cell values for a single edge, in header order.
+ * @param {Object} edge an edge processed by asEdgeList()
+ * @param {Array} attrNames headers returned by attributeHeaders()
+ * @return {Array}
+ */
+const rowValues = (edge, attrNames) => attrNames.map((attrName) => {
+  // primary key/ego id/to/from exist at the top-level; all others inside `.attributes`
+  if (
+    attrName === entityPrimaryKeyProperty
+    || attrName === edgeExportIDProperty
+    || attrName === egoProperty
+    || attrName === 'to'
+    || attrName === 'from'
+    || attrName === ncSourceUUID
+    || attrName === ncTargetUUID
+  ) {
+    return edge[attrName];
+  }
+  return edge[entityAttributesProperty][attrName];
+});
+
 /**
  * Write a CSV reprensentation of the list to the given Writable stream.
  *
@@ -112,24 +143,7 @@ const toCSVStream = (edges, outStream) => {
         headerWritten = true;
       } else if (chunkIndex < totalChunks) {
         edge = edges[chunkIndex];
-        const values = attrNames.map((attrName) => {
-          // primary key/ego id/to/from exist at the top-level; all others inside `.attributes`
-          let value;
-          if (
-            attrName === entityPrimaryKeyProperty
-            || attrName === edgeExportIDProperty
-            || attrName === egoProperty
-            || attrName === 'to'
-            || attrName === 'from'
-            || attrName === ncSourceUUID
-            || attrName === ncTargetUUID
-          ) {
-            value = edge[attrName];
-          } else {
-            value = edge[entityAttributesProperty][attrName];
-          }
-          return sanitizedCellValue(value);
-        });
+        const values = rowValues(edge, attrNames).map(sanitizedCellValue);
         chunkContent = `${values.join(',')}${csvEOL}`;
         this.push(chunkContent);
         chunkIndex += 1;
@@ -160,5 +174,8 @@ class EdgeListFormatter {
 module.exports = {
   EdgeListFormatter,
   asEdgeList,
+  attributeHeaders,
+  getPrintableAttribute,
+  rowValues,
   toCSVStream,
 };
@@ -75,6 +75,28 @@ const getPrintableAttribute = (attribute) => {
   }
 };
 
+/**
+ * Get the (unsanitized) cell values for a single ego, in header order.
+ * @param {Object} ego an ego processed by asEgoAndSessionVariablesList()
+ * @param {Array} attrNames headers returned by attributeHeaders()
+ * @return {Array}
+ */
+const rowValues = (ego = {}, attrNames) => attrNames.map((attrName) => {
+  // Session variables exist at the top level - all others inside `attributes`
+  if (
+    attrName === entityPrimaryKeyProperty
+    || attrName === caseProperty
+    || attrName === sessionProperty
+    || attrName === protocolName
+    || attrName === sessionStartTimeProperty
+    || attrName === sessionFinishTimeProperty
+    || attrName === sessionExportTimeProperty
+  ) {
+    return ego[attrName];
+  }
+  return ego[entityAttributesProperty][attrName];
+});
+
 /**
  * @return {Object} an abort controller; call the attached abort() method as needed.
  */
@@ -93,24 +115,7 @@ const toCSVStream = (egos, outStream) => {
         headerWritten = true;
       } else if (rowIndex < totalRows) {
         ego = egos[rowIndex] || {};
-        const values = attrNames.map((attrName) => {
-          // Session variables exist at the top level - all others inside `attributes`
-          let value;
-          if (
-            attrName === entityPrimaryKeyProperty
-            || attrName === caseProperty
-            || attrName === sessionProperty
-            || attrName === protocolName
-            || attrName === sessionStartTimeProperty
-            || attrName === sessionFinishTimeProperty
-            || attrName === sessionExportTimeProperty
-          ) {
-            value = ego[attrName];
-          } else {
-            value = ego[entityAttributesProperty][attrName];
-          }
-          return sanitizedCellValue(value);
-        });
+        const values = rowValues(ego, attrNames).map(sanitizedCellValue);
         rowContent = `${values.join(',')}${csvEOL}`;
         this.push(rowContent);
         rowIndex += 1;
@@ -141,5 +146,8 @@ class EgoListFormatter {
 module.exports = {
   EgoListFormatter,
   asEgoAndSessionVariablesList,
+  attributeHeaders,
+  getPrintableAttribute,
+  rowValues,
   toCSVStream,
 };
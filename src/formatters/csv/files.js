@@ -0,0 +1,123 @@
+const { sessionProperty } = require('../../utils/reservedAttributes');
+const {
+  getFileExtension,
+  getFilePrefix,
+  makeFilename,
+} = require('../../utils/general');
+const { partitionNetworkByType } = require('../network');
+
+const entityForFormat = {
+  ego: 'ego',
+  attributeList: 'node',
+  edgeList: 'edge',
+};
+
+/**
+ * List the ego, attribute list, and edge list CSV files written for a single session (or
+ * unified network), using the same naming as exportFile().
+ *
+ * Nothing is listed when CSV export is off. Partitions without an entity (networks with no
+ * nodes or edges) produce header-only files, and are not listed.
+ *
+ * @param {Object} network - a session, or unified network
+ * @param {Object} protocol - the protocol object (including codebook) for the network
+ * @param {Object} exportOptions - global export options object from FileExportManager.
+ * @return {Array} `[{ format, entity, type, file, partition }]`, where entity is one of
+ *                 'ego', 'node', or 'edge', and type is the node or edge type name.
+ */
+const listCSVPartitions = (network, protocol, exportOptions) => {
+  if (!exportOptions.exportCSV) { return []; }
+
+  const { unifyNetworks } = exportOptions.globalOptions;
+  const { attributeList, edgeList } = exportOptions.exportCSV;
+  const prefix = getFilePrefix(network, protocol, unifyNetworks);
+
+  const formats = [
+    'ego',
+    ...(attributeList ? ['attributeList'] : []),
+    ...(edgeList ? ['edgeList'] : []),
+  ];
+
+  return formats.reduce((partitions, format) => [
+    ...partitions,
+    ...partitionNetworkByType(protocol.codebook, network, format, exportOptions)
+      .filter(({ partitionEntity }) => format === 'ego' || partitionEntity)
+      .map((partition) => ({
+        format,
+        entity: entityForFormat[format],
+        type: partition.partitionEntity || null,
+        file: makeFilename(prefix, partition.partitionEntity, format, getFileExtension(format)),
+        partition,
+      })),
+  ], []);
+};
+
+/**
+ * List the CSV files written for each exported network, so that generated import scripts
+ * can locate them.
+ *
+ * @param {Object} networksByProtocol - sessions (or unified networks) keyed by protocolUID
+ * @param {Object} protocols - protocol objects (including codebooks), keyed by protocolUID.
+ * @param {Object} exportOptions - global export options object from FileExportManager.
+ * @return {Array} `[{ protocolUID, protocol, ego: [file], nodes: { [type]: [file] },
+ *                 edges: { [type]: [file] }, networks }]`, where networks lists the files for
+ *                 each session (or unified network) separately, in the same shape, along with
+ *                 its `name` (the session ID, or protocol name when unified).
+ */
+const listCSVFiles = (networksByProtocol, protocols, exportOptions) => {
+  const { unifyNetworks } = exportOptions.globalOptions;
+
+  const addFile = (files, type, file) => ({
+    ...files,
+    [type]: [...(files[type] || []), file],
+  });
+
+  const mergeFiles = (files, networkFiles) => Object.entries(networkFiles)
+    .reduce((merged, [type, typeFiles]) => typeFiles
+      .reduce((acc, file) => addFile(acc, type, file), merged), files);
+
+  return Object.keys(networksByProtocol)
+    .filter((protocolUID) => protocols[protocolUID])
+    .map((protocolUID) => {
+      const protocol = protocols[protocolUID];
+
+      const networks = networksByProtocol[protocolUID].map((network) => (
+        listCSVPartitions(network, protocol, exportOptions).reduce((files, {
+          entity, type, file,
+        }) => {
+          switch (entity) {
+            case 'node':
+              return { ...files, nodes: addFile(files.nodes, type, file) };
+            case 'edge':
+              return { ...files, edges: addFile(files.edges, type, file) };
+            default:
+              return { ...files, ego: [...files.ego, file] };
+          }
+        }, {
+          name: unifyNetworks ? protocol.name : network.sessionVariables[sessionProperty],
+          ego: [],
+          nodes: {},
+          edges: {},
+        })
+      ));
+
+      return networks.reduce((files, network) => ({
+        ...files,
+        ego: [...files.ego, ...network.ego],
+        nodes: mergeFiles(files.nodes, network.nodes),
+        edges: mergeFiles(files.edges, network.edges),
+      }), {
+        protocolUID,
+        protocol,
+        ego: [],
+        nodes: {},
+        edges: {},
+        networks,
+      });
+    });
+};
+
+module.exports = {
+  listCSVFiles,
+  listCSVPartitions,
+};
@@ -1,8 +1,119 @@
 /* eslint-disable no-bitwise,max-classes-per-file */
 /* eslint space-infix-ops: ["error", {"int32Hint": true}] */
 const { Readable } = require('stream');
-const { entityPrimaryKeyProperty, ncSourceUUID, ncTargetUUID } = require('../../utils/reservedAttributes');
-const { csvEOL } = require('./csv');
+const { findKey } = require('lodash');
+const {
+  egoProperty,
+  entityPrimaryKeyProperty,
+  ncSourceUUID,
+  ncTargetUUID,
+  nodeExportIDProperty,
+} = require('../../utils/reservedAttributes');
+const { getEdgeDirectedness, getEntityAttributes, getEntityLabel } = require('../graphml/helpers');
+const { csvEOL, sanitizedCellValue } = require('./csv');
+const { writeGenerator } = require('../stream');
+
+const matrixLabels = Object.freeze({
+  uid: 'uid',
+  nodeID: 'nodeID',
+  name: 'name',
+});
+
+// Marks the ego rows and ties added by withEgo(). Ego ties are always undirected, with a
+// weight of 1.
+const egoMarker = Symbol('ego');
+
+const isEgoTie = (edge) => !!edge[egoMarker];
+
+// Unified networks have an ego for each session, keyed by session ID
+const getEgos = (network) => {
+  if (!network.ego) {
+    return [];
+  }
+
+  if (network.ego[entityPrimaryKeyProperty] !== undefined) {
+    return [{ ego: network.ego }];
+  }
+
+  return Object.entries(network.ego)
+    .filter(([, ego]) => !!ego)
+    .map(([sessionID, ego]) => ({ ego, sessionID }));
+};
+
+/**
+ * Add ego (or, for unified networks, each session's ego) to a network as a node, tied to
+ * every alter that it nominated.
+ * @param {Object} network
+ * @return {Object} a network for asAdjacencyMatrix(), with ego nodes first
+ */
+const withEgo = (network) => {
+  const egos = getEgos(network);
+  const egoIds = new Set(egos.map(({ ego }) => ego[entityPrimaryKeyProperty]));
+  const nodes = network.nodes || [];
+
+  return {
+    ...network,
+    nodes: [
+      ...egos.map(({ ego, sessionID }) => ({ ...ego, [egoMarker]: { sessionID } })),
+      ...nodes,
+    ],
+    edges: [
+      ...(network.edges || []),
+      ...nodes
+        .filter((node) => egoIds.has(node[egoProperty]))
+        .map((node) => ({
+          [ncSourceUUID]: node[egoProperty],
+          [ncTargetUUID]: node[entityPrimaryKeyProperty],
+          [egoMarker]: true,
+        })),
+    ],
+  };
+};
+
+/**
+ * Label each row and column of a matrix. Nodes are labelled by `_uid` (default), by their
+ * resequenced `nodeID`, or by the value of their name variable, as in other formats (falling
+ * back to `nodeID`).
+ * Ego is labelled "ego", or "ego_<sessionID>" in unified networks.
+ *
+ * Labels are not necessarily unique: names may be repeated, and nodeIDs are only unique
+ * within a session.
+ *
+ * @param {Object} network the network the matrix was built from
+ * @param {Array} uniqueNodeIds
+ * @param {Object} codebook
+ * @param {string} labelBy one of `matrixLabels`
+ * @return {Array} a label for each node ID
+ */
+const getMatrixLabels = (network, uniqueNodeIds, codebook, labelBy = matrixLabels.uid) => {
+  if (labelBy === matrixLabels.uid) {
+    return uniqueNodeIds;
+  }
+
+  const nodesById = (network.nodes || []).reduce((acc, node) => {
+    if (!acc.has(node[entityPrimaryKeyProperty])) {
+      acc.set(node[entityPrimaryKeyProperty], node);
+    }
+    return acc;
+  }, new Map());
+
+  return uniqueNodeIds.map((id) => {
+    const node = nodesById.get(id);
+
+    if (node[egoMarker]) {
+      const { sessionID } = node[egoMarker];
+      const egoLabel = sessionID ? `ego_${sessionID}` : 'ego';
+      return labelBy === matrixLabels.name ? getEntityLabel(codebook, 'ego', node, egoLabel) : egoLabel;
+    }
+
+    const nodeID = node[nodeExportIDProperty] === undefined ? id : node[nodeExportIDProperty];
+    if (labelBy === matrixLabels.name) {
+      return getEntityLabel(codebook, 'node', node, nodeID);
+    }
+
+    return nodeID;
+  });
+};
 
 /**
  * An opaque reprensentation of an adjacency matrix with binary values (edge is present/absent).
@@ -23,6 +134,7 @@ const { csvEOL } = require('./csv');
  *
  * This has been tested with a network from db-size.js, using UUIDs as labels and representing the
  * largest network we're likely to encounter in practice (81k nodes, 810k edges -> ~13GB csv).
+ * For larger networks, the sparse Matrix Market format (see matrixMarket/mtx.js) has no such limit.
  *
  * Usage:
  * 1. initialize the matrix with a NC network
@@ -47,16 +159,16 @@ const { csvEOL } = require('./csv');
  *                         This must not be mutated externally between initialization and
  *                         edge calculation.
  */
-// TODO: if ego modeled separately, need to include in nodes
 // TODO: Take a guess at heap use based on network size and throw if exceeded?
 class AdjacencyMatrix {
   constructor(network) {
-    // TODO: Store a quote-escaped version?
     // Track only unique IDs (duplicates are discarded). The ordering here provides the ordering for
     // both header and data output.
     const nodes = network.nodes || [];
     const uniqueNodeIds = [...new Set(nodes.map((node) => node[entityPrimaryKeyProperty]))];
     this.uniqueNodeIds = uniqueNodeIds;
+    // Row and column labels; see getMatrixLabels()
+    this.labels = uniqueNodeIds;
 
     const dimension = uniqueNodeIds.length;
     this.dimension = dimension;
@@ -94,9 +206,16 @@ class AdjacencyMatrix {
   }
 
   /**
-   * @param  {Boolean} directed true if edges are directed; default is false.
+   * Directed edges set only the source row's cell (an asymmetric matrix); undirected edges
+   * set both cells, so that the matrix is symmetric for them.
+   *
+   * @param  {Boolean|function} directed true if edges are directed, or a predicate
+   *                                     `(edge) => boolean` for networks of mixed edge
+   *                                     types; default is false.
    */
   calculateEdges(directed = false) {
+    const isDirected = typeof directed === 'function' ? directed : () => !!directed;
+
     // Allow fast lookup of index for each node
     this.indexMap = this.uniqueNodeIds.reduce((acc, uid, index) => {
       acc[uid] = index;
@@ -105,29 +224,47 @@ class AdjacencyMatrix {
 
     (this.network.edges || []).forEach((edge) => {
       this.setAdjacent(edge[ncSourceUUID], edge[ncTargetUUID]);
-      if (directed === false) {
+      if (isEgoTie(edge) || !isDirected(edge)) {
         this.setAdjacent(edge[ncTargetUUID], edge[ncSourceUUID]);
       }
     });
   }
 
+  /**
+   * Read a single row of the matrix. This is slower than the sequential access used by
+   * toCSVStream(), but allows other formats to be written from the same representation.
+   *
+   * @param  {Number} rowIndex
+   * @return {Uint8Array} cell values (0 or 1) for the row
+   */
+  rowAt(rowIndex) {
+    const cols = new Uint8Array(this.dimension);
+    const rowStart = this.dimension * rowIndex;
+
+    for (let i = 0; i < this.dimension; i += 1) {
+      const elementIndex = rowStart + i;
+      const bitmask = 1 << (7 - (elementIndex % 8)); // cells are ordered left->right
+      cols[i] = (this.arrayView[~~(elementIndex / 8)] & bitmask) !== 0|0;
+    }
+
+    return cols;
+  }
+
   /**
    * @param {Stream.Writable} outStream A writable stream for CSV output
    * @return {Object} an abort controller; call the attached abort() method as needed.
    */
   toCSVStream(outStream) {
-    const { uniqueNodeIds } = this;
-    const dataColumnCount = uniqueNodeIds.length;
+    const labels = this.labels.map(sanitizedCellValue);
+    const dataColumnCount = labels.length;
     const matrixCellCount = dataColumnCount * dataColumnCount;
 
     // The *logical* index into the matrix (1-d bit array reprensentation);
     // cannot be used directly to index into arrayViews.
     let matrixIndex = 0;
 
-    const decimals = uniqueNodeIds.map((id) => id);
-    const headerRowContent = `,${decimals.join(',')}${csvEOL}`;
+    const headerRowContent = `,${labels.join(',')}${csvEOL}`;
 
-    // TODO: escape headerLabels (if not already) & quote
     const dataRowContent = (headerLabel, matrix) => {
       const rowBuffer = new ArrayBuffer(dataColumnCount);
       const cols = new Uint8Array(rowBuffer);
@@ -183,7 +320,7 @@ class AdjacencyMatrix {
           this.push(headerRowContent);
           headerWritten = true;
         } else if (rowNum < dataColumnCount) {
-          row = dataRowContent(uniqueNodeIds[rowNum], truncatingView);
+          row = dataRowContent(labels[rowNum], truncatingView);
           this.push(row);
           rowNum += 1;
 
@@ -235,15 +372,278 @@ class AdjacencyMatrix {
   }
 }
 
-const asAdjacencyMatrix = (network, directed = false) => {
-  const adjacencyMatrix = new AdjacencyMatrix(network);
+const matrixAggregations = Object.freeze({
+  sum: 'sum',
+  max: 'max',
+  count: 'count',
+  mean: 'mean',
+});
+
+const aggregate = {
+  sum: (cell) => cell.sum,
+  max: (cell) => cell.max,
+  count: (cell) => cell.count,
+  mean: (cell) => cell.sum / cell.count,
+};
+
+/**
+ * A sparse adjacency matrix whose cells hold an aggregate of edge weights, rather than presence.
+ * Multiple edges between a pair (multiplex ties) contribute to the same cell.
+ *
+ * Only non-empty cells are stored: each row is a Map of column index to a running
+ * `{ sum, max, count }`, so memory use grows with the number of edges rather than the square of
+ * the number of nodes. Rows are expanded to their full width only as they are output.
+ *
+ * Usage and output match AdjacencyMatrix; empty cells are written as 0.
+ *
+ * @example
+ * Example CSV output (summed weights):
+ * ```
+ * ,a,b,c
+ * a,0,3,0
+ * b,3,0,1.5
+ * c,0,1.5,0
+ * ```
+ *
+ * @param {object} network A network object in NC format: ({ nodes, edges }).
+ * @param {object} weights
+ * @param {function} weights.getWeight `(edge) => Number`; edges without a numeric weight
+ *                                     (null, or NaN) are skipped.
+ * @param {string} [weights.aggregation] one of `matrixAggregations`; default is sum.
+ */
+class WeightedAdjacencyMatrix {
+  constructor(network, { getWeight, aggregation = matrixAggregations.sum }) {
+    if (!aggregate[aggregation]) {
+      throw new Error(`Unknown matrix aggregation: "${aggregation}"`);
+    }
+
+    const nodes = network.nodes || [];
+    this.uniqueNodeIds = [...new Set(nodes.map((node) => node[entityPrimaryKeyProperty]))];
+    this.labels = this.uniqueNodeIds;
+    this.dimension = this.uniqueNodeIds.length;
+    this.getWeight = getWeight;
+    this.cellValue = aggregate[aggregation];
+    this.rows = new Map();
+    this.network = network;
+  }
+
+  /**
+   * Add a weight to the cell representing this edge.
+   *
+   * @param {string} from a UID
+   * @param {string} to   a UID
+   * @param {Number} weight
+   */
+  addWeight(from, to, weight) {
+    const fromIndex = this.indexMap[from];
+    const toIndex = this.indexMap[to];
+
+    if (fromIndex === undefined || toIndex === undefined) {
+      return;
+    }
+
+    if (!this.rows.has(fromIndex)) {
+      this.rows.set(fromIndex, new Map());
+    }
+
+    const row = this.rows.get(fromIndex);
+    const cell = row.get(toIndex);
+
+    if (!cell) {
+      row.set(toIndex, { sum: weight, max: weight, count: 1 });
+      return;
+    }
+
+    cell.sum += weight;
+    cell.max = Math.max(cell.max, weight);
+    cell.count += 1;
+  }
+
+  /**
+   * @param  {Boolean|function} directed as for AdjacencyMatrix.calculateEdges()
+   */
+  calculateEdges(directed = false) {
+    const isDirected = typeof directed === 'function' ? directed : () => !!directed;
+
+    this.indexMap = this.uniqueNodeIds.reduce((acc, uid, index) => {
+      acc[uid] = index;
+      return acc;
+    }, {});
+
+    (this.network.edges || []).forEach((edge) => {
+      const weight = isEgoTie(edge) ? 1 : this.getWeight(edge);
+
+      if (weight === null || weight === undefined || Number.isNaN(weight)) {
+        return;
+      }
+
+      const from = edge[ncSourceUUID];
+      const to = edge[ncTargetUUID];
+
+      this.addWeight(from, to, weight);
+      // A self-loop only has one cell, even when undirected
+      if ((isEgoTie(edge) || !isDirected(edge)) && from !== to) {
+        this.addWeight(to, from, weight);
+      }
+    });
+  }
+
+  /**
+   * @param  {Number} rowIndex
+   * @return {Array} aggregated cell values for the row (0 where there are no edges)
+   */
+  rowAt(rowIndex) {
+    const cols = new Array(this.dimension).fill(0);
+    const row = this.rows.get(rowIndex);
+
+    if (row) {
+      row.forEach((cell, colIndex) => {
+        cols[colIndex] = this.cellValue(cell);
+      });
+    }
+
+    return cols;
+  }
+
+  /**
+   * The non-empty cells of the matrix, in row then column order.
+   * @return {Array} `[{ row, col, value }]`, using 0-based indices
+   */
+  entries() {
+    return [...this.rows.keys()].sort((a, b) => a - b).reduce((acc, rowIndex) => {
+      const row = this.rows.get(rowIndex);
+      [...row.keys()].sort((a, b) => a - b).forEach((colIndex) => {
+        acc.push({ row: rowIndex, col: colIndex, value: this.cellValue(row.get(colIndex)) });
+      });
+      return acc;
+    }, []);
+  }
+
+  /**
+   * @param {Stream.Writable} outStream A writable stream for CSV output
+   * @return {Object} an abort controller; call the attached abort() method as needed.
+   */
+  toCSVStream(outStream) {
+    const labels = this.labels.map(sanitizedCellValue);
+    const matrix = this;
+
+    function* csvGenerator() {
+      yield `,${labels.join(',')}${csvEOL}`;
+      for (let rowNum = 0; rowNum < labels.length; rowNum += 1) {
+        yield `${labels[rowNum]},${matrix.rowAt(rowNum).join(',')}${csvEOL}`;
+      }
+    }
+
+    return writeGenerator(csvGenerator(), outStream);
+  }
+
+  toArray() {
+    if (this.dimension > 100) {
+      // This is only useful for debugging/testing
+      // eslint-disable-next-line no-console
+      console.warn('toArray() not supported on large matrices');
+      return [];
+    }
+
+    return this.uniqueNodeIds.reduce((acc, id, index) => [...acc, ...this.rowAt(index)], []);
+  }
+}
+
+/**
+ * Read the weighted matrix options (`globalOptions.matrixWeights`) as used by
+ * asAdjacencyMatrix(). Edges are weighted by the value of the named edge variable (matched by
+ * name or UUID in each edge type's codebook definition), or by 1 when no variable is given, so
+ * that the default sum is the number of edges between a pair.
+ *
+ * @param {Object} codebook
+ * @param {Object} exportOptions
+ * @return {Object|null} `{ getWeight, aggregation }`, or null for a binary matrix
+ */
+const getMatrixWeights = (codebook, exportOptions) => {
+  const matrixWeights = exportOptions && exportOptions.globalOptions
+    && exportOptions.globalOptions.matrixWeights;
+
+  if (!matrixWeights) {
+    return null;
+  }
+
+  const { variable, aggregation = matrixAggregations.sum } = matrixWeights;
+
+  if (!variable) {
+    return { getWeight: () => 1, aggregation };
+  }
+
+  const getVariableId = (edgeType) => {
+    const variables = (codebook && codebook.edge && codebook.edge[edgeType]
+      && codebook.edge[edgeType].variables) || {};
+    return findKey(variables, ({ name }) => name === variable) || variable;
+  };
+
+  const getWeight = (edge) => {
+    const value = getEntityAttributes(edge)[getVariableId(edge.type)];
+
+    if (typeof value === 'boolean') {
+      return Number(value);
+    }
+
+    if (typeof value === 'number' && Number.isFinite(value)) {
+      return value;
+    }
+
+    return null;
+  };
+
+  return { getWeight, aggregation };
+};
+
+/**
+ * Read the row and column options (`globalOptions.matrixLabels` and
+ * `globalOptions.matrixIncludeEgo`) as used by asAdjacencyMatrix().
+ * @param {Object} codebook
+ * @param {Object} exportOptions
+ * @return {Object} `{ codebook, labelBy, includeEgo }`
+ */
+const getMatrixLabelling = (codebook, exportOptions) => {
+  const globalOptions = (exportOptions && exportOptions.globalOptions) || {};
+
+  return {
+    codebook,
+    labelBy: globalOptions.matrixLabels || matrixLabels.uid,
+    includeEgo: !!globalOptions.matrixIncludeEgo,
+  };
+};
+
+/**
+ * @param {Object} network
+ * @param {Boolean|function} directed as for AdjacencyMatrix.calculateEdges()
+ * @param {Object} [weights] as returned by getMatrixWeights(); when given, a
+ *                           WeightedAdjacencyMatrix is built.
+ * @param {Object} [labelling] as returned by getMatrixLabelling()
+ */
+const asAdjacencyMatrix = (network, directed = false, weights = null, labelling = {}) => {
+  const { codebook, labelBy, includeEgo } = labelling;
+  const matrixNetwork = includeEgo ? withEgo(network) : network;
+  const adjacencyMatrix = weights
+    ? new WeightedAdjacencyMatrix(matrixNetwork, weights)
+    : new AdjacencyMatrix(matrixNetwork);
   adjacencyMatrix.calculateEdges(directed);
+  adjacencyMatrix.labels = getMatrixLabels(
+    matrixNetwork,
+    adjacencyMatrix.uniqueNodeIds,
+    codebook,
+    labelBy,
+  );
   return adjacencyMatrix;
 };
 
 class AdjacencyMatrixFormatter {
-  constructor(data, codebook, { globalOptions: { useDirectedEdges } }) {
-    this.matrix = asAdjacencyMatrix(data, useDirectedEdges);
+  constructor(data, codebook, exportOptions) {
+    this.matrix = asAdjacencyMatrix(
+      data,
+      getEdgeDirectedness(codebook, exportOptions),
+      getMatrixWeights(codebook, exportOptions),
+      getMatrixLabelling(codebook, exportOptions),
+    );
   }
 
   writeToStream(outStream) {
@@ -253,5 +653,13 @@ class AdjacencyMatrixFormatter {
 
 module.exports = {
   AdjacencyMatrixFormatter,
+  WeightedAdjacencyMatrix,
   asAdjacencyMatrix,
+  getMatrixLabelling,
+  getMatrixLabels,
+  getMatrixWeights,
+  isEgoTie,
+  matrixAggregations,
+  matrixLabels,
+  withEgo,
 };
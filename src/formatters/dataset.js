@@ -0,0 +1,277 @@
+/**
+ * This module provides typed, labelled tables for statistical package formats (SPSS, Stata),
+ * built from the same columns as the CSV formatters.
+ * @module Dataset
+ */
+const { isNil } = require('lodash');
+const attributeList = require('./csv/attribute-list');
+const edgeList = require('./csv/edge-list');
+const egoList = require('./csv/ego-list');
+const { VariableType } = require('../utils/protocol-consts');
+const {
+  caseProperty,
+  edgeExportIDProperty,
+  edgeSourceProperty,
+  edgeTargetProperty,
+  nodeExportIDProperty,
+} = require('../utils/reservedAttributes');
+
+// Numeric identifiers are categories, not quantities
+const identifierColumns = [
+  caseProperty,
+  edgeExportIDProperty,
+  edgeSourceProperty,
+  edgeTargetProperty,
+  nodeExportIDProperty,
+];
+
+const booleanValueLabels = [[0, 'false'], [1, 'true']];
+
+const measureForVariableType = (type) => {
+  switch (type) {
+    case VariableType.number:
+    case VariableType.scalar:
+    case VariableType.layout:
+      return 'scale';
+    case VariableType.ordinal:
+      return 'ordinal';
+    default:
+      return 'nominal';
+  }
+};
+
+const optionValue = (option) => (option && typeof option === 'object' ? option.value : option);
+const optionLabel = (option) => (
+  option && typeof option === 'object' && !isNil(option.label) ? option.label : optionValue(option)
+);
+
+/**
+ * Describe the columns produced by `processEntityVariables` for a set of codebook variables,
+ * keyed by column name. Categorical variables are expanded to one boolean column per option,
+ * and layout variables to one column per coordinate.
+ *
+ * @param {Object} variables codebook variables for an entity type
+ * @return {Object} `{ [columnName]: { label, measure, variableType, valueLabels } }`
+ */
+const getColumnMetadata = (variables = {}) => Object.values(variables)
+  .reduce((metadata, { name, type, options = [] }) => {
+    switch (type) {
+      case VariableType.categorical:
+        return options.reduce((acc, option) => ({
+          ...acc,
+          [`${name}_${optionValue(option)}`]: {
+            label: `${name}: ${optionLabel(option)}`,
+            measure: 'nominal',
+            variableType: VariableType.boolean,
+            valueLabels: booleanValueLabels,
+          },
+        }), metadata);
+      case VariableType.layout:
+        return ['x', 'y', 'screenSpaceX', 'screenSpaceY'].reduce((acc, suffix) => ({
+          ...acc,
+          [`${name}_${suffix}`]: {
+            label: `${name}_${suffix}`,
+            measure: 'scale',
+            variableType: VariableType.number,
+            valueLabels: [],
+          },
+        }), metadata);
+      default:
+        return {
+          ...metadata,
+          [name]: {
+            label: name,
+            measure: measureForVariableType(type),
+            variableType: type,
+            valueLabels: type === VariableType.boolean
+              ? booleanValueLabels
+              : options.map((option) => [optionValue(option), String(optionLabel(option))]),
+          },
+        };
+    }
+  }, {});
+
+const isNumericVariableType = (type) => [
+  VariableType.boolean,
+  VariableType.number,
+  VariableType.scalar,
+].includes(type);
+
+const toNumber = (value) => {
+  if (isNil(value) || value === '') { return null; }
+  if (typeof value === 'boolean') { return value ? 1 : 0; }
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+const toText = (value) => {
+  if (isNil(value)) { return ''; }
+  if (typeof value === 'object') {
+    try {
+      return JSON.stringify(value);
+    } catch (err) {
+      return value.toString();
+    }
+  }
+  return String(value);
+};
+
+/**
+ * Build a dataset from processed entities, using the column builders of a CSV formatter.
+ * Columns are numeric if the codebook says so, or if every value is a number or boolean;
+ * all others are strings.
+ *
+ * @return {Object} `{ columns, rows }`, where each column is
+ *                  `{ name, label, type ('numeric'|'string'), measure, valueLabels }`
+ */
+const asDataset = (entities, csvModule, metadata) => {
+  const attrNames = csvModule.attributeHeaders(entities);
+  const rawRows = entities.map((entity) => csvModule.rowValues(entity, attrNames));
+
+  const columns = attrNames.map((attrName, index) => {
+    const name = csvModule.getPrintableAttribute(attrName);
+    const columnMetadata = metadata[attrName] || {};
+    const values = rawRows.map((row) => row[index]).filter((value) => !isNil(value) && value !== '');
+    const numeric = isNumericVariableType(columnMetadata.variableType)
+      || (values.length > 0 && values.every((value) => typeof value === 'number' || typeof value === 'boolean'))
+      || (values.length === 0 && identifierColumns.includes(attrName));
+
+    const type = numeric ? 'numeric' : 'string';
+    const defaultMeasure = numeric && !identifierColumns.includes(attrName) ? 'scale' : 'nominal';
+
+    return {
+      name,
+      label: columnMetadata.label || name,
+      type,
+      measure: columnMetadata.measure || defaultMeasure,
+      // Value labels must match the column type
+      valueLabels: (columnMetadata.valueLabels || [])
+        .filter(([value]) => (numeric ? typeof toNumber(value) === 'number' : true))
+        .map(([value, label]) => [numeric ? toNumber(value) : toText(value), label]),
+    };
+  });
+
+  const rows = rawRows.map((row) => row.map((value, index) => (
+    columns[index].type === 'numeric' ? toNumber(value) : toText(value)
+  )));
+
+  return { columns, rows };
+};
+
+const getEntityVariables = (codebook, type, entities) => {
+  const entityType = entities.length > 0 && codebook[type] && codebook[type][entities[0].type];
+  return (entityType && entityType.variables) || {};
+};
+
+/**
+ * Ego and session variables, one row per session.
+ */
+const asEgoDataset = (network, codebook, exportOptions) => asDataset(
+  egoList.asEgoAndSessionVariablesList(network, codebook, exportOptions),
+  egoList,
+  getColumnMetadata(codebook.ego && codebook.ego.variables),
+);
+
+/**
+ * Nodes of a single type (see `partitionNetworkByType`), one row per node.
+ */
+const asAttributeListDataset = (network, codebook, exportOptions) => {
+  const nodes = attributeList.asAttributeList(network, codebook, exportOptions);
+  return asDataset(
+    nodes,
+    attributeList,
+    getColumnMetadata(getEntityVariables(codebook, 'node', network.nodes || [])),
+  );
+};
+
+/**
+ * Edges of a single type (see `partitionNetworkByType`), one row per edge.
+ */
+const asEdgeListDataset = (network, codebook, exportOptions) => {
+  const edges = edgeList.asEdgeList(network, codebook, exportOptions);
+  return asDataset(
+    edges,
+    edgeList,
+    getColumnMetadata(getEntityVariables(codebook, 'edge', network.edges || [])),
+  );
+};
+
+/**
+ * The column names of a dataset, as `asDataset` names them, without building its rows.
+ * @param {string} kind one of 'ego', 'attributeList' or 'edgeList'
+ * @return {Array}
+ */
+const getDatasetColumnNames = (kind, network, codebook, exportOptions) => {
+  const sources = {
+    ego: () => [egoList.asEgoAndSessionVariablesList(network, codebook, exportOptions), egoList],
+    attributeList: () => [
+      attributeList.asAttributeList(network, codebook, exportOptions),
+      attributeList,
+    ],
+    edgeList: () => [edgeList.asEdgeList(network, codebook, exportOptions), edgeList],
+  };
+  const [entities, csvModule] = sources[kind]();
+
+  return csvModule.attributeHeaders(entities).map(csvModule.getPrintableAttribute);
+};
+
+/**
+ * Make names valid and unique for a target format, recording any that had to change.
+ *
+ * @param {Array} names
+ * @param {Object} rules
+ * @param {number} rules.maxLength
+ * @param {RegExp} rules.invalidCharacters a global pattern; matches are replaced by `_`
+ * @param {RegExp} rules.validStart names not matching this are prefixed with `prefix`
+ * @param {string} rules.prefix
+ * @param {Array} rules.reserved reserved words
+ * @param {boolean} rules.caseSensitive whether names differing only by case are distinct; this
+ *                                      also applies when comparing with reserved words
+ * @return {Object} `{ names, renamed }`, where renamed is `[{ original, name }]`
+ */
+const mangleNames = (names, {
+  maxLength,
+  invalidCharacters,
+  validStart,
+  prefix,
+  reserved = [],
+  caseSensitive = false,
+}) => {
+  const used = new Set();
+  const key = (name) => (caseSensitive ? name : name.toLowerCase());
+  const reservedWords = reserved.map(key);
+
+  const mangled = names.map((original) => {
+    let base = String(original).replace(invalidCharacters, '_');
+    if (!validStart.test(base)) { base = `${prefix}${base}`; }
+    if (reservedWords.includes(key(base))) { base = `${base}_`; }
+    base = base.substr(0, maxLength);
+
+    let candidate = base;
+    let counter = 1;
+    while (used.has(key(candidate))) {
+      counter += 1;
+      const suffix = `_${counter}`;
+      candidate = `${base.substr(0, maxLength - suffix.length)}${suffix}`;
+    }
+
+    used.add(key(candidate));
+    return candidate;
+  });
+
+  return {
+    names: mangled,
+    renamed: names
+      .map((original, index) => ({ original, name: mangled[index] }))
+      .filter(({ original, name }) => original !== name),
+  };
+};
+
+module.exports = {
+  asAttributeListDataset,
+  asEdgeListDataset,
+  asEgoDataset,
+  getColumnMetadata,
+  getDatasetColumnNames,
+  mangleNames,
+};
@@ -0,0 +1,37 @@
+const { ddiGenerator } = require('./createDDI');
+const { writeGenerator } = require('../stream');
+
+/**
+ * Class providing DDI-Codebook 2.5 metadata (XML) for the CSV files exported from a
+ * protocol.
+ *
+ * A single file is written per protocol, so this is constructed with every session (or
+ * the unified network) of a single protocol.
+ */
+class DDIFormatter {
+  /**
+   * Create a DDI formatter.
+   * @param {Object} networksByProtocol - sessions (or a unified network), keyed by the
+   *                                      UID of a single protocol.
+   * @param {Object} protocols - the protocol object (including codebook), keyed by its UID.
+   * @param {Object} exportOptions - global export options object from FileExportManager.
+   */
+  constructor(networksByProtocol, protocols, exportOptions) {
+    const [protocolUID] = Object.keys(networksByProtocol);
+    this.networks = networksByProtocol[protocolUID] || [];
+    this.protocol = protocols[protocolUID];
+    this.exportOptions = exportOptions;
+  }
+
+  /**
+   * Write the file to a stream one chunk at a time.
+   * @param {Stream} outStream
+   */
+  writeToStream(outStream) {
+    const generator = ddiGenerator(this.networks, this.protocol, this.exportOptions);
+
+    return writeGenerator(generator, outStream);
+  }
+}
+
+module.exports = DDIFormatter;
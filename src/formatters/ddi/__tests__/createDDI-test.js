@@ -0,0 +1,178 @@
+/* eslint-env jest */
+
+import { DOMParser } from 'xmldom';
+import { makeWriteableStream } from '../../../../config/setupTestEnv';
+import {
+  mockCodebook, mockExportOptions, mockNetwork, mockNetwork2, processMockNetworks,
+} from '../../../../config/mockObjects';
+import { ddiGenerator, getCategories } from '../createDDI';
+import DDIFormatter from '../DDIFormatter';
+
+const codebook = {
+  ...mockCodebook,
+  node: {
+    'mock-node-type': {
+      ...mockCodebook.node['mock-node-type'],
+      variables: {
+        ...mockCodebook.node['mock-node-type'].variables,
+        'mock-uuid-7': {
+          name: 'closeness',
+          type: 'ordinal',
+          options: [{ label: 'Not close', value: 1 }, { label: 'Very close', value: 2 }],
+        },
+        'mock-uuid-8': {
+          name: 'role',
+          type: 'categorical',
+          options: [{ label: 'Family', value: 'family' }, { label: 'Work', value: 'work' }],
+        },
+      },
+    },
+  },
+};
+
+const protocol = { name: 'protocol name', codebook };
+
+// Case IDs are strings in exported sessions
+const withStringCaseID = (network) => ({
+  ...network,
+  sessionVariables: {
+    ...network.sessionVariables,
+    caseId: String(network.sessionVariables.caseId),
+  },
+});
+
+const session = withStringCaseID({
+  ...mockNetwork,
+  nodes: [
+    {
+      ...mockNetwork.nodes[0],
+      attributes: { ...mockNetwork.nodes[0].attributes, 'mock-uuid-7': 2, 'mock-uuid-8': ['work'] },
+    },
+    ...mockNetwork.nodes.slice(1),
+  ],
+});
+
+const exportOptions = {
+  ...mockExportOptions,
+  exportCSV: { attributeList: true, edgeList: true },
+};
+
+const buildXML = (networks, options = exportOptions) => {
+  let xmlString = '';
+  for (const chunk of ddiGenerator(networks, protocol, options, new Date('2020-06-01T12:00:00Z'))) { // eslint-disable-line no-restricted-syntax, no-unused-vars, max-len
+    xmlString += chunk;
+  }
+  return (new DOMParser()).parseFromString(xmlString);
+};
+
+const text = (parent, tagName) => parent.getElementsByTagName(tagName)[0].textContent;
+
+const getVar = (xml, name) => Array.from(xml.getElementsByTagName('var'))
+  .find((el) => el.getAttribute('name') === name);
+
+describe('DDI', () => {
+  let xml;
+
+  beforeEach(() => {
+    xml = buildXML(processMockNetworks([session], false)['protocol-uid-1']);
+  });
+
+  it('describes the study', () => {
+    const root = xml.documentElement;
+    expect(root.tagName).toEqual('codeBook');
+    expect(root.getAttribute('version')).toEqual('2.5');
+
+    const study = root.getElementsByTagName('stdyDscr')[0];
+    expect(text(study, 'titl')).toEqual('protocol name');
+    expect(text(study, 'IDNo')).toEqual('protocol-uid-1');
+    expect(text(study, 'version')).toEqual('14fa461bf4b98155e82adc86532938553b4d33a9');
+    expect(text(xml.getElementsByTagName('docDscr')[0], 'prodDate')).toEqual('2020-06-01');
+  });
+
+  it('describes each file', () => {
+    const files = Array.from(xml.getElementsByTagName('fileDscr'));
+    expect(files.map((file) => text(file, 'fileName'))).toEqual([
+      '123_session-id-1_ego.csv',
+      '123_session-id-1_attributeList_person.csv',
+      '123_session-id-1_edgeList_peer.csv',
+    ]);
+    expect(files.map((file) => file.getAttribute('ID'))).toEqual(['F1', 'F2', 'F3']);
+    expect(text(files[1], 'caseQnty')).toEqual('4');
+    expect(text(files[1], 'varQnty')).toEqual('14');
+    expect(text(files[2], 'caseQnty')).toEqual('1');
+  });
+
+  it('describes no files when CSV export is off', () => {
+    const withoutCSV = buildXML(
+      processMockNetworks([session], false)['protocol-uid-1'],
+      { ...exportOptions, exportCSV: false },
+    );
+
+    expect(withoutCSV.getElementsByTagName('fileDscr')).toHaveLength(0);
+    expect(withoutCSV.getElementsByTagName('var')).toHaveLength(0);
+    expect(withoutCSV.getElementsByTagName('dataDscr')).toHaveLength(1);
+  });
+
+  it('describes variables', () => {
+    const age = getVar(xml, 'age');
+    expect(age.getAttribute('files')).toEqual('F2');
+    expect(age.getAttribute('intrvl')).toEqual('contin');
+    expect(text(age, 'labl')).toEqual('age');
+    expect(age.getElementsByTagName('varFormat')[0].getAttribute('type')).toEqual('numeric');
+
+    const nodeID = getVar(xml, 'nodeID');
+    expect(text(nodeID, 'labl')).toEqual('Node ID, numbered within each session');
+    expect(nodeID.getElementsByTagName('varFormat')[0].getAttribute('type')).toEqual('numeric');
+  });
+
+  it('includes ordinal options as categories', () => {
+    const closeness = getVar(xml, 'closeness');
+    expect(closeness.getAttribute('nature')).toEqual('ordinal');
+    expect(closeness.getAttribute('intrvl')).toEqual('discrete');
+    const categories = Array.from(closeness.getElementsByTagName('catgry'));
+    expect(categories.map((category) => [text(category, 'catValu'), text(category, 'labl')]))
+      .toEqual([['1', 'Not close'], ['2', 'Very close']]);
+  });
+
+  it('describes categorical option columns', () => {
+    const role = getVar(xml, 'role_work');
+    expect(text(role, 'labl')).toEqual('role: Work');
+    expect(text(role, 'drvdesc')).toEqual('true if "Work" was selected');
+    expect(role.getElementsByTagName('catgry')).toHaveLength(2);
+  });
+
+  it('lists every codebook version in unified networks', () => {
+    const sessions = [
+      session,
+      withStringCaseID({
+        ...mockNetwork2,
+        sessionVariables: { ...mockNetwork2.sessionVariables, codebookHash: 'another-hash' },
+      }),
+    ];
+    const unified = buildXML(
+      processMockNetworks(sessions, true)['protocol-uid-1'],
+      { ...exportOptions, globalOptions: { ...exportOptions.globalOptions, unifyNetworks: true } },
+    );
+
+    const versions = Array.from(unified.getElementsByTagName('version'))
+      .map((version) => version.textContent);
+    expect(versions).toEqual(['14fa461bf4b98155e82adc86532938553b4d33a9', 'another-hash']);
+    expect(text(unified.getElementsByTagName('fileDscr')[0], 'caseQnty')).toEqual('2');
+  });
+
+  it('uses codebook labels for boolean categories', () => {
+    expect(getCategories({ variableType: 'boolean', variableUUID: 'a' }, {
+      a: { options: [{ label: 'Yes', value: true }, { label: 'No', value: false }] },
+    })).toEqual([{ label: 'Yes', value: true }, { label: 'No', value: false }]);
+    expect(getCategories({ variableType: 'text', variableUUID: 'b' }, {})).toEqual([]);
+  });
+
+  it('writes to a stream', async () => {
+    const writable = makeWriteableStream();
+    new DDIFormatter(processMockNetworks([session], false), { 'protocol-uid-1': protocol }, exportOptions)
+      .writeToStream(writable);
+    const xmlString = await writable.asString();
+    expect(xmlString).toMatch(/^<\?xml version="1.0" encoding="UTF-8"\?>/);
+    expect(xmlString).toMatch(/<\/codeBook>\n$/);
+  });
+});
@@ -0,0 +1,271 @@
+/**
+ * Builds DDI-Codebook 2.5 metadata for the CSV files exported from a single protocol.
+ *
+ * The study is the protocol, each ego, attribute list, and edge list CSV file is a
+ * `fileDscr`, and each of their columns is a `var`. Columns are described by the data
+ * dictionary, so variables always match the exported files.
+ */
+const { escapeXml } = require('../graphml/helpers');
+const { listCSVPartitions } = require('../csv/files');
+const { describeFile, getEntityVariables } = require('../codebook/dataDictionary');
+const { VariableType } = require('../../utils/protocol-consts');
+const {
+  codebookHashProperty,
+  edgeExportIDProperty,
+  edgeSourceProperty,
+  edgeTargetProperty,
+  nodeExportIDProperty,
+  protocolName,
+  protocolProperty,
+  sessionStartTimeProperty,
+} = require('../../utils/reservedAttributes');
+
+const eol = '\n';
+
+const agency = 'Network Canvas';
+
+const schemaLocation = 'ddi:codebook:2_5 https://ddialliance.org/Specification/DDI-Codebook/2.5/XMLSchema/codebook.xsd';
+
+const numericReservedColumns = [
+  nodeExportIDProperty,
+  edgeExportIDProperty,
+  edgeSourceProperty,
+  edgeTargetProperty,
+];
+
+const continuousTypes = [
+  VariableType.number,
+  VariableType.scalar,
+  VariableType.layout,
+];
+
+const booleanCategories = [
+  { value: true, label: 'True' },
+  { value: false, label: 'False' },
+];
+
+// Session variables for each session in the networks, which may be unified
+const getSessionVariables = (networks, exportOptions) => networks
+  .reduce((acc, network) => [
+    ...acc,
+    ...(exportOptions.globalOptions.unifyNetworks
+      ? Object.values(network.sessionVariables)
+      : [network.sessionVariables]),
+  ], []);
+
+const formatDate = (value) => {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString().slice(0, 10);
+};
+
+const getCaseCount = (entity, partition, exportOptions) => {
+  switch (entity) {
+    case 'node':
+      return partition.nodes.length;
+    case 'edge':
+      return partition.edges.length;
+    default:
+      return exportOptions.globalOptions.unifyNetworks ? Object.keys(partition.ego).length : 1;
+  }
+};
+
+const describeContents = (entity, entityType) => {
+  switch (entity) {
+    case 'node':
+      return `Attribute list for "${entityType}" nodes, with one row per node`;
+    case 'edge':
+      return `Edge list for "${entityType}" edges, with one row per edge`;
+    default:
+      return 'Ego attributes and session variables, with one row per session';
+  }
+};
+
+const isNumeric = ({ column, derivation, variableType }) => {
+  if (derivation === 'reserved') {
+    return numericReservedColumns.includes(column);
+  }
+  return continuousTypes.includes(variableType);
+};
+
+/**
+ * Categories for columns with a fixed set of values: boolean variables and categorical
+ * option columns (which are true or false), and ordinal variables (their options).
+ * @return {Array} `[{ value, label }]`
+ */
+const getCategories = ({
+  derivation, variableType, variableUUID,
+}, variables) => {
+  if (derivation === 'categoricalOption') {
+    return [
+      { value: true, label: 'Selected' },
+      { value: false, label: 'Not selected' },
+    ];
+  }
+
+  const variable = variables[variableUUID];
+
+  switch (variableType) {
+    case VariableType.boolean:
+      return (variable && variable.options) || booleanCategories;
+    case VariableType.ordinal:
+      return (variable && variable.options) || [];
+    default:
+      return [];
+  }
+};
+
+const getLabel = ({
+  column, derivation, variableName, optionLabel, description,
+}) => {
+  if (derivation === 'reserved') { return description; }
+  if (optionLabel !== null && optionLabel !== undefined) {
+    return `${variableName}: ${optionLabel}`;
+  }
+  return variableName || column;
+};
+
+/**
+ * List the files and their variables, numbering them for use as DDI IDs.
+ * @return {Array} `[{ id, file, entity, entityType, caseCount, variables, columns }]`,
+ *                 where each column has an `id`.
+ */
+const getDatasets = (networks, protocol, exportOptions) => {
+  let variableCount = 0;
+
+  return networks
+    .reduce((acc, network) => [
+      ...acc,
+      ...listCSVPartitions(network, protocol, exportOptions),
+    ], [])
+    .map((csvPartition, index) => {
+      const { entity, partition } = csvPartition;
+      const description = describeFile(csvPartition, protocol.codebook, exportOptions);
+      return {
+        ...description,
+        id: `F${index + 1}`,
+        caseCount: getCaseCount(entity, partition, exportOptions),
+        variables: getEntityVariables(protocol.codebook, entity, partition) || {},
+        columns: description.columns.map((column) => {
+          variableCount += 1;
+          return { ...column, id: `V${variableCount}` };
+        }),
+      };
+    });
+};
+
+const element = (name, value, attributes = '') => (
+  `<${name}${attributes}>${escapeXml(value)}</${name}>`
+);
+
+/**
+ * Generate the `var` element for a single column
+ */
+const variableElement = (column, dataset) => {
+  const categories = getCategories(column, dataset.variables);
+  const numeric = isNumeric(column);
+  const discrete = !numeric || categories.length > 0;
+  const nature = column.variableType === VariableType.ordinal ? ' nature="ordinal"' : '';
+
+  const lines = [
+    `    <var ID="${column.id}" name="${escapeXml(column.column)}" files="${dataset.id}" intrvl="${discrete ? 'discrete' : 'contin'}"${nature}>`,
+    `      ${element('labl', getLabel(column))}`,
+  ];
+
+  if (column.description) {
+    lines.push(`      ${element('txt', column.description)}`);
+  }
+
+  categories.forEach(({ value, label }) => {
+    lines.push(`      <catgry>${element('catValu', value)}${element('labl', label)}</catgry>`);
+  });
+
+  if (column.derivation !== 'value' && column.derivation !== 'reserved') {
+    lines.push(`      <derivation>${element('drvdesc', column.description || column.derivation)}</derivation>`);
+  }
+
+  lines.push(`      <varFormat type="${numeric ? 'numeric' : 'character'}"/>`);
+  lines.push('    </var>');
+
+  return `${lines.join(eol)}${eol}`;
+};
+
+/**
+ * Generator yielding the DDI document in chunks.
+ * @param {Array} networks - sessions (or a unified network) for the protocol
+ * @param {Object} protocol - the protocol object, including codebook
+ * @param {Object} exportOptions
+ * @param {Date} [now] - production date of the document
+ */
+function* ddiGenerator(networks, protocol, exportOptions, now = new Date()) {
+  const sessionVariables = getSessionVariables(networks, exportOptions);
+  const [firstSession = {}] = sessionVariables;
+  const title = firstSession[protocolName] || protocol.name;
+  const protocolUID = firstSession[protocolProperty];
+  const codebookHashes = [...new Set(sessionVariables
+    .map((variables) => variables[codebookHashProperty])
+    .filter(Boolean))];
+  const sessionDates = sessionVariables
+    .map((variables) => formatDate(variables[sessionStartTimeProperty]))
+    .filter(Boolean)
+    .sort();
+  const datasets = getDatasets(networks, protocol, exportOptions);
+
+  yield `<?xml version="1.0" encoding="UTF-8"?>${eol}`;
+  yield `<codeBook xmlns="ddi:codebook:2_5" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="${schemaLocation}" version="2.5">${eol}`;
+
+  yield `  <docDscr>${eol}`;
+  yield `    <citation>${eol}`;
+  yield `      <titlStmt>${element('titl', `${title}: data documentation`)}</titlStmt>${eol}`;
+  yield `      <prodStmt>${element('prodDate', formatDate(now), ` date="${formatDate(now)}"`)}${element('software', agency)}</prodStmt>${eol}`;
+  yield `    </citation>${eol}`;
+  yield `  </docDscr>${eol}`;
+
+  yield `  <stdyDscr>${eol}`;
+  yield `    <citation>${eol}`;
+  yield `      <titlStmt>${eol}`;
+  yield `        ${element('titl', title)}${eol}`;
+  if (protocolUID) {
+    yield `        ${element('IDNo', protocolUID, ` agency="${agency}"`)}${eol}`;
+  }
+  yield `      </titlStmt>${eol}`;
+  // Sessions may have been collected with different revisions of the protocol
+  for (let i = 0; i < codebookHashes.length; i += 1) {
+    yield `      <verStmt>${element('version', codebookHashes[i], ' type="codebookHash"')}</verStmt>${eol}`;
+  }
+  yield `    </citation>${eol}`;
+  if (sessionDates.length) {
+    yield `    <stdyInfo>${eol}`;
+    yield `      <sumDscr>${eol}`;
+    yield `        ${element('collDate', sessionDates[0], ` date="${sessionDates[0]}" event="start"`)}${eol}`;
+    yield `        ${element('collDate', sessionDates[sessionDates.length - 1], ` date="${sessionDates[sessionDates.length - 1]}" event="end"`)}${eol}`;
+    yield `      </sumDscr>${eol}`;
+    yield `    </stdyInfo>${eol}`;
+  }
+  yield `  </stdyDscr>${eol}`;
+
+  for (let i = 0; i < datasets.length; i += 1) {
+    const dataset = datasets[i];
+    yield `  <fileDscr ID="${dataset.id}" URI="${escapeXml(dataset.file)}">${eol}`;
+    yield `    <fileTxt>${eol}`;
+    yield `      ${element('fileName', dataset.file)}${eol}`;
+    yield `      ${element('fileCont', describeContents(dataset.entity, dataset.entityType))}${eol}`;
+    yield `      <dimensns>${element('caseQnty', dataset.caseCount)}${element('varQnty', dataset.columns.length)}</dimensns>${eol}`;
+    yield `      ${element('fileType', 'text/csv')}${eol}`;
+    yield `    </fileTxt>${eol}`;
+    yield `  </fileDscr>${eol}`;
+  }
+
+  yield `  <dataDscr>${eol}`;
+  for (let i = 0; i < datasets.length; i += 1) {
+    for (let j = 0; j < datasets[i].columns.length; j += 1) {
+      yield variableElement(datasets[i].columns[j], datasets[i]);
+    }
+  }
+  yield `  </dataDscr>${eol}`;
+  yield `</codeBook>${eol}`;
+}
+
+module.exports = {
+  ddiGenerator,
+  getCategories,
+};
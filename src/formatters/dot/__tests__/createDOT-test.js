@@ -0,0 +1,108 @@
+/* eslint-env jest */
+import {
+  mockExportOptions, mockNetwork, mockCodebook, processMockNetworks, mockNetwork2,
+} from '../../../../config/mockObjects';
+import dotGenerator from '../createDOT';
+
+const codebook = {
+  ...mockCodebook,
+  node: {
+    'mock-node-type': {
+      ...mockCodebook.node['mock-node-type'],
+      variables: {
+        ...mockCodebook.node['mock-node-type'].variables,
+        'mock-uuid-1': { name: 'name', type: 'text' },
+      },
+    },
+  },
+};
+
+const buildDOT = (...args) => {
+  let dotString = '';
+  for (const chunk of dotGenerator(...args)) { // eslint-disable-line no-restricted-syntax, no-unused-vars, max-len
+    dotString += chunk;
+  }
+  return dotString.split('\n');
+};
+
+describe('buildDOT', () => {
+  let exportOptions;
+  let network;
+
+  beforeEach(() => {
+    exportOptions = { ...mockExportOptions, exportDOT: { positions: true } };
+    [network] = processMockNetworks([mockNetwork], false)['protocol-uid-1'];
+  });
+
+  it('writes an undirected graph by default', () => {
+    const dot = buildDOT(network, codebook, exportOptions);
+    expect(dot[0]).toEqual('graph {');
+    expect(dot).toContain('  "1" -- "2" [class="peer"];');
+  });
+
+  it('writes a digraph for directed edges', () => {
+    const directedOptions = {
+      ...exportOptions,
+      globalOptions: { ...exportOptions.globalOptions, useDirectedEdges: true },
+    };
+    const dot = buildDOT(network, codebook, directedOptions);
+    expect(dot[0]).toEqual('digraph {');
+    expect(dot).toContain('  "1" -> "2" [class="peer"];');
+  });
+
+  it('writes a digraph for mixed edge directions', () => {
+    const mixedCodebook = {
+      ...codebook,
+      edge: { ...codebook.edge, 'mock-edge-type-2': { name: 'likes', directed: true } },
+    };
+    const dot = buildDOT({
+      ...network,
+      edges: [...network.edges, { ...network.edges[0], type: 'mock-edge-type-2' }],
+    }, mixedCodebook, exportOptions);
+
+    expect(dot[0]).toEqual('digraph {');
+    expect(dot).toContain('  "1" -> "2" [class="peer", dir="none"];');
+    expect(dot).toContain('  "1" -> "2" [class="likes"];');
+  });
+
+  it('groups nodes into a cluster per node type', () => {
+    const dot = buildDOT(network, codebook, exportOptions);
+    expect(dot.slice(1, 3)).toEqual([
+      '  subgraph cluster_0 {',
+      '    label="person";',
+    ]);
+  });
+
+  it('labels nodes using the name variable, and pins layout positions', () => {
+    const dot = buildDOT(network, codebook, exportOptions);
+    expect(dot).toContain('    "1" [label="Dee", pos="0.00,1080.00!"];');
+    // No layout value
+    expect(dot).toContain('    "3" [label="Jumbo"];');
+  });
+
+  it('omits positions when disabled', () => {
+    const dot = buildDOT(network, codebook, { ...exportOptions, exportDOT: { positions: false } });
+    expect(dot).toContain('    "1" [label="Dee"];');
+  });
+
+  it('escapes quotes in labels', () => {
+    const quotedNetwork = {
+      ...network,
+      nodes: [{ ...network.nodes[0], attributes: { 'mock-uuid-1': 'Dee "D" \\o/' } }],
+      edges: [],
+    };
+    const dot = buildDOT(quotedNetwork, codebook, exportOptions);
+    expect(dot).toContain('    "1" [label="Dee \\"D\\" \\\\o/"];');
+  });
+
+  it('uses node UUIDs when networks are unified', () => {
+    const unifiedOptions = {
+      ...exportOptions,
+      globalOptions: { ...exportOptions.globalOptions, unifyNetworks: true },
+    };
+    const [unified] = processMockNetworks([mockNetwork, mockNetwork2], true)['protocol-uid-1'];
+    const dot = buildDOT(unified, codebook, unifiedOptions);
+    expect(dot).toContain('  "10" -- "20" [class="peer"];');
+    expect(dot.filter((line) => line.includes('[label='))).toHaveLength(6);
+  });
+});
@@ -0,0 +1,132 @@
+const {
+  getEdgeDirectedness,
+  getEntityLabel,
+  getLayoutPosition,
+  isDirectedNetwork,
+} = require('../graphml/helpers');
+const {
+  entityPrimaryKeyProperty,
+  nodeExportIDProperty,
+  ncSourceUUID,
+  ncTargetUUID,
+} = require('../../utils/reservedAttributes');
+
+const eol = '\n';
+const indent = '  ';
+
+/**
+ * Quote a string as a DOT ID. Backslashes are escaped so that they are not interpreted as
+ * label escape sequences (such as `\n`).
+ */
+const quoteID = (value) => `"${String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/"/g, '\\"')
+  .replace(/\r?\n/g, '\\n')}"`;
+
+const formatAttributes = (attributes) => {
+  const pairs = Object.entries(attributes)
+    .filter(([, value]) => value !== null && value !== undefined)
+    .map(([name, value]) => `${name}=${quoteID(value)}`);
+  return pairs.length > 0 ? ` [${pairs.join(', ')}]` : '';
+};
+
+const getTypeName = (codebook, type, entityType) => (
+  (codebook[type] && codebook[type][entityType] && codebook[type][entityType].name) || entityType
+);
+
+/**
+ * Group entities by type, preserving the order in which each type is first encountered.
+ * @param {Array} entities
+ * @return {Array} an array of [type, entities] pairs
+ */
+const groupByType = (entities) => Object.entries(entities.reduce((typeMap, entity) => {
+  typeMap[entity.type] = typeMap[entity.type] || []; // eslint-disable-line no-param-reassign
+  typeMap[entity.type].push(entity);
+  return typeMap;
+}, {}));
+
+/**
+ * Generator function to supply Graphviz DOT content in chunks to both string and stream
+ * producers.
+ *
+ * Nodes are grouped into a cluster subgraph per node type. When positions are enabled, each
+ * node with a layout variable is given a pinned `pos` (in the same coordinate space as the
+ * other formatters), for use with `neato -n`.
+ *
+ * A network with any directed edges is written as a digraph, in which undirected edges are
+ * drawn without arrows (`dir=none`).
+ *
+ * Node IDs are the resequenced node IDs, or node UUIDs when networks are unified (as node IDs
+ * restart for each session).
+ *
+ * @param {*} network
+ * @param {*} codebook
+ * @param {*} exportOptions
+ */
+function* dotGenerator(network, codebook, exportOptions) {
+  const { unifyNetworks } = exportOptions.globalOptions;
+  const includePositions = !!(exportOptions.exportDOT && exportOptions.exportDOT.positions);
+  const nodes = network.nodes || [];
+  const edges = network.edges || [];
+  const isDirected = getEdgeDirectedness(codebook, exportOptions);
+  const digraph = isDirectedNetwork(codebook, network, exportOptions) || edges.some(isDirected);
+  const edgeOperator = digraph ? '->' : '--';
+
+  const nodeIDs = nodes.reduce((lookup, node) => {
+    // eslint-disable-next-line no-param-reassign
+    lookup[node[entityPrimaryKeyProperty]] = unifyNetworks
+      ? node[entityPrimaryKeyProperty]
+      : node[nodeExportIDProperty];
+    return lookup;
+  }, {});
+
+  const formatNode = (node) => {
+    const position = includePositions && getLayoutPosition(node, codebook, exportOptions);
+    const attributes = {
+      label: getEntityLabel(codebook, 'node', node),
+      pos: position ? `${position.x},${position.y}!` : null,
+    };
+    return `${indent}${indent}${quoteID(nodeIDs[node[entityPrimaryKeyProperty]])}${formatAttributes(attributes)};${eol}`;
+  };
+
+  const formatEdge = (edge) => {
+    const source = nodeIDs[edge[ncSourceUUID]];
+    const target = nodeIDs[edge[ncTargetUUID]];
+
+    // Skip edges that refer to nodes outside of this network
+    if (!source || !target) {
+      return '';
+    }
+
+    const attributes = {
+      class: getTypeName(codebook, 'edge', edge.type),
+      dir: digraph && !isDirected(edge) ? 'none' : null,
+    };
+    return `${indent}${quoteID(source)} ${edgeOperator} ${quoteID(target)}${formatAttributes(attributes)};${eol}`;
+  };
+
+  yield `${digraph ? 'digraph' : 'graph'} {${eol}`;
+
+  const nodesByType = groupByType(nodes);
+
+  for (let cluster = 0; cluster < nodesByType.length; cluster += 1) {
+    const [nodeType, typedNodes] = nodesByType[cluster];
+
+    yield `${indent}subgraph cluster_${cluster} {${eol}`;
+    yield `${indent}${indent}label=${quoteID(getTypeName(codebook, 'node', nodeType))};${eol}`;
+
+    for (let i = 0; i < typedNodes.length; i += 100) {
+      yield typedNodes.slice(i, i + 100).map(formatNode).join('');
+    }
+
+    yield `${indent}}${eol}`;
+  }
+
+  for (let i = 0; i < edges.length; i += 100) {
+    yield edges.slice(i, i + 100).map(formatEdge).join('');
+  }
+
+  yield `}${eol}`;
+}
+
+module.exports = dotGenerator;
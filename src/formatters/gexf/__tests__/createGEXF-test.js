@@ -0,0 +1,133 @@
+/* eslint-env jest */
+
+import { DOMParser } from 'xmldom';
+import {
+  mockExportOptions, mockNetwork, mockCodebook, processMockNetworks, mockNetwork2,
+} from '../../../../config/mockObjects';
+import gexfGenerator from '../createGEXF';
+
+const buildXML = (...args) => {
+  let xmlString = '';
+  for (const chunk of gexfGenerator(...args)) { // eslint-disable-line no-restricted-syntax, no-unused-vars, max-len
+    xmlString += chunk;
+  }
+  return (new DOMParser()).parseFromString(xmlString);
+};
+
+const getAttribute = (xml, attributeClass, title) => {
+  const attributes = Array.from(xml.getElementsByTagName('attributes'))
+    .find((el) => el.getAttribute('class') === attributeClass);
+  return Array.from(attributes.getElementsByTagName('attribute'))
+    .find((el) => el.getAttribute('title') === title);
+};
+
+describe('buildGEXF', () => {
+  const codebook = mockCodebook;
+  let exportOptions;
+  let xml;
+
+  beforeEach(() => {
+    exportOptions = {
+      ...mockExportOptions,
+      exportGEXF: true,
+    };
+
+    const processedNetworks = processMockNetworks([mockNetwork, mockNetwork2], false);
+    const protocolNetwork = processedNetworks['protocol-uid-1'][0];
+
+    xml = buildXML(protocolNetwork, codebook, exportOptions);
+  });
+
+  it('produces a gexf document', () => {
+    expect(xml.getElementsByTagName('gexf')).toHaveLength(1);
+    expect(xml.getElementsByTagName('gexf')[0].getAttribute('version')).toEqual('1.3');
+  });
+
+  it('creates a static, undirected graph when not merging', () => {
+    const graph = xml.getElementsByTagName('graph')[0];
+    expect(graph.getAttribute('mode')).toEqual('static');
+    expect(graph.getAttribute('defaultedgetype')).toEqual('undirected');
+  });
+
+  it('declares node attributes from the codebook', () => {
+    expect(getAttribute(xml, 'node', 'firstName').getAttribute('type')).toEqual('string');
+    expect(getAttribute(xml, 'node', 'age').getAttribute('type')).toEqual('integer');
+    expect(getAttribute(xml, 'node', 'boolWithValues').getAttribute('type')).toEqual('boolean');
+    expect(getAttribute(xml, 'node', 'layout_X').getAttribute('type')).toEqual('double');
+  });
+
+  it('adds nodes and edges using resequenced IDs', () => {
+    const nodes = xml.getElementsByTagName('node');
+    const edge = xml.getElementsByTagName('edge')[0];
+    expect(nodes).toHaveLength(4);
+    expect(nodes[0].getAttribute('id')).toEqual('1');
+    expect(edge.getAttribute('source')).toEqual('1');
+    expect(edge.getAttribute('target')).toEqual('2');
+    expect(edge.getAttribute('label')).toEqual('peer');
+  });
+
+  it('adds attribute values', () => {
+    const attvalue = Array.from(xml.getElementsByTagName('node')[0].getElementsByTagName('attvalue'))
+      .find((el) => el.getAttribute('for') === 'mock-uuid-2');
+    expect(attvalue.getAttribute('value')).toEqual('40');
+  });
+
+  it('writes screen space positions from layout variables', () => {
+    const position = xml.getElementsByTagName('node')[0].getElementsByTagName('viz:position')[0];
+    expect(position.getAttribute('x')).toEqual('0.00');
+    expect(position.getAttribute('y')).toEqual('1080.00');
+  });
+
+  it('writes normalized positions when screen layout coordinates are disabled', () => {
+    const processedNetworks = processMockNetworks([mockNetwork], false);
+    xml = buildXML(processedNetworks['protocol-uid-1'][0], codebook, {
+      ...exportOptions,
+      globalOptions: { ...exportOptions.globalOptions, useScreenLayoutCoordinates: false },
+    });
+    const position = xml.getElementsByTagName('node')[0].getElementsByTagName('viz:position')[0];
+    expect(position.getAttribute('y')).toEqual('0');
+  });
+
+  it('omits positions for nodes without layout', () => {
+    expect(xml.getElementsByTagName('node')[2].getElementsByTagName('viz:position')).toHaveLength(0);
+  });
+
+  it('writes directed graphs', () => {
+    const processedNetworks = processMockNetworks([mockNetwork], false);
+    xml = buildXML(processedNetworks['protocol-uid-1'][0], codebook, {
+      ...exportOptions,
+      globalOptions: { ...exportOptions.globalOptions, useDirectedEdges: true },
+    });
+    expect(xml.getElementsByTagName('graph')[0].getAttribute('defaultedgetype')).toEqual('directed');
+  });
+
+  describe('with unified networks', () => {
+    beforeEach(() => {
+      const unifiedOptions = {
+        ...exportOptions,
+        globalOptions: { ...exportOptions.globalOptions, unifyNetworks: true },
+      };
+      const processedNetworks = processMockNetworks([mockNetwork, mockNetwork2], true);
+      xml = buildXML(processedNetworks['protocol-uid-1'][0], codebook, unifiedOptions);
+    });
+
+    it('creates a single dynamic graph', () => {
+      const graphs = xml.getElementsByTagName('graph');
+      expect(graphs).toHaveLength(1);
+      expect(graphs[0].getAttribute('mode')).toEqual('dynamic');
+      expect(graphs[0].getAttribute('timeformat')).toEqual('datetime');
+    });
+
+    it('identifies nodes and edges by UUID', () => {
+      expect(xml.getElementsByTagName('node')).toHaveLength(6);
+      expect(xml.getElementsByTagName('node')[4].getAttribute('id')).toEqual('10');
+      expect(xml.getElementsByTagName('edge')[1].getAttribute('source')).toEqual('10');
+    });
+
+    it('adds a spell for each session', () => {
+      const spell = xml.getElementsByTagName('node')[4].getElementsByTagName('spell')[0];
+      expect(spell.getAttribute('start')).toEqual(new Date(1000).toISOString());
+      expect(spell.getAttribute('end')).toEqual(new Date(2000).toISOString());
+    });
+  });
+});
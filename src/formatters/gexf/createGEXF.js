@@ -0,0 +1,325 @@
+const { includes, isNil } = require('lodash');
+const {
+  createElement,
+  formatXml,
+  getEntityAttributes,
+  getEntityLabel,
+  getGraphMLTypeForKey,
+  getLayoutPosition,
+  getVariableInfo,
+  isDirectedEdgeType,
+  isDirectedNetwork,
+  parseXml,
+  serialize,
+} = require('../graphml/helpers');
+const { VariableType } = require('../../utils/protocol-consts');
+const {
+  entityPrimaryKeyProperty,
+  caseProperty,
+  sessionProperty,
+  protocolName,
+  protocolProperty,
+  codebookHashProperty,
+  sessionStartTimeProperty,
+  sessionFinishTimeProperty,
+  sessionExportTimeProperty,
+  ncSourceUUID,
+  ncTargetUUID,
+  ncTypeProperty,
+  ncUUIDProperty,
+  ncSessionProperty,
+  nodeExportIDProperty,
+  edgeExportIDProperty,
+  edgeSourceProperty,
+  edgeTargetProperty,
+} = require('../../utils/reservedAttributes');
+
+const eol = '\n';
+
+// Utility function for indenting and serializing XML element
+const formatAndSerialize = (element) => formatXml(serialize(element));
+
+const getXmlHeader = () => `<?xml version="1.0" encoding="UTF-8"?>
+<gexf
+  xmlns="http://gexf.net/1.3"
+  xmlns:viz="http://gexf.net/1.3/viz"
+  xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+  xsi:schemaLocation="http://gexf.net/1.3 http://gexf.net/1.3/gexf.xsd"
+  version="1.3">${eol}`;
+
+const xmlFooter = `</gexf>${eol}`;
+
+/**
+ * Convert a session variable timestamp to an ISO 8601 string, suitable for use
+ * with `timeformat="datetime"`.
+ * @param {*} value a timestamp or date string
+ * @return {string|null}
+ */
+const toDateTime = (value) => {
+  if (isNil(value)) { return null; }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+/**
+ * Map a codebook variable type to a GEXF attribute type. Numeric types are
+ * determined from the data, using the GraphML type mapping.
+ *
+ * GEXF types: integer, long, double, float, boolean, liststring, string
+ */
+const getGEXFTypeForVariable = (variableType, entities, key) => {
+  switch (variableType) {
+    case VariableType.boolean:
+      return 'boolean';
+    case VariableType.ordinal:
+    case VariableType.number: {
+      const graphMLType = getGraphMLTypeForKey(entities, key);
+      if (graphMLType === 'int') { return 'integer'; }
+      return graphMLType || 'string';
+    }
+    case VariableType.scalar:
+      return 'float';
+    case VariableType.text:
+    case VariableType.datetime:
+    default:
+      return 'string';
+  }
+};
+
+/**
+ * Describe each attribute column for the given entities: reserved Network Canvas
+ * properties first, followed by codebook variables for every entity type present.
+ * Categorical variables are split into one boolean attribute per option, and layout
+ * variables into X and Y attributes, matching the GraphML and CSV output.
+ *
+ * @return {Array} of `{ id, title, type }`
+ */
+const getAttributeDefinitions = (entities, type, codebook, unifyNetworks) => {
+  const definitions = [
+    { id: ncTypeProperty, title: ncTypeProperty, type: 'string' },
+    { id: ncUUIDProperty, title: ncUUIDProperty, type: 'string' },
+    ...(type === 'edge' ? [
+      { id: ncSourceUUID, title: ncSourceUUID, type: 'string' },
+      { id: ncTargetUUID, title: ncTargetUUID, type: 'string' },
+    ] : []),
+    ...(unifyNetworks ? [
+      { id: ncSessionProperty, title: ncSessionProperty, type: 'string' },
+    ] : []),
+  ];
+
+  const entityTypes = [...new Set(entities.map((entity) => entity.type))];
+
+  entityTypes.forEach((entityType) => {
+    const variables = (codebook[type] && codebook[type][entityType]
+      && codebook[type][entityType].variables) || {};
+
+    Object.entries(variables).forEach(([key, variable]) => {
+      switch (variable.type) {
+        case VariableType.categorical:
+          (variable.options || []).forEach((option) => {
+            definitions.push({ id: `${key}_${option.value}`, title: `${variable.name}_${option.value}`, type: 'boolean' });
+          });
+          break;
+        case VariableType.layout:
+          definitions.push({ id: `${key}_X`, title: `${variable.name}_X`, type: 'double' });
+          definitions.push({ id: `${key}_Y`, title: `${variable.name}_Y`, type: 'double' });
+          break;
+        default:
+          definitions.push({
+            id: key,
+            title: variable.name,
+            type: getGEXFTypeForVariable(variable.type, entities, key),
+          });
+      }
+    });
+  });
+
+  return definitions;
+};
+
+const generateAttributesElement = (xmlDoc, definitions, attributeClass) => {
+  const attributesElement = createElement(xmlDoc, 'attributes', { class: attributeClass });
+  definitions.forEach(({ id, title, type }) => {
+    attributesElement.appendChild(createElement(xmlDoc, 'attribute', { id, title, type }));
+  });
+  return formatAndSerialize(attributesElement);
+};
+
+const getAttributeValues = (entity, type, codebook) => {
+  const attributes = getEntityAttributes(entity);
+
+  return Object.keys(attributes).reduce((values, key) => {
+    const variable = getVariableInfo(codebook, type, entity, key);
+    const value = attributes[key];
+
+    // Attributes must be declared, so variables not in the codebook are skipped
+    if (!variable || isNil(value)) { return values; }
+
+    switch (variable.type) {
+      case VariableType.categorical:
+        return [
+          ...values,
+          ...(variable.options || []).map((option) => (
+            { for: `${key}_${option.value}`, value: includes(value, option.value) }
+          )),
+        ];
+      case VariableType.layout:
+        return [...values, { for: `${key}_X`, value: value.x }, { for: `${key}_Y`, value: value.y }];
+      default:
+        return [...values, { for: key, value }];
+    }
+  }, []);
+};
+
+/**
+ * Create <node> or <edge> elements for a list of entities.
+ * In a unified network, resequenced IDs are not unique, so UUIDs are used as
+ * identifiers instead, and each element is given a spell for its session. Edges of types
+ * with a different direction to the graph's default are given their own type.
+ */
+const generateEntityElements = (
+  xmlDoc,
+  entities,
+  type,
+  codebook,
+  exportOptions,
+  sessionVariables,
+  directedDefault = false,
+) => {
+  const { unifyNetworks } = exportOptions.globalOptions;
+
+  return entities.reduce((fragment, entity) => {
+    const entityTypeName = (codebook[type] && codebook[type][entity.type]
+      && codebook[type][entity.type].name) || entity.type;
+
+    const attrs = type === 'node'
+      ? {
+        id: unifyNetworks ? entity[entityPrimaryKeyProperty] : entity[nodeExportIDProperty],
+        label: getEntityLabel(codebook, type, entity),
+      }
+      : {
+        id: unifyNetworks ? entity[entityPrimaryKeyProperty] : entity[edgeExportIDProperty],
+        source: unifyNetworks ? entity[ncSourceUUID] : entity[edgeSourceProperty],
+        target: unifyNetworks ? entity[ncTargetUUID] : entity[edgeTargetProperty],
+        label: entityTypeName,
+      };
+
+    if (type === 'edge') {
+      const directed = isDirectedEdgeType(codebook, entity.type, exportOptions);
+      if (directed !== directedDefault) {
+        attrs.type = directed ? 'directed' : 'undirected';
+      }
+    }
+
+    const element = createElement(xmlDoc, type, attrs);
+
+    const attvalues = createElement(xmlDoc, 'attvalues');
+    [
+      { for: ncTypeProperty, value: entityTypeName },
+      { for: ncUUIDProperty, value: entity[entityPrimaryKeyProperty] },
+      ...(type === 'edge' ? [
+        { for: ncSourceUUID, value: entity[ncSourceUUID] },
+        { for: ncTargetUUID, value: entity[ncTargetUUID] },
+      ] : []),
+      ...(unifyNetworks ? [{ for: ncSessionProperty, value: entity[sessionProperty] }] : []),
+      ...getAttributeValues(entity, type, codebook),
+    ].forEach((attvalue) => {
+      attvalues.appendChild(createElement(xmlDoc, 'attvalue', attvalue));
+    });
+    element.appendChild(attvalues);
+
+    if (unifyNetworks) {
+      const session = sessionVariables[entity[sessionProperty]] || {};
+      const start = toDateTime(session[sessionStartTimeProperty])
+        || toDateTime(session[sessionExportTimeProperty]);
+      const end = toDateTime(session[sessionFinishTimeProperty])
+        || toDateTime(session[sessionExportTimeProperty]);
+
+      if (start && end) {
+        const spells = createElement(xmlDoc, 'spells');
+        spells.appendChild(createElement(xmlDoc, 'spell', { start, end }));
+        element.appendChild(spells);
+      }
+    }
+
+    if (type === 'node') {
+      const position = getLayoutPosition(entity, codebook, exportOptions);
+      if (position) {
+        element.appendChild(createElement(xmlDoc, 'viz:position', { ...position, z: 0 }));
+      }
+    }
+
+    return `${fragment}${formatAndSerialize(element)}`;
+  }, '');
+};
+
+const generateMetaElement = (xmlDoc, network, exportOptions) => {
+  const sessions = exportOptions.globalOptions.unifyNetworks
+    ? Object.values(network.sessionVariables)
+    : [network.sessionVariables];
+  const [firstSession = {}] = sessions;
+
+  const description = exportOptions.globalOptions.unifyNetworks
+    ? `${firstSession[protocolName]} (${sessions.length} sessions)`
+    : `${firstSession[protocolName]}; case ${firstSession[caseProperty]}; session ${firstSession[sessionProperty]}`;
+
+  const meta = createElement(xmlDoc, 'meta');
+  meta.appendChild(createElement(xmlDoc, 'creator', {}, xmlDoc.createTextNode('Network Canvas')));
+  meta.appendChild(createElement(xmlDoc, 'description', {}, xmlDoc.createTextNode(description)));
+  meta.appendChild(createElement(
+    xmlDoc,
+    'keywords',
+    {},
+    xmlDoc.createTextNode(`${firstSession[protocolProperty]},${firstSession[codebookHashProperty]}`),
+  ));
+  return formatAndSerialize(meta);
+};
+
+/**
+ * Generator function to supply GEXF content in chunks to both string and stream producers.
+ *
+ * Node and edge attributes are declared from the codebook, and node positions are written
+ * using the viz module from the first layout variable. When networks are unified, the graph
+ * is dynamic and each node and edge has a spell covering its interview session.
+ *
+ * @param {*} network
+ * @param {*} codebook
+ * @param {*} exportOptions
+ */
+function* gexfGenerator(network, codebook, exportOptions) {
+  const { unifyNetworks } = exportOptions.globalOptions;
+  const nodes = network.nodes || [];
+  const edges = network.edges || [];
+  const directed = isDirectedNetwork(codebook, network, exportOptions);
+  const xmlDoc = parseXml(`${getXmlHeader()}${xmlFooter}`);
+
+  yield getXmlHeader();
+  yield generateMetaElement(xmlDoc, network, exportOptions);
+
+  const graphAttributes = [
+    `defaultedgetype="${directed ? 'directed' : 'undirected'}"`,
+    `mode="${unifyNetworks ? 'dynamic' : 'static'}"`,
+    ...(unifyNetworks ? ['timeformat="datetime"'] : []),
+  ];
+  yield `<graph ${graphAttributes.join(' ')}>${eol}`;
+
+  yield generateAttributesElement(xmlDoc, getAttributeDefinitions(nodes, 'node', codebook, unifyNetworks), 'node');
+  yield generateAttributesElement(xmlDoc, getAttributeDefinitions(edges, 'edge', codebook, unifyNetworks), 'edge');
+
+  yield `<nodes>${eol}`;
+  for (let i = 0; i < nodes.length; i += 100) {
+    yield generateEntityElements(xmlDoc, nodes.slice(i, i + 100), 'node', codebook, exportOptions, network.sessionVariables);
+  }
+  yield `</nodes>${eol}`;
+
+  yield `<edges>${eol}`;
+  for (let i = 0; i < edges.length; i += 100) {
+    yield generateEntityElements(xmlDoc, edges.slice(i, i + 100), 'edge', codebook, exportOptions, network.sessionVariables, directed);
+  }
+  yield `</edges>${eol}`;
+
+  yield `</graph>${eol}`;
+  yield xmlFooter;
+}
+
+module.exports = gexfGenerator;
@@ -172,6 +172,57 @@ describe('buildGraphML', () => {
     });
   });
 
+  describe('with mixed edge directions', () => {
+    beforeEach(() => {
+      const [network] = processMockNetworks([mockNetwork], false)['protocol-uid-1'];
+      const mixedCodebook = {
+        ...codebook,
+        edge: { ...codebook.edge, 'mock-edge-type-2': { name: 'likes', directed: true } },
+      };
+
+      xml = buildXML({
+        ...network,
+        edges: [...network.edges, { ...network.edges[0], type: 'mock-edge-type-2' }],
+      }, mixedCodebook, exportOptions);
+    });
+
+    it('marks edges that differ from the default', () => {
+      const edges = xml.getElementsByTagName('edge');
+      expect(xml.getElementsByTagName('graph')[0].getAttribute('edgedefault')).toEqual('undirected');
+      expect(edges[0].hasAttribute('directed')).toBe(false);
+      expect(edges[1].getAttribute('directed')).toEqual('true');
+    });
+  });
+
+  describe('with node metrics', () => {
+    beforeEach(() => {
+      const [network] = processMockNetworks([mockNetwork], false)['protocol-uid-1'];
+      xml = buildXML({
+        ...network,
+        nodes: network.nodes.map((node, index) => ({
+          ...node,
+          networkCanvasMetrics: { networkCanvasDegree: index, networkCanvasClustering: null },
+        })),
+      }, codebook, exportOptions);
+    });
+
+    it('defines a key for each metric', () => {
+      const keys = Array.from(xml.getElementsByTagName('key'));
+      const degreeKey = keys.find((key) => key.getAttribute('id') === 'networkCanvasDegree');
+      const clusteringKey = keys.find((key) => key.getAttribute('id') === 'networkCanvasClustering');
+      expect(degreeKey.getAttribute('attr.type')).toEqual('int');
+      expect(degreeKey.getAttribute('for')).toEqual('node');
+      expect(clusteringKey.getAttribute('attr.type')).toEqual('double');
+    });
+
+    it('adds metric data to nodes, omitting null values', () => {
+      const node = xml.getElementsByTagName('node')[1];
+      const data = Array.from(node.getElementsByTagName('data'));
+      expect(data.find((el) => el.getAttribute('key') === 'networkCanvasDegree').textContent).toEqual('1');
+      expect(data.some((el) => el.getAttribute('key') === 'networkCanvasClustering')).toBe(false);
+    });
+  });
+
   describe('with merged networks', () => {
     beforeEach(() => {
       const processedNetworks = processMockNetworks([mockNetwork, mockNetwork2], true);
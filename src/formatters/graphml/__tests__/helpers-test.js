@@ -1,5 +1,7 @@
 /* eslint-env jest */
-const { getGraphMLTypeForKey } = require('../helpers');
+const {
+  getDirectedEdgeTypes, getGraphMLTypeForKey, isDirectedEdgeType, isDirectedNetwork,
+} = require('../helpers');
 
 describe('getGraphMLTypeForKey', () => {
   it('defaults to empty', () => {
@@ -86,3 +88,37 @@ describe('getGraphMLTypeForKey', () => {
     expect(getGraphMLTypeForKey([nodeA, nodeB], 'a')).toEqual('double');
   });
 });
+
+describe('edge direction', () => {
+  const codebook = {
+    edge: {
+      friend: { name: 'friend' },
+      follows: { name: 'follows', directed: true },
+      knows: { name: 'knows', directed: false },
+    },
+  };
+  const undirectedOptions = { globalOptions: { useDirectedEdges: false } };
+  const directedOptions = { globalOptions: { useDirectedEdges: true } };
+
+  it('uses the export option by default', () => {
+    expect(isDirectedEdgeType(codebook, 'friend', undirectedOptions)).toBe(false);
+    expect(isDirectedEdgeType(codebook, 'friend', directedOptions)).toBe(true);
+  });
+
+  it('prefers the codebook', () => {
+    expect(isDirectedEdgeType(codebook, 'follows', undirectedOptions)).toBe(true);
+    expect(isDirectedEdgeType(codebook, 'knows', directedOptions)).toBe(false);
+  });
+
+  it('is directed when every edge type is directed', () => {
+    expect(isDirectedNetwork(codebook, { edges: [{ type: 'follows' }] }, undirectedOptions)).toBe(true);
+    expect(isDirectedNetwork(codebook, { edges: [{ type: 'follows' }, { type: 'knows' }] }, directedOptions)).toBe(false);
+    expect(isDirectedNetwork(codebook, { edges: [] }, directedOptions)).toBe(true);
+  });
+
+  it('lists the directedness of edge types by name', () => {
+    expect(getDirectedEdgeTypes(codebook, ['friend', 'follows', 'knows'], undirectedOptions))
+      .toEqual({ friend: false, follows: true, knows: false });
+    expect(getDirectedEdgeTypes(codebook, ['friend'], directedOptions)).toEqual({ friend: true });
+  });
+});
@@ -1,12 +1,18 @@
-const { findKey, includes, groupBy } = require('lodash');
+const { includes, groupBy } = require('lodash');
 const jsSHA = require('jssha/dist/sha1');
 const {
   getEntityAttributes,
   createDataElement,
   getGraphMLTypeForKey,
   getAttributePropertyFromCodebook,
+  getEntityLabel,
   formatXml,
+  isDirectedEdgeType,
+  isDirectedNetwork,
+  parseXml,
+  serialize,
 } = require('./helpers');
+const { integerMetrics, nodeMetricsHeaders } = require('../metrics');
 const { VariableType } = require('../../utils/protocol-consts');
 const {
   entityAttributesProperty,
@@ -26,30 +32,12 @@ const {
   ncTypeProperty,
   ncUUIDProperty,
   nodeExportIDProperty,
+  nodeMetricsProperty,
   edgeExportIDProperty,
 } = require('../../utils/reservedAttributes');
 
-// In a browser process, window provides a globalContext;
-// in an electron main process, we can inject required globals
-let globalContext;
-
-/* eslint-disable no-undef, global-require */
-if (typeof window !== 'undefined' && window.DOMParser && window.XMLSerializer) {
-  globalContext = window;
-} else {
-  const dom = require('xmldom');
-  globalContext = {};
-  globalContext.DOMParser = dom.DOMParser;
-  globalContext.XMLSerializer = dom.XMLSerializer;
-}
-/* eslint-enable */
-
 const eol = '\n';
 
-// Create a serializer for reuse below.
-const serializer = new globalContext.XMLSerializer();
-const serialize = (fragment) => `${serializer.serializeToString(fragment)}${eol}`;
-
 // Utility function for indenting and serializing XML element
 const formatAndSerialize = (element) => formatXml(serialize(element));
 
@@ -71,9 +59,13 @@ const getXmlHeader = () => `<?xml version="1.0" encoding="UTF-8"?>
     xmlns:nc="http://schema.networkcanvas.com/xmlns">${eol}`;
 
 // Use exportOptions.defaultOptions from FileExportManager to determine parameters
-// for edge direction.
-const getGraphHeader = ({ globalOptions: { useDirectedEdges } }, sessionVariables) => {
-  const edgeDefault = useDirectedEdges ? 'directed' : 'undirected';
+// for edge direction, unless the network's edge types determine it (see isDirectedNetwork)
+const getGraphHeader = (
+  { globalOptions: { useDirectedEdges } },
+  sessionVariables,
+  directed = useDirectedEdges,
+) => {
+  const edgeDefault = directed ? 'directed' : 'undirected';
 
   let metaAttributes = `nc:caseId="${sessionVariables[caseProperty]}"
   nc:sessionUUID="${sessionVariables[sessionProperty]}"
@@ -102,7 +94,7 @@ const xmlFooter = `</graphml>${eol}`;
 // Use exportOptions from FileExportManager to determine XML properties
 const setUpXml = (exportOptions, sessionVariables) => {
   const graphMLOutline = `${getXmlHeader()}${getGraphHeader(exportOptions, sessionVariables)}${xmlFooter}`;
-  return (new globalContext.DOMParser()).parseFromString(graphMLOutline, 'text/xml');
+  return parseXml(graphMLOutline);
 };
 
 // <key> elements provide the type definitions for GraphML data elements
@@ -305,6 +297,22 @@ const generateKeyElements = (
       }
     });
   });
+
+  // Create a <key> for each network metric calculated for nodes
+  if (type === 'node') {
+    nodeMetricsHeaders(entities).forEach((metric) => {
+      if (done.indexOf(metric) === -1 && !excludeList.includes(metric)) {
+        const metricKeyElement = document.createElement('key');
+        metricKeyElement.setAttribute('id', metric);
+        metricKeyElement.setAttribute('attr.name', metric);
+        metricKeyElement.setAttribute('attr.type', integerMetrics.includes(metric) ? 'int' : 'double');
+        metricKeyElement.setAttribute('for', 'node');
+        fragment += `${serialize(metricKeyElement)}`;
+        done.push(metric);
+      }
+    });
+  }
+
   return fragment;
 };
 
@@ -402,6 +410,7 @@ const generateDataElements = (
   excludeList, // Attributes to exclude lookup of in codebook
   codebook, // Copy of codebook
   exportOptions, // Export options object
+  directedDefault = false, // The graph's edgedefault is directed
 ) => {
   let fragment = '';
 
@@ -436,6 +445,12 @@ const generateDataElements = (
       domElement.setAttribute('source', entity[edgeSourceProperty]);
       domElement.setAttribute('target', entity[edgeTargetProperty]);
 
+      // Edges of types with a different direction to the graph's default (mixed networks)
+      const directed = isDirectedEdgeType(codebook, entity.type, exportOptions);
+      if (directed !== directedDefault) {
+        domElement.setAttribute('directed', directed);
+      }
+
       // Insert the nc UUID versions of 'to' and 'from' under special properties
       domElement.appendChild(
         createDataElement(
@@ -454,17 +469,7 @@ const generateDataElements = (
       );
     } else {
       // For nodes, add a <data> element for the label using the name property
-      const entityLabel = () => {
-        const variableCalledName = findKey(codebook[type][entity.type].variables, (variable) => variable.name.toLowerCase() === 'name');
-
-        if (variableCalledName && entity[entityAttributesProperty][variableCalledName]) {
-          return entity[entityAttributesProperty][variableCalledName];
-        }
-
-        return 'Node';
-      };
-
-      domElement.appendChild(createDataElement(document, { key: 'label' }, entityLabel()));
+      domElement.appendChild(createDataElement(document, { key: 'label' }, getEntityLabel(codebook, type, entity)));
     }
 
     // Add entity attributes
@@ -523,6 +528,16 @@ const generateDataElements = (
       }
     });
 
+    // Add network metrics; metrics without a value (such as the clustering of an isolate)
+    // are omitted
+    if (type === 'node') {
+      Object.entries(entity[nodeMetricsProperty] || {}).forEach(([metric, value]) => {
+        if (!excludeList.includes(metric) && value !== null && value !== undefined) {
+          domElement.appendChild(createDataElement(document, { key: metric }, value));
+        }
+      });
+    }
+
     fragment += `${formatAndSerialize(domElement)}`;
   });
 
@@ -539,6 +554,7 @@ function* graphMLGenerator(network, codebook, exportOptions) {
   yield getXmlHeader();
 
   const xmlDoc = setUpXml(exportOptions, network.sessionVariables);
+  const directed = isDirectedNetwork(codebook, network, exportOptions);
 
   const generateEgoKeys = (ego) => generateKeyElements(
     xmlDoc,
@@ -581,6 +597,7 @@ function* graphMLGenerator(network, codebook, exportOptions) {
     [],
     codebook,
     exportOptions,
+    directed,
   );
 
   const generateEgoElements = (ego) => generateEgoDataElements(
@@ -618,7 +635,7 @@ function* graphMLGenerator(network, codebook, exportOptions) {
 
     /* eslint-disable no-restricted-syntax, guard-for-in, no-unused-vars */
     for (const sessionID in network.sessionVariables) {
-      yield getGraphHeader(exportOptions, network.sessionVariables[sessionID]);
+      yield getGraphHeader(exportOptions, network.sessionVariables[sessionID], directed);
 
       // Add ego to graph
       if (network.ego[sessionID] && codebook.ego) {
@@ -643,7 +660,7 @@ function* graphMLGenerator(network, codebook, exportOptions) {
     /* eslint-enable no-restricted-syntax, guard-for-in */
   } else {
     // TODO: reduce duplication with this code
-    yield getGraphHeader(exportOptions, network.sessionVariables);
+    yield getGraphHeader(exportOptions, network.sessionVariables, directed);
 
     // Add ego to graph
     if (network.ego && codebook.ego) {
@@ -1,7 +1,40 @@
-const { isNil } = require('lodash');
+const { isNil, findKey } = require('lodash');
 const { VariableType } = require('../../utils/protocol-consts');
 const { entityAttributesProperty } = require('../../utils/reservedAttributes');
 
+// In a browser process, window provides a globalContext;
+// in an electron main process, we can inject required globals
+let globalContext;
+
+/* eslint-disable no-undef, global-require */
+if (typeof window !== 'undefined' && window.DOMParser && window.XMLSerializer) {
+  globalContext = window;
+} else {
+  const dom = require('xmldom');
+  globalContext = {};
+  globalContext.DOMParser = dom.DOMParser;
+  globalContext.XMLSerializer = dom.XMLSerializer;
+}
+/* eslint-enable */
+
+// Create a serializer for reuse by XML formatters.
+const serializer = new globalContext.XMLSerializer();
+const serialize = (fragment) => `${serializer.serializeToString(fragment)}\n`;
+
+/**
+ * Escape a string for use in XML text or attribute content, removing characters
+ * that are not permitted in XML 1.0. Used by formatters that write XML as text.
+ */
+const escapeXml = (value) => String(value)
+  // eslint-disable-next-line no-control-regex
+  .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const parseXml = (xmlString) => (new globalContext.DOMParser()).parseFromString(xmlString, 'text/xml');
+
 const getEntityAttributes = (node) => (node && node[entityAttributesProperty]) || {};
 
 // Gephi does not support long lines in graphML, meaning we need to "beautify" the output
@@ -109,6 +142,118 @@ const getAttributePropertyFromCodebook = (codebook, type, element, key, attribut
   return variableInfo && variableInfo[attributeProperty];
 };
 
+/**
+ * Determine a human readable label for a node, using the value of the variable
+ * called "name" (case insensitive) for this node type, if one exists.
+ * @param {*} codebook
+ * @param {*} type node, edge, or ego
+ * @param {*} entity
+ * @param {*} fallback label for entities without a name
+ */
+const getEntityLabel = (codebook, type, entity, fallback = 'Node') => {
+  const entityDefinition = type === 'ego'
+    ? codebook && codebook.ego
+    : codebook && codebook[type] && codebook[type][entity.type];
+  const variableCalledName = entityDefinition && findKey(entityDefinition.variables, (variable) => variable.name && variable.name.toLowerCase() === 'name');
+
+  if (variableCalledName && getEntityAttributes(entity)[variableCalledName]) {
+    return getEntityAttributes(entity)[variableCalledName];
+  }
+
+  return fallback;
+};
+
+/**
+ * Determine the position of a node from its first layout variable. Screen space coordinates
+ * use the same transformation as the CSV and GraphML formatters.
+ * @param {Object} entity a node
+ * @param {Object} codebook
+ * @param {Object} exportOptions
+ * @return {Object|null} `{ x, y }`
+ */
+const getLayoutPosition = (entity, codebook, exportOptions) => {
+  const attributes = getEntityAttributes(entity);
+  const layoutKey = Object.keys(attributes).find((key) => {
+    const variable = getVariableInfo(codebook, 'node', entity, key);
+    return variable && variable.type === VariableType.layout && attributes[key];
+  });
+
+  if (!layoutKey) { return null; }
+
+  const { x, y } = attributes[layoutKey];
+  const {
+    screenLayoutWidth,
+    screenLayoutHeight,
+    useScreenLayoutCoordinates,
+  } = exportOptions.globalOptions;
+
+  if (useScreenLayoutCoordinates) {
+    return {
+      x: (x * screenLayoutWidth).toFixed(2),
+      y: ((1.0 - y) * screenLayoutHeight).toFixed(2),
+    };
+  }
+
+  return { x, y };
+};
+
+/**
+ * Determine whether edges of a type are directed. An edge type may set `directed` in the
+ * codebook; otherwise the `useDirectedEdges` export option applies.
+ * @param {Object} codebook
+ * @param {string} edgeType edge type UUID
+ * @param {Object} exportOptions
+ * @return {boolean}
+ */
+const isDirectedEdgeType = (codebook, edgeType, exportOptions) => {
+  const definition = codebook && codebook.edge && codebook.edge[edgeType];
+
+  if (definition && typeof definition.directed === 'boolean') {
+    return definition.directed;
+  }
+
+  return !!(exportOptions && exportOptions.globalOptions
+    && exportOptions.globalOptions.useDirectedEdges);
+};
+
+/**
+ * Returns a predicate for the directedness of each edge, as used by asAdjacencyMatrix()
+ * @return {function} `(edge) => boolean`
+ */
+const getEdgeDirectedness = (codebook, exportOptions) => (edge) => (
+  isDirectedEdgeType(codebook, edge.type, exportOptions)
+);
+
+/**
+ * Whether each of the named edge types is directed, as used by the generated R and Python
+ * scripts, which refer to edge types by name.
+ * @param {Object} codebook
+ * @param {Array} typeNames
+ * @param {Object} exportOptions
+ * @return {Object} `{ [typeName]: boolean }`
+ */
+const getDirectedEdgeTypes = (codebook, typeNames, exportOptions) => typeNames
+  .reduce((directed, typeName) => {
+    const edgeType = Object.keys((codebook && codebook.edge) || {})
+      .find((uuid) => codebook.edge[uuid].name === typeName);
+    return { ...directed, [typeName]: isDirectedEdgeType(codebook, edgeType, exportOptions) };
+  }, {});
+
+/**
+ * Determine whether a network (or partition) is directed as a whole: true when every edge
+ * type in it is directed, or when it has no edges and `useDirectedEdges` is set.
+ * @return {boolean}
+ */
+const isDirectedNetwork = (codebook, network, exportOptions) => {
+  const edgeTypes = [...new Set((network.edges || []).map(({ type }) => type))];
+
+  if (edgeTypes.length === 0) {
+    return isDirectedEdgeType(codebook, null, exportOptions);
+  }
+
+  return edgeTypes.every((edgeType) => isDirectedEdgeType(codebook, edgeType, exportOptions));
+};
+
 const createElement = (xmlDoc, tagName, attrs = {}, child = null) => {
   const element = xmlDoc.createElement(tagName);
   Object.entries(attrs).forEach(([key, val]) => {
@@ -126,11 +271,20 @@ module.exports = {
   codebookExists,
   createDataElement,
   createElement,
+  escapeXml,
   formatXml,
   getAttributePropertyFromCodebook,
   getEgoVariableInfo,
+  getDirectedEdgeTypes,
+  getEdgeDirectedness,
   getEntityAttributes,
+  getEntityLabel,
   getGraphMLTypeForKey,
+  getLayoutPosition,
   getVariableInfo,
+  isDirectedEdgeType,
+  isDirectedNetwork,
+  parseXml,
+  serialize,
   VariableTypeValues,
 };
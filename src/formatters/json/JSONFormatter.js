@@ -0,0 +1,55 @@
+const jsonGenerator = require('./createJSON');
+const { generatorToStream, writeGenerator } = require('../stream');
+
+/** Class providing a JSON formatter. */
+class JSONFormatter {
+  /**
+   * Create a JSON formatter.
+   * @param {Object} network - a NC format network object.
+   * @param {Object} codebook - the codebook for this network.
+   * @param {Object} exportOptions - global export options object from FileExportManager.
+   */
+  constructor(network, codebook, exportOptions) {
+    this.network = network;
+    this.codebook = codebook;
+    this.exportOptions = exportOptions;
+  }
+
+  streamToString = (stream) => {
+    const chunks = [];
+    return new Promise((resolve, reject) => {
+      stream.on('data', (chunk) => chunks.push(chunk));
+      stream.on('error', reject);
+      stream.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    });
+  }
+
+  /**
+   * A method allowing writing the file to a string. Used for tests.
+   */
+  writeToString() {
+    const generator = jsonGenerator(
+      this.network,
+      this.codebook,
+      this.exportOptions,
+    );
+
+    return this.streamToString(generatorToStream(generator));
+  }
+
+  /**
+   * Write the file to a stream one chunk at a time.
+   * @param {Stream} outStream
+   */
+  writeToStream(outStream) {
+    const generator = jsonGenerator(
+      this.network,
+      this.codebook,
+      this.exportOptions,
+    );
+
+    return writeGenerator(generator, outStream);
+  }
+}
+
+module.exports = JSONFormatter;
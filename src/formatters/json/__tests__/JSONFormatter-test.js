@@ -0,0 +1,94 @@
+/* eslint-env jest */
+import { makeWriteableStream } from '../../../../config/setupTestEnv';
+import {
+  mockExportOptions, mockNetwork, mockNetwork2, mockCodebook, processMockNetworks,
+} from '../../../../config/mockObjects';
+import JSONFormatter from '../JSONFormatter';
+
+const largeNetwork = (nodeCount) => ({
+  ...mockNetwork,
+  nodes: Array.from({ length: nodeCount }, (_, index) => ({
+    ...mockNetwork.nodes[0],
+    _uid: `node-${index}`,
+  })),
+  edges: [],
+});
+
+describe('JSONFormatter', () => {
+  let writable;
+  let exportOptions;
+
+  beforeEach(() => {
+    writable = makeWriteableStream();
+    exportOptions = { ...mockExportOptions, exportJSON: true };
+  });
+
+  it('writeToStream returns an abort controller', () => {
+    const formatter = new JSONFormatter(mockNetwork, mockCodebook, exportOptions);
+    const controller = formatter.writeToStream(writable);
+    expect(controller.abort).toBeInstanceOf(Function);
+  });
+
+  describe('for a single session', () => {
+    let json;
+
+    beforeEach(async () => {
+      const network = processMockNetworks([mockNetwork], false)['protocol-uid-1'][0];
+      const formatter = new JSONFormatter(network, mockCodebook, exportOptions);
+      json = JSON.parse(await formatter.writeToString());
+    });
+
+    it('includes session variables and direction', () => {
+      expect(json.sessionVariables.sessionId).toEqual('session-id-1');
+      expect(json.directed).toBe(false);
+    });
+
+    it('resolves ego attribute names', () => {
+      expect(json.ego).toEqual({
+        networkCanvasEgoUUID: 'ego-id-1',
+        attributes: { egoName: 'Dee', egoAge: 40, boolVar: false },
+      });
+    });
+
+    it('resolves node attribute names and types', () => {
+      expect(json.nodes).toHaveLength(4);
+      expect(json.nodes[0]).toMatchObject({
+        nodeID: 1,
+        networkCanvasUUID: '1',
+        networkCanvasType: 'person',
+        networkCanvasEgoUUID: 'ego-id-1',
+        attributes: { firstName: 'Dee', age: 40, layout: { x: 0, y: 0 } },
+      });
+      expect(json.variables.node.person.age).toEqual('number');
+    });
+
+    it('includes edges with resequenced and original IDs', () => {
+      expect(json.edges).toEqual([expect.objectContaining({
+        edgeID: 1,
+        from: 1,
+        to: 2,
+        networkCanvasSourceUUID: '1',
+        networkCanvasTargetUUID: '2',
+        networkCanvasType: 'peer',
+      })]);
+    });
+  });
+
+  it('keys ego and session variables by session for unified networks', async () => {
+    const network = processMockNetworks([mockNetwork, mockNetwork2], true)['protocol-uid-1'][0];
+    const formatter = new JSONFormatter(network, mockCodebook, {
+      ...exportOptions,
+      globalOptions: { ...exportOptions.globalOptions, unifyNetworks: true },
+    });
+    const json = JSON.parse(await formatter.writeToString());
+    expect(Object.keys(json.ego)).toEqual(['session-id-1', 'session-id-2']);
+    expect(json.nodes[4].networkCanvasSessionID).toEqual('session-id-2');
+  });
+
+  it('produces valid JSON when written in multiple chunks', async () => {
+    const formatter = new JSONFormatter(largeNetwork(250), mockCodebook, exportOptions);
+    const json = JSON.parse(await formatter.writeToString());
+    expect(json.nodes).toHaveLength(250);
+    expect(json.edges).toHaveLength(0);
+  });
+});
@@ -0,0 +1,130 @@
+const { resolveAttributeNames } = require('../network');
+const { isDirectedEdgeType, isDirectedNetwork } = require('../graphml/helpers');
+const {
+  entityPrimaryKeyProperty,
+  egoProperty,
+  sessionProperty,
+  edgeSourceProperty,
+  edgeTargetProperty,
+  nodeExportIDProperty,
+  edgeExportIDProperty,
+  ncSessionProperty,
+  ncSourceUUID,
+  ncTargetUUID,
+  ncTypeProperty,
+  ncUUIDProperty,
+} = require('../../utils/reservedAttributes');
+
+const eol = '\n';
+
+/**
+ * Summarise the codebook as `{ [variableName]: variableType }` for ego, and for
+ * each node and edge type (keyed by type name).
+ */
+const getVariableTypes = (codebook) => {
+  const variableTypes = (variables = {}) => Object.values(variables)
+    .reduce((acc, { name, type }) => ({ ...acc, [name]: type }), {});
+
+  const entityVariableTypes = (entities = {}) => Object.values(entities)
+    .reduce((acc, { name, variables }) => ({ ...acc, [name]: variableTypes(variables) }), {});
+
+  return {
+    ego: variableTypes(codebook.ego && codebook.ego.variables),
+    node: entityVariableTypes(codebook.node),
+    edge: entityVariableTypes(codebook.edge),
+  };
+};
+
+const getTypeName = (codebook, type, entity) => (
+  (codebook[type] && codebook[type][entity.type] && codebook[type][entity.type].name)
+  || entity.type
+);
+
+const formatEgo = (ego, codebook) => ego && ({
+  [egoProperty]: ego[entityPrimaryKeyProperty],
+  attributes: resolveAttributeNames(ego, 'ego', codebook),
+});
+
+const formatNode = (node, codebook, unifyNetworks) => ({
+  [nodeExportIDProperty]: node[nodeExportIDProperty],
+  [ncUUIDProperty]: node[entityPrimaryKeyProperty],
+  [ncTypeProperty]: getTypeName(codebook, 'node', node),
+  [egoProperty]: node[egoProperty],
+  ...(unifyNetworks ? { [ncSessionProperty]: node[sessionProperty] } : {}),
+  attributes: resolveAttributeNames(node, 'node', codebook),
+});
+
+// Edges of types with a different direction to the network's have their own `directed`
+const formatEdge = (edge, codebook, exportOptions, directedDefault) => {
+  const { unifyNetworks } = exportOptions.globalOptions;
+  const directed = isDirectedEdgeType(codebook, edge.type, exportOptions);
+
+  return {
+    [edgeExportIDProperty]: edge[edgeExportIDProperty],
+    [edgeSourceProperty]: edge[edgeSourceProperty],
+    [edgeTargetProperty]: edge[edgeTargetProperty],
+    [ncUUIDProperty]: edge[entityPrimaryKeyProperty],
+    [ncSourceUUID]: edge[ncSourceUUID],
+    [ncTargetUUID]: edge[ncTargetUUID],
+    [ncTypeProperty]: getTypeName(codebook, 'edge', edge),
+    [egoProperty]: edge[egoProperty],
+    ...(unifyNetworks ? { [ncSessionProperty]: edge[sessionProperty] } : {}),
+    ...(directed !== directedDefault ? { directed } : {}),
+    attributes: resolveAttributeNames(edge, 'edge', codebook),
+  };
+};
+
+/**
+ * Generator function to supply a node-link JSON document in chunks to both string
+ * and stream producers. Nodes and edges are serialized in batches, so that the full
+ * document is never held in memory as a single string.
+ *
+ * When networks are unified, `ego` and `sessionVariables` are objects keyed by session ID,
+ * and each node and edge includes the ID of the session it belongs to.
+ *
+ * @param {*} network
+ * @param {*} codebook
+ * @param {*} exportOptions
+ */
+function* jsonGenerator(network, codebook, exportOptions) {
+  const { unifyNetworks } = exportOptions.globalOptions;
+  const nodes = network.nodes || [];
+  const edges = network.edges || [];
+  const directed = isDirectedNetwork(codebook, network, exportOptions);
+
+  const ego = unifyNetworks
+    ? Object.keys(network.ego || {}).reduce((acc, sessionID) => ({
+      ...acc,
+      [sessionID]: formatEgo(network.ego[sessionID], codebook),
+    }), {})
+    : formatEgo(network.ego, codebook);
+
+  const header = [
+    `"directed": ${JSON.stringify(directed)}`,
+    `"sessionVariables": ${JSON.stringify(network.sessionVariables || {})}`,
+    `"ego": ${JSON.stringify(ego || null)}`,
+    `"variables": ${JSON.stringify(getVariableTypes(codebook))}`,
+  ].join(`,${eol}`);
+
+  yield `{${eol}${header},${eol}`;
+
+  yield `"nodes": [${eol}`;
+  for (let i = 0; i < nodes.length; i += 100) {
+    const chunk = nodes.slice(i, i + 100)
+      .map((node) => JSON.stringify(formatNode(node, codebook, unifyNetworks)))
+      .join(`,${eol}`);
+    yield `${i > 0 ? `,${eol}` : ''}${chunk}`;
+  }
+  yield `${eol}],${eol}`;
+
+  yield `"edges": [${eol}`;
+  for (let i = 0; i < edges.length; i += 100) {
+    const chunk = edges.slice(i, i + 100)
+      .map((edge) => JSON.stringify(formatEdge(edge, codebook, exportOptions, directed)))
+      .join(`,${eol}`);
+    yield `${i > 0 ? `,${eol}` : ''}${chunk}`;
+  }
+  yield `${eol}]${eol}}${eol}`;
+}
+
+module.exports = jsonGenerator;
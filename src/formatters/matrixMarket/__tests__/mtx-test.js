@@ -0,0 +1,142 @@
+/* eslint-env jest */
+import { makeWriteableStream } from '../../../../config/setupTestEnv';
+import {
+  MatrixMarketFormatter,
+  MatrixMarketLabelsFormatter,
+  asMatrixMarket,
+  toMatrixMarketStream,
+} from '../mtx';
+import { ncSourceUUID, ncTargetUUID } from '../../../utils/reservedAttributes';
+
+const edge = (from, to, type = 'knows', strength) => ({
+  type,
+  [ncSourceUUID]: from,
+  [ncTargetUUID]: to,
+  attributes: { 'strength-uuid': strength },
+});
+
+const network = {
+  nodes: [
+    { _uid: 'a', nodeID: 1, type: 'person-uuid' },
+    { _uid: 'b', nodeID: 2, type: 'person-uuid' },
+    { _uid: 'c', nodeID: 3, type: 'person-uuid' },
+  ],
+  edges: [edge('a', 'b', 'knows', 1), edge('a', 'b', 'knows', 2), edge('c', 'b', 'knows', 4)],
+};
+
+const withEgoTies = {
+  ...network,
+  ego: { _uid: 'ego-uid' },
+  nodes: network.nodes.map((node) => ({ ...node, networkCanvasEgoUUID: 'ego-uid' })),
+};
+
+const codebook = {
+  node: { 'person-uuid': { name: 'person' } },
+  edge: {
+    knows: { name: 'knows', variables: { 'strength-uuid': { name: 'strength' } } },
+    follows: { name: 'follows', directed: true },
+  },
+};
+
+describe('asMatrixMarket', () => {
+  it('lists the lower triangle of undirected networks, without duplicates', () => {
+    expect(asMatrixMarket(network)).toEqual({
+      dimension: 3,
+      field: 'pattern',
+      symmetry: 'symmetric',
+      entries: [[2, 1], [3, 2]],
+    });
+  });
+
+  it('lists every cell of directed networks', () => {
+    const { symmetry, entries } = asMatrixMarket(network, true);
+    expect(symmetry).toEqual('general');
+    expect(entries).toEqual([[1, 2], [3, 2]]);
+  });
+
+  it('lists both cells of undirected edges in mixed networks', () => {
+    const mixed = { ...network, edges: [edge('a', 'b'), edge('c', 'b', 'follows')] };
+    const { symmetry, entries } = asMatrixMarket(mixed, ({ type }) => type === 'follows');
+    expect(symmetry).toEqual('general');
+    expect(entries).toEqual([[1, 2], [2, 1], [3, 2]]);
+  });
+
+  it('ties ego to every alter', () => {
+    const { dimension, symmetry, entries } = asMatrixMarket(withEgoTies, true, null, true);
+    expect(dimension).toEqual(4);
+    expect(symmetry).toEqual('general');
+    expect(entries).toEqual([[1, 2], [1, 3], [1, 4], [2, 1], [2, 3], [3, 1], [4, 1], [4, 3]]);
+  });
+
+  it('has weighted values', () => {
+    const weights = { getWeight: (e) => e.attributes['strength-uuid'], aggregation: 'mean' };
+    const { field, entries } = asMatrixMarket(network, false, weights);
+    expect(field).toEqual('real');
+    expect(entries).toEqual([[2, 1, 1.5], [3, 2, 4]]);
+  });
+});
+
+describe('MatrixMarketFormatter', () => {
+  let writable;
+
+  beforeEach(() => {
+    writable = makeWriteableStream();
+  });
+
+  it('writeToStream returns an abort controller', () => {
+    const formatter = new MatrixMarketFormatter({}, {}, { globalOptions: {} });
+    const controller = formatter.writeToStream(writable);
+    expect(controller.abort).toBeInstanceOf(Function);
+  });
+
+  it('writes a pattern matrix', async () => {
+    toMatrixMarketStream(asMatrixMarket(network), writable);
+    expect(await writable.asString()).toEqual([
+      '%%MatrixMarket matrix coordinate pattern symmetric',
+      '3 3 2',
+      '2 1',
+      '3 2',
+      '',
+    ].join('\n'));
+  });
+
+  it('writes weights from an edge variable', async () => {
+    const formatter = new MatrixMarketFormatter(network, codebook, {
+      globalOptions: { matrixWeights: { variable: 'strength' } },
+    });
+    formatter.writeToStream(writable);
+    expect(await writable.asString()).toEqual([
+      '%%MatrixMarket matrix coordinate integer symmetric',
+      '3 3 2',
+      '2 1 3',
+      '3 2 4',
+      '',
+    ].join('\n'));
+  });
+});
+
+describe('MatrixMarketLabelsFormatter', () => {
+  it('lists the node for each index', async () => {
+    const writable = makeWriteableStream();
+    const withDuplicate = { ...network, nodes: [...network.nodes, network.nodes[0]] };
+    new MatrixMarketLabelsFormatter(withDuplicate, codebook, { globalOptions: {} })
+      .writeToStream(writable);
+    expect(await writable.asString()).toEqual([
+      'index,label,networkCanvasUUID,nodeID,networkCanvasType',
+      '1,a,a,1,person',
+      '2,b,b,2,person',
+      '3,c,c,3,person',
+      '',
+    ].join('\r\n'));
+  });
+
+  it('lists ego first when it is included', async () => {
+    const writable = makeWriteableStream();
+    new MatrixMarketLabelsFormatter(withEgoTies, codebook, {
+      globalOptions: { matrixIncludeEgo: true, matrixLabels: 'nodeID' },
+    }).writeToStream(writable);
+    const rows = (await writable.asString()).split('\r\n');
+    expect(rows[1]).toEqual('1,ego,ego-uid,,ego');
+    expect(rows[2]).toEqual('2,1,a,1,person');
+  });
+});
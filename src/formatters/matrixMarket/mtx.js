@@ -0,0 +1,187 @@
+/* eslint-disable max-classes-per-file */
+const {
+  entityPrimaryKeyProperty,
+  ncTypeProperty,
+  ncUUIDProperty,
+  nodeExportIDProperty,
+} = require('../../utils/reservedAttributes');
+const {
+  WeightedAdjacencyMatrix,
+  getMatrixLabelling,
+  getMatrixLabels,
+  getMatrixWeights,
+  isEgoTie,
+  matrixAggregations,
+  withEgo,
+} = require('../csv/matrix');
+const { getEdgeDirectedness } = require('../graphml/helpers');
+const { csvEOL, sanitizedCellValue } = require('../csv/csv');
+const { writeGenerator } = require('../stream');
+
+const mtxEOL = '\n';
+
+/**
+ * A sparse representation of an adjacency matrix, in the coordinate form of the Matrix Market
+ * exchange format (https://math.nist.gov/MatrixMarket/formats.html).
+ *
+ * Only non-empty cells are stored and written, so (unlike AdjacencyMatrix) there is no limit
+ * on the number of nodes, and the file size grows with the number of edges.
+ *
+ * Rows and columns are 1-indexed, in node order; the companion labels file lists the node for
+ * each index. Matrices are binary ("pattern"), unless `globalOptions.matrixWeights` is set.
+ * When every edge is undirected, only the lower triangle is written ("symmetric").
+ *
+ * @example
+ * ```
+ * %%MatrixMarket matrix coordinate pattern symmetric
+ * 3 3 2
+ * 2 1
+ * 3 2
+ * ```
+ *
+ * @param {Object} network a (partitioned) network
+ * @param {Boolean|function} directed as for AdjacencyMatrix.calculateEdges()
+ * @param {Object} [weights] as returned by getMatrixWeights()
+ * @param {boolean} [includeEgo] add ego as the first row and column; see withEgo()
+ * @return {Object} `{ dimension, field, symmetry, entries }`, where entries are 1-indexed
+ *                  `[row, col]`, or `[row, col, value]` when weighted
+ */
+const asMatrixMarket = (network, directed = false, weights = null, includeEgo = false) => {
+  const isDirected = typeof directed === 'function' ? directed : () => !!directed;
+  const matrixNetwork = includeEgo ? withEgo(network) : network;
+  const matrix = new WeightedAdjacencyMatrix(
+    matrixNetwork,
+    weights || { getWeight: () => 1, aggregation: matrixAggregations.count },
+  );
+  matrix.calculateEdges(isDirected);
+
+  const symmetric = (matrixNetwork.edges || [])
+    .every((edge) => isEgoTie(edge) || !isDirected(edge));
+
+  const entries = matrix.entries()
+    .filter(({ row, col }) => !symmetric || row >= col)
+    .map(({ row, col, value }) => (weights ? [row + 1, col + 1, value] : [row + 1, col + 1]));
+
+  let field = 'pattern';
+  if (weights) {
+    field = entries.every(([, , value]) => Number.isInteger(value)) ? 'integer' : 'real';
+  }
+
+  return {
+    dimension: matrix.dimension,
+    field,
+    symmetry: symmetric ? 'symmetric' : 'general',
+    entries,
+  };
+};
+
+function* matrixMarketGenerator({
+  dimension, field, symmetry, entries,
+}) {
+  yield [
+    `%%MatrixMarket matrix coordinate ${field} ${symmetry}`,
+    `${dimension} ${dimension} ${entries.length}`,
+  ].join(mtxEOL) + mtxEOL;
+  for (let i = 0; i < entries.length; i += 1) {
+    yield `${entries[i].join(' ')}${mtxEOL}`;
+  }
+}
+
+/**
+ * Write a Matrix Market file to the given Writable stream.
+ * @param {Object} matrixMarket as returned by asMatrixMarket()
+ * @param {Stream.Writable} outStream
+ * @return {Object} an abort controller; call the attached abort() method as needed.
+ */
+const toMatrixMarketStream = (matrixMarket, outStream) => (
+  writeGenerator(matrixMarketGenerator(matrixMarket), outStream)
+);
+
+/**
+ * The node for each row and column index, in matrix order. Nodes are identified as in
+ * attribute lists, and by the label that other matrix formats would use.
+ * @param {Object} network
+ * @param {Object} labelling as returned by getMatrixLabelling()
+ * @return {Array} `[{ index, label, node }]`
+ */
+const asMatrixMarketLabels = (network, { codebook, labelBy, includeEgo } = {}) => {
+  const matrixNetwork = includeEgo ? withEgo(network) : network;
+  const seen = new Set();
+
+  const nodes = (matrixNetwork.nodes || [])
+    .filter((node) => {
+      if (seen.has(node[entityPrimaryKeyProperty])) { return false; }
+      seen.add(node[entityPrimaryKeyProperty]);
+      return true;
+    });
+
+  const labels = getMatrixLabels(
+    matrixNetwork,
+    nodes.map((node) => node[entityPrimaryKeyProperty]),
+    codebook,
+    labelBy,
+  );
+
+  return nodes.map((node, index) => ({ index: index + 1, label: labels[index], node }));
+};
+
+const labelHeaders = ['index', 'label', ncUUIDProperty, nodeExportIDProperty, ncTypeProperty];
+
+/** Class providing a Matrix Market (.mtx) formatter for the edges of a single type. */
+class MatrixMarketFormatter {
+  constructor(network, codebook, exportOptions) {
+    this.matrixMarket = asMatrixMarket(
+      network,
+      getEdgeDirectedness(codebook, exportOptions),
+      getMatrixWeights(codebook, exportOptions),
+      getMatrixLabelling(codebook, exportOptions).includeEgo,
+    );
+  }
+
+  writeToStream(outStream) {
+    return toMatrixMarketStream(this.matrixMarket, outStream);
+  }
+}
+
+/**
+ * Class providing the CSV of node labels for the rows and columns of a session's Matrix
+ * Market files. Every edge type shares the same nodes (and so the same labels).
+ */
+class MatrixMarketLabelsFormatter {
+  constructor(network, codebook, exportOptions) {
+    this.labels = asMatrixMarketLabels(network, getMatrixLabelling(codebook, exportOptions));
+    this.codebook = codebook;
+  }
+
+  writeToStream(outStream) {
+    const { codebook, labels } = this;
+    const nodeTypeName = (type) => (
+      (codebook && codebook.node && codebook.node[type] && codebook.node[type].name) || type
+    );
+
+    function* labelsGenerator() {
+      yield `${labelHeaders.join(',')}${csvEOL}`;
+      for (let i = 0; i < labels.length; i += 1) {
+        const { index, label, node } = labels[i];
+        const values = [
+          index,
+          label,
+          node[entityPrimaryKeyProperty],
+          node[nodeExportIDProperty],
+          node.type ? nodeTypeName(node.type) : 'ego',
+        ];
+        yield `${values.map(sanitizedCellValue).join(',')}${csvEOL}`;
+      }
+    }
+
+    return writeGenerator(labelsGenerator(), outStream);
+  }
+}
+
+module.exports = {
+  MatrixMarketFormatter,
+  MatrixMarketLabelsFormatter,
+  asMatrixMarket,
+  asMatrixMarketLabels,
+  toMatrixMarketStream,
+};
@@ -0,0 +1,349 @@
+/**
+ * This module calculates network metrics for each node of a session, so that they can be
+ * exported alongside node attributes (as attribute list columns and GraphML data).
+ *
+ * Metrics are calculated for each session before networks are unified, using only the
+ * selected edge types. Edges follow the directedness of their type: undirected edges are
+ * followed in both directions, and self-loops and duplicate edges are ignored.
+ *
+ * - degree: the number of adjacent nodes, in either direction
+ * - indegree, outdegree: the number of nodes with edges to or from the node
+ * - betweenness: the number of shortest paths between other nodes that pass through the node
+ *   (Brandes' algorithm); unnormalized. When every edge is undirected, each pair of nodes is
+ *   counted once. Otherwise the network is treated as directed, with each undirected edge
+ *   as a pair of reciprocal edges, so that pairs are counted in each direction they connect.
+ * - closeness: the inverse of the sum of distances to every reachable node, or null when no
+ *   other node is reachable
+ * - eigenvector: eigenvector centrality of the undirected network, scaled so that the
+ *   largest value is 1
+ * - clustering: the proportion of pairs of adjacent nodes that are themselves adjacent
+ *   (undirected), or null for nodes with fewer than two neighbours
+ * @module Metrics
+ */
+const {
+  edgeSourceProperty,
+  edgeTargetProperty,
+  entityPrimaryKeyProperty,
+  ncSourceUUID,
+  ncTargetUUID,
+  nodeMetricsProperty,
+} = require('../utils/reservedAttributes');
+const { getEdgeDirectedness } = require('./graphml/helpers');
+
+// Column (and GraphML key) names for each metric
+const metricColumns = Object.freeze({
+  degree: 'networkCanvasDegree',
+  indegree: 'networkCanvasIndegree',
+  outdegree: 'networkCanvasOutdegree',
+  betweenness: 'networkCanvasBetweenness',
+  closeness: 'networkCanvasCloseness',
+  eigenvector: 'networkCanvasEigenvector',
+  clustering: 'networkCanvasClustering',
+});
+
+const metricDescriptions = {
+  [metricColumns.degree]: 'Number of adjacent nodes',
+  [metricColumns.indegree]: 'Number of nodes with an edge to the node',
+  [metricColumns.outdegree]: 'Number of nodes with an edge from the node',
+  [metricColumns.betweenness]: 'Number of shortest paths between other nodes through the node',
+  [metricColumns.closeness]: 'Inverse of the sum of distances to every reachable node',
+  [metricColumns.eigenvector]: 'Eigenvector centrality, scaled so that the largest is 1',
+  [metricColumns.clustering]: 'Proportion of pairs of neighbours that are adjacent',
+};
+
+// Metrics that count nodes; all others are real numbers
+const integerMetrics = [metricColumns.degree, metricColumns.indegree, metricColumns.outdegree];
+
+const defaultMetrics = ['degree', 'betweenness', 'closeness', 'eigenvector', 'clustering'];
+
+const maxEigenvectorIterations = 1000;
+const eigenvectorTolerance = 1e-10;
+
+/**
+ * Read the metrics options (`globalOptions.nodeMetrics`). This may be true, for the default
+ * metrics of every edge type, or `{ metrics, edgeTypes }`, where edge types are given by
+ * name or UUID.
+ * @param {Object} exportOptions
+ * @return {Object|null} `{ metrics, edgeTypes }`, or null when metrics are not calculated
+ * @throws {Error} if an unknown metric is requested
+ */
+const getNodeMetricsOptions = (exportOptions) => {
+  const nodeMetrics = exportOptions && exportOptions.globalOptions
+    && exportOptions.globalOptions.nodeMetrics;
+
+  if (!nodeMetrics) {
+    return null;
+  }
+
+  const { metrics = defaultMetrics, edgeTypes = null } = nodeMetrics === true ? {} : nodeMetrics;
+
+  metrics.forEach((metric) => {
+    if (!metricColumns[metric]) {
+      throw new Error(`Unknown node metric: "${metric}"`);
+    }
+  });
+
+  return { metrics, edgeTypes };
+};
+
+const isSelectedEdgeType = (codebook, edgeTypes) => (edge) => {
+  if (!edgeTypes) {
+    return true;
+  }
+
+  const definition = codebook && codebook.edge && codebook.edge[edge.type];
+  return edgeTypes.includes(edge.type) || !!(definition && edgeTypes.includes(definition.name));
+};
+
+/**
+ * Adjacency (as arrays of node indices) for a session's nodes and selected edges.
+ * @return {Object} `{ size, directed, successors, predecessors, neighbours }`
+ */
+const asGraph = (nodeIds, edges, isDirected) => {
+  const indexMap = new Map(nodeIds.map((id, index) => [id, index]));
+  const emptySets = () => nodeIds.map(() => new Set());
+  const successors = emptySets();
+  const predecessors = emptySets();
+  const neighbours = emptySets();
+  let directed = false;
+
+  edges.forEach((edge) => {
+    const from = indexMap.get(edge[ncSourceUUID] === undefined
+      ? edge[edgeSourceProperty] : edge[ncSourceUUID]);
+    const to = indexMap.get(edge[ncTargetUUID] === undefined
+      ? edge[edgeTargetProperty] : edge[ncTargetUUID]);
+
+    if (from === undefined || to === undefined || from === to) {
+      return;
+    }
+
+    successors[from].add(to);
+    predecessors[to].add(from);
+    neighbours[from].add(to);
+    neighbours[to].add(from);
+
+    if (isDirected(edge)) {
+      directed = true;
+    } else {
+      successors[to].add(from);
+      predecessors[from].add(to);
+    }
+  });
+
+  const asArrays = (sets) => sets.map((set) => [...set]);
+
+  return {
+    size: nodeIds.length,
+    directed,
+    successors: asArrays(successors),
+    predecessors: asArrays(predecessors),
+    neighbours: asArrays(neighbours),
+  };
+};
+
+// Breadth-first search from a node, following successors
+const shortestPaths = (graph, source) => {
+  const distance = new Array(graph.size).fill(-1);
+  const pathCount = new Array(graph.size).fill(0);
+  const parents = graph.successors.map(() => []);
+  const order = [];
+
+  distance[source] = 0;
+  pathCount[source] = 1;
+
+  const queue = [source];
+  for (let head = 0; head < queue.length; head += 1) {
+    const node = queue[head];
+    order.push(node);
+
+    graph.successors[node].forEach((next) => {
+      if (distance[next] < 0) {
+        distance[next] = distance[node] + 1;
+        queue.push(next);
+      }
+      if (distance[next] === distance[node] + 1) {
+        pathCount[next] += pathCount[node];
+        parents[next].push(node);
+      }
+    });
+  }
+
+  return {
+    distance, pathCount, parents, order,
+  };
+};
+
+const betweenness = (graph) => {
+  const scores = new Array(graph.size).fill(0);
+
+  for (let source = 0; source < graph.size; source += 1) {
+    const {
+      pathCount, parents, order,
+    } = shortestPaths(graph, source);
+    const dependency = new Array(graph.size).fill(0);
+
+    // Accumulate dependencies in order of decreasing distance from the source
+    for (let i = order.length - 1; i > 0; i -= 1) {
+      const node = order[i];
+      parents[node].forEach((parent) => {
+        dependency[parent] += (pathCount[parent] / pathCount[node]) * (1 + dependency[node]);
+      });
+      scores[node] += dependency[node];
+    }
+  }
+
+  // Each path of an undirected network is counted from both ends. Mixed networks are
+  // treated as directed (see above), so their paths are counted per direction.
+  return graph.directed ? scores : scores.map((score) => score / 2);
+};
+
+const closeness = (graph) => graph.successors.map((successors, source) => {
+  const { distance } = shortestPaths(graph, source);
+  const total = distance.reduce((sum, d) => (d > 0 ? sum + d : sum), 0);
+  return total > 0 ? 1 / total : null;
+});
+
+const maxDifference = (a, b) => a
+  .reduce((max, value, index) => Math.max(max, Math.abs(value - b[index])), 0);
+
+/**
+ * Power iteration on the undirected adjacency matrix. The identity is added to the matrix
+ * (which shifts every eigenvalue by 1, but leaves eigenvectors unchanged) so that
+ * iteration converges for bipartite networks.
+ */
+const eigenvector = (graph) => {
+  if (graph.neighbours.every((neighbours) => neighbours.length === 0)) {
+    return new Array(graph.size).fill(0);
+  }
+
+  const iterate = (scores) => {
+    const next = graph.neighbours.map((neighbours, node) => neighbours
+      .reduce((sum, neighbour) => sum + scores[neighbour], scores[node]));
+    const max = next.reduce((acc, score) => Math.max(acc, score), 0);
+    return next.map((score) => score / max);
+  };
+
+  let scores = new Array(graph.size).fill(1);
+  let change = Infinity;
+
+  for (
+    let iteration = 0;
+    iteration < maxEigenvectorIterations && change >= eigenvectorTolerance;
+    iteration += 1
+  ) {
+    const next = iterate(scores);
+    change = maxDifference(next, scores);
+    scores = next;
+  }
+
+  return scores;
+};
+
+const clustering = (graph) => {
+  const neighbourSets = graph.neighbours.map((neighbours) => new Set(neighbours));
+
+  return graph.neighbours.map((neighbours) => {
+    const degree = neighbours.length;
+    if (degree < 2) {
+      return null;
+    }
+
+    let links = 0;
+    neighbours.forEach((a, index) => {
+      neighbours.slice(index + 1).forEach((b) => {
+        if (neighbourSets[a].has(b)) {
+          links += 1;
+        }
+      });
+    });
+
+    return links / ((degree * (degree - 1)) / 2);
+  });
+};
+
+const calculators = {
+  degree: (graph) => graph.neighbours.map((neighbours) => neighbours.length),
+  indegree: (graph) => graph.predecessors.map((predecessors) => predecessors.length),
+  outdegree: (graph) => graph.successors.map((successors) => successors.length),
+  betweenness,
+  closeness,
+  eigenvector,
+  clustering,
+};
+
+/**
+ * Calculate metrics for every node of a (non-unified) session.
+ * @param {Object} session
+ * @param {Object} codebook
+ * @param {Object} exportOptions
+ * @return {Map} node `_uid` -> `{ [metric column]: value }`
+ */
+const calculateNodeMetrics = (session, codebook, exportOptions) => {
+  const { metrics, edgeTypes } = getNodeMetricsOptions(exportOptions);
+  const nodeIds = [...new Set((session.nodes || []).map((node) => node[entityPrimaryKeyProperty]))];
+  const graph = asGraph(
+    nodeIds,
+    (session.edges || []).filter(isSelectedEdgeType(codebook, edgeTypes)),
+    getEdgeDirectedness(codebook, exportOptions),
+  );
+
+  const results = metrics.map((metric) => [metricColumns[metric], calculators[metric](graph)]);
+
+  return new Map(nodeIds.map((id, index) => [
+    id,
+    results.reduce((acc, [column, values]) => ({ ...acc, [column]: values[index] }), {}),
+  ]));
+};
+
+/**
+ * Add metrics to every node of every session, under `nodeMetricsProperty`. Sessions of
+ * protocols that weren't provided are left unchanged.
+ * @param {Object} sessionsByProtocol sessions grouped by protocol UID
+ * @param {Object} protocols protocols by UID
+ * @param {Object} exportOptions
+ * @return {Object} sessions grouped by protocol UID
+ */
+const insertNodeMetrics = (sessionsByProtocol, protocols, exportOptions) => Object.keys(
+  sessionsByProtocol,
+).reduce((acc, protocolUID) => {
+  const protocol = protocols && protocols[protocolUID];
+
+  acc[protocolUID] = !protocol ? sessionsByProtocol[protocolUID] : sessionsByProtocol[protocolUID]
+    .map((session) => {
+      const nodeMetrics = calculateNodeMetrics(session, protocol.codebook, exportOptions);
+      return {
+        ...session,
+        nodes: session.nodes.map((node) => ({
+          ...node,
+          [nodeMetricsProperty]: nodeMetrics.get(node[entityPrimaryKeyProperty]),
+        })),
+      };
+    });
+
+  return acc;
+}, {});
+
+/**
+ * The metric columns of a list of nodes, in the order they were calculated.
+ * @param {Array} nodes
+ * @return {Array}
+ */
+const nodeMetricsHeaders = (nodes) => [...nodes.reduce((headers, node) => {
+  Object.keys(node[nodeMetricsProperty] || {}).forEach((column) => {
+    headers.add(column);
+  });
+  return headers;
+}, new Set())];
+
+const isNodeMetricColumn = (column) => Object.values(metricColumns).includes(column);
+
+module.exports = {
+  calculateNodeMetrics,
+  getNodeMetricsOptions,
+  insertNodeMetrics,
+  integerMetrics,
+  isNodeMetricColumn,
+  metricColumns,
+  metricDescriptions,
+  nodeMetricsHeaders,
+};
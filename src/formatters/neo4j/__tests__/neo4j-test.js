@@ -0,0 +1,196 @@
+/* eslint-env jest */
+import { makeWriteableStream } from '../../../../config/setupTestEnv';
+import {
+  mockExportOptions, mockNetwork, mockNetwork2, mockCodebook, processMockNetworks,
+} from '../../../../config/mockObjects';
+import { partitionNetworkByType } from '../../network';
+import { ncSourceUUID, ncTargetUUID } from '../../../utils/reservedAttributes';
+import { getNeo4jTypeForVariable } from '../helpers';
+import {
+  Neo4jNodeFormatter, asEgoTable, asNodeTable, asRelationshipTable,
+} from '../import-csv';
+import CypherFormatter from '../CypherFormatter';
+import { cypherLiteral, quoteIdentifier } from '../createCypher';
+
+const getNetwork = () => processMockNetworks([mockNetwork, mockNetwork2], true)['protocol-uid-1'][0];
+
+describe('Neo4j', () => {
+  describe('getNeo4jTypeForVariable', () => {
+    it('maps codebook types', () => {
+      expect(getNeo4jTypeForVariable('boolean')).toEqual('boolean');
+      expect(getNeo4jTypeForVariable('categorical')).toEqual('string[]');
+      expect(getNeo4jTypeForVariable('scalar')).toEqual('float');
+      expect(getNeo4jTypeForVariable('text')).toEqual('string');
+      expect(getNeo4jTypeForVariable('datetime')).toEqual('string');
+    });
+
+    it('uses the data to determine numeric types', () => {
+      const entities = [{ attributes: { a: 1, b: 1.5 } }, { attributes: { a: 2, b: 2 } }];
+      expect(getNeo4jTypeForVariable('number', entities, 'a')).toEqual('int');
+      expect(getNeo4jTypeForVariable('number', entities, 'b')).toEqual('float');
+    });
+  });
+
+  describe('import CSVs', () => {
+    it('writes typed node headers', () => {
+      const [partition] = partitionNetworkByType(mockCodebook, getNetwork(), 'neo4jNodes');
+      const { headers, rows } = asNodeTable(partition, mockCodebook);
+
+      expect(headers).toEqual([
+        'networkCanvasUUID:ID',
+        ':LABEL',
+        'nodeID:int',
+        'networkCanvasEgoUUID',
+        'networkCanvasSessionID',
+        'firstName',
+        'age:int',
+        'layout_x:float',
+        'layout_y:float',
+        'boolWithValues:boolean',
+        'nullBool:boolean',
+        'unusedBool:boolean',
+      ]);
+      expect(rows).toHaveLength(6);
+      expect(rows[0]).toEqual(['1', 'person', 1, 'ego-id-1', 'session-id-1', 'Dee', 40, 0, 0, true, null, null]);
+      expect(rows[4]).toEqual(['10', 'person', 1, 'ego-id-10', 'session-id-2', 'Jimbo', 20, 10, 50, null, null, null]);
+    });
+
+    it('writes relationships between node UUIDs', () => {
+      const [partition] = partitionNetworkByType(mockCodebook, getNetwork(), 'neo4jRelationships');
+      const { headers, rows } = asRelationshipTable(partition, mockCodebook, mockExportOptions);
+
+      expect(headers.slice(0, 3)).toEqual([':START_ID', ':END_ID', ':TYPE']);
+      expect(rows.map((row) => row.slice(0, 3))).toEqual([
+        ['1', '2', 'peer'],
+        ['10', '20', 'peer'],
+      ]);
+    });
+
+    it('records whether each relationship\'s edge type is directed', () => {
+      const [partition] = partitionNetworkByType(mockCodebook, getNetwork(), 'neo4jRelationships');
+      const directedIndex = (headers) => headers.indexOf('networkCanvasDirected:boolean');
+      const table = asRelationshipTable(partition, mockCodebook, mockExportOptions);
+      expect(table.rows.map((row) => row[directedIndex(table.headers)])).toEqual([false, false]);
+
+      const codebook = {
+        ...mockCodebook,
+        edge: {
+          ...mockCodebook.edge,
+          'mock-edge-type': { ...mockCodebook.edge['mock-edge-type'], directed: true },
+        },
+      };
+      const directedTable = asRelationshipTable(partition, codebook, mockExportOptions);
+      expect(directedTable.rows.map((row) => row[directedIndex(directedTable.headers)]))
+        .toEqual([true, true]);
+    });
+
+    it('writes an ego node per session', () => {
+      const { headers, rows } = asEgoTable(getNetwork(), mockCodebook);
+
+      expect(headers.slice(0, 2)).toEqual(['networkCanvasEgoUUID:ID', ':LABEL']);
+      expect(headers).toContain('egoAge:int');
+      expect(rows.map((row) => row.slice(0, 4))).toEqual([
+        ['ego-id-1', 'Ego', 123, 'session-id-1'],
+        ['ego-id-10', 'Ego', 456, 'session-id-2'],
+      ]);
+    });
+
+    it('leaves out sessions without an ego', () => {
+      const network = getNetwork();
+      const { rows } = asEgoTable({
+        ...network,
+        ego: { 'session-id-2': network.ego['session-id-2'] },
+      }, mockCodebook);
+
+      expect(rows.map(([egoID]) => egoID)).toEqual(['ego-id-10']);
+    });
+
+    it('skips relationships to nodes outside the network', () => {
+      const network = {
+        nodes: [{ _uid: '1', type: 'person' }, { _uid: '2', type: 'person' }],
+        edges: [
+          {
+            _uid: 'e1', type: 'peer', [ncSourceUUID]: '1', [ncTargetUUID]: '2',
+          },
+          {
+            _uid: 'e2', type: 'peer', [ncSourceUUID]: '1', [ncTargetUUID]: 'missing',
+          },
+        ],
+      };
+      const { rows } = asRelationshipTable(network, mockCodebook, mockExportOptions);
+
+      expect(rows.map((row) => row.slice(0, 2))).toEqual([['1', '2']]);
+    });
+
+    it('joins array values with the import delimiter', async () => {
+      const codebook = {
+        ...mockCodebook,
+        node: {
+          'mock-node-type': {
+            name: 'person',
+            variables: { 'mock-uuid-1': { name: 'tags', type: 'categorical' } },
+          },
+        },
+      };
+      const network = {
+        nodes: [{ _uid: '1', type: 'mock-node-type', attributes: { 'mock-uuid-1': ['a', 'b'] } }],
+      };
+      const writable = makeWriteableStream();
+      new Neo4jNodeFormatter(network, codebook, mockExportOptions).writeToStream(writable);
+      const csv = await writable.asString();
+      expect(csv).toContain('tags:string[]');
+      expect(csv).toContain('person,,,,a;b\r\n');
+    });
+  });
+
+  describe('Cypher', () => {
+    it('formats literals according to column type', () => {
+      expect(cypherLiteral('say "hi"')).toEqual('"say \\"hi\\""');
+      expect(cypherLiteral(1)).toEqual('"1"');
+      expect(cypherLiteral(1, 'int')).toEqual('1');
+      expect(cypherLiteral(false, 'boolean')).toEqual('false');
+      expect(cypherLiteral(['a', 'b'], 'string[]')).toEqual('["a", "b"]');
+      expect(cypherLiteral(null)).toBeNull();
+      expect(quoteIdentifier('a`b')).toEqual('`a``b`');
+    });
+
+    it('creates egos, nodes and relationships', async () => {
+      const formatter = new CypherFormatter(getNetwork(), mockCodebook, mockExportOptions);
+      const cypher = await formatter.writeToString();
+      const lines = cypher.split('\n');
+
+      expect(lines).toContain('CREATE INDEX IF NOT EXISTS FOR (n:`person`) ON (n.networkCanvasUUID);');
+      expect(lines.filter((line) => line.startsWith('CREATE (:Ego '))).toHaveLength(2);
+      expect(lines.filter((line) => line.startsWith('CREATE (:`person` '))).toHaveLength(6);
+      expect(lines).toContain('CREATE (:`person` {`networkCanvasUUID`: "1", `nodeID`: 1, `networkCanvasEgoUUID`: "ego-id-1", `networkCanvasSessionID`: "session-id-1", `firstName`: "Dee", `age`: 40, `layout_x`: 0, `layout_y`: 0, `boolWithValues`: true});');
+      expect(lines.filter((line) => line.startsWith('MATCH '))).toEqual(expect.arrayContaining([
+        expect.stringMatching(/^MATCH \(a:`person` \{networkCanvasUUID: "1"\}\), \(b:`person` \{networkCanvasUUID: "2"\}\) CREATE \(a\)-\[:`peer` \{.*\}\]->\(b\);$/),
+      ]));
+    });
+
+    it('keeps property names that contain colons', async () => {
+      const codebook = {
+        node: {
+          'mock-node-type': {
+            name: 'person',
+            variables: { 'mock-uuid-1': { name: 'score:raw', type: 'text' } },
+          },
+        },
+        edge: { peer: { name: 'peer' } },
+      };
+      const network = {
+        nodes: [{ _uid: '1', type: 'mock-node-type', attributes: { 'mock-uuid-1': 5 } }],
+        edges: [{
+          _uid: 'e1', type: 'peer', [ncSourceUUID]: '1', [ncTargetUUID]: 'missing',
+        }],
+        sessionVariables: {},
+      };
+      const cypher = await new CypherFormatter(network, codebook, mockExportOptions)
+        .writeToString();
+
+      expect(cypher).toContain('`score:raw`: "5"');
+      expect(cypher).not.toContain('MATCH');
+      expect(cypher).not.toContain('CREATE (:Ego');
+    });
+  });
+});
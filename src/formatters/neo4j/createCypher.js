@@ -0,0 +1,135 @@
+const { isNil } = require('lodash');
+const {
+  asEgoTable, asNodeTable, asRelationshipTable, getRelationshipEdges,
+} = require('./import-csv');
+const { partitionNetworkByType } = require('../network');
+const { getTypeName } = require('./helpers');
+const {
+  egoProperty,
+  entityPrimaryKeyProperty,
+  ncSourceUUID,
+  ncTargetUUID,
+  ncUUIDProperty,
+} = require('../../utils/reservedAttributes');
+
+const eol = '\n';
+const batchSize = 100;
+
+/**
+ * Quote an identifier (label, relationship type or property key) with backticks.
+ */
+const quoteIdentifier = (name) => `\`${String(name).replace(/`/g, '``')}\``;
+
+/**
+ * Format a value as a Cypher literal, matching the column types used for bulk import.
+ * JSON string escapes are valid in Cypher strings.
+ * @param {*} value
+ * @param {string} type a Neo4j import type, e.g. 'int' or 'string[]'. Defaults to string.
+ * @return {string|null} null if the value can't be represented (and should be omitted)
+ */
+const cypherLiteral = (value, type = 'string') => {
+  if (isNil(value)) { return null; }
+  if (Array.isArray(value)) {
+    return `[${value.map((item) => cypherLiteral(item)).filter((item) => item !== null).join(', ')}]`;
+  }
+  if (typeof value === 'object') { return JSON.stringify(JSON.stringify(value)); }
+  if (type !== 'string' && type !== 'ID') {
+    if (typeof value === 'number') { return Number.isFinite(value) ? String(value) : null; }
+    if (typeof value === 'boolean') { return String(value); }
+  }
+  return JSON.stringify(String(value));
+};
+
+/**
+ * Turn an import table (see ./import-csv) into property maps, skipping the
+ * special (`:LABEL`, `:START_ID`, etc.) columns, which have no name.
+ */
+const tableRowsAsProperties = ({ columns, rows }) => {
+  const properties = columns
+    .map(({ name, type }, index) => ({ name, type, index }))
+    .filter(({ name }) => name !== '');
+
+  return rows.map((row) => {
+    const rowProperties = properties
+      .map(({ name, type, index }) => {
+        const literal = cypherLiteral(row[index], type);
+        return literal === null ? null : `${quoteIdentifier(name)}: ${literal}`;
+      })
+      .filter((property) => property !== null);
+    return `{${rowProperties.join(', ')}}`;
+  });
+};
+
+/**
+ * Generator function to supply a Cypher script in chunks to both string and stream
+ * producers. The script creates an `Ego` node per session, a node for each alter
+ * (labelled with its node type name) and a relationship for each edge between them.
+ * Relationships record whether their edge type is directed, as in ./import-csv.
+ *
+ * @param {Object} network a unified network (i.e. one per protocol)
+ * @param {Object} codebook
+ * @param {Object} exportOptions
+ */
+function* cypherGenerator(network, codebook, exportOptions) {
+  const nodes = network.nodes || [];
+  const labelByUUID = {};
+  nodes.forEach((node) => {
+    labelByUUID[node[entityPrimaryKeyProperty]] = getTypeName(codebook, 'node', node.type);
+  });
+  const labels = [...new Set(Object.values(labelByUUID))];
+
+  yield `// Network Canvas export${eol}`;
+
+  yield `CREATE INDEX IF NOT EXISTS FOR (n:Ego) ON (n.${egoProperty});${eol}`;
+  for (let i = 0; i < labels.length; i += 1) {
+    yield `CREATE INDEX IF NOT EXISTS FOR (n:${quoteIdentifier(labels[i])}) ON (n.${ncUUIDProperty});${eol}`;
+  }
+
+  const egoProperties = tableRowsAsProperties(asEgoTable(network, codebook));
+  for (let i = 0; i < egoProperties.length; i += 1) {
+    yield `CREATE (:Ego ${egoProperties[i]});${eol}`;
+  }
+
+  const nodePartitions = partitionNetworkByType(codebook, network, 'attributeList');
+  for (let p = 0; p < nodePartitions.length; p += 1) {
+    const partitionNodes = nodePartitions[p].nodes || [];
+    const properties = tableRowsAsProperties(asNodeTable(nodePartitions[p], codebook));
+    for (let i = 0; i < properties.length; i += batchSize) {
+      yield properties.slice(i, i + batchSize)
+        .map((props, index) => {
+          const label = getTypeName(codebook, 'node', partitionNodes[i + index].type);
+          return `CREATE (:${quoteIdentifier(label)} ${props});${eol}`;
+        })
+        .join('');
+    }
+  }
+
+  const edgePartitions = partitionNetworkByType(codebook, network, 'edgeList');
+  for (let p = 0; p < edgePartitions.length; p += 1) {
+    const partitionEdges = getRelationshipEdges(edgePartitions[p]);
+    const properties = tableRowsAsProperties(
+      asRelationshipTable(edgePartitions[p], codebook, exportOptions),
+    );
+    for (let i = 0; i < properties.length; i += batchSize) {
+      yield properties.slice(i, i + batchSize)
+        .map((props, index) => {
+          const edge = partitionEdges[i + index];
+          const source = edge[ncSourceUUID];
+          const target = edge[ncTargetUUID];
+          const match = [
+            `(a:${quoteIdentifier(labelByUUID[source])} {${ncUUIDProperty}: ${cypherLiteral(source)}})`,
+            `(b:${quoteIdentifier(labelByUUID[target])} {${ncUUIDProperty}: ${cypherLiteral(target)}})`,
+          ].join(', ');
+          const type = quoteIdentifier(getTypeName(codebook, 'edge', edge.type));
+          return `MATCH ${match} CREATE (a)-[:${type} ${props}]->(b);${eol}`;
+        })
+        .join('');
+    }
+  }
+}
+
+module.exports = {
+  cypherGenerator,
+  cypherLiteral,
+  quoteIdentifier,
+};
@@ -0,0 +1,83 @@
+const { isNil } = require('lodash');
+const { getGraphMLTypeForKey, getEntityAttributes } = require('../graphml/helpers');
+const { VariableType } = require('../../utils/protocol-consts');
+
+/**
+ * Map a codebook variable type to a Neo4j property type. Numeric types are
+ * determined from the data, using the GraphML type mapping.
+ * @param {string} variableType
+ * @param {Array} entities entities of a single type, used to inspect numeric values
+ * @param {string} key the attribute (variable UUID)
+ */
+const getNeo4jTypeForVariable = (variableType, entities, key) => {
+  switch (variableType) {
+    case VariableType.boolean:
+      return 'boolean';
+    case VariableType.ordinal:
+    case VariableType.number: {
+      const graphMLType = getGraphMLTypeForKey(entities, key);
+      if (graphMLType === 'int') { return 'int'; }
+      if (graphMLType === 'double') { return 'float'; }
+      return graphMLType ? 'string' : 'float';
+    }
+    case VariableType.scalar:
+      return 'float';
+    case VariableType.categorical:
+      return 'string[]';
+    case VariableType.text:
+    case VariableType.datetime:
+    default:
+      return 'string';
+  }
+};
+
+/**
+ * Describe the properties for an entity type, derived from its codebook variables.
+ * Layout variables are split into `_x` and `_y` properties, matching the CSV output.
+ *
+ * @param {Object} variables codebook variables for the entity type
+ * @param {Array} entities
+ * @return {Array} of `{ key, name, type, component }`
+ */
+const getPropertyDefinitions = (variables = {}, entities = []) => Object.entries(variables)
+  .reduce((definitions, [key, variable]) => {
+    if (variable.type === VariableType.layout) {
+      return [
+        ...definitions,
+        {
+          key, name: `${variable.name}_x`, type: 'float', component: 'x',
+        },
+        {
+          key, name: `${variable.name}_y`, type: 'float', component: 'y',
+        },
+      ];
+    }
+
+    return [
+      ...definitions,
+      { key, name: variable.name, type: getNeo4jTypeForVariable(variable.type, entities, key) },
+    ];
+  }, []);
+
+/**
+ * @param {Object} definition from getPropertyDefinitions()
+ * @param {Object} entity
+ * @return {*} the property value, or null if not set
+ */
+const getPropertyValue = (definition, entity) => {
+  const value = getEntityAttributes(entity)[definition.key];
+  if (isNil(value)) { return null; }
+  if (!definition.component) { return value; }
+  return isNil(value[definition.component]) ? null : value[definition.component];
+};
+
+const getTypeName = (codebook, type, entityType) => (
+  (codebook[type] && codebook[type][entityType] && codebook[type][entityType].name) || entityType
+);
+
+module.exports = {
+  getNeo4jTypeForVariable,
+  getPropertyDefinitions,
+  getPropertyValue,
+  getTypeName,
+};
@@ -0,0 +1,248 @@
+/* eslint-disable max-classes-per-file */
+/**
+ * This module provides node and relationship CSVs for use with `neo4j-admin import`.
+ * See https://neo4j.com/docs/operations-manual/current/tools/neo4j-admin/neo4j-admin-import/
+ *
+ * Networks are expected to be unified (one network per protocol), so that
+ * ego and session variables are keyed by session ID.
+ *
+ * Relationships always have a direction in Neo4j, so each records whether its edge type is
+ * directed (`networkCanvasDirected`). Match undirected relationships without a direction.
+ * @module Neo4j
+ */
+const { isNil } = require('lodash');
+const { csvEOL, sanitizedCellValue } = require('../csv/csv');
+const { getPropertyDefinitions, getPropertyValue, getTypeName } = require('./helpers');
+const { isDirectedEdgeType } = require('../graphml/helpers');
+const { writeGenerator } = require('../stream');
+const {
+  caseProperty,
+  edgeExportIDProperty,
+  egoProperty,
+  entityPrimaryKeyProperty,
+  ncCaseProperty,
+  ncDirectedProperty,
+  ncProtocolNameProperty,
+  ncSessionProperty,
+  ncSourceUUID,
+  ncTargetUUID,
+  ncUUIDProperty,
+  nodeExportIDProperty,
+  protocolName,
+  sessionExportTimeProperty,
+  sessionFinishTimeProperty,
+  sessionProperty,
+  sessionStartTimeProperty,
+} = require('../../utils/reservedAttributes');
+
+// Label applied to ego nodes
+const egoLabel = 'Ego';
+
+// neo4j-admin import's default array delimiter
+const arrayDelimiter = ';';
+
+const cellValue = (value) => {
+  if (isNil(value)) { return ''; }
+  if (Array.isArray(value)) { return sanitizedCellValue(value.join(arrayDelimiter)); }
+  return sanitizedCellValue(value);
+};
+
+/**
+ * Header for a column described by `{ name, type }`, where type is a Neo4j import type, or
+ * a special column type (e.g. 'ID' or 'LABEL'). Special columns without a name aren't
+ * stored as properties.
+ */
+const columnHeader = ({ name, type }) => (!type || type === 'string' ? name : `${name}:${type}`);
+
+// Columns and (CSV) headers of a table
+const asColumns = (columns) => ({ columns, headers: columns.map(columnHeader) });
+
+/**
+ * Edges whose source and target are both nodes of the network. Other edges can't be
+ * created as relationships.
+ * @param {Object} network
+ * @return {Array}
+ */
+const getRelationshipEdges = (network) => {
+  const nodeIDs = new Set((network.nodes || []).map((node) => node[entityPrimaryKeyProperty]));
+  return (network.edges || [])
+    .filter((edge) => nodeIDs.has(edge[ncSourceUUID]) && nodeIDs.has(edge[ncTargetUUID]));
+};
+
+/**
+ * @param {Array} headers
+ * @param {Array} rows arrays of cell values
+ */
+function* csvGenerator(headers, rows) {
+  yield `${headers.map(sanitizedCellValue).join(',')}${csvEOL}`;
+  for (let i = 0; i < rows.length; i += 1) {
+    yield `${rows[i].map(cellValue).join(',')}${csvEOL}`;
+  }
+}
+
+/**
+ * @param {Array} headers
+ * @param {Array} rows arrays of cell values
+ * @return {Object} an abort controller; call the attached abort() method as needed.
+ */
+const toCSVStream = (headers, rows, outStream) => (
+  writeGenerator(csvGenerator(headers, rows), outStream)
+);
+
+/**
+ * Nodes of a single type, identified by UUID, and labelled with the node type name.
+ * @param {Object} network a network partitioned by node type
+ * @param {Object} codebook
+ * @return {Object} `{ columns, headers, rows }`
+ */
+const asNodeTable = (network, codebook) => {
+  const nodes = network.nodes || [];
+  const nodeType = nodes.length > 0 && codebook.node && codebook.node[nodes[0].type];
+  const variables = nodeType && nodeType.variables;
+  const definitions = getPropertyDefinitions(variables, nodes);
+
+  return {
+    ...asColumns([
+      { name: ncUUIDProperty, type: 'ID' },
+      { name: '', type: 'LABEL' },
+      { name: nodeExportIDProperty, type: 'int' },
+      { name: egoProperty },
+      { name: ncSessionProperty },
+      ...definitions,
+    ]),
+    rows: nodes.map((node) => [
+      node[entityPrimaryKeyProperty],
+      getTypeName(codebook, 'node', node.type),
+      node[nodeExportIDProperty],
+      node[egoProperty],
+      node[sessionProperty],
+      ...definitions.map((definition) => getPropertyValue(definition, node)),
+    ]),
+  };
+};
+
+/**
+ * Edges of a single type, as relationships between node UUIDs. Edges to nodes that aren't in
+ * the network are skipped.
+ * @param {Object} network a network partitioned by edge type
+ * @param {Object} codebook
+ * @param {Object} exportOptions
+ * @return {Object} `{ columns, headers, rows }`
+ */
+const asRelationshipTable = (network, codebook, exportOptions) => {
+  const edges = getRelationshipEdges(network);
+  const edgeType = edges.length > 0 && codebook.edge && codebook.edge[edges[0].type];
+  const variables = edgeType && edgeType.variables;
+  const definitions = getPropertyDefinitions(variables, edges);
+
+  return {
+    ...asColumns([
+      { name: '', type: 'START_ID' },
+      { name: '', type: 'END_ID' },
+      { name: '', type: 'TYPE' },
+      { name: ncUUIDProperty },
+      { name: ncDirectedProperty, type: 'boolean' },
+      { name: edgeExportIDProperty, type: 'int' },
+      { name: egoProperty },
+      { name: ncSessionProperty },
+      ...definitions,
+    ]),
+    rows: edges.map((edge) => [
+      edge[ncSourceUUID],
+      edge[ncTargetUUID],
+      getTypeName(codebook, 'edge', edge.type),
+      edge[entityPrimaryKeyProperty],
+      isDirectedEdgeType(codebook, edge.type, exportOptions),
+      edge[edgeExportIDProperty],
+      edge[egoProperty],
+      edge[sessionProperty],
+      ...definitions.map((definition) => getPropertyValue(definition, edge)),
+    ]),
+  };
+};
+
+/**
+ * Ego for each session, with session variables, labelled `Ego`. Sessions without an ego are
+ * left out, as there is no ego ID.
+ * @param {Object} network a unified network
+ * @param {Object} codebook
+ * @return {Object} `{ columns, headers, rows }`
+ */
+const asEgoTable = (network, codebook) => {
+  const sessionVariables = network.sessionVariables || {};
+  const sessionIDs = Object.keys(sessionVariables).filter((sessionID) => (
+    network.ego && network.ego[sessionID] && network.ego[sessionID][entityPrimaryKeyProperty]
+  ));
+  const egos = sessionIDs.map((sessionID) => network.ego[sessionID]);
+  const definitions = getPropertyDefinitions(codebook.ego && codebook.ego.variables, egos);
+
+  return {
+    ...asColumns([
+      { name: egoProperty, type: 'ID' },
+      { name: '', type: 'LABEL' },
+      { name: ncCaseProperty },
+      { name: ncSessionProperty },
+      { name: ncProtocolNameProperty },
+      { name: sessionStartTimeProperty },
+      { name: sessionFinishTimeProperty },
+      { name: sessionExportTimeProperty },
+      ...definitions,
+    ]),
+    rows: sessionIDs.map((sessionID, index) => {
+      const session = sessionVariables[sessionID];
+      const ego = egos[index];
+      return [
+        ego[entityPrimaryKeyProperty],
+        egoLabel,
+        session[caseProperty],
+        session[sessionProperty],
+        session[protocolName],
+        session[sessionStartTimeProperty],
+        session[sessionFinishTimeProperty],
+        session[sessionExportTimeProperty],
+        ...definitions.map((definition) => getPropertyValue(definition, ego)),
+      ];
+    }),
+  };
+};
+
+class Neo4jNodeFormatter {
+  constructor(network, codebook) {
+    this.table = asNodeTable(network, codebook);
+  }
+
+  writeToStream(outStream) {
+    return toCSVStream(this.table.headers, this.table.rows, outStream);
+  }
+}
+
+class Neo4jRelationshipFormatter {
+  constructor(network, codebook, exportOptions) {
+    this.table = asRelationshipTable(network, codebook, exportOptions);
+  }
+
+  writeToStream(outStream) {
+    return toCSVStream(this.table.headers, this.table.rows, outStream);
+  }
+}
+
+class Neo4jEgoFormatter {
+  constructor(network, codebook) {
+    this.table = asEgoTable(network, codebook);
+  }
+
+  writeToStream(outStream) {
+    return toCSVStream(this.table.headers, this.table.rows, outStream);
+  }
+}
+
+module.exports = {
+  Neo4jEgoFormatter,
+  Neo4jNodeFormatter,
+  Neo4jRelationshipFormatter,
+  asEgoTable,
+  asNodeTable,
+  asRelationshipTable,
+  egoLabel,
+  getRelationshipEdges,
+};
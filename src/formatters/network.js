@@ -10,10 +10,73 @@ const {
   ncTargetUUID,
   edgeSourceProperty,
   edgeTargetProperty,
+  caseProperty,
 } = require('../utils/reservedAttributes');
 const { getEntityAttributes } = require('../utils/general');
 const { getAttributePropertyFromCodebook } = require('./graphml/helpers');
 
+/**
+ * The output columns for a single codebook variable. Categorical variables are expanded to
+ * one boolean column per option, and layout variables to one column per coordinate.
+ *
+ * This is the single source of column names for tabular formats, and for the data
+ * dictionary that describes them.
+ *
+ * @param {Object} variable codebook variable definition `{ name, type, options }`
+ * @param {*} attributeData the value of the variable for an entity
+ * @param {Object} exportOptions export options object from FileExportManager
+ * @return {Array} `[{ column, value, derivation, option }]`, where derivation is one of
+ *                 'value', 'categoricalOption', 'layoutX', 'layoutY', 'layoutScreenSpaceX',
+ *                 or 'layoutScreenSpaceY'
+ */
+const getVariableColumns = (variable, attributeData, exportOptions) => {
+  const { name, type, options } = variable;
+
+  if (type === 'categorical') {
+    return (options || []).map((option) => ({
+      column: `${name}_${option.value}`,
+      value: !!attributeData && includes(attributeData, option.value),
+      derivation: 'categoricalOption',
+      option,
+    }));
+  }
+
+  if (type === 'layout') {
+    // Process screenLayoutCoordinates option
+    const xCoord = attributeData && attributeData.x;
+    const yCoord = attributeData && attributeData.y;
+
+    const {
+      screenLayoutWidth,
+      screenLayoutHeight,
+      useScreenLayoutCoordinates,
+    } = exportOptions.globalOptions;
+
+    const screenSpaceColumns = attributeData && useScreenLayoutCoordinates
+      ? [
+        {
+          column: `${name}_screenSpaceX`,
+          value: (attributeData.x * screenLayoutWidth).toFixed(2),
+          derivation: 'layoutScreenSpaceX',
+        },
+        {
+          column: `${name}_screenSpaceY`,
+          value: ((1.0 - attributeData.y) * screenLayoutHeight).toFixed(2),
+          derivation: 'layoutScreenSpaceY',
+        },
+      ]
+      : [];
+
+    return [
+      { column: `${name}_x`, value: xCoord, derivation: 'layoutX' },
+      { column: `${name}_y`, value: yCoord, derivation: 'layoutY' },
+      ...screenSpaceColumns,
+    ];
+  }
+
+  return [{ column: name, value: attributeData, derivation: 'value' }];
+};
+
 // Determine which variables to include
 // TODO: Move this to CSV formatter, since only CSV uses it
 const processEntityVariables = (entity, entityType, codebook, exportOptions) => ({
@@ -22,55 +85,37 @@ const processEntityVariables = (entity, entityType, codebook, exportOptions) =>
     (accumulatedAttributes, attributeUUID) => {
       const attributeName = getAttributePropertyFromCodebook(codebook, entityType, entity, attributeUUID, 'name');
       const attributeType = getAttributePropertyFromCodebook(codebook, entityType, entity, attributeUUID, 'type');
+      const attributeOptions = getAttributePropertyFromCodebook(codebook, entityType, entity, attributeUUID, 'options');
       const attributeData = getEntityAttributes(entity)[attributeUUID];
 
-      if (attributeType === 'categorical') {
-        const attributeOptions = getAttributePropertyFromCodebook(codebook, entityType, entity, attributeUUID, 'options') || [];
-        const optionData = attributeOptions.reduce((accumulatedOptions, optionName) => (
-          {
-            ...accumulatedOptions,
-            [`${attributeName}_${optionName.value}`]: !!attributeData && includes(attributeData, optionName.value),
-          }
-        ), {});
-        return { ...accumulatedAttributes, ...optionData };
+      if (!attributeName) {
+        return { ...accumulatedAttributes, [attributeUUID]: attributeData };
       }
 
-      if (attributeType === 'layout') {
-        // Process screenLayoutCoordinates option
-        const xCoord = attributeData && attributeData.x;
-        const yCoord = attributeData && attributeData.y;
-
-        const {
-          screenLayoutWidth,
-          screenLayoutHeight,
-          useScreenLayoutCoordinates,
-        } = exportOptions.globalOptions;
-
-        const screenSpaceAttributes = attributeData && useScreenLayoutCoordinates
-          ? {
-            [`${attributeName}_screenSpaceX`]: (attributeData.x * screenLayoutWidth).toFixed(2),
-            [`${attributeName}_screenSpaceY`]: ((1.0 - attributeData.y) * screenLayoutHeight).toFixed(2),
-          }
-          : {};
-
-        const layoutAttrs = {
-          [`${attributeName}_x`]: xCoord,
-          [`${attributeName}_y`]: yCoord,
-          ...screenSpaceAttributes,
-        };
-
-        return { ...accumulatedAttributes, ...layoutAttrs };
-      }
-
-      if (attributeName) {
-        return { ...accumulatedAttributes, [attributeName]: attributeData };
-      }
+      const columns = getVariableColumns(
+        { name: attributeName, type: attributeType, options: attributeOptions },
+        attributeData,
+        exportOptions,
+      );
 
-      return { ...accumulatedAttributes, [attributeUUID]: attributeData };
+      return columns.reduce((acc, { column, value }) => ({
+        ...acc,
+        [column]: value,
+      }), accumulatedAttributes);
     }, {},
   ),
 });
 
+// Replace attribute UUIDs with variable names from the codebook, leaving values
+// untouched. Attributes not found in the codebook keep their original key.
+const resolveAttributeNames = (entity, entityType, codebook) => {
+  const attributes = getEntityAttributes(entity);
+  return Object.keys(attributes).reduce((resolved, attributeUUID) => {
+    const attributeName = getAttributePropertyFromCodebook(codebook, entityType, entity, attributeUUID, 'name');
+    return { ...resolved, [attributeName || attributeUUID]: attributes[attributeUUID] };
+  }, {});
+};
+
 // Iterates a network, and adds an attribute to nodes and edges
 // that references the ego ID that nominated it
 const insertNetworkEgo = (session) => (
@@ -97,18 +142,32 @@ const insertEgoIntoSessionNetworks = (sessions) => (
  * @param  {Object} codebook
  * @param  {Array} session in NC format
  * @param  {string} format one of `formats`
+ * @param  {Object} exportOptions export options object from FileExportManager
  * @return {Array} An array of networks, partitioned by type. Each network object is decorated
  *                 with an additional `partitionEntity` prop to facilitate format naming.
  */
-const partitionNetworkByType = (codebook, session, format) => {
+const partitionNetworkByType = (codebook, session, format, exportOptions = {}) => {
   const getEntityName = (uuid, type) => codebook[type][uuid].name;
 
   switch (format) {
     case 'graphml':
+    case 'gexf':
+    case 'json':
+    case 'xlsx':
+    case 'dot':
+    case 'spssEgo':
+    case 'stataEgo':
+    case 'stataRenames':
+    case 'matrixMarketLabels':
+    case 'neo4jEgo':
+    case 'cypher':
     case 'ego': {
       return [session];
     }
-    case 'attributeList': {
+    case 'attributeList':
+    case 'spssAttributeList':
+    case 'stataAttributeList':
+    case 'neo4jNodes': {
       if (!session.nodes.length) {
         return [session];
       }
@@ -125,8 +184,34 @@ const partitionNetworkByType = (codebook, session, format) => {
         partitionEntity: getEntityName(nodeType, 'node'),
       }));
     }
+    case 'svg': {
+      // Sociograms are always drawn per session, so unified networks are split up again
+      if (!(exportOptions.globalOptions && exportOptions.globalOptions.unifyNetworks)) {
+        return [session];
+      }
+
+      return Object.keys(session.sessionVariables).map((sessionID) => ({
+        nodes: session.nodes.filter((node) => node[sessionProperty] === sessionID),
+        edges: session.edges.filter((edge) => edge[sessionProperty] === sessionID),
+        ego: session.ego[sessionID],
+        sessionVariables: session.sessionVariables[sessionID],
+        partitionEntity: `${session.sessionVariables[sessionID][caseProperty]}_${sessionID}`,
+      }));
+    }
+    case 'pajek': {
+      // Unified networks are written as a single multi-relational file
+      if (exportOptions.globalOptions && exportOptions.globalOptions.unifyNetworks) {
+        return [session];
+      }
+
+      return partitionNetworkByType(codebook, session, 'edgeList');
+    }
     case 'edgeList':
-    case 'adjacencyMatrix': {
+    case 'adjacencyMatrix':
+    case 'ucinetDL':
+    case 'matrixMarket':
+    case 'stataEdgeList':
+    case 'neo4jRelationships': {
       if (!session.edges.length) {
         return [session];
       }
@@ -222,10 +307,12 @@ const unionOfNetworks = (sessionsByProtocol) => Object.keys(sessionsByProtocol)
   }, {});
 
 module.exports = {
+  getVariableColumns,
   processEntityVariables,
   insertNetworkEgo,
   insertEgoIntoSessionNetworks,
   partitionNetworkByType,
   resequenceIds,
+  resolveAttributeNames,
   unionOfNetworks,
 };
@@ -0,0 +1,123 @@
+/* eslint-env jest */
+import {
+  mockExportOptions, mockNetwork, mockCodebook, processMockNetworks, mockNetwork2,
+} from '../../../../config/mockObjects';
+import pajekGenerator from '../createPajek';
+
+const codebook = {
+  ...mockCodebook,
+  node: {
+    'mock-node-type': {
+      ...mockCodebook.node['mock-node-type'],
+      variables: {
+        ...mockCodebook.node['mock-node-type'].variables,
+        'mock-uuid-1': { name: 'name', type: 'text' },
+      },
+    },
+  },
+};
+
+const buildPajek = (...args) => {
+  let pajekString = '';
+  for (const chunk of pajekGenerator(...args)) { // eslint-disable-line no-restricted-syntax, no-unused-vars, max-len
+    pajekString += chunk;
+  }
+  return pajekString.split('\r\n');
+};
+
+describe('buildPajek', () => {
+  let exportOptions;
+
+  beforeEach(() => {
+    exportOptions = {
+      ...mockExportOptions,
+      exportPajek: true,
+    };
+  });
+
+  it('lists vertices using resequenced IDs and node labels', () => {
+    const processedNetworks = processMockNetworks([mockNetwork], false);
+    const lines = buildPajek(processedNetworks['protocol-uid-1'][0], codebook, exportOptions);
+    expect(lines.slice(0, 5)).toEqual([
+      '*Vertices 4',
+      '1 "Dee"',
+      '2 "Carl"',
+      '3 "Jumbo"',
+      '4 "Francis"',
+    ]);
+  });
+
+  it('writes undirected edges by default', () => {
+    const processedNetworks = processMockNetworks([mockNetwork], false);
+    const lines = buildPajek(processedNetworks['protocol-uid-1'][0], codebook, exportOptions);
+    expect(lines.slice(5)).toEqual(['*Edges', '1 2', '']);
+  });
+
+  it('writes arcs when using directed edges', () => {
+    const processedNetworks = processMockNetworks([mockNetwork], false);
+    const lines = buildPajek(processedNetworks['protocol-uid-1'][0], codebook, {
+      ...exportOptions,
+      globalOptions: { ...exportOptions.globalOptions, useDirectedEdges: true },
+    });
+    expect(lines.slice(5)).toEqual(['*Arcs', '1 2', '']);
+  });
+
+  it('falls back to a default label', () => {
+    const processedNetworks = processMockNetworks([mockNetwork], false);
+    const lines = buildPajek(processedNetworks['protocol-uid-1'][0], mockCodebook, exportOptions);
+    expect(lines[1]).toEqual('1 "Node"');
+  });
+
+  it('renumbers vertices and writes relations by type for unified networks', () => {
+    const unifiedOptions = {
+      ...exportOptions,
+      globalOptions: { ...exportOptions.globalOptions, unifyNetworks: true },
+    };
+    const secondNetwork = {
+      ...mockNetwork2,
+      edges: [...mockNetwork2.edges, { from: '20', to: '10', type: 'mock-edge-type-2' }],
+    };
+    const processedNetworks = processMockNetworks([mockNetwork, secondNetwork], true);
+    const lines = buildPajek(processedNetworks['protocol-uid-1'][0], codebook, unifiedOptions);
+    expect(lines).toEqual([
+      '*Vertices 6',
+      '1 "Dee"',
+      '2 "Carl"',
+      '3 "Jumbo"',
+      '4 "Francis"',
+      '5 "Jimbo"',
+      '6 "Jambo"',
+      '*Edges :1 "peer"',
+      '1 2',
+      '5 6',
+      '*Edges :2 "likes"',
+      '6 5',
+      '',
+    ]);
+  });
+
+  it('writes arcs for directed edge types in unified networks', () => {
+    const unifiedOptions = {
+      ...exportOptions,
+      globalOptions: { ...exportOptions.globalOptions, unifyNetworks: true },
+    };
+    const mixedCodebook = {
+      ...codebook,
+      edge: { ...codebook.edge, 'mock-edge-type-2': { name: 'likes', directed: true } },
+    };
+    const secondNetwork = {
+      ...mockNetwork2,
+      edges: [...mockNetwork2.edges, { from: '20', to: '10', type: 'mock-edge-type-2' }],
+    };
+    const processedNetworks = processMockNetworks([mockNetwork, secondNetwork], true);
+    const lines = buildPajek(processedNetworks['protocol-uid-1'][0], mixedCodebook, unifiedOptions);
+    expect(lines.slice(7)).toEqual([
+      '*Edges :1 "peer"',
+      '1 2',
+      '5 6',
+      '*Arcs :2 "likes"',
+      '6 5',
+      '',
+    ]);
+  });
+});
@@ -0,0 +1,112 @@
+const { getEntityLabel, isDirectedEdgeType, isDirectedNetwork } = require('../graphml/helpers');
+const {
+  entityPrimaryKeyProperty,
+  nodeExportIDProperty,
+  ncSourceUUID,
+  ncTargetUUID,
+} = require('../../utils/reservedAttributes');
+
+const eol = '\r\n';
+
+// Pajek has no escape sequence for quotes within a quoted label
+const quoteLabel = (label) => `"${String(label).replace(/"/g, '\'')}"`;
+
+/**
+ * Pajek requires vertices to be numbered consecutively from 1. Resequenced node IDs satisfy this
+ * within a single session, but restart for each session in a unified network, so we renumber
+ * in that case.
+ *
+ * @param {Array} nodes
+ * @param {boolean} unifyNetworks
+ * @return {Object} a lookup object of { [nodeUUID]: vertexNumber }
+ */
+const getVertexNumbers = (nodes, unifyNetworks) => nodes.reduce((lookup, node, index) => {
+  // eslint-disable-next-line no-param-reassign
+  lookup[node[entityPrimaryKeyProperty]] = unifyNetworks ? index + 1 : node[nodeExportIDProperty];
+  return lookup;
+}, {});
+
+/**
+ * Group edges by type, preserving the order in which each type is first encountered.
+ * @param {Array} edges
+ * @return {Array} an array of [edgeType, edges] pairs
+ */
+const groupEdgesByType = (edges) => Object.entries(edges.reduce((edgeMap, edge) => {
+  edgeMap[edge.type] = edgeMap[edge.type] || []; // eslint-disable-line no-param-reassign
+  edgeMap[edge.type].push(edge);
+  return edgeMap;
+}, {}));
+
+/**
+ * Generator function to supply Pajek (.net) content in chunks to both string and stream producers.
+ *
+ * When networks are unified, all edge types are written to a single multi-relational file, with
+ * one relation per edge type. Otherwise, the network is expected to have been partitioned by
+ * edge type (see `partitionNetworkByType`), and edges are written as a single relation.
+ *
+ * Relations of directed edge types are written as `*Arcs`, and others as `*Edges`.
+ *
+ * @param {*} network
+ * @param {*} codebook
+ * @param {*} exportOptions
+ */
+function* pajekGenerator(network, codebook, exportOptions) {
+  const { unifyNetworks } = exportOptions.globalOptions;
+  const nodes = network.nodes || [];
+  const edges = network.edges || [];
+  const vertexNumbers = getVertexNumbers(nodes, unifyNetworks);
+  const getEdgeKeyword = (directed) => (directed ? '*Arcs' : '*Edges');
+  const edgeKeyword = getEdgeKeyword(isDirectedNetwork(codebook, network, exportOptions));
+
+  const formatEdges = (edgeChunk) => edgeChunk.reduce((content, edge) => {
+    const source = vertexNumbers[edge[ncSourceUUID]];
+    const target = vertexNumbers[edge[ncTargetUUID]];
+
+    // Skip edges that refer to nodes outside of this network
+    if (!source || !target) {
+      return content;
+    }
+
+    return `${content}${source} ${target}${eol}`;
+  }, '');
+
+  yield `*Vertices ${nodes.length}${eol}`;
+
+  for (let i = 0; i < nodes.length; i += 100) {
+    yield nodes.slice(i, i + 100).reduce((content, node) => (
+      `${content}${vertexNumbers[node[entityPrimaryKeyProperty]]} ${quoteLabel(getEntityLabel(codebook, 'node', node))}${eol}`
+    ), '');
+  }
+
+  if (!unifyNetworks) {
+    yield `${edgeKeyword}${eol}`;
+
+    for (let i = 0; i < edges.length; i += 100) {
+      yield formatEdges(edges.slice(i, i + 100));
+    }
+
+    return;
+  }
+
+  const edgesByType = groupEdgesByType(edges);
+
+  if (edgesByType.length === 0) {
+    yield `${edgeKeyword}${eol}`;
+  }
+
+  for (let relation = 0; relation < edgesByType.length; relation += 1) {
+    const [edgeType, typedEdges] = edgesByType[relation];
+    const relationName = (codebook.edge && codebook.edge[edgeType] && codebook.edge[edgeType].name)
+      || edgeType;
+
+    const relationKeyword = getEdgeKeyword(isDirectedEdgeType(codebook, edgeType, exportOptions));
+
+    yield `${relationKeyword} :${relation + 1} ${quoteLabel(relationName)}${eol}`;
+
+    for (let i = 0; i < typedEdges.length; i += 100) {
+      yield formatEdges(typedEdges.slice(i, i + 100));
+    }
+  }
+}
+
+module.exports = pajekGenerator;
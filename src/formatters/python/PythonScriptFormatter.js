@@ -0,0 +1,34 @@
+const { listCSVFiles } = require('../csv/files');
+const { pythonScriptGenerator } = require('./createPythonScript');
+const { writeGenerator } = require('../stream');
+
+/**
+ * Class providing a Python script that loads the CSV files in an export.
+ *
+ * Like the SQLite formatter, this writes a single file for the whole export, so it is
+ * constructed with every network and every protocol.
+ */
+class PythonScriptFormatter {
+  /**
+   * Create a Python script formatter.
+   * @param {Object} networksByProtocol - sessions (or unified networks) keyed by protocolUID.
+   * @param {Object} protocols - protocol objects (including codebooks), keyed by protocolUID.
+   * @param {Object} exportOptions - global export options object from FileExportManager.
+   */
+  constructor(networksByProtocol, protocols, exportOptions) {
+    this.csvFiles = listCSVFiles(networksByProtocol, protocols, exportOptions);
+    this.exportOptions = exportOptions;
+  }
+
+  /**
+   * Write the file to a stream one chunk at a time.
+   * @param {Stream} outStream
+   */
+  writeToStream(outStream) {
+    const generator = pythonScriptGenerator(this.csvFiles, this.exportOptions);
+
+    return writeGenerator(generator, outStream);
+  }
+}
+
+module.exports = PythonScriptFormatter;
@@ -0,0 +1,81 @@
+/* eslint-env jest */
+import { makeWriteableStream } from '../../../../config/setupTestEnv';
+import {
+  mockCodebook, mockExportOptions, mockNetwork, mockNetwork2, processMockNetworks,
+} from '../../../../config/mockObjects';
+import { getColumnTypes, pythonLiteral } from '../createPythonScript';
+import PythonScriptFormatter from '../PythonScriptFormatter';
+
+const protocols = {
+  'protocol-uid-1': { name: 'protocol name', codebook: mockCodebook },
+};
+
+// Case IDs are strings in exported sessions
+const withStringCaseID = (network) => ({
+  ...network,
+  sessionVariables: {
+    ...network.sessionVariables,
+    caseId: String(network.sessionVariables.caseId),
+  },
+});
+
+const sessions = [mockNetwork, mockNetwork2].map(withStringCaseID);
+
+const exportOptions = {
+  ...mockExportOptions,
+  exportCSV: { attributeList: true, edgeList: true },
+};
+
+describe('Python script', () => {
+  it('writes python literals', () => {
+    expect(pythonLiteral([true, null, 1.5, 'a "b"'])).toEqual('[\n    True,\n    None,\n    1.5,\n    "a \\"b\\"",\n]');
+    expect(pythonLiteral({ a: {}, b: [] })).toEqual('{\n    "a": {},\n    "b": [],\n}');
+  });
+
+  it('types columns from the codebook', () => {
+    const types = getColumnTypes({
+      variables: {
+        a: { name: 'gender', type: 'categorical', options: [{ label: 'Female', value: 'f' }] },
+        b: { name: 'layout', type: 'layout' },
+        c: { name: 'notes', type: 'text' },
+        d: { name: 'close', type: 'boolean' },
+      },
+    }, 'node');
+
+    expect(types).toEqual(expect.objectContaining({
+      nodeID: 'number',
+      networkCanvasUUID: 'text',
+      gender_f: 'boolean',
+      layout_x: 'number',
+      notes: 'text',
+      close: 'boolean',
+    }));
+  });
+
+  describe('PythonScriptFormatter', () => {
+    const writeScript = (networks, options) => {
+      const writable = makeWriteableStream();
+      new PythonScriptFormatter(networks, protocols, options).writeToStream(writable);
+      return writable.asString();
+    };
+
+    it('lists the files for each session', async () => {
+      const script = await writeScript(processMockNetworks(sessions, false), exportOptions);
+
+      expect(script).toMatch(/"directed_edges": \{\s+"peer": False,\s+\}/);
+      expect(script).toMatch(/"name": "session-id-1",\s+"ego": \[\s+"123_session-id-1_ego.csv",\s+\]/);
+      expect(script).toMatch(/"person": \[\s+"456_session-id-2_attributeList_person.csv",\s+\]/);
+      expect(script).toMatch(/"sessionStart": "datetime"/);
+      expect(script).toMatch('def load_networks(directory=None):');
+    });
+
+    it('writes a network per protocol when unified', async () => {
+      const script = await writeScript(processMockNetworks(sessions, true), {
+        ...exportOptions,
+        globalOptions: { ...exportOptions.globalOptions, unifyNetworks: true },
+      });
+
+      expect(script).toMatch(/"name": "protocol name",\s+"ego": \[\s+"protocol name_ego.csv",\s+\]/);
+    });
+  });
+});
@@ -0,0 +1,257 @@
+const { getColumnMetadata } = require('../dataset');
+const { getDirectedEdgeTypes } = require('../graphml/helpers');
+const { VariableType } = require('../../utils/protocol-consts');
+const {
+  edgeExportIDProperty,
+  edgeSourceProperty,
+  edgeTargetProperty,
+  egoProperty,
+  ncCaseProperty,
+  ncProtocolNameProperty,
+  ncSessionProperty,
+  ncSourceUUID,
+  ncTargetUUID,
+  ncTypeProperty,
+  ncUUIDProperty,
+  nodeExportIDProperty,
+  sessionExportTimeProperty,
+  sessionFinishTimeProperty,
+  sessionStartTimeProperty,
+} = require('../../utils/reservedAttributes');
+
+const eol = '\n';
+const indentation = '    ';
+
+// Columns written by the CSV formatters in addition to codebook variables
+const reservedColumnTypes = {
+  ego: {
+    [egoProperty]: VariableType.text,
+    [ncCaseProperty]: VariableType.text,
+    [ncSessionProperty]: VariableType.text,
+    [ncProtocolNameProperty]: VariableType.text,
+    [sessionStartTimeProperty]: VariableType.datetime,
+    [sessionFinishTimeProperty]: VariableType.datetime,
+    [sessionExportTimeProperty]: VariableType.datetime,
+  },
+  node: {
+    [nodeExportIDProperty]: VariableType.number,
+    [egoProperty]: VariableType.text,
+    [ncUUIDProperty]: VariableType.text,
+  },
+  edge: {
+    [edgeExportIDProperty]: VariableType.number,
+    [edgeSourceProperty]: VariableType.number,
+    [edgeTargetProperty]: VariableType.number,
+    [egoProperty]: VariableType.text,
+    [ncUUIDProperty]: VariableType.text,
+    [ncSourceUUID]: VariableType.text,
+    [ncTargetUUID]: VariableType.text,
+  },
+};
+
+/**
+ * Write a JS value as a Python literal: arrays become lists and objects become dicts.
+ * Strings are JSON-encoded, which is also valid Python string syntax.
+ * @param {*} value
+ * @param {string} indent the indentation of the line containing the value
+ */
+const pythonLiteral = (value, indent = '') => {
+  const inner = `${indent}${indentation}`;
+  if (Array.isArray(value)) {
+    if (value.length === 0) { return '[]'; }
+    const items = value.map((item) => `${inner}${pythonLiteral(item, inner)},`);
+    return `[${eol}${items.join(eol)}${eol}${indent}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.entries(value);
+    if (entries.length === 0) { return '{}'; }
+    const items = entries.map(([key, item]) => `${inner}${JSON.stringify(key)}: ${pythonLiteral(item, inner)},`);
+    return `{${eol}${items.join(eol)}${eol}${indent}}`;
+  }
+  if (typeof value === 'boolean') { return value ? 'True' : 'False'; }
+  if (typeof value === 'number') { return Number.isFinite(value) ? String(value) : 'None'; }
+  if (value === null || value === undefined) { return 'None'; }
+  return JSON.stringify(String(value));
+};
+
+/**
+ * The variable type of each column written for an entity type, keyed by column name.
+ * @param {Object} entityDefinition a codebook entry, such as `codebook.node[type]`
+ * @param {string} entity one of 'ego', 'node', 'edge'
+ * @return {Object} `{ [columnName]: variableType }`
+ */
+const getColumnTypes = (entityDefinition, entity) => {
+  const metadata = getColumnMetadata((entityDefinition && entityDefinition.variables) || {});
+  return Object.entries(metadata).reduce((types, [column, { variableType }]) => ({
+    ...types,
+    [column]: variableType,
+  }), reservedColumnTypes[entity]);
+};
+
+const getTypeColumnTypes = (codebook, entity, types) => Object.keys(types)
+  .reduce((columnTypes, typeName) => {
+    const definition = Object.values(codebook[entity] || {})
+      .find(({ name }) => name === typeName);
+    return { ...columnTypes, [typeName]: getColumnTypes(definition, entity) };
+  }, {});
+
+const header = `"""Network Canvas export: networkx loader.
+
+Run this script from the export directory to summarise the networks:
+
+    python load_networks.py
+
+or import it to work with the graphs:
+
+    from load_networks import load_networks
+    graphs = load_networks()
+
+load_networks() reads the exported CSV files, and returns a dict of networkx graphs keyed
+by session ID (or by protocol name, when networks were unified). Graphs are MultiGraphs,
+as nodes can be connected by edges of several types.
+
+- Edge types are directed or undirected, as set in the protocol (see directed_edges).
+  When any edge type of a network is directed, its graph is a MultiDiGraph, and edges of
+  undirected types are added in both directions.
+
+- Nodes are keyed by networkCanvasUUID, and edges connect networkCanvasSourceUUID to
+  networkCanvasTargetUUID, keyed by their own networkCanvasUUID.
+- The node or edge type is stored in the networkCanvasType attribute.
+- Ego and session variables are stored in graph.graph["sessions"], keyed by session ID.
+- Values are converted using the variable types in the protocol codebook. Categorical
+  variables are exported as a boolean attribute for each option, and layout variables as
+  an attribute for each coordinate. Empty cells are omitted.
+"""
+import csv
+import os
+import warnings
+from datetime import datetime
+
+import networkx as nx
+
+`;
+
+const functions = `
+
+def parse_value(value, variable_type):
+    if variable_type == "boolean":
+        return {"true": True, "false": False}.get(value, value)
+    if variable_type == "text":
+        return value
+    if variable_type == "datetime":
+        try:
+            return datetime.fromisoformat(value.replace("Z", "+00:00"))
+        except ValueError:
+            return value
+    for number in (int, float):
+        try:
+            return number(value)
+        except ValueError:
+            pass
+    return value
+
+
+def read_rows(directory, files, column_types):
+    for file_name in files:
+        path = os.path.join(directory, file_name)
+        if not os.path.exists(path):
+            warnings.warn("Skipping missing file: {}".format(file_name))
+            continue
+        with open(path, newline="", encoding="utf-8") as csv_file:
+            for row in csv.DictReader(csv_file):
+                yield {
+                    column: parse_value(value, column_types.get(column))
+                    for column, value in row.items()
+                    if value != ""
+                }
+
+
+def load_network(directory, network, column_types, directed_edges):
+    directed = any(directed_edges.get(edge_type, False) for edge_type in network["edges"])
+    graph = nx.MultiDiGraph() if directed else nx.MultiGraph()
+    graph.graph["name"] = network["name"]
+    graph.graph["sessions"] = {
+        row["${ncSessionProperty}"]: row
+        for row in read_rows(directory, network["ego"], column_types["ego"])
+    }
+
+    for node_type, files in network["nodes"].items():
+        for row in read_rows(directory, files, column_types["node"].get(node_type, {})):
+            graph.add_node(row["${ncUUIDProperty}"])
+            graph.nodes[row["${ncUUIDProperty}"]].update(row, ${ncTypeProperty}=node_type)
+
+    for edge_type, files in network["edges"].items():
+        for row in read_rows(directory, files, column_types["edge"].get(edge_type, {})):
+            edge = (row["${ncSourceUUID}"], row["${ncTargetUUID}"], row["${ncUUIDProperty}"])
+            edges = [edge]
+            if directed and not directed_edges.get(edge_type, False):
+                edges.append((edge[1], edge[0], edge[2]))
+            for source, target, key in edges:
+                graph.add_edge(source, target, key)
+                graph.edges[source, target, key].update(row, ${ncTypeProperty}=edge_type)
+
+    return graph
+
+
+def load_networks(directory=None):
+    """Load every network in the export, keyed by session ID (or protocol name)."""
+    if directory is None:
+        directory = os.path.dirname(os.path.abspath(__file__))
+
+    return {
+        network["name"]: load_network(
+            directory, network, protocol["column_types"], protocol["directed_edges"])
+        for protocol in PROTOCOLS
+        for network in protocol["networks"]
+    }
+
+
+if __name__ == "__main__":
+    for name, graph in load_networks().items():
+        print("{}: {} nodes, {} edges".format(
+            name, graph.number_of_nodes(), graph.number_of_edges()))
+`;
+
+/**
+ * Generator function to supply a Python script that loads the exported CSV files as
+ * networkx graphs.
+ *
+ * The file list and column types are written as Python data at the top of the script,
+ * followed by functions that read each file, and build a graph per network.
+ *
+ * @param {Array} csvFiles the files written for each protocol, from listCSVFiles()
+ * @param {Object} exportOptions
+ */
+function* pythonScriptGenerator(csvFiles, exportOptions) {
+  yield header;
+  yield `PROTOCOLS = [${eol}`;
+
+  for (let i = 0; i < csvFiles.length; i += 1) {
+    const {
+      protocol, nodes, edges, networks,
+    } = csvFiles[i];
+    const { codebook } = protocol;
+
+    const definition = {
+      name: protocol.name,
+      networks,
+      column_types: {
+        ego: getColumnTypes(codebook.ego, 'ego'),
+        node: getTypeColumnTypes(codebook, 'node', nodes),
+        edge: getTypeColumnTypes(codebook, 'edge', edges),
+      },
+      directed_edges: getDirectedEdgeTypes(codebook, Object.keys(edges), exportOptions),
+    };
+
+    yield `${indentation}${pythonLiteral(definition, indentation)},${eol}`;
+  }
+
+  yield `]${eol}`;
+  yield functions;
+}
+
+module.exports = {
+  getColumnTypes,
+  pythonLiteral,
+  pythonScriptGenerator,
+};
@@ -0,0 +1,34 @@
+const { listCSVFiles } = require('../csv/files');
+const { rScriptGenerator } = require('./createRScript');
+const { writeGenerator } = require('../stream');
+
+/**
+ * Class providing an R script that imports the CSV files in an export.
+ *
+ * Like the SQLite formatter, this writes a single file for the whole export, so it is
+ * constructed with every network and every protocol.
+ */
+class RScriptFormatter {
+  /**
+   * Create an R script formatter.
+   * @param {Object} networksByProtocol - sessions (or unified networks) keyed by protocolUID.
+   * @param {Object} protocols - protocol objects (including codebooks), keyed by protocolUID.
+   * @param {Object} exportOptions - global export options object from FileExportManager.
+   */
+  constructor(networksByProtocol, protocols, exportOptions) {
+    this.csvFiles = listCSVFiles(networksByProtocol, protocols, exportOptions);
+    this.exportOptions = exportOptions;
+  }
+
+  /**
+   * Write the file to a stream one chunk at a time.
+   * @param {Stream} outStream
+   */
+  writeToStream(outStream) {
+    const generator = rScriptGenerator(this.csvFiles, this.exportOptions);
+
+    return writeGenerator(generator, outStream);
+  }
+}
+
+module.exports = RScriptFormatter;
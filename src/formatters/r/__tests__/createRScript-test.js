@@ -0,0 +1,100 @@
+/* eslint-env jest */
+import { makeWriteableStream } from '../../../../config/setupTestEnv';
+import {
+  mockCodebook, mockExportOptions, mockNetwork, mockNetwork2, processMockNetworks,
+} from '../../../../config/mockObjects';
+import { getFactorLevels, quoteString, rLiteral } from '../createRScript';
+import RScriptFormatter from '../RScriptFormatter';
+
+const codebook = {
+  ...mockCodebook,
+  node: {
+    'mock-node-type': {
+      ...mockCodebook.node['mock-node-type'],
+      variables: {
+        ...mockCodebook.node['mock-node-type'].variables,
+        'mock-uuid-7': {
+          name: 'closeness',
+          type: 'ordinal',
+          options: [{ label: 'Not close', value: 1 }, { label: 'Very close', value: 2 }],
+        },
+      },
+    },
+  },
+};
+
+const protocols = {
+  'protocol-uid-1': { name: 'protocol name', codebook },
+};
+
+// Case IDs are strings in exported sessions
+const withStringCaseID = (network) => ({
+  ...network,
+  sessionVariables: {
+    ...network.sessionVariables,
+    caseId: String(network.sessionVariables.caseId),
+  },
+});
+
+const sessions = [mockNetwork, mockNetwork2].map(withStringCaseID);
+
+const exportOptions = {
+  ...mockExportOptions,
+  exportCSV: { attributeList: true, edgeList: true },
+};
+
+describe('R script', () => {
+  describe('literals', () => {
+    it('escapes strings', () => {
+      expect(quoteString('a "quoted"\\path\n')).toEqual('"a \\"quoted\\"\\\\path\\n"');
+      expect(quoteString('Müller 🙂')).toEqual('"M\\u{fc}ller \\U{1f642}"');
+    });
+
+    it('writes vectors and named lists', () => {
+      expect(rLiteral([1, 'a', true, null])).toEqual('c(1, "a", TRUE, NA)');
+      expect(rLiteral({ 'a b': ['x'], c: {} })).toEqual('list(\n  "a b" = c("x"),\n  "c" = list()\n)');
+    });
+  });
+
+  describe('getFactorLevels', () => {
+    it('uses ordinal options as levels and labels', () => {
+      expect(getFactorLevels(codebook.node['mock-node-type'])).toEqual({
+        closeness: { levels: [1, 2], labels: ['Not close', 'Very close'] },
+      });
+      expect(getFactorLevels(undefined)).toEqual({});
+    });
+  });
+
+  describe('RScriptFormatter', () => {
+    const writeScript = (networks, options) => {
+      const writable = makeWriteableStream();
+      new RScriptFormatter(networks, protocols, options).writeToStream(writable);
+      return writable.asString();
+    };
+
+    it('lists every exported file', async () => {
+      const script = await writeScript(
+        processMockNetworks(sessions, false),
+        exportOptions,
+      );
+
+      expect(script).toMatch('"ego" = c("123_session-id-1_ego.csv", "456_session-id-2_ego.csv")');
+      expect(script).toMatch('"person" = c("123_session-id-1_attributeList_person.csv", "456_session-id-2_attributeList_person.csv")');
+      expect(script).toMatch('"peer" = c("123_session-id-1_edgeList_peer.csv", "456_session-id-2_edgeList_peer.csv")');
+    });
+
+    it('includes factor levels, edge directions, and time parsing', async () => {
+      const script = await writeScript(processMockNetworks([sessions[0]], false), {
+        ...exportOptions,
+        globalOptions: { ...exportOptions.globalOptions, useDirectedEdges: true },
+      });
+
+      expect(script).toMatch(/"directed" = list\(\s+"peer" = TRUE\s+\)/);
+      expect(script).toMatch(/"closeness" = list\(\s+"levels" = c\(1, 2\),\s+"labels" = c\("Not close", "Very close"\)/);
+      expect(script).toMatch('igraph::make_empty_graph');
+      expect(script).toMatch('parse_time(ego[[column]])');
+      expect(script).toMatch('(Z|([+-])([0-9]{2}):?([0-9]{2}))?$');
+      expect(script).toMatch('origin = "1970-01-01", tz = "UTC"');
+    });
+  });
+});
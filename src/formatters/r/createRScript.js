@@ -0,0 +1,266 @@
+const { getDirectedEdgeTypes } = require('../graphml/helpers');
+
+const eol = '\n';
+
+/**
+ * Escape a string as an R string literal. Non-ASCII characters are written as unicode
+ * escapes, so that the script can be sourced regardless of the session encoding.
+ */
+const quoteString = (value) => `"${Array.from(String(value)).map((character) => {
+  const codePoint = character.codePointAt(0);
+  switch (character) {
+    case '\\': return '\\\\';
+    case '"': return '\\"';
+    case '\n': return '\\n';
+    case '\r': return '\\r';
+    case '\t': return '\\t';
+    default:
+      if (codePoint < 0x20 || codePoint > 0x7e) {
+        return codePoint > 0xffff
+          ? `\\U{${codePoint.toString(16)}}`
+          : `\\u{${codePoint.toString(16)}}`;
+      }
+      return character;
+  }
+}).join('')}"`;
+
+/**
+ * Write a JS value as an R literal: arrays become vectors and objects become named lists.
+ * @param {*} value
+ * @param {string} indent the indentation of the line containing the value
+ */
+const rLiteral = (value, indent = '') => {
+  if (Array.isArray(value)) {
+    return `c(${value.map((item) => rLiteral(item, indent)).join(', ')})`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.entries(value);
+    if (entries.length === 0) { return 'list()'; }
+    const inner = `${indent}  `;
+    const items = entries.map(([name, item]) => `${inner}${quoteString(name)} = ${rLiteral(item, inner)}`);
+    return `list(${eol}${items.join(`,${eol}`)}${eol}${indent})`;
+  }
+  if (typeof value === 'boolean') { return value ? 'TRUE' : 'FALSE'; }
+  if (typeof value === 'number') { return Number.isFinite(value) ? String(value) : 'NA'; }
+  if (value === null || value === undefined) { return 'NA'; }
+  return quoteString(value);
+};
+
+const optionValue = (option) => (option && typeof option === 'object' ? option.value : option);
+const optionLabel = (option) => (option && typeof option === 'object' ? option.label : option);
+
+/**
+ * Factor levels for the ordinal variables of an entity type, keyed by variable name.
+ * @param {Object} entityDefinition a codebook entry, such as `codebook.node[type]`
+ * @return {Object} `{ [name]: { levels, labels } }`
+ */
+const getFactorLevels = (entityDefinition) => Object.values(
+  (entityDefinition && entityDefinition.variables) || {},
+)
+  .filter(({ type, options }) => type === 'ordinal' && Array.isArray(options) && options.length > 0)
+  .reduce((factors, { name, options }) => ({
+    ...factors,
+    [name]: {
+      levels: options.map(optionValue),
+      labels: options.map(optionLabel),
+    },
+  }), {});
+
+const getTypeFactors = (codebook, entity, types) => Object.keys(types)
+  .reduce((factors, typeName) => {
+    const definition = Object.values(codebook[entity] || {})
+      .find(({ name }) => name === typeName);
+    return { ...factors, [typeName]: getFactorLevels(definition) };
+  }, {});
+
+const header = `# Network Canvas export: R import script
+#
+# Run this script from the directory containing the exported files, for example:
+#   setwd("path/to/export")
+#   source("import.R")
+#
+# It creates \`network_canvas\`, a list with an entry for each protocol, containing:
+#   ego    - a data frame of ego and session variables, with a row for each session
+#   nodes  - a data frame for each node type, with rows from every session
+#   edges  - a data frame for each edge type, with rows from every session
+#   graphs - an igraph object for each session, keyed by session ID
+#            (only if the igraph package is installed)
+#
+# Edge types are directed or undirected, as set in the protocol (see \`directed\`). When
+# any edge type of a session is directed, its graph is directed, and edges of undirected
+# types are added in both directions.
+#
+# Session times are parsed as UTC, applying any offset in the timestamp.
+# Ordinal variables are converted to ordered factors, using the options in the protocol
+# codebook. Categorical variables are exported as a logical column for each option.
+`;
+
+const functions = `
+bind_rows_fill <- function(frames) {
+  if (length(frames) == 0) return(data.frame())
+  columns <- unique(unlist(lapply(frames, names)))
+  do.call(rbind, lapply(frames, function(frame) {
+    for (column in setdiff(columns, names(frame))) frame[[column]] <- rep(NA, nrow(frame))
+    frame[columns]
+  }))
+}
+
+read_files <- function(files) {
+  missing <- files[!file.exists(files)]
+  if (length(missing) > 0) {
+    warning("Skipping missing files: ", paste(missing, collapse = ", "))
+  }
+  bind_rows_fill(lapply(files[file.exists(files)], function(file) {
+    utils::read.csv(file, stringsAsFactors = FALSE, check.names = FALSE,
+                    na.strings = "", fileEncoding = "UTF-8")
+  }))
+}
+
+apply_factors <- function(data, factors) {
+  for (variable in intersect(names(factors), names(data))) {
+    data[[variable]] <- factor(data[[variable]], levels = factors[[variable]]$levels,
+                               labels = factors[[variable]]$labels, ordered = TRUE)
+  }
+  data
+}
+
+# ISO 8601 timestamps, with "Z" or an offset such as "+01:00", "-0500" (or none, for UTC)
+parse_time <- function(values) {
+  values <- as.character(values)
+  parts <- regmatches(values, regexec(
+    "^([0-9-]+T[0-9:.]+)(Z|([+-])([0-9]{2}):?([0-9]{2}))?$", values
+  ))
+  seconds <- vapply(parts, function(part) {
+    if (length(part) == 0) return(NA_real_)
+    local <- as.numeric(as.POSIXct(part[2], format = "%Y-%m-%dT%H:%M:%OS", tz = "UTC"))
+    if (part[4] == "") return(local)
+    offset <- as.numeric(part[5]) * 3600 + as.numeric(part[6]) * 60
+    if (part[4] == "-") local + offset else local - offset
+  }, numeric(1))
+  as.POSIXct(seconds, origin = "1970-01-01", tz = "UTC")
+}
+
+build_graph <- function(nodes, edges, directed_types) {
+  nodes <- nodes[order(nodes$nodeID), , drop = FALSE]
+  is_directed <- vapply(as.character(edges$networkCanvasType), function(type) {
+    isTRUE(directed_types[[type]])
+  }, logical(1))
+  directed <- any(is_directed)
+  if (directed && !all(is_directed)) {
+    reversed <- edges[!is_directed, , drop = FALSE]
+    reversed[c("from", "to")] <- reversed[c("to", "from")]
+    edges <- rbind(edges, reversed)
+  }
+  from <- match(edges$from, nodes$nodeID)
+  to <- match(edges$to, nodes$nodeID)
+  keep <- !is.na(from) & !is.na(to)
+  edges <- edges[keep, , drop = FALSE]
+  graph <- igraph::make_empty_graph(n = nrow(nodes), directed = directed)
+  graph <- igraph::add_edges(graph, as.vector(rbind(from[keep], to[keep])))
+  for (column in names(nodes)) {
+    graph <- igraph::set_vertex_attr(graph, column, value = nodes[[column]])
+  }
+  for (column in names(edges)) {
+    graph <- igraph::set_edge_attr(graph, column, value = edges[[column]])
+  }
+  graph
+}
+
+with_type <- function(frames) {
+  bind_rows_fill(Map(function(frame, type) {
+    frame$networkCanvasType <- rep(type, nrow(frame))
+    frame
+  }, frames, names(frames)))
+}
+
+session_graphs <- function(ego, nodes, edges, directed_types) {
+  all_nodes <- with_type(nodes)
+  all_edges <- with_type(edges)
+  graphs <- list()
+  for (i in seq_len(nrow(ego))) {
+    ego_id <- ego$networkCanvasEgoUUID[i]
+    graphs[[as.character(ego$networkCanvasSessionID[i])]] <- build_graph(
+      all_nodes[which(all_nodes$networkCanvasEgoUUID == ego_id), , drop = FALSE],
+      all_edges[which(all_edges$networkCanvasEgoUUID == ego_id), , drop = FALSE],
+      directed_types
+    )
+  }
+  graphs
+}
+
+network_canvas <- list()
+
+for (protocol in protocols) {
+  ego <- apply_factors(read_files(protocol$files$ego), protocol$factors$ego)
+  for (column in intersect(c("sessionStart", "sessionFinish", "sessionExported"), names(ego))) {
+    ego[[column]] <- parse_time(ego[[column]])
+  }
+
+  nodes <- sapply(names(protocol$files$nodes), function(type) {
+    apply_factors(read_files(protocol$files$nodes[[type]]), protocol$factors$nodes[[type]])
+  }, simplify = FALSE)
+
+  edges <- sapply(names(protocol$files$edges), function(type) {
+    apply_factors(read_files(protocol$files$edges[[type]]), protocol$factors$edges[[type]])
+  }, simplify = FALSE)
+
+  result <- list(ego = ego, nodes = nodes, edges = edges)
+
+  if (requireNamespace("igraph", quietly = TRUE)) {
+    result$graphs <- session_graphs(ego, nodes, edges, protocol$directed)
+  } else {
+    message("Install the igraph package to build a graph for each session.")
+  }
+
+  network_canvas[[protocol$name]] <- result
+}
+`;
+
+/**
+ * Generator function to supply an R script that imports the exported CSV files.
+ *
+ * The file list and factor levels are written as R data at the top of the script, followed
+ * by functions that read and combine each file, and build an igraph object per session.
+ *
+ * @param {Array} csvFiles the files written for each protocol, from listCSVFiles()
+ * @param {Object} exportOptions
+ */
+function* rScriptGenerator(csvFiles, exportOptions) {
+  yield header;
+  yield `${eol}protocols <- list(${eol}`;
+
+  for (let i = 0; i < csvFiles.length; i += 1) {
+    const {
+      protocol, ego, nodes, edges,
+    } = csvFiles[i];
+    const { codebook } = protocol;
+
+    const definition = {
+      name: protocol.name,
+      files: {
+        ego,
+        nodes,
+        edges,
+      },
+      factors: {
+        ego: getFactorLevels(codebook.ego),
+        nodes: getTypeFactors(codebook, 'node', nodes),
+        edges: getTypeFactors(codebook, 'edge', edges),
+      },
+      directed: getDirectedEdgeTypes(codebook, Object.keys(edges), exportOptions),
+    };
+
+    const separator = i < csvFiles.length - 1 ? ',' : '';
+    yield `  ${rLiteral(definition, '  ')}${separator}${eol}`;
+  }
+
+  yield `)${eol}`;
+  yield functions;
+}
+
+module.exports = {
+  getFactorLevels,
+  quoteString,
+  rLiteral,
+  rScriptGenerator,
+};
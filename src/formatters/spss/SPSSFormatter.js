@@ -0,0 +1,53 @@
+/* eslint-disable max-classes-per-file */
+const { asAttributeListDataset, asEgoDataset } = require('../dataset');
+const { savGenerator } = require('./sav');
+const { writeGenerator } = require('../stream');
+
+const toSavStream = (dataset, outStream) => writeGenerator(savGenerator(dataset), outStream);
+
+/** Class providing an SPSS (.sav) formatter for ego and session variables. */
+class SPSSEgoFormatter {
+  /**
+   * Create an SPSS ego formatter.
+   * @param {Object} network - a NC format network object.
+   * @param {Object} codebook - the codebook for this network.
+   * @param {Object} exportOptions - global export options object from FileExportManager.
+   */
+  constructor(network, codebook, exportOptions) {
+    this.dataset = asEgoDataset(network, codebook, exportOptions);
+  }
+
+  /**
+   * Write the file to a stream one chunk at a time.
+   * @param {Stream} outStream
+   */
+  writeToStream(outStream) {
+    return toSavStream(this.dataset, outStream);
+  }
+}
+
+/** Class providing an SPSS (.sav) formatter for the nodes of a single type. */
+class SPSSAttributeListFormatter {
+  /**
+   * Create an SPSS attribute list formatter.
+   * @param {Object} network - a NC format network object, partitioned by node type.
+   * @param {Object} codebook - the codebook for this network.
+   * @param {Object} exportOptions - global export options object from FileExportManager.
+   */
+  constructor(network, codebook, exportOptions) {
+    this.dataset = asAttributeListDataset(network, codebook, exportOptions);
+  }
+
+  /**
+   * Write the file to a stream one chunk at a time.
+   * @param {Stream} outStream
+   */
+  writeToStream(outStream) {
+    return toSavStream(this.dataset, outStream);
+  }
+}
+
+module.exports = {
+  SPSSAttributeListFormatter,
+  SPSSEgoFormatter,
+};
@@ -0,0 +1,204 @@
+/* eslint-env jest */
+import {
+  mockExportOptions, mockNetwork, mockCodebook, processMockNetworks,
+} from '../../../../config/mockObjects';
+import { partitionNetworkByType } from '../../network';
+import { asAttributeListDataset, asEgoDataset } from '../../dataset';
+import { asVariables, savGenerator } from '../sav';
+
+const buildSav = (dataset) => Buffer.concat(Array.from(savGenerator(dataset)));
+
+/**
+ * A minimal reader for the parts of the format written by savGenerator()
+ */
+const readSav = (buffer) => {
+  let offset = 0;
+  const int32 = () => { offset += 4; return buffer.readInt32LE(offset - 4); };
+  const float64 = () => { offset += 8; return buffer.readDoubleLE(offset - 8); };
+  const bytes = (length) => { offset += length; return buffer.slice(offset - length, offset); };
+  const text = (length) => bytes(length).toString('utf8');
+
+  const magic = text(4);
+  text(60);
+  int32();
+  const caseSize = int32();
+  int32();
+  int32();
+  const caseCount = int32();
+  float64();
+  text(9 + 8 + 64 + 3);
+
+  const variables = [];
+  const valueLabels = [];
+  const extensions = {};
+
+  let recordType = int32();
+  while (recordType !== 999) {
+    if (recordType === 2) {
+      const width = int32();
+      const hasLabel = int32();
+      int32();
+      int32();
+      int32();
+      const shortName = text(8).trim();
+      const label = hasLabel ? text(int32()) : null;
+      if (label) { bytes((4 - (Buffer.byteLength(label) % 4)) % 4); }
+      if (width !== -1) { variables.push({ width, shortName, label }); }
+    } else if (recordType === 3) {
+      const labels = [];
+      const labelCount = int32();
+      for (let i = 0; i < labelCount; i += 1) {
+        const value = bytes(8);
+        const length = bytes(1)[0];
+        labels.push([value, text(length)]);
+        bytes((Math.ceil((length + 1) / 8) * 8) - (length + 1));
+      }
+      int32(); // record type 4
+      int32();
+      valueLabels.push({ index: int32(), labels });
+    } else if (recordType === 7) {
+      const subtype = int32();
+      const size = int32();
+      const count = int32();
+      extensions[subtype] = bytes(size * count);
+    }
+    recordType = int32();
+  }
+  int32();
+
+  const cases = Array.from({ length: caseCount }, () => variables.map(({ width }) => (
+    width === 0 ? float64() : text(Math.ceil(width / 8) * 8).trimEnd()
+  )));
+
+  return {
+    magic,
+    caseSize,
+    caseCount,
+    variables,
+    valueLabels,
+    extensions,
+    cases,
+    remaining: buffer.length - offset,
+  };
+};
+
+const codebook = {
+  ...mockCodebook,
+  node: {
+    'mock-node-type': {
+      ...mockCodebook.node['mock-node-type'],
+      variables: {
+        ...mockCodebook.node['mock-node-type'].variables,
+        'mock-uuid-7': {
+          name: 'closeness',
+          type: 'ordinal',
+          options: [{ label: 'Not close', value: 1 }, { label: 'Very close', value: 2 }],
+        },
+      },
+    },
+  },
+};
+
+describe('SPSS', () => {
+  let network;
+
+  beforeEach(() => {
+    [network] = processMockNetworks([{
+      ...mockNetwork,
+      nodes: [
+        {
+          ...mockNetwork.nodes[0],
+          attributes: { ...mockNetwork.nodes[0].attributes, 'mock-uuid-7': 2 },
+        },
+        ...mockNetwork.nodes.slice(1),
+      ],
+    }], false)['protocol-uid-1'];
+  });
+
+  it('writes a readable attribute list', () => {
+    const [partition] = partitionNetworkByType(codebook, network, 'spssAttributeList');
+    const dataset = asAttributeListDataset(partition, codebook, mockExportOptions);
+    const sav = readSav(buildSav(dataset));
+
+    expect(sav.magic).toEqual('$FL2');
+    expect(sav.remaining).toEqual(0);
+    expect(sav.caseCount).toEqual(4);
+    expect(sav.variables.map(({ label }) => label))
+      .toEqual(dataset.columns.map(({ name }) => name));
+
+    const firstName = dataset.columns.findIndex(({ name }) => name === 'firstName');
+    const age = dataset.columns.findIndex(({ name }) => name === 'age');
+    expect(sav.cases.map((row) => row[firstName])).toEqual(['Dee', 'Carl', 'Jumbo', 'Francis']);
+    expect(sav.cases.map((row) => row[age])).toEqual([40, 0, 50, 10]);
+  });
+
+  it('writes long names, value labels and measurement levels', () => {
+    const [partition] = partitionNetworkByType(codebook, network, 'spssAttributeList');
+    const dataset = asAttributeListDataset(partition, codebook, mockExportOptions);
+    const sav = readSav(buildSav(dataset));
+    const variables = asVariables(dataset);
+
+    const longNames = sav.extensions[13].toString('utf8').split('\t');
+    expect(longNames).toContain('NETWORKC=networkCanvasEgoUUID');
+    expect(longNames).toContain('FIRSTNAM=firstName');
+
+    const closeness = variables.find(({ name }) => name === 'closeness');
+    const closenessLabels = sav.valueLabels
+      .find(({ index }) => index === closeness.dictionaryIndex);
+    expect(closenessLabels.labels.map(([value, label]) => [value.readDoubleLE(0), label]))
+      .toEqual([[1, 'Not close'], [2, 'Very close']]);
+
+    // measure, width, alignment for each variable
+    const measures = [];
+    for (let i = 0; i < sav.extensions[11].length; i += 12) {
+      measures.push(sav.extensions[11].readInt32LE(i));
+    }
+    expect(measures[variables.indexOf(closeness)]).toEqual(2);
+    expect(measures[variables.findIndex(({ name }) => name === 'age')]).toEqual(3);
+    expect(measures[variables.findIndex(({ name }) => name === 'firstName')]).toEqual(1);
+  });
+
+  it('writes missing values as system missing', () => {
+    const [partition] = partitionNetworkByType(codebook, network, 'spssAttributeList');
+    const dataset = asAttributeListDataset(partition, codebook, mockExportOptions);
+    const sav = readSav(buildSav(dataset));
+    const layoutX = dataset.columns.findIndex(({ name }) => name === 'layout_x');
+    expect(sav.cases[2][layoutX]).toEqual(-Number.MAX_VALUE);
+  });
+
+  it('writes the ego dataset', () => {
+    const dataset = asEgoDataset(network, codebook, mockExportOptions);
+    const sav = readSav(buildSav(dataset));
+    expect(sav.caseCount).toEqual(1);
+    expect(sav.remaining).toEqual(0);
+    expect(sav.variables.map(({ label }) => label)).toContain('egoName');
+  });
+
+  it('makes variable names valid and unique', () => {
+    const variables = asVariables({
+      columns: [
+        { name: 'my var', type: 'numeric' },
+        { name: 'my_var', type: 'numeric' },
+        { name: '1st', type: 'numeric' },
+        { name: 'with', type: 'numeric' },
+      ],
+      rows: [],
+    });
+    expect(variables.map(({ name }) => name)).toEqual(['my_var', 'my_var_2', 'v1st', 'with_']);
+    expect(variables.map(({ shortName }) => shortName)).toEqual(['MY_VAR', 'MY_VAR_2', 'V1ST', 'WITH_']);
+  });
+
+  it('continues long strings over multiple segments', () => {
+    const dataset = {
+      columns: [{
+        name: 'notes', label: 'notes', type: 'string', measure: 'nominal', valueLabels: [],
+      }],
+      rows: [['a'.repeat(20)], ['ü'.repeat(200)]],
+    };
+    const sav = readSav(buildSav(dataset));
+    expect(sav.caseSize).toEqual(32);
+    expect(sav.cases[0][0]).toEqual('a'.repeat(20));
+    // Truncated to 255 bytes without splitting characters
+    expect(sav.cases[1][0]).toEqual('ü'.repeat(127));
+  });
+});
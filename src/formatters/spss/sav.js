@@ -0,0 +1,249 @@
+/**
+ * This module provides a writer for uncompressed SPSS system files (.sav), with UTF-8
+ * encoding, long variable names, variable labels, value labels and measurement levels.
+ * See https://www.gnu.org/software/pspp/pspp-dev/html_node/System-File-Format.html
+ *
+ * Strings longer than 255 bytes (SPSS "very long strings") are truncated.
+ * @module SPSS
+ */
+const {
+  fixedString,
+  float64,
+  int32,
+  monthNames,
+  truncateBytes,
+  twoDigits,
+} = require('../binary');
+const { mangleNames } = require('../dataset');
+
+const maxStringWidth = 255;
+const maxVariableLabelLength = 255;
+const maxValueLabelLength = 120;
+
+const sysmis = -Number.MAX_VALUE;
+
+const measureCodes = { nominal: 1, ordinal: 2, scale: 3 };
+const formatCodes = { A: 1, F: 5 };
+
+// Reserved words, which may not be used as variable names
+const reservedWords = ['ALL', 'AND', 'BY', 'EQ', 'GE', 'GT', 'LE', 'LT', 'NE', 'NOT', 'OR', 'TO', 'WITH'];
+
+const nameRules = {
+  invalidCharacters: /[^A-Za-z0-9_@#$]/g,
+  validStart: /^[A-Za-z]/,
+  prefix: 'v',
+  reserved: reservedWords,
+  caseSensitive: false,
+};
+
+/**
+ * A string of exactly `length` bytes, padded with spaces.
+ * @param {string} value
+ * @param {number} length
+ * @param {number} maxBytes the number of bytes of `value` to keep, if fewer than `length`
+ */
+const spssString = (value, length, maxBytes = length) => (
+  fixedString(value, length, { maxBytes, padding: 0x20 })
+);
+
+const roundUp = (value, multiple) => Math.ceil(value / multiple) * multiple;
+
+const formatSpec = (type, width, decimals) => (
+  // eslint-disable-next-line no-bitwise
+  (formatCodes[type] << 16) | (width << 8) | decimals
+);
+
+const getNumericFormat = (values) => {
+  const numbers = values.filter((value) => value !== null);
+  const decimals = numbers.every((value) => Number.isInteger(value)) ? 0 : 2;
+  const integerDigits = numbers.reduce(
+    (max, value) => Math.max(max, String(Math.trunc(Math.abs(value))).length + (value < 0 ? 1 : 0)),
+    1,
+  );
+  const width = Math.min(40, Math.max(8, integerDigits + (decimals ? decimals + 1 : 0)));
+  return formatSpec('F', width, decimals);
+};
+
+/**
+ * Prepare dataset columns as SPSS variables.
+ * @param {Object} dataset from ../dataset
+ * @return {Array} variables, with names, widths (0 for numeric) and dictionary positions
+ */
+const asVariables = ({ columns, rows }) => {
+  const { names } = mangleNames(columns.map(({ name }) => name), { ...nameRules, maxLength: 64 });
+  const { names: shortNames } = mangleNames(
+    names.map((name) => name.toUpperCase()),
+    { ...nameRules, prefix: 'V', maxLength: 8 },
+  );
+
+  let dictionaryIndex = 1;
+
+  return columns.map((column, index) => {
+    const values = rows.map((row) => row[index]);
+    const width = column.type === 'string'
+      ? Math.min(
+        maxStringWidth,
+        values.reduce((max, value) => Math.max(max, Buffer.byteLength(value, 'utf8')), 1),
+      )
+      : 0;
+    const segments = width === 0 ? 1 : Math.ceil(width / 8);
+    const variable = {
+      ...column,
+      name: names[index],
+      shortName: shortNames[index],
+      width,
+      segments,
+      dictionaryIndex,
+      format: width === 0 ? getNumericFormat(values) : formatSpec('A', width, 0),
+    };
+    dictionaryIndex += segments;
+    return variable;
+  });
+};
+
+const headerRecord = (variables, caseCount, now) => {
+  const date = `${twoDigits(now.getDate())} ${monthNames[now.getMonth()]} ${twoDigits(now.getFullYear() % 100)}`;
+  const time = `${twoDigits(now.getHours())}:${twoDigits(now.getMinutes())}:${twoDigits(now.getSeconds())}`;
+
+  return Buffer.concat([
+    Buffer.from('$FL2', 'ascii'),
+    spssString('@(#) SPSS DATA FILE Network Canvas export', 60),
+    int32(2), // layout code
+    int32(variables.reduce((total, { segments }) => total + segments, 0)),
+    int32(0), // compression
+    int32(0), // weight index
+    int32(caseCount),
+    float64(100), // compression bias
+    spssString(date, 9),
+    spssString(time, 8),
+    spssString('', 64), // file label
+    Buffer.alloc(3),
+  ]);
+};
+
+const variableRecords = (variable) => {
+  const label = truncateBytes(variable.label, maxVariableLabelLength);
+  const records = [
+    int32(2),
+    int32(variable.width),
+    int32(1), // has variable label
+    int32(0), // missing values
+    int32(variable.format),
+    int32(variable.format),
+    spssString(variable.shortName, 8),
+    int32(label.length),
+    Buffer.concat([label, Buffer.alloc(roundUp(label.length, 4) - label.length, 0x20)]),
+  ];
+
+  // Strings longer than 8 bytes continue over additional records
+  for (let segment = 1; segment < variable.segments; segment += 1) {
+    records.push(int32(2), int32(-1), int32(0), int32(0), int32(0), int32(0), spssString('', 8));
+  }
+
+  return records;
+};
+
+const valueLabelRecords = (variable) => {
+  // Value labels can't be attached to long string variables
+  if (variable.valueLabels.length === 0 || variable.width > 8) { return []; }
+
+  const labels = variable.valueLabels.map(([value, label]) => {
+    const labelBytes = truncateBytes(String(label), maxValueLabelLength);
+    const paddedLength = roundUp(labelBytes.length + 1, 8) - 1;
+    return Buffer.concat([
+      variable.width === 0 ? float64(value) : spssString(value, 8),
+      Buffer.from([labelBytes.length]),
+      labelBytes,
+      Buffer.alloc(paddedLength - labelBytes.length, 0x20),
+    ]);
+  });
+
+  return [
+    int32(3),
+    int32(labels.length),
+    ...labels,
+    int32(4),
+    int32(1),
+    int32(variable.dictionaryIndex),
+  ];
+};
+
+const extensionRecord = (subtype, size, data) => [
+  int32(7),
+  int32(subtype),
+  int32(size),
+  int32(data.length / size),
+  data,
+];
+
+const machineIntegerInfo = () => extensionRecord(3, 4, Buffer.concat([
+  int32(20), int32(0), int32(0), // version
+  int32(-1), // machine code
+  int32(1), // IEEE 754 floating point
+  int32(1), // compression code
+  int32(2), // little-endian
+  int32(65001), // UTF-8
+]));
+
+const machineFloatingPointInfo = () => {
+  const lowest = Buffer.from([0xfe, 0xff, 0xff, 0xff, 0xff, 0xff, 0xef, 0xff]);
+  return extensionRecord(4, 8, Buffer.concat([float64(sysmis), float64(Number.MAX_VALUE), lowest]));
+};
+
+const variableDisplayParameters = (variables) => extensionRecord(11, 4, Buffer.concat(
+  variables.reduce((parameters, variable) => [
+    ...parameters,
+    int32(measureCodes[variable.measure] || measureCodes.nominal),
+    int32(variable.width === 0 ? 8 : Math.min(variable.width, 40)),
+    int32(variable.width === 0 ? 1 : 0), // right-align numbers, left-align strings
+  ], []),
+));
+
+const longVariableNames = (variables) => extensionRecord(13, 1, Buffer.from(
+  variables.map(({ shortName, name }) => `${shortName}=${name}`).join('\t'),
+  'utf8',
+));
+
+const characterEncoding = () => extensionRecord(20, 1, Buffer.from('UTF-8', 'ascii'));
+
+const caseRecord = (variables, row) => Buffer.concat(variables.map((variable, index) => {
+  const value = row[index];
+  if (variable.width === 0) {
+    return float64(value === null ? sysmis : value);
+  }
+  return spssString(value, variable.segments * 8, variable.width);
+}));
+
+/**
+ * Generator function to supply a .sav file in chunks (Buffers): first the dictionary,
+ * then cases in batches.
+ *
+ * @param {Object} dataset `{ columns, rows }` from ../dataset
+ * @param {Date} now the creation time recorded in the file header
+ */
+function* savGenerator(dataset, now = new Date()) {
+  const variables = asVariables(dataset);
+  const { rows } = dataset;
+
+  yield Buffer.concat([
+    headerRecord(variables, rows.length, now),
+    ...variables.reduce((records, variable) => [...records, ...variableRecords(variable)], []),
+    ...variables.reduce((records, variable) => [...records, ...valueLabelRecords(variable)], []),
+    ...machineIntegerInfo(),
+    ...machineFloatingPointInfo(),
+    ...variableDisplayParameters(variables),
+    ...longVariableNames(variables),
+    ...characterEncoding(),
+    int32(999),
+    int32(0),
+  ]);
+
+  for (let i = 0; i < rows.length; i += 100) {
+    yield Buffer.concat(rows.slice(i, i + 100).map((row) => caseRecord(variables, row)));
+  }
+}
+
+module.exports = {
+  asVariables,
+  savGenerator,
+};
@@ -0,0 +1,267 @@
+const initSqlJs = require('sql.js/dist/sql-asm.js');
+const { resolveAttributeNames } = require('../network');
+const { isDirectedEdgeType } = require('../graphml/helpers');
+const {
+  caseProperty,
+  codebookHashProperty,
+  egoProperty,
+  entityPrimaryKeyProperty,
+  edgeExportIDProperty,
+  edgeSourceProperty,
+  edgeTargetProperty,
+  ncSourceUUID,
+  ncTargetUUID,
+  nodeExportIDProperty,
+  protocolName,
+  protocolProperty,
+  sessionExportTimeProperty,
+  sessionFinishTimeProperty,
+  sessionProperty,
+  sessionStartTimeProperty,
+} = require('../../utils/reservedAttributes');
+
+// Attributes are stored as JSON (keyed by variable name), and can be queried
+// with SQLite's JSON functions, e.g. `json_extract(attributes, '$.age')`. Edges record
+// whether their type is directed (1) or undirected (0).
+const schema = `
+CREATE TABLE sessions (
+  networkCanvasSessionID TEXT PRIMARY KEY,
+  networkCanvasCaseID TEXT,
+  protocolUID TEXT,
+  networkCanvasProtocolName TEXT,
+  codebookHash TEXT,
+  sessionStart TEXT,
+  sessionFinish TEXT,
+  sessionExported TEXT
+);
+CREATE TABLE egos (
+  networkCanvasEgoUUID TEXT PRIMARY KEY,
+  networkCanvasSessionID TEXT REFERENCES sessions(networkCanvasSessionID),
+  attributes TEXT
+);
+CREATE TABLE nodes (
+  networkCanvasSessionID TEXT REFERENCES sessions(networkCanvasSessionID),
+  nodeID INTEGER,
+  networkCanvasUUID TEXT,
+  networkCanvasEgoUUID TEXT,
+  networkCanvasType TEXT,
+  attributes TEXT,
+  PRIMARY KEY (networkCanvasSessionID, nodeID)
+);
+CREATE TABLE edges (
+  networkCanvasSessionID TEXT REFERENCES sessions(networkCanvasSessionID),
+  edgeID INTEGER,
+  "from" INTEGER,
+  "to" INTEGER,
+  networkCanvasUUID TEXT,
+  networkCanvasSourceUUID TEXT,
+  networkCanvasTargetUUID TEXT,
+  networkCanvasEgoUUID TEXT,
+  networkCanvasType TEXT,
+  networkCanvasDirected INTEGER,
+  attributes TEXT,
+  PRIMARY KEY (networkCanvasSessionID, edgeID)
+);
+CREATE TABLE codebook_variables (
+  protocolUID TEXT,
+  entity TEXT,
+  entityTypeUUID TEXT,
+  entityType TEXT,
+  variableUUID TEXT,
+  name TEXT,
+  type TEXT,
+  options TEXT,
+  PRIMARY KEY (protocolUID, entity, entityTypeUUID, variableUUID)
+);
+`;
+
+// sql.js can only bind numbers, strings, blobs and null
+const bindable = (value) => {
+  if (value === undefined || value === null) { return null; }
+  if (typeof value === 'boolean') { return value ? 1 : 0; }
+  if (typeof value === 'object') { return JSON.stringify(value); }
+  return value;
+};
+
+const run = (statement, values) => statement.run(values.map(bindable));
+
+const getTypeName = (codebook, type, entity) => (
+  (codebook[type] && codebook[type][entity.type] && codebook[type][entity.type].name)
+  || entity.type
+);
+
+/**
+ * List codebook variables as rows of
+ * `[protocolUID, entity, entityTypeUUID, entityType, variableUUID, name, type, options]`
+ *
+ * Entity types are keyed by UUID, as their names need not be unique. Ego has no type, so
+ * both are null.
+ */
+const codebookVariableRows = (protocolUID, codebook) => {
+  const variableRows = (entity, entityTypeUUID, entityType, variables = {}) => Object
+    .entries(variables)
+    .map(([variableUUID, { name, type, options }]) => (
+      [protocolUID, entity, entityTypeUUID, entityType, variableUUID, name, type, options]
+    ));
+
+  const entityRows = (entity) => Object.entries(codebook[entity] || {})
+    .reduce((rows, [entityTypeUUID, { name, variables }]) => [
+      ...rows,
+      ...variableRows(entity, entityTypeUUID, name, variables),
+    ], []);
+
+  return [
+    ...variableRows('ego', null, null, codebook.ego && codebook.ego.variables),
+    ...entityRows('node'),
+    ...entityRows('edge'),
+  ];
+};
+
+/**
+ * Populate a database with all sessions, grouped by protocol.
+ * @param {Object} db a sql.js Database
+ * @param {Object} sessionsByProtocol
+ * @param {Object} protocols
+ * @param {Object} exportOptions
+ */
+const populateDatabase = (db, sessionsByProtocol, protocols, exportOptions) => {
+  db.run(schema);
+  db.run('BEGIN TRANSACTION');
+
+  const insertSession = db.prepare('INSERT INTO sessions VALUES (?, ?, ?, ?, ?, ?, ?, ?)');
+  const insertEgo = db.prepare('INSERT INTO egos VALUES (?, ?, ?)');
+  const insertNode = db.prepare('INSERT INTO nodes VALUES (?, ?, ?, ?, ?, ?)');
+  const insertEdge = db.prepare('INSERT INTO edges VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)');
+  const insertVariable = db.prepare('INSERT INTO codebook_variables VALUES (?, ?, ?, ?, ?, ?, ?, ?)');
+
+  Object.keys(sessionsByProtocol).forEach((protocolUID) => {
+    // Sessions without a protocol are reported as failures by FileExportManager
+    if (!protocols[protocolUID]) { return; }
+
+    const { codebook } = protocols[protocolUID];
+
+    codebookVariableRows(protocolUID, codebook)
+      .forEach((row) => run(insertVariable, row));
+
+    sessionsByProtocol[protocolUID].forEach((session) => {
+      const { sessionVariables } = session;
+      const sessionID = sessionVariables[sessionProperty];
+
+      run(insertSession, [
+        sessionID,
+        sessionVariables[caseProperty],
+        sessionVariables[protocolProperty],
+        sessionVariables[protocolName],
+        sessionVariables[codebookHashProperty],
+        sessionVariables[sessionStartTimeProperty],
+        sessionVariables[sessionFinishTimeProperty],
+        sessionVariables[sessionExportTimeProperty],
+      ]);
+
+      if (session.ego) {
+        run(insertEgo, [
+          session.ego[entityPrimaryKeyProperty],
+          sessionID,
+          resolveAttributeNames(session.ego, 'ego', codebook),
+        ]);
+      }
+
+      (session.nodes || []).forEach((node) => run(insertNode, [
+        sessionID,
+        node[nodeExportIDProperty],
+        node[entityPrimaryKeyProperty],
+        node[egoProperty],
+        getTypeName(codebook, 'node', node),
+        resolveAttributeNames(node, 'node', codebook),
+      ]));
+
+      (session.edges || []).forEach((edge) => run(insertEdge, [
+        sessionID,
+        edge[edgeExportIDProperty],
+        edge[edgeSourceProperty],
+        edge[edgeTargetProperty],
+        edge[entityPrimaryKeyProperty],
+        edge[ncSourceUUID],
+        edge[ncTargetUUID],
+        edge[egoProperty],
+        getTypeName(codebook, 'edge', edge),
+        isDirectedEdgeType(codebook, edge.type, exportOptions),
+        resolveAttributeNames(edge, 'edge', codebook),
+      ]));
+    });
+  });
+
+  [insertSession, insertEgo, insertNode, insertEdge, insertVariable]
+    .forEach((statement) => statement.free());
+
+  db.run('COMMIT');
+  return db;
+};
+
+/**
+ * Class providing an SQLite database formatter.
+ *
+ * Unlike other formatters, this writes a single file for the whole export, so it is
+ * constructed with every session (before networks are unified) and every protocol.
+ */
+class SQLiteFormatter {
+  /**
+   * Create an SQLite formatter.
+   * @param {Object} sessionsByProtocol - NC format sessions, grouped by protocolUID.
+   * @param {Object} protocols - protocol objects (including codebooks), keyed by protocolUID.
+   * @param {Object} exportOptions - global export options object from FileExportManager.
+   */
+  constructor(sessionsByProtocol, protocols, exportOptions) {
+    this.sessionsByProtocol = sessionsByProtocol;
+    this.protocols = protocols;
+    this.exportOptions = exportOptions;
+  }
+
+  /**
+   * Build the database in memory.
+   * @async
+   * @return {Uint8Array} the database file contents
+   */
+  toBuffer() {
+    return initSqlJs().then((SQL) => {
+      const db = populateDatabase(
+        new SQL.Database(),
+        this.sessionsByProtocol,
+        this.protocols,
+        this.exportOptions,
+      );
+      const data = db.export();
+      db.close();
+      return data;
+    });
+  }
+
+  /**
+   * Write the database file to a stream. The database must be built in memory first,
+   * so it is written as a single chunk.
+   * @param {Stream} outStream
+   * @return {Object} an abort controller; call the attached abort() method as needed.
+   */
+  writeToStream(outStream) {
+    let aborted = false;
+
+    this.toBuffer()
+      .then((data) => {
+        if (aborted) { return; }
+        outStream.end(data);
+      })
+      .catch((err) => outStream.destroy(err));
+
+    return {
+      abort: () => {
+        aborted = true;
+        outStream.destroy(new Error('Export aborted'));
+      },
+    };
+  }
+}
+
+module.exports = {
+  SQLiteFormatter,
+  codebookVariableRows,
+};
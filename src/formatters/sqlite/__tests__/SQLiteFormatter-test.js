@@ -0,0 +1,139 @@
+/* eslint-env jest */
+import { Writable } from 'stream';
+import initSqlJs from 'sql.js/dist/sql-asm';
+import {
+  mockNetwork, mockNetwork2, mockCodebook, mockExportOptions, processMockNetworks,
+} from '../../../../config/mockObjects';
+import { SQLiteFormatter, codebookVariableRows } from '../SQLiteFormatter';
+
+const protocols = {
+  'protocol-uid-1': { name: 'protocol name', codebook: mockCodebook },
+};
+
+const query = (db, sql) => {
+  const [result] = db.exec(sql);
+  return result ? result.values : [];
+};
+
+describe('codebookVariableRows', () => {
+  it('lists variables for each entity', () => {
+    const rows = codebookVariableRows('protocol-uid-1', mockCodebook);
+    expect(rows[0]).toEqual(['protocol-uid-1', 'ego', null, null, 'mock-uuid-1', 'egoName', 'string', undefined]);
+    expect(rows.filter(([, entity]) => entity === 'node')).toHaveLength(6);
+  });
+});
+
+describe('SQLiteFormatter', () => {
+  let db;
+
+  beforeAll(async () => {
+    const sessionsByProtocol = processMockNetworks([mockNetwork, mockNetwork2], false);
+    const formatter = new SQLiteFormatter(sessionsByProtocol, protocols, mockExportOptions);
+    const SQL = await initSqlJs();
+    db = new SQL.Database(await formatter.toBuffer());
+  });
+
+  afterAll(() => {
+    db.close();
+  });
+
+  it('writes a row per session', () => {
+    expect(query(db, 'SELECT networkCanvasSessionID, networkCanvasCaseID FROM sessions')).toEqual([
+      ['session-id-1', '123'],
+      ['session-id-2', '456'],
+    ]);
+  });
+
+  it('writes egos', () => {
+    expect(query(db, 'SELECT networkCanvasEgoUUID FROM egos')).toEqual([['ego-id-1'], ['ego-id-10']]);
+  });
+
+  it('writes nodes keyed by session and resequenced ID, with named attributes', () => {
+    expect(query(db, 'SELECT networkCanvasSessionID, nodeID, networkCanvasType, json_extract(attributes, \'$.firstName\') FROM nodes WHERE networkCanvasUUID = \'20\'')).toEqual([
+      ['session-id-2', 2, 'person', 'Jambo'],
+    ]);
+    expect(query(db, 'SELECT count(*) FROM nodes')).toEqual([[6]]);
+  });
+
+  it('writes edges', () => {
+    expect(query(db, 'SELECT networkCanvasSessionID, edgeID, "from", "to", networkCanvasType FROM edges')).toEqual([
+      ['session-id-1', 1, 1, 2, 'peer'],
+      ['session-id-2', 1, 1, 2, 'peer'],
+    ]);
+  });
+
+  it('records whether each edge\'s type is directed', async () => {
+    expect(query(db, 'SELECT DISTINCT networkCanvasDirected FROM edges')).toEqual([[0]]);
+
+    const codebook = {
+      ...mockCodebook,
+      edge: {
+        ...mockCodebook.edge,
+        'mock-edge-type': { ...mockCodebook.edge['mock-edge-type'], directed: true },
+      },
+    };
+    const formatter = new SQLiteFormatter(
+      processMockNetworks([mockNetwork], false),
+      { 'protocol-uid-1': { name: 'protocol name', codebook } },
+      mockExportOptions,
+    );
+    const SQL = await initSqlJs();
+    const directedDb = new SQL.Database(await formatter.toBuffer());
+    expect(query(directedDb, 'SELECT DISTINCT networkCanvasDirected FROM edges')).toEqual([[1]]);
+    directedDb.close();
+  });
+
+  it('writes codebook variables', () => {
+    expect(query(db, 'SELECT name, type FROM codebook_variables WHERE entity = \'node\' AND variableUUID = \'mock-uuid-2\'')).toEqual([
+      ['age', 'number'],
+    ]);
+  });
+
+  it('keys codebook variables by entity type UUID, so that type names may repeat', async () => {
+    const variables = { 'variable-1': { name: 'name', type: 'text' } };
+    const formatter = new SQLiteFormatter({ 'protocol-uid-1': [] }, {
+      'protocol-uid-1': {
+        codebook: {
+          node: {
+            'node-type-1': { name: 'person', variables },
+            'node-type-2': { name: 'person', variables },
+          },
+          edge: { 'edge-type-1': { name: 'person', variables } },
+        },
+      },
+    }, mockExportOptions);
+    const SQL = await initSqlJs();
+    const typesDb = new SQL.Database(await formatter.toBuffer());
+
+    expect(query(typesDb, 'SELECT entity, entityTypeUUID, entityType FROM codebook_variables')).toEqual([
+      ['node', 'node-type-1', 'person'],
+      ['node', 'node-type-2', 'person'],
+      ['edge', 'edge-type-1', 'person'],
+    ]);
+    typesDb.close();
+  });
+
+  it('writeToStream returns an abort controller', () => {
+    const formatter = new SQLiteFormatter({}, {}, mockExportOptions);
+    const controller = formatter.writeToStream({ end: () => {}, destroy: () => {} });
+    expect(controller.abort).toBeInstanceOf(Function);
+  });
+
+  it('closes the stream when aborted', async () => {
+    const sessionsByProtocol = processMockNetworks([mockNetwork], false);
+    const formatter = new SQLiteFormatter(sessionsByProtocol, protocols, mockExportOptions);
+    const write = jest.fn((chunk, encoding, next) => next(null));
+    const writable = new Writable({ write });
+    const errored = jest.fn();
+    writable.on('error', errored);
+
+    formatter.writeToStream(writable).abort();
+    await new Promise((resolve) => writable.on('close', resolve));
+    // Wait for the database to be built
+    await formatter.toBuffer();
+
+    expect(writable.destroyed).toBe(true);
+    expect(errored).toHaveBeenCalledWith(new Error('Export aborted'));
+    expect(write).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,107 @@
+/* eslint-disable max-classes-per-file */
+const { partitionNetworkByType } = require('../network');
+const {
+  asAttributeListDataset,
+  asEdgeListDataset,
+  asEgoDataset,
+  getDatasetColumnNames,
+} = require('../dataset');
+const { csvEOL, sanitizedCellValue } = require('../csv/csv');
+const { asStataNames, dtaGenerator } = require('./dta');
+const { writeGenerator } = require('../stream');
+
+const datasetLabel = (prefix, network) => (
+  network.partitionEntity ? `${prefix} ${network.partitionEntity}` : prefix
+);
+
+/**
+ * List the variables renamed to make valid Stata names, for every dataset that is
+ * exported for this network. Names depend only on the columns, so rows aren't built.
+ * @return {Array} `[{ dataset, original, name }]`
+ */
+const getRenamedVariables = (network, codebook, exportOptions) => {
+  const columnNames = (kind, partition) => getDatasetColumnNames(
+    kind, partition, codebook, exportOptions,
+  );
+  const datasets = [
+    ['ego', columnNames('ego', network)],
+    ...partitionNetworkByType(codebook, network, 'stataAttributeList').map((partition) => [
+      datasetLabel('attributeList', partition),
+      columnNames('attributeList', partition),
+    ]),
+    ...partitionNetworkByType(codebook, network, 'stataEdgeList').map((partition) => [
+      datasetLabel('edgeList', partition),
+      columnNames('edgeList', partition),
+    ]),
+  ];
+
+  return datasets.reduce((renamed, [dataset, names]) => [
+    ...renamed,
+    ...asStataNames(names).renamed.map((rename) => ({ dataset, ...rename })),
+  ], []);
+};
+
+/** Class providing a Stata (.dta) formatter for ego and session variables. */
+class StataEgoFormatter {
+  constructor(network, codebook, exportOptions) {
+    this.dataset = asEgoDataset(network, codebook, exportOptions);
+  }
+
+  writeToStream(outStream) {
+    return writeGenerator(dtaGenerator(this.dataset, 'ego'), outStream);
+  }
+}
+
+/** Class providing a Stata (.dta) formatter for the nodes of a single type. */
+class StataAttributeListFormatter {
+  constructor(network, codebook, exportOptions) {
+    this.dataset = asAttributeListDataset(network, codebook, exportOptions);
+    this.label = datasetLabel('attributeList', network);
+  }
+
+  writeToStream(outStream) {
+    return writeGenerator(dtaGenerator(this.dataset, this.label), outStream);
+  }
+}
+
+/** Class providing a Stata (.dta) formatter for the edges of a single type. */
+class StataEdgeListFormatter {
+  constructor(network, codebook, exportOptions) {
+    this.dataset = asEdgeListDataset(network, codebook, exportOptions);
+    this.label = datasetLabel('edgeList', network);
+  }
+
+  writeToStream(outStream) {
+    return writeGenerator(dtaGenerator(this.dataset, this.label), outStream);
+  }
+}
+
+/**
+ * Class providing a CSV report of variables that were renamed to make valid Stata names
+ * (for example, because of invalid characters, length, or collisions).
+ */
+class StataRenamesFormatter {
+  constructor(network, codebook, exportOptions) {
+    this.renamed = getRenamedVariables(network, codebook, exportOptions);
+  }
+
+  writeToStream(outStream) {
+    function* reportGenerator(renamed) {
+      yield `dataset,variable,stataName${csvEOL}`;
+      for (let i = 0; i < renamed.length; i += 1) {
+        const { dataset, original, name } = renamed[i];
+        yield `${[dataset, original, name].map(sanitizedCellValue).join(',')}${csvEOL}`;
+      }
+    }
+
+    return writeGenerator(reportGenerator(this.renamed), outStream);
+  }
+}
+
+module.exports = {
+  StataAttributeListFormatter,
+  StataEdgeListFormatter,
+  StataEgoFormatter,
+  StataRenamesFormatter,
+  getRenamedVariables,
+};
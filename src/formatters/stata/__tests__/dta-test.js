@@ -0,0 +1,181 @@
+/* eslint-env jest */
+import { makeWriteableStream } from '../../../../config/setupTestEnv';
+import {
+  mockExportOptions, mockNetwork, mockCodebook, processMockNetworks,
+} from '../../../../config/mockObjects';
+import { partitionNetworkByType } from '../../network';
+import { asAttributeListDataset, asEdgeListDataset } from '../../dataset';
+import { asStataNames, asStataVariables, dtaGenerator } from '../dta';
+import { StataRenamesFormatter } from '../StataFormatter';
+
+const buildDta = (...args) => Buffer.concat(Array.from(dtaGenerator(...args)));
+
+const readString = (buffer) => {
+  const end = buffer.indexOf(0);
+  return buffer.slice(0, end === -1 ? buffer.length : end).toString('utf8');
+};
+
+/**
+ * A minimal reader for the parts of the format written by dtaGenerator()
+ */
+const readDta = (buffer) => {
+  const mapStart = buffer.indexOf('<map>') + 5;
+  const map = Array.from({ length: 14 }, (_, i) => buffer.readUInt32LE(mapStart + (i * 8)));
+  const K = buffer.readUInt16LE(buffer.indexOf('<K>') + 3);
+  const N = buffer.readUInt32LE(buffer.indexOf('<N>') + 3);
+  const section = (index, tagName, size) => Array.from({ length: K }, (_, i) => {
+    const start = map[index] + tagName.length + 2 + (i * size);
+    return buffer.slice(start, start + size);
+  });
+
+  const types = section(2, 'variable_types', 2).map((b) => b.readUInt16LE(0));
+  const names = section(3, 'varnames', 129).map(readString);
+  const valueLabelNames = section(6, 'value_label_names', 129).map(readString);
+  const labels = section(7, 'variable_labels', 321).map(readString);
+  const widths = types.map((type) => {
+    if (type === 65526) { return 8; }
+    if (type === 65528) { return 4; }
+    return type;
+  });
+
+  let offset = map[9] + '<data>'.length;
+  const rows = Array.from({ length: N }, () => types.map((type, index) => {
+    const value = buffer.slice(offset, offset + widths[index]);
+    offset += widths[index];
+    if (type === 65526) { return value.readDoubleLE(0); }
+    if (type === 65528) { return value.readInt32LE(0); }
+    return readString(value);
+  }));
+
+  const valueLabels = {};
+  let lbl = buffer.indexOf('<lbl>', map[11]);
+  while (lbl !== -1) {
+    const name = readString(buffer.slice(lbl + 9, lbl + 9 + 129));
+    const table = lbl + 9 + 129 + 3;
+    const n = buffer.readInt32LE(table);
+    const textStart = table + 8 + (n * 8);
+    valueLabels[name] = Array.from({ length: n }, (_, i) => [
+      buffer.readInt32LE(table + 8 + (n * 4) + (i * 4)),
+      readString(buffer.slice(textStart + buffer.readInt32LE(table + 8 + (i * 4)))),
+    ]);
+    lbl = buffer.indexOf('<lbl>', lbl + 1);
+  }
+
+  return {
+    map, K, N, types, names, labels, valueLabelNames, rows, valueLabels,
+  };
+};
+
+const codebook = {
+  ...mockCodebook,
+  node: {
+    'mock-node-type': {
+      ...mockCodebook.node['mock-node-type'],
+      variables: {
+        ...mockCodebook.node['mock-node-type'].variables,
+        'mock-uuid-7': {
+          name: 'close ness',
+          type: 'ordinal',
+          options: [{ label: 'Not close', value: 1 }, { label: 'Very close', value: 2 }],
+        },
+      },
+    },
+  },
+};
+
+describe('Stata', () => {
+  let network;
+  let dataset;
+
+  beforeEach(() => {
+    [network] = processMockNetworks([{
+      ...mockNetwork,
+      nodes: [
+        {
+          ...mockNetwork.nodes[0],
+          attributes: { ...mockNetwork.nodes[0].attributes, 'mock-uuid-7': 2 },
+        },
+        ...mockNetwork.nodes.slice(1),
+      ],
+    }], false)['protocol-uid-1'];
+    const [partition] = partitionNetworkByType(codebook, network, 'stataAttributeList');
+    dataset = asAttributeListDataset(partition, codebook, mockExportOptions);
+  });
+
+  it('writes a map that matches the file', () => {
+    const buffer = buildDta(dataset, 'attributeList person');
+    const dta = readDta(buffer);
+
+    expect(buffer.slice(0, 11).toString()).toEqual('<stata_dta>');
+    expect(buffer.slice(dta.map[1], dta.map[1] + 5).toString()).toEqual('<map>');
+    expect(buffer.slice(dta.map[9], dta.map[9] + 6).toString()).toEqual('<data>');
+    expect(buffer.slice(dta.map[11], dta.map[11] + 14).toString()).toEqual('<value_labels>');
+    expect(buffer.slice(dta.map[12]).toString()).toEqual('</stata_dta>');
+    expect(dta.map[13]).toEqual(buffer.length);
+    expect(buffer.indexOf('<release>118</release>')).toBeGreaterThan(0);
+  });
+
+  it('writes variables and data', () => {
+    const dta = readDta(buildDta(dataset));
+    const column = (name) => dta.names.indexOf(name);
+
+    expect(dta.K).toEqual(dataset.columns.length);
+    expect(dta.N).toEqual(4);
+    expect(dta.rows.map((row) => row[column('firstName')])).toEqual(['Dee', 'Carl', 'Jumbo', 'Francis']);
+    expect(dta.rows.map((row) => row[column('age')])).toEqual([40, 0, 50, 10]);
+    expect(dta.types[column('age')]).toEqual(65528);
+    // missing
+    expect(dta.rows[1][column('close_ness')]).toEqual(2147483621);
+  });
+
+  it('writes variable labels and value labels', () => {
+    const dta = readDta(buildDta(dataset));
+    const index = dta.names.indexOf('close_ness');
+
+    expect(dta.labels[index]).toEqual('close ness');
+    expect(dta.valueLabelNames[index]).toEqual('close_ness');
+    expect(dta.valueLabels.close_ness).toEqual([[1, 'Not close'], [2, 'Very close']]);
+    expect(dta.valueLabels.boolWithValues).toEqual([[0, 'false'], [1, 'true']]);
+  });
+
+  it('writes edge lists', () => {
+    const [partition] = partitionNetworkByType(codebook, network, 'stataEdgeList');
+    const dta = readDta(buildDta(asEdgeListDataset(partition, codebook, mockExportOptions)));
+    expect(dta.rows).toEqual([expect.arrayContaining([1, 2])]);
+  });
+
+  it('makes names valid, and reports changes', () => {
+    const { variables, renamed } = asStataVariables({
+      columns: [
+        { name: 'a'.repeat(40), type: 'numeric' },
+        { name: 'a'.repeat(33), type: 'numeric' },
+        { name: 'int', type: 'numeric' },
+        { name: 'A', type: 'numeric' },
+        { name: 'a', type: 'numeric' },
+      ],
+      rows: [],
+    });
+
+    expect(variables.map(({ name }) => name)).toEqual([
+      'a'.repeat(32), `${'a'.repeat(30)}_2`, 'int_', 'A', 'a',
+    ]);
+    expect(renamed.map(({ original }) => original)).toEqual(['a'.repeat(40), 'a'.repeat(33), 'int']);
+  });
+
+  it('compares names with reserved words case-sensitively', () => {
+    expect(asStataNames(['byte', 'Byte', 'BYTE', '_n', '_N', 'strL', 'strl']).names).toEqual([
+      'byte_', 'Byte', 'BYTE', '_n_', '_N_', 'strL_', 'strl',
+    ]);
+  });
+
+  it('writes a report of renamed variables', async () => {
+    const writable = makeWriteableStream();
+    new StataRenamesFormatter(network, codebook, mockExportOptions).writeToStream(writable);
+    const csv = await writable.asString();
+    expect(csv.split('\r\n')).toEqual([
+      'dataset,variable,stataName',
+      'attributeList person,close ness,close_ness',
+      '',
+    ]);
+  });
+});
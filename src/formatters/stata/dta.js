@@ -0,0 +1,258 @@
+/**
+ * This module provides a writer for Stata 14+ datasets (.dta format 118), with variable
+ * labels and value labels.
+ * See https://www.stata.com/help.cgi?dta
+ *
+ * Strings longer than 2045 bytes (which would require strL storage) are truncated.
+ * @module Stata
+ */
+const {
+  fixedString,
+  float64,
+  int32,
+  monthNames,
+  truncateBytes,
+  twoDigits,
+  uint16,
+  uint64,
+} = require('../binary');
+const { mangleNames } = require('../dataset');
+
+const release = 118;
+const maxStringWidth = 2045;
+const maxVariableLabelLength = 80;
+const maxDatasetLabelLength = 80;
+
+const types = {
+  double: 65526,
+  long: 65528,
+};
+
+// Stata's system missing value (.) for each storage type
+const missingLong = 2147483621;
+const missingDouble = Buffer.from([0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0xe0, 0x7f]);
+
+const longRange = { min: -2147483647, max: 2147483620 };
+
+const reservedWords = [
+  '_all', '_b', 'byte', '_coef', '_cons', 'double', 'float', 'if', 'in', 'int', 'long',
+  '_n', '_N', '_pi', '_pred', '_rc', '_skip', 'strL', 'using', 'with',
+];
+
+const nameRules = {
+  maxLength: 32,
+  invalidCharacters: /[^A-Za-z0-9_]/g,
+  validStart: /^[A-Za-z_]/,
+  prefix: '_',
+  reserved: reservedWords,
+  caseSensitive: true,
+};
+
+/**
+ * A null-padded string of exactly `length` bytes, holding at most `maxBytes` of `value`.
+ */
+const stataString = (value, length, maxBytes = length - 1) => (
+  fixedString(value, length, { maxBytes })
+);
+
+/**
+ * Truncate to a number of characters, as Stata measures label lengths in characters.
+ */
+const truncateCharacters = (value, maxCharacters) => Array.from(String(value))
+  .slice(0, maxCharacters)
+  .join('');
+
+const tag = (name, ...contents) => Buffer.concat([
+  Buffer.from(`<${name}>`, 'ascii'),
+  ...contents,
+  Buffer.from(`</${name}>`, 'ascii'),
+]);
+
+const isLong = (values) => values.every((value) => (
+  value === null
+  || (Number.isInteger(value) && value >= longRange.min && value <= longRange.max)
+));
+
+/**
+ * Make names valid Stata variable names.
+ * @param {Array} names
+ * @return {Object} `{ names, renamed }`, where renamed is `[{ original, name }]`
+ */
+const asStataNames = (names) => mangleNames(names, nameRules);
+
+/**
+ * Prepare dataset columns as Stata variables, making names valid.
+ * @param {Object} dataset `{ columns, rows }` from ../dataset
+ * @return {Object} `{ variables, renamed }`, where renamed is `[{ original, name }]`
+ */
+const asStataVariables = ({ columns, rows }) => {
+  const { names, renamed } = asStataNames(columns.map(({ name }) => name));
+
+  const variables = columns.map((column, index) => {
+    const values = rows.map((row) => row[index]);
+    const name = names[index];
+
+    if (column.type === 'string') {
+      const width = Math.min(
+        maxStringWidth,
+        values.reduce((max, value) => Math.max(max, Buffer.byteLength(value, 'utf8')), 1),
+      );
+      return {
+        ...column, name, type: width, width, format: `%-${Math.min(width, 40)}s`, valueLabels: [],
+      };
+    }
+
+    const long = isLong(values);
+    // Value labels can only be attached to integer values
+    const valueLabels = (column.valueLabels || []).filter(([value]) => isLong([value]));
+
+    return {
+      ...column,
+      name,
+      type: long ? types.long : types.double,
+      width: long ? 4 : 8,
+      format: long ? '%12.0g' : '%10.0g',
+      valueLabels,
+    };
+  });
+
+  return { variables, renamed };
+};
+
+const timestamp = (now) => (
+  `${twoDigits(now.getDate())} ${monthNames[now.getMonth()]} ${now.getFullYear()} ${twoDigits(now.getHours())}:${twoDigits(now.getMinutes())}`
+);
+
+const headerSection = (variables, rowCount, label, now) => {
+  const labelBytes = truncateBytes(truncateCharacters(label, maxDatasetLabelLength), 320);
+  const time = Buffer.from(timestamp(now), 'ascii');
+
+  return tag(
+    'header',
+    tag('release', Buffer.from(String(release), 'ascii')),
+    tag('byteorder', Buffer.from('LSF', 'ascii')),
+    tag('K', uint16(variables.length)),
+    tag('N', uint64(rowCount)),
+    tag('label', uint16(labelBytes.length), labelBytes),
+    tag('timestamp', Buffer.from([time.length]), time),
+  );
+};
+
+const valueLabelTable = (variable) => {
+  const texts = variable.valueLabels.map(([, label]) => Buffer.concat([
+    truncateBytes(label, 32000),
+    Buffer.alloc(1),
+  ]));
+  const offsets = texts.reduce((acc, text, index) => (
+    [...acc, index === 0 ? 0 : acc[index - 1] + texts[index - 1].length]
+  ), []);
+  const textLength = texts.reduce((total, text) => total + text.length, 0);
+
+  const table = Buffer.concat([
+    int32(texts.length),
+    int32(textLength),
+    ...offsets.map(int32),
+    ...variable.valueLabels.map(([value]) => int32(value)),
+    ...texts,
+  ]);
+
+  return tag(
+    'lbl',
+    int32(table.length),
+    stataString(variable.name, 129),
+    Buffer.alloc(3),
+    table,
+  );
+};
+
+const rowRecord = (variables, row) => Buffer.concat(variables.map((variable, index) => {
+  const value = row[index];
+  if (variable.type === types.long) {
+    return int32(value === null ? missingLong : value);
+  }
+  if (variable.type === types.double) {
+    return value === null ? missingDouble : float64(value);
+  }
+  return stataString(value, variable.width, variable.width);
+}));
+
+/**
+ * Generator function to supply a .dta file in chunks (Buffers).
+ *
+ * The file starts with a map of section offsets, so everything other than the data
+ * is assembled up front, and rows are then written in batches.
+ *
+ * @param {Object} dataset `{ columns, rows }` from ../dataset
+ * @param {string} label the dataset label
+ * @param {Date} now the timestamp recorded in the file header
+ */
+function* dtaGenerator(dataset, label = '', now = new Date()) {
+  const { variables } = asStataVariables(dataset);
+  const { rows } = dataset;
+  const labelledVariables = variables.filter(({ valueLabels }) => valueLabels.length > 0);
+
+  const opening = Buffer.from('<stata_dta>', 'ascii');
+  const header = headerSection(variables, rows.length, label, now);
+  const mapLength = Buffer.byteLength('<map></map>') + (14 * 8);
+
+  const sections = [
+    tag('variable_types', ...variables.map(({ type }) => uint16(type))),
+    tag('varnames', ...variables.map(({ name }) => stataString(name, 129))),
+    tag('sortlist', ...variables.map(() => uint16(0)), uint16(0)),
+    tag('formats', ...variables.map(({ format }) => stataString(format, 57))),
+    tag('value_label_names', ...variables.map(({ name, valueLabels }) => (
+      stataString(valueLabels.length > 0 ? name : '', 129)
+    ))),
+    tag('variable_labels', ...variables.map((variable) => (
+      stataString(truncateCharacters(variable.label || variable.name, maxVariableLabelLength), 321)
+    ))),
+    tag('characteristics'),
+  ];
+
+  const rowLength = variables.reduce((total, { width }) => total + width, 0);
+  const dataLength = Buffer.byteLength('<data></data>') + (rowLength * rows.length);
+  const strls = tag('strls');
+  const valueLabels = tag('value_labels', ...labelledVariables.map(valueLabelTable));
+  const closing = Buffer.from('</stata_dta>', 'ascii');
+
+  // Offsets of each section, in file order
+  const offsets = [0, opening.length + header.length];
+  let position = offsets[1] + mapLength;
+  sections.forEach((section) => {
+    offsets.push(position);
+    position += section.length;
+  });
+  offsets.push(position); // data
+  position += dataLength;
+  offsets.push(position); // strls
+  position += strls.length;
+  offsets.push(position); // value_labels
+  position += valueLabels.length;
+  offsets.push(position); // </stata_dta>
+  offsets.push(position + closing.length); // end of file
+
+  yield Buffer.concat([
+    opening,
+    header,
+    tag('map', ...offsets.map(uint64)),
+    ...sections,
+    Buffer.from('<data>', 'ascii'),
+  ]);
+
+  for (let i = 0; i < rows.length; i += 100) {
+    yield Buffer.concat(rows.slice(i, i + 100).map((row) => rowRecord(variables, row)));
+  }
+
+  yield Buffer.concat([
+    Buffer.from('</data>', 'ascii'),
+    strls,
+    valueLabels,
+    closing,
+  ]);
+}
+
+module.exports = {
+  asStataNames,
+  asStataVariables,
+  dtaGenerator,
+};
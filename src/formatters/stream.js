@@ -0,0 +1,73 @@
+/**
+ * This module provides helpers for formatters that produce their output from a generator
+ * of chunks (strings or Buffers).
+ * @module Stream
+ */
+const { Readable, pipeline } = require('stream');
+
+/**
+ * Wrap a generator in a Readable, pulling one chunk for each read.
+ *
+ * Destroying the stream (for example, when an export is aborted) finishes the generator,
+ * so that it runs any `finally` blocks and releases what it holds. An error thrown by the
+ * generator destroys the stream with that error.
+ *
+ * @param {Generator} generator
+ * @return {Stream.Readable}
+ */
+const generatorToStream = (generator) => new Readable({
+  read(/* size */) {
+    let next;
+    try {
+      next = generator.next();
+    } catch (error) {
+      this.destroy(error);
+      return;
+    }
+
+    this.push(next.done ? null : next.value);
+  },
+  destroy(error, callback) {
+    try {
+      generator.return();
+    } catch (returnError) {
+      callback(error || returnError);
+      return;
+    }
+    callback(error);
+  },
+});
+
+/**
+ * Write a Readable stream to the given Writable stream. The streams are joined with
+ * pipeline(), so that if either fails or is destroyed, the other is torn down too.
+ *
+ * @param {Stream.Readable} inStream
+ * @param {Stream.Writable} outStream
+ * @return {Object} an abort controller; call the attached abort() method as needed.
+ */
+const writeReadable = (inStream, outStream) => {
+  // Errors are reported by outStream, which pipeline() destroys with the same error
+  pipeline(inStream, outStream, () => {});
+
+  return {
+    abort: () => { inStream.destroy(); },
+  };
+};
+
+/**
+ * Write a generator to the given Writable stream (see writeReadable).
+ *
+ * @param {Generator} generator
+ * @param {Stream.Writable} outStream
+ * @return {Object} an abort controller; call the attached abort() method as needed.
+ */
+const writeGenerator = (generator, outStream) => (
+  writeReadable(generatorToStream(generator), outStream)
+);
+
+module.exports = {
+  generatorToStream,
+  writeGenerator,
+  writeReadable,
+};
@@ -0,0 +1,127 @@
+/* eslint-env jest */
+import {
+  mockExportOptions, mockNetwork, mockCodebook, processMockNetworks, mockNetwork2,
+} from '../../../../config/mockObjects';
+import { svgGenerator, resolveColor } from '../createSVG';
+import { forceLayout, maxLayoutNodes } from '../layout';
+
+const codebook = {
+  ...mockCodebook,
+  node: {
+    'mock-node-type': {
+      ...mockCodebook.node['mock-node-type'],
+      color: 'node-color-seq-2',
+      variables: {
+        ...mockCodebook.node['mock-node-type'].variables,
+        'mock-uuid-1': { name: 'name', type: 'text' },
+      },
+    },
+  },
+};
+
+const buildSVG = (...args) => {
+  let svgString = '';
+  for (const chunk of svgGenerator(...args)) { // eslint-disable-line no-restricted-syntax, no-unused-vars, max-len
+    svgString += chunk;
+  }
+  return svgString;
+};
+
+const circles = (svg) => Array.from(svg.matchAll(/<circle cx="([^"]+)" cy="([^"]+)"/g))
+  .map(([, x, y]) => ({ x: parseFloat(x), y: parseFloat(y) }));
+
+describe('buildSVG', () => {
+  let network;
+
+  beforeEach(() => {
+    [network] = processMockNetworks([mockNetwork2], false)['protocol-uid-1'];
+  });
+
+  it('sizes the canvas from the screen layout options', () => {
+    const svg = buildSVG(network, codebook, mockExportOptions);
+    expect(svg).toContain('<svg xmlns="http://www.w3.org/2000/svg" width="1920" height="1080" viewBox="0 0 1920 1080"');
+    expect(svg).toContain('<title>456 session-id-2</title>');
+  });
+
+  it('scales layout coordinates', () => {
+    const svg = buildSVG(network, codebook, mockExportOptions);
+    expect(circles(svg)).toEqual([{ x: 19200, y: 54000 }, { x: 38400, y: 21600 }]);
+  });
+
+  it('draws nodes with labels and type colours', () => {
+    const svg = buildSVG(network, codebook, mockExportOptions);
+    expect(svg).toContain('<g class="nodes" data-type="person">');
+    expect(svg).toContain('fill="#00c9a2"');
+    expect(svg).toContain('>Jimbo</text>');
+  });
+
+  it('draws edges per type', () => {
+    const svg = buildSVG(network, codebook, mockExportOptions);
+    expect(svg).toContain('<g class="edges" data-type="peer"');
+    expect(svg).toContain('<line x1="19200.00" y1="54000.00" x2="38400.00" y2="21600.00"/>');
+    expect(svg).not.toContain('marker-end');
+  });
+
+  it('adds arrowheads for directed edges', () => {
+    const svg = buildSVG(network, codebook, {
+      ...mockExportOptions,
+      globalOptions: { ...mockExportOptions.globalOptions, useDirectedEdges: true },
+    });
+    expect(svg).toContain('marker-end="url(#arrow-0)"');
+  });
+
+  it('falls back to a deterministic force layout without layout values', () => {
+    const unpositioned = {
+      ...network,
+      nodes: network.nodes.map((node) => ({ ...node, attributes: { 'mock-uuid-1': node.attributes['mock-uuid-1'] } })),
+    };
+    const first = circles(buildSVG(unpositioned, codebook, mockExportOptions));
+    const second = circles(buildSVG(unpositioned, codebook, mockExportOptions));
+
+    expect(first).toEqual(second);
+    first.forEach(({ x, y }) => {
+      expect(x).toBeGreaterThan(0);
+      expect(x).toBeLessThan(1920);
+      expect(y).toBeGreaterThan(0);
+      expect(y).toBeLessThan(1080);
+    });
+  });
+
+  it('draws a single session from a unified network', () => {
+    const [unified] = processMockNetworks([mockNetwork, mockNetwork2], true)['protocol-uid-1'];
+    const session = {
+      ...unified,
+      nodes: unified.nodes.filter((node) => node.sessionId === 'session-id-2'),
+    };
+    expect(circles(buildSVG(session, codebook, mockExportOptions))).toHaveLength(2);
+  });
+});
+
+describe('resolveColor', () => {
+  it('maps sequence colours, passes through CSS colours, and falls back otherwise', () => {
+    expect(resolveColor('edge-color-seq-1', '#000')).toEqual('#ff3a6c');
+    expect(resolveColor('#123456', '#000')).toEqual('#123456');
+    expect(resolveColor('unknown', '#000')).toEqual('#000');
+    expect(resolveColor(undefined, '#000')).toEqual('#000');
+  });
+});
+
+describe('forceLayout', () => {
+  it('keeps fixed positions and separates other nodes', () => {
+    const positions = forceLayout(3, [[0, 1], [1, 2]], [{ x: 0.2, y: 0.2 }, null, null]);
+    expect(positions[0]).toEqual({ x: 0.2, y: 0.2 });
+    expect(positions[1]).not.toEqual(positions[2]);
+  });
+
+  it('centres a single node', () => {
+    expect(forceLayout(1, [])).toEqual([{ x: 0.5, y: 0.5 }]);
+  });
+
+  it('leaves large networks in their starting positions', () => {
+    const nodeCount = maxLayoutNodes + 1;
+    const positions = forceLayout(nodeCount, [[0, 1]], [{ x: 0.2, y: 0.2 }]);
+    expect(positions[0]).toEqual({ x: 0.2, y: 0.2 });
+    expect(positions[1].x).toBeCloseTo(0.5 + (0.35 * Math.cos((2 * Math.PI) / nodeCount)));
+    expect(positions[1].y).toBeCloseTo(0.5 + (0.35 * Math.sin((2 * Math.PI) / nodeCount)));
+  });
+});
@@ -0,0 +1,186 @@
+const {
+  escapeXml, getEntityLabel, getLayoutPosition, isDirectedEdgeType,
+} = require('../graphml/helpers');
+const { forceLayout } = require('./layout');
+const {
+  caseProperty,
+  entityPrimaryKeyProperty,
+  ncSourceUUID,
+  ncTargetUUID,
+  sessionProperty,
+} = require('../../utils/reservedAttributes');
+
+const eol = '\n';
+
+// Approximations of the Network Canvas colour sequence, used by both node and
+// edge types (`node-color-seq-1`, `edge-color-seq-1`, ...)
+const colorSequence = [
+  '#ff3a6c', // neon-coral
+  '#00c9a2', // sea-serpent
+  '#8a4fff', // purple-pizazz
+  '#ff9f43', // neon-carrot
+  '#4ed42f', // kiwi
+  '#2d84f5', // cerulean-blue
+  '#ec2f8f', // paradise-pink
+  '#f7c948', // mustard
+  '#1fb5d4', // turquoise
+  '#a35df0', // purple
+];
+
+const defaultNodeColor = '#6b7685';
+const defaultEdgeColor = '#a3abb5';
+
+/**
+ * Resolve a codebook colour to a CSS colour. Sequence names are mapped to the palette;
+ * values that look like CSS colours are used as-is.
+ */
+const resolveColor = (color, fallback) => {
+  if (!color) { return fallback; }
+  const sequenceMatch = /-seq-(\d+)$/.exec(color);
+  if (sequenceMatch) {
+    return colorSequence[(parseInt(sequenceMatch[1], 10) - 1) % colorSequence.length] || fallback;
+  }
+  if (/^(#[0-9a-f]{3,8}|rgba?\(.*\)|hsla?\(.*\))$/i.test(color)) { return color; }
+  return fallback;
+};
+
+const getTypeDefinition = (codebook, type, entityType) => (
+  (codebook[type] && codebook[type][entityType]) || {}
+);
+
+/**
+ * Position each node in the unit square. Nodes with a layout variable value use it;
+ * the rest are placed with a force layout around them. If no node in the session has
+ * a layout value, the whole network is laid out by force.
+ * @return {Array} `{ x, y }` for each node
+ */
+const getNodePositions = (nodes, edges, codebook, exportOptions) => {
+  const normalizedOptions = {
+    ...exportOptions,
+    globalOptions: { ...exportOptions.globalOptions, useScreenLayoutCoordinates: false },
+  };
+  const layoutPositions = nodes.map((node) => getLayoutPosition(node, codebook, normalizedOptions));
+
+  if (layoutPositions.every((position) => !!position)) {
+    return layoutPositions;
+  }
+
+  const indexes = nodes.reduce((lookup, node, index) => {
+    lookup[node[entityPrimaryKeyProperty]] = index; // eslint-disable-line no-param-reassign
+    return lookup;
+  }, {});
+
+  const links = edges
+    .map((edge) => [indexes[edge[ncSourceUUID]], indexes[edge[ncTargetUUID]]])
+    .filter(([source, target]) => source !== undefined && target !== undefined);
+
+  return forceLayout(nodes.length, links, layoutPositions);
+};
+
+/**
+ * Group entities by type, preserving the order in which each type is first encountered.
+ * @param {Array} entities
+ * @return {Array} an array of [type, entities] pairs
+ */
+const groupByType = (entities) => Object.entries(entities.reduce((typeMap, entity) => {
+  typeMap[entity.type] = typeMap[entity.type] || []; // eslint-disable-line no-param-reassign
+  typeMap[entity.type].push(entity);
+  return typeMap;
+}, {}));
+
+/**
+ * Generator function to supply an SVG sociogram in chunks to both string and stream producers.
+ *
+ * The network is expected to be a single session (see `partitionNetworkByType`). Node
+ * positions are taken from the first layout variable, scaled to the screen layout size.
+ *
+ * @param {*} network
+ * @param {*} codebook
+ * @param {*} exportOptions
+ */
+function* svgGenerator(network, codebook, exportOptions) {
+  const {
+    screenLayoutWidth: width = 1920,
+    screenLayoutHeight: height = 1080,
+  } = exportOptions.globalOptions;
+  const nodes = network.nodes || [];
+  const edges = network.edges || [];
+  const sessionVariables = network.sessionVariables || {};
+
+  const nodeRadius = Math.round(Math.min(width, height) / 50);
+  const fontSize = Math.round(nodeRadius * 0.6);
+
+  const coordinates = getNodePositions(nodes, edges, codebook, exportOptions)
+    .map(({ x, y }) => ({ x: (x * width).toFixed(2), y: (y * height).toFixed(2) }));
+
+  const coordinatesByUUID = nodes.reduce((lookup, node, index) => {
+    // eslint-disable-next-line no-param-reassign
+    lookup[node[entityPrimaryKeyProperty]] = coordinates[index];
+    return lookup;
+  }, {});
+
+  yield `<?xml version="1.0" encoding="UTF-8"?>${eol}`;
+  yield `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="sans-serif">${eol}`;
+
+  if (sessionVariables[caseProperty] || sessionVariables[sessionProperty]) {
+    yield `<title>${escapeXml([sessionVariables[caseProperty], sessionVariables[sessionProperty]].filter((part) => !!part).join(' '))}</title>${eol}`;
+  }
+
+  yield `<rect width="${width}" height="${height}" fill="#ffffff"/>${eol}`;
+
+  const edgesByType = groupByType(edges);
+
+  for (let t = 0; t < edgesByType.length; t += 1) {
+    const [edgeType, typedEdges] = edgesByType[t];
+    const definition = getTypeDefinition(codebook, 'edge', edgeType);
+    const color = resolveColor(definition.color, defaultEdgeColor);
+    const directed = isDirectedEdgeType(codebook, edgeType, exportOptions);
+
+    if (directed) {
+      // Arrowheads are sized relative to the stroke width (3), and offset to end at the node edge
+      const refX = Math.round(10 + ((nodeRadius * 10) / 18));
+      yield `<defs><marker id="arrow-${t}" viewBox="0 0 10 10" refX="${refX}" refY="5" markerWidth="6" markerHeight="6" orient="auto"><path d="M 0 0 L 10 5 L 0 10 z" fill="${escapeXml(color)}"/></marker></defs>${eol}`;
+    }
+
+    yield `<g class="edges" data-type="${escapeXml(definition.name || edgeType)}" stroke="${escapeXml(color)}" stroke-width="3"${directed ? ` marker-end="url(#arrow-${t})"` : ''}>${eol}`;
+
+    yield typedEdges.reduce((content, edge) => {
+      const source = coordinatesByUUID[edge[ncSourceUUID]];
+      const target = coordinatesByUUID[edge[ncTargetUUID]];
+
+      // Skip edges that refer to nodes outside of this network
+      if (!source || !target) {
+        return content;
+      }
+
+      return `${content}<line x1="${source.x}" y1="${source.y}" x2="${target.x}" y2="${target.y}"/>${eol}`;
+    }, '');
+
+    yield `</g>${eol}`;
+  }
+
+  const nodesByType = groupByType(nodes);
+
+  for (let t = 0; t < nodesByType.length; t += 1) {
+    const [nodeType, typedNodes] = nodesByType[t];
+    const definition = getTypeDefinition(codebook, 'node', nodeType);
+    const color = resolveColor(definition.color, defaultNodeColor);
+
+    yield `<g class="nodes" data-type="${escapeXml(definition.name || nodeType)}">${eol}`;
+
+    yield typedNodes.reduce((content, node) => {
+      const { x, y } = coordinatesByUUID[node[entityPrimaryKeyProperty]];
+      const label = escapeXml(getEntityLabel(codebook, 'node', node));
+      return `${content}<g><circle cx="${x}" cy="${y}" r="${nodeRadius}" fill="${escapeXml(color)}"/><text x="${x}" y="${y}" dy="${nodeRadius + fontSize}" text-anchor="middle" font-size="${fontSize}">${label}</text></g>${eol}`;
+    }, '');
+
+    yield `</g>${eol}`;
+  }
+
+  yield `</svg>${eol}`;
+}
+
+module.exports = {
+  svgGenerator,
+  resolveColor,
+};
@@ -0,0 +1,95 @@
+/**
+ * This module provides a deterministic force-directed layout, used when a session
+ * has no layout variable values to draw from.
+ * @module SVG
+ */
+
+// Keep nodes away from the edges of the canvas
+const margin = 0.05;
+
+const clamp = (value) => Math.min(1 - margin, Math.max(margin, value));
+
+// Each iteration compares every pair of nodes. Larger networks are not simulated: nodes
+// keep their stored positions, and others are left on the starting circle.
+const maxLayoutNodes = 500;
+
+/**
+ * Lay out nodes in the unit square using the Fruchterman-Reingold algorithm.
+ *
+ * Unpositioned nodes start evenly spaced on a circle rather than at random, so
+ * the result is the same every time for the same network. Networks of more than
+ * `maxLayoutNodes` nodes are returned in their starting positions.
+ *
+ * @param {number} nodeCount
+ * @param {Array} links pairs of `[sourceIndex, targetIndex]`
+ * @param {Array} fixedPositions optional `{ x, y }` (or null) for each node. Nodes with
+ *                               a position are not moved, but still repel others.
+ * @param {number} iterations
+ * @return {Array} `{ x, y }` for each node, with x and y in the range [0, 1]
+ */
+const forceLayout = (nodeCount, links, fixedPositions = [], iterations = 200) => {
+  if (nodeCount === 0) { return []; }
+
+  const isFixed = (index) => !!fixedPositions[index];
+  const positions = Array.from({ length: nodeCount }, (_, index) => {
+    if (isFixed(index)) { return { ...fixedPositions[index] }; }
+    if (nodeCount === 1) { return { x: 0.5, y: 0.5 }; }
+    const angle = (2 * Math.PI * index) / nodeCount;
+    return { x: 0.5 + (0.35 * Math.cos(angle)), y: 0.5 + (0.35 * Math.sin(angle)) };
+  });
+
+  if (nodeCount > maxLayoutNodes) { return positions; }
+
+  const k = Math.sqrt(1 / nodeCount);
+  const initialTemperature = 0.1;
+
+  for (let iteration = 0; iteration < iterations; iteration += 1) {
+    const temperature = initialTemperature * (1 - (iteration / iterations));
+    const displacements = positions.map(() => ({ x: 0, y: 0 }));
+
+    // Repulsion between every pair of nodes
+    for (let i = 0; i < nodeCount; i += 1) {
+      for (let j = i + 1; j < nodeCount; j += 1) {
+        const dx = positions[i].x - positions[j].x;
+        const dy = positions[i].y - positions[j].y;
+        const distance = Math.max(Math.hypot(dx, dy), 0.01);
+        const force = (k * k) / distance;
+        displacements[i].x += (dx / distance) * force;
+        displacements[i].y += (dy / distance) * force;
+        displacements[j].x -= (dx / distance) * force;
+        displacements[j].y -= (dy / distance) * force;
+      }
+    }
+
+    // Attraction along links
+    links.forEach(([source, target]) => {
+      const dx = positions[source].x - positions[target].x;
+      const dy = positions[source].y - positions[target].y;
+      const distance = Math.max(Math.hypot(dx, dy), 0.01);
+      const force = (distance * distance) / k;
+      displacements[source].x -= (dx / distance) * force;
+      displacements[source].y -= (dy / distance) * force;
+      displacements[target].x += (dx / distance) * force;
+      displacements[target].y += (dy / distance) * force;
+    });
+
+    positions.forEach((position, index) => {
+      if (isFixed(index)) { return; }
+      const { x, y } = displacements[index];
+      const length = Math.hypot(x, y);
+      if (length === 0) { return; }
+      const step = Math.min(length, temperature);
+      /* eslint-disable no-param-reassign */
+      position.x = clamp(position.x + ((x / length) * step));
+      position.y = clamp(position.y + ((y / length) * step));
+      /* eslint-enable no-param-reassign */
+    });
+  }
+
+  return positions;
+};
+
+module.exports = {
+  forceLayout,
+  maxLayoutNodes,
+};
@@ -0,0 +1,115 @@
+/* eslint-env jest */
+import { makeWriteableStream } from '../../../../config/setupTestEnv';
+import { asAdjacencyMatrix } from '../../csv/matrix';
+import { DLFormatter, toDLStream } from '../dl';
+import { ncSourceUUID, ncTargetUUID } from '../../../utils/reservedAttributes';
+
+const network = {
+  nodes: [{ _uid: 'a' }, { _uid: 'b' }, { _uid: 'c' }],
+  edges: [
+    { [ncSourceUUID]: 'a', [ncTargetUUID]: 'b' },
+    { [ncSourceUUID]: 'a', [ncTargetUUID]: 'b' },
+  ],
+};
+
+const header = (dlFormat) => [
+  'dl n=3',
+  `format = ${dlFormat}`,
+  'labels:',
+  '"a"',
+  '"b"',
+  '"c"',
+  'data:',
+];
+
+describe('toDLStream', () => {
+  let writable;
+
+  beforeEach(() => {
+    writable = makeWriteableStream();
+  });
+
+  it('writes a fullmatrix DL file', async () => {
+    toDLStream(asAdjacencyMatrix(network), writable, 'fullmatrix');
+    const dl = await writable.asString();
+    expect(dl).toEqual([
+      ...header('fullmatrix'),
+      '0 1 0',
+      '1 0 0',
+      '0 0 0',
+      '',
+    ].join('\r\n'));
+  });
+
+  it('writes a directed fullmatrix DL file', async () => {
+    toDLStream(asAdjacencyMatrix(network, true), writable, 'fullmatrix', true);
+    const dl = await writable.asString();
+    expect(dl).toEqual([
+      ...header('fullmatrix'),
+      '0 1 0',
+      '0 0 0',
+      '0 0 0',
+      '',
+    ].join('\r\n'));
+  });
+
+  it('writes an edgelist1 DL file without duplicate edges', async () => {
+    toDLStream(asAdjacencyMatrix(network), writable, 'edgelist1');
+    const dl = await writable.asString();
+    expect(dl).toEqual([
+      ...header('edgelist1'),
+      '1 2',
+      '2 1',
+      '',
+    ].join('\r\n'));
+  });
+
+  it('writes a directed edgelist1 DL file', async () => {
+    toDLStream(asAdjacencyMatrix(network, true), writable, 'edgelist1', true);
+    const dl = await writable.asString();
+    expect(dl).toEqual([
+      ...header('edgelist1'),
+      '1 2',
+      '',
+    ].join('\r\n'));
+  });
+});
+
+describe('DLFormatter', () => {
+  let writable;
+
+  beforeEach(() => {
+    writable = makeWriteableStream();
+  });
+
+  it('writeToStream returns an abort controller', () => {
+    const formatter = new DLFormatter({}, {}, { globalOptions: {} });
+    const controller = formatter.writeToStream(writable);
+    expect(controller.abort).toBeInstanceOf(Function);
+  });
+
+  it('uses the configured DL format', async () => {
+    const formatter = new DLFormatter(network, {}, {
+      exportUCINET: { dlFormat: 'edgelist1' },
+      globalOptions: { useDirectedEdges: false },
+    });
+    formatter.writeToStream(writable);
+    const dl = await writable.asString();
+    expect(dl).toMatch('format = edgelist1');
+  });
+
+  it('writes edge counts as edgelist1 values for weighted matrices', async () => {
+    const formatter = new DLFormatter(network, {}, {
+      exportUCINET: { dlFormat: 'edgelist1' },
+      globalOptions: { useDirectedEdges: false, matrixWeights: { aggregation: 'count' } },
+    });
+    formatter.writeToStream(writable);
+    const dl = await writable.asString();
+    expect(dl).toEqual([
+      ...header('edgelist1'),
+      '1 2 2',
+      '2 1 2',
+      '',
+    ].join('\r\n'));
+  });
+});
@@ -0,0 +1,131 @@
+const { ncSourceUUID, ncTargetUUID } = require('../../utils/reservedAttributes');
+const {
+  WeightedAdjacencyMatrix,
+  asAdjacencyMatrix,
+  getMatrixLabelling,
+  getMatrixWeights,
+  isEgoTie,
+} = require('../csv/matrix');
+const { getEdgeDirectedness } = require('../graphml/helpers');
+const { writeGenerator } = require('../stream');
+
+const dlEOL = '\r\n';
+
+const dlFormats = Object.freeze({
+  fullmatrix: 'fullmatrix',
+  edgelist1: 'edgelist1',
+});
+
+// Labels are quoted so that they may contain spaces and commas; UCINET has no
+// escape sequence for quotes, so these are replaced.
+const quoteLabel = (label) => `"${String(label).replace(/"/g, '\'')}"`;
+
+/**
+ * Header shared by both DL flavours: dimensions, format, and (row and column) labels.
+ * @param {AdjacencyMatrix} matrix
+ * @param {string} dlFormat one of `dlFormats`
+ */
+const dlHeader = (matrix, dlFormat) => [
+  `dl n=${matrix.dimension}`,
+  `format = ${dlFormat}`,
+  'labels:',
+  ...matrix.labels.map(quoteLabel),
+  'data:',
+].join(dlEOL) + dlEOL;
+
+/**
+ * Build the (1-indexed) rows of an edgelist1 DL file. When edges are undirected, each adjacency
+ * is represented in both directions, matching the symmetric matrix. Duplicate edges are dropped.
+ *
+ * Weighted matrices are listed by their non-empty cells, with the cell value as a third column.
+ *
+ * @param {AdjacencyMatrix|WeightedAdjacencyMatrix} matrix a matrix on which calculateEdges()
+ *                                                         has been called
+ * @param {Boolean|function} directed as for AdjacencyMatrix.calculateEdges()
+ * @return {Array} rows in the form "from to" (or "from to value")
+ */
+const asDLEdgeList = (matrix, directed = false) => {
+  if (matrix instanceof WeightedAdjacencyMatrix) {
+    return matrix.entries().map(({ row, col, value }) => `${row + 1} ${col + 1} ${value}`);
+  }
+
+  const isDirected = typeof directed === 'function' ? directed : () => !!directed;
+  const rows = new Set();
+
+  (matrix.network.edges || []).forEach((edge) => {
+    const from = matrix.indexMap[edge[ncSourceUUID]];
+    const to = matrix.indexMap[edge[ncTargetUUID]];
+
+    if (from === undefined || to === undefined) {
+      return;
+    }
+
+    rows.add(`${from + 1} ${to + 1}`);
+    if (isEgoTie(edge) || !isDirected(edge)) {
+      rows.add(`${to + 1} ${from + 1}`);
+    }
+  });
+
+  return [...rows];
+};
+
+function* dlGenerator(matrix, dlFormat, directed) {
+  const rows = dlFormat === dlFormats.edgelist1 ? asDLEdgeList(matrix, directed) : null;
+  const totalRows = rows ? rows.length : matrix.dimension;
+
+  yield dlHeader(matrix, dlFormat);
+  for (let rowIndex = 0; rowIndex < totalRows; rowIndex += 1) {
+    const row = rows ? rows[rowIndex] : matrix.rowAt(rowIndex).join(' ');
+    yield `${row}${dlEOL}`;
+  }
+}
+
+/**
+ * Write a UCINET DL representation of the matrix to the given Writable stream.
+ *
+ * @example
+ * ```
+ * dl n=2
+ * format = fullmatrix
+ * labels:
+ * "a"
+ * "b"
+ * data:
+ * 0 1
+ * 1 0
+ * ```
+ *
+ * @param {AdjacencyMatrix} matrix a matrix on which calculateEdges() has been called
+ * @param {Stream.Writable} outStream
+ * @param {string} dlFormat one of `dlFormats`
+ * @param {Boolean|function} directed as for AdjacencyMatrix.calculateEdges()
+ * @return {Object} an abort controller; call the attached abort() method as needed.
+ */
+const toDLStream = (matrix, outStream, dlFormat = dlFormats.fullmatrix, directed = false) => (
+  writeGenerator(dlGenerator(matrix, dlFormat, directed), outStream)
+);
+
+class DLFormatter {
+  constructor(data, codebook, exportOptions) {
+    const { exportUCINET } = exportOptions;
+    this.directed = getEdgeDirectedness(codebook, exportOptions);
+    this.dlFormat = (exportUCINET && exportUCINET.dlFormat) || dlFormats.fullmatrix;
+    this.matrix = asAdjacencyMatrix(
+      data,
+      this.directed,
+      getMatrixWeights(codebook, exportOptions),
+      getMatrixLabelling(codebook, exportOptions),
+    );
+  }
+
+  writeToStream(outStream) {
+    return toDLStream(this.matrix, outStream, this.dlFormat, this.directed);
+  }
+}
+
+module.exports = {
+  DLFormatter,
+  asDLEdgeList,
+  dlFormats,
+  toDLStream,
+};
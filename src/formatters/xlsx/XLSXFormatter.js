@@ -0,0 +1,152 @@
+const { Readable } = require('stream');
+const { partitionNetworkByType } = require('../network');
+const attributeList = require('../csv/attribute-list');
+const edgeList = require('../csv/edge-list');
+const egoList = require('../csv/ego-list');
+const { asAdjacencyMatrix, getMatrixLabelling, getMatrixWeights } = require('../csv/matrix');
+const { getEdgeDirectedness } = require('../graphml/helpers');
+const { checkSheetSize, createWorkbook } = require('./workbook');
+const { writeReadable } = require('../stream');
+
+/**
+ * Build a sheet from a list of processed entities, using the header and row builders
+ * of the corresponding CSV formatter so that both outputs have identical columns.
+ */
+const asSheet = (name, entities, { attributeHeaders, getPrintableAttribute, rowValues }) => {
+  const attrNames = attributeHeaders(entities);
+  checkSheetSize(name, entities.length + 1, attrNames.length);
+
+  return {
+    name,
+    rows: [
+      attrNames.map(getPrintableAttribute),
+      ...entities.map((entity) => rowValues(entity, attrNames)),
+    ],
+  };
+};
+
+const asMatrixSheet = (name, network, directed, weights, labelling) => {
+  const matrix = asAdjacencyMatrix(network, directed, weights, labelling);
+  // One row and column of labels, and one of each per node
+  checkSheetSize(name, matrix.dimension + 1, matrix.dimension + 1);
+
+  return {
+    name,
+    rows: [
+      ['', ...matrix.labels],
+      ...matrix.labels.map((label, index) => [label, ...matrix.rowAt(index)]),
+    ],
+  };
+};
+
+const sheetName = (prefix, partition) => (
+  partition.partitionEntity ? `${prefix}_${partition.partitionEntity}` : prefix
+);
+
+/**
+ * Collect sheets for ego, each node type's attribute list, each edge type's edge list,
+ * and (optionally) each edge type's adjacency matrix.
+ *
+ * @param {Object} network a session, or a unified network
+ * @param {Object} codebook
+ * @param {Object} exportOptions
+ * @return {Array} `[{ name, rows }]`
+ * @throws {ExportError} if a sheet doesn't fit in a worksheet
+ */
+const asWorkbookSheets = (network, codebook, exportOptions) => {
+  const directed = getEdgeDirectedness(codebook, exportOptions);
+  const weights = getMatrixWeights(codebook, exportOptions);
+  const labelling = getMatrixLabelling(codebook, exportOptions);
+  const includeMatrices = !!(exportOptions.exportXLSX && exportOptions.exportXLSX.adjacencyMatrix);
+
+  const egoSheet = asSheet(
+    'ego',
+    egoList.asEgoAndSessionVariablesList(network, codebook, exportOptions),
+    egoList,
+  );
+
+  const attributeListSheets = partitionNetworkByType(codebook, network, 'attributeList')
+    .map((partition) => asSheet(
+      sheetName('attributeList', partition),
+      attributeList.asAttributeList(partition, codebook, exportOptions),
+      attributeList,
+    ));
+
+  const edgeListSheets = partitionNetworkByType(codebook, network, 'edgeList')
+    .map((partition) => asSheet(
+      sheetName('edgeList', partition),
+      edgeList.asEdgeList(partition, codebook, exportOptions),
+      edgeList,
+    ));
+
+  const matrixSheets = includeMatrices
+    ? partitionNetworkByType(codebook, network, 'adjacencyMatrix')
+      .map((partition) => asMatrixSheet(
+        sheetName('adjacencyMatrix', partition),
+        partition,
+        directed,
+        weights,
+        labelling,
+      ))
+    : [];
+
+  return [egoSheet, ...attributeListSheets, ...edgeListSheets, ...matrixSheets];
+};
+
+/**
+ * Read a zip as a stream. JSZip is paused whenever the reader falls behind, and for good
+ * when the stream is destroyed, so that an aborted export stops generating the file.
+ * @param {JSZip} zip
+ * @return {Stream.Readable}
+ */
+const zipToStream = (zip) => {
+  const zipStream = zip.generateInternalStream({ type: 'uint8array', compression: 'DEFLATE' });
+
+  const stream = new Readable({
+    read(/* size */) {
+      zipStream.resume();
+    },
+    destroy(error, callback) {
+      zipStream.pause();
+      callback(error);
+    },
+  });
+
+  zipStream
+    .on('data', (chunk) => {
+      if (!stream.push(chunk)) {
+        zipStream.pause();
+      }
+    })
+    .on('error', (error) => stream.destroy(error))
+    .on('end', () => stream.push(null));
+
+  return stream;
+};
+
+/** Class providing an XLSX (single workbook) formatter. */
+class XLSXFormatter {
+  /**
+   * Create an XLSX formatter.
+   * @param {Object} network - a NC format network object.
+   * @param {Object} codebook - the codebook for this network.
+   * @param {Object} exportOptions - global export options object from FileExportManager.
+   */
+  constructor(network, codebook, exportOptions) {
+    this.sheets = asWorkbookSheets(network, codebook, exportOptions);
+  }
+
+  /**
+   * Write the file to a stream one chunk at a time.
+   * @param {Stream} outStream
+   * @return {Object} an abort controller; call the attached abort() method as needed.
+   */
+  writeToStream(outStream) {
+    return writeReadable(zipToStream(createWorkbook(this.sheets)), outStream);
+  }
+}
+
+module.exports = {
+  XLSXFormatter,
+  asWorkbookSheets,
+};
@@ -0,0 +1,93 @@
+/* eslint-env jest */
+import { Writable } from 'stream';
+import JSZip from 'jszip';
+import {
+  mockExportOptions, mockNetwork, mockCodebook, processMockNetworks,
+} from '../../../../config/mockObjects';
+import { XLSXFormatter, asWorkbookSheets } from '../XLSXFormatter';
+
+const makeBinaryWriteableStream = () => {
+  const chunks = [];
+
+  const writable = new Writable({
+    write(chunk, encoding, next) {
+      chunks.push(Buffer.from(chunk));
+      next(null);
+    },
+  });
+
+  writable.asBuffer = async () => new Promise((resolve, reject) => {
+    writable.on('finish', () => { resolve(Buffer.concat(chunks)); });
+    writable.on('error', (err) => { reject(err); });
+  });
+
+  return writable;
+};
+
+describe('asWorkbookSheets', () => {
+  let network;
+
+  beforeEach(() => {
+    [network] = processMockNetworks([mockNetwork], false)['protocol-uid-1'];
+  });
+
+  it('creates sheets for ego, attribute lists and edge lists', () => {
+    const sheets = asWorkbookSheets(network, mockCodebook, mockExportOptions);
+    expect(sheets.map(({ name }) => name)).toEqual(['ego', 'attributeList_person', 'edgeList_peer']);
+  });
+
+  it('uses the same columns as the CSV formatters', () => {
+    const sheets = asWorkbookSheets(network, mockCodebook, mockExportOptions);
+    const [egoSheet, attributeSheet, edgeSheet] = sheets;
+    expect(egoSheet.rows[0].slice(0, 3)).toEqual(['networkCanvasEgoUUID', 'networkCanvasCaseID', 'networkCanvasSessionID']);
+    expect(egoSheet.rows[1].slice(0, 3)).toEqual(['ego-id-1', 123, 'session-id-1']);
+    expect(attributeSheet.rows[0].slice(0, 4)).toEqual(['nodeID', 'networkCanvasEgoUUID', 'networkCanvasUUID', 'firstName']);
+    expect(attributeSheet.rows).toHaveLength(5);
+    expect(edgeSheet.rows[1].slice(0, 3)).toEqual([1, 1, 2]);
+  });
+
+  it('optionally includes adjacency matrices', () => {
+    const sheets = asWorkbookSheets(network, mockCodebook, {
+      ...mockExportOptions,
+      exportXLSX: { adjacencyMatrix: true },
+    });
+    const matrixSheet = sheets.find(({ name }) => name === 'adjacencyMatrix_peer');
+    expect(matrixSheet.rows[0]).toEqual(['', '1', '2', '3', '4']);
+    expect(matrixSheet.rows[1]).toEqual(['1', 0, 1, 0, 0]);
+  });
+});
+
+describe('XLSXFormatter', () => {
+  it('writes a workbook to the stream', async () => {
+    const network = processMockNetworks([mockNetwork], false)['protocol-uid-1'][0];
+    const writable = makeBinaryWriteableStream();
+    const formatter = new XLSXFormatter(network, mockCodebook, mockExportOptions);
+    const controller = formatter.writeToStream(writable);
+    expect(controller.abort).toBeInstanceOf(Function);
+
+    const zip = await JSZip.loadAsync(await writable.asBuffer());
+    expect(Object.keys(zip.files)).toContain('xl/worksheets/sheet3.xml');
+  });
+
+  it('stops writing when aborted', async () => {
+    const network = processMockNetworks([mockNetwork], false)['protocol-uid-1'][0];
+    const writable = makeBinaryWriteableStream();
+    const finished = jest.fn();
+    writable.on('finish', finished);
+    const generate = jest.spyOn(JSZip.prototype, 'generateInternalStream');
+
+    const controller = new XLSXFormatter(network, mockCodebook, mockExportOptions)
+      .writeToStream(writable);
+    const zipEnded = jest.fn();
+    generate.mock.results[0].value
+      .on('data', () => controller.abort())
+      .on('end', zipEnded);
+    generate.mockRestore();
+
+    await new Promise((resolve) => setTimeout(resolve, 1000));
+    expect(writable.destroyed).toBe(true);
+    expect(finished).not.toHaveBeenCalled();
+    // JSZip stops generating the file
+    expect(zipEnded).not.toHaveBeenCalled();
+  });
+});
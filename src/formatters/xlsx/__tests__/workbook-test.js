@@ -0,0 +1,68 @@
+/* eslint-env jest */
+import {
+  checkSheetSize, columnName, createWorkbook, maxColumns, maxRows, uniqueSheetNames,
+} from '../workbook';
+import { ExportError } from '../../../errors/ExportError';
+
+describe('columnName', () => {
+  it('converts indexes to column references', () => {
+    expect(columnName(0)).toEqual('A');
+    expect(columnName(25)).toEqual('Z');
+    expect(columnName(26)).toEqual('AA');
+    expect(columnName(701)).toEqual('ZZ');
+    expect(columnName(702)).toEqual('AAA');
+  });
+});
+
+describe('checkSheetSize', () => {
+  it('accepts sheets up to the worksheet limits', () => {
+    expect(() => checkSheetSize('ego', maxRows, maxColumns)).not.toThrow();
+  });
+
+  it('rejects sheets with too many rows or columns', () => {
+    expect(() => checkSheetSize('ego', maxRows + 1, 1)).toThrow(ExportError);
+    expect(() => checkSheetSize('adjacencyMatrix', 2, maxColumns + 1)).toThrow(/adjacencyMatrix/);
+  });
+});
+
+describe('uniqueSheetNames', () => {
+  it('replaces forbidden characters', () => {
+    expect(uniqueSheetNames(['a/b:c'])).toEqual(['a_b_c']);
+  });
+
+  it('truncates and deduplicates names', () => {
+    const long = 'attributeList_a_very_long_node_type_name';
+    expect(uniqueSheetNames([long, long, 'Ego', 'ego'])).toEqual([
+      'attributeList_a_very_long_node_',
+      'attributeList_a_very_long_nod_2',
+      'Ego',
+      'ego_2',
+    ]);
+  });
+});
+
+describe('createWorkbook', () => {
+  it('writes a sheet for each entry', async () => {
+    const zip = createWorkbook([
+      { name: 'first', rows: [['a', 'b'], [1, true]] },
+      { name: 'second', rows: [['c'], [{ x: 1 }]] },
+    ]);
+
+    const workbook = await zip.file('xl/workbook.xml').async('string');
+    expect(workbook).toMatch('<sheet name="first" sheetId="1" r:id="rId1"/>');
+    expect(workbook).toMatch('<sheet name="second" sheetId="2" r:id="rId2"/>');
+
+    const sheet = await zip.file('xl/worksheets/sheet1.xml').async('string');
+    expect(sheet).toMatch('<row r="1"><c r="A1" t="inlineStr"><is><t xml:space="preserve">a</t></is></c>');
+    expect(sheet).toMatch('<row r="2"><c r="A2"><v>1</v></c><c r="B2" t="b"><v>1</v></c></row>');
+
+    const sheet2 = await zip.file('xl/worksheets/sheet2.xml').async('string');
+    expect(sheet2).toMatch('{&quot;x&quot;:1}');
+  });
+
+  it('omits empty cells and escapes text', async () => {
+    const zip = createWorkbook([{ name: 'sheet', rows: [[null, '<&>', undefined, 'end']] }]);
+    const sheet = await zip.file('xl/worksheets/sheet1.xml').async('string');
+    expect(sheet).toMatch('<row r="1"><c r="B1" t="inlineStr"><is><t xml:space="preserve">&lt;&amp;&gt;</t></is></c><c r="D1"');
+  });
+});
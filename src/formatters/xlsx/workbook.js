@@ -0,0 +1,171 @@
+/**
+ * This module provides a minimal SpreadsheetML (Office Open XML) workbook writer,
+ * sufficient for tabular data with inline strings and no styling.
+ * @module XLSX
+ */
+const JSZip = require('jszip');
+const { ExportError, ErrorMessages } = require('../../errors/ExportError');
+const { escapeXml } = require('../graphml/helpers');
+
+const xmlDeclaration = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+const mainNamespace = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const relationshipsNamespace = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const packageRelationshipsNamespace = 'http://schemas.openxmlformats.org/package/2006/relationships';
+
+// Excel limits
+const maxSheetNameLength = 31;
+const maxColumns = 16384;
+const maxRows = 1048576;
+
+/**
+ * Check that a sheet fits in a worksheet, rather than silently dropping what doesn't.
+ * @param {string} name the sheet name, for the error message
+ * @param {number} rowCount
+ * @param {number} columnCount
+ * @throws {ExportError} if the sheet has more rows or columns than Excel allows
+ */
+const checkSheetSize = (name, rowCount, columnCount) => {
+  if (rowCount > maxRows || columnCount > maxColumns) {
+    throw new ExportError(`${ErrorMessages.WorksheetTooLarge} ("${name}": ${rowCount} rows, ${columnCount} columns)`);
+  }
+};
+
+/**
+ * Convert a zero-based column index to a column reference (0 -> A, 26 -> AA).
+ */
+const columnName = (index) => {
+  let name = '';
+  let remaining = index + 1;
+  while (remaining > 0) {
+    const modulo = (remaining - 1) % 26;
+    name = `${String.fromCharCode(65 + modulo)}${name}`;
+    remaining = Math.floor((remaining - modulo) / 26);
+  }
+  return name;
+};
+
+/**
+ * Serialize a single cell. Empty values produce no cell at all; objects (such as
+ * categorical values) are JSON encoded, matching the CSV output.
+ */
+const cellXml = (value, reference) => {
+  if (value === null || value === undefined || value === '') {
+    return '';
+  }
+
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return `<c r="${reference}"><v>${value}</v></c>`;
+  }
+
+  if (typeof value === 'boolean') {
+    return `<c r="${reference}" t="b"><v>${value ? 1 : 0}</v></c>`;
+  }
+
+  let text = value;
+  if (typeof value === 'object') {
+    try {
+      text = JSON.stringify(value);
+    } catch (err) {
+      text = value.toString();
+    }
+  }
+
+  return `<c r="${reference}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(text)}</t></is></c>`;
+};
+
+const rowXml = (values, rowIndex) => {
+  const rowNumber = rowIndex + 1;
+  const cells = values
+    .map((value, columnIndex) => cellXml(value, `${columnName(columnIndex)}${rowNumber}`))
+    .join('');
+  return `<row r="${rowNumber}">${cells}</row>`;
+};
+
+const worksheetXml = (rows) => [
+  xmlDeclaration,
+  `<worksheet xmlns="${mainNamespace}"><sheetData>`,
+  ...rows.map(rowXml),
+  '</sheetData></worksheet>',
+].join('');
+
+/**
+ * Make sheet names valid and unique: Excel forbids some characters, limits
+ * names to 31 characters, and compares names case-insensitively.
+ * @param {Array} names
+ * @return {Array}
+ */
+const uniqueSheetNames = (names) => {
+  const used = new Set();
+
+  return names.map((name) => {
+    const base = (String(name).replace(/[[\]:*?/\\]/g, '_').trim() || 'Sheet').substr(0, maxSheetNameLength);
+    let candidate = base;
+    let counter = 1;
+
+    while (used.has(candidate.toLowerCase())) {
+      counter += 1;
+      const suffix = `_${counter}`;
+      candidate = `${base.substr(0, maxSheetNameLength - suffix.length)}${suffix}`;
+    }
+
+    used.add(candidate.toLowerCase());
+    return candidate;
+  });
+};
+
+/**
+ * Create a workbook from a list of sheets.
+ * @param {Array} sheets `[{ name, rows }]`, where rows is an array of arrays of cell values.
+ *                       The first row is typically the header.
+ * @return {JSZip} the workbook package, ready to be generated
+ */
+const createWorkbook = (sheets) => {
+  const zip = new JSZip();
+  const names = uniqueSheetNames(sheets.map(({ name }) => name));
+
+  zip.file('[Content_Types].xml', [
+    xmlDeclaration,
+    '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">',
+    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>',
+    '<Default Extension="xml" ContentType="application/xml"/>',
+    '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>',
+    ...sheets.map((sheet, index) => `<Override PartName="/xl/worksheets/sheet${index + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`),
+    '</Types>',
+  ].join(''));
+
+  zip.file('_rels/.rels', [
+    xmlDeclaration,
+    `<Relationships xmlns="${packageRelationshipsNamespace}">`,
+    `<Relationship Id="rId1" Type="${relationshipsNamespace}/officeDocument" Target="xl/workbook.xml"/>`,
+    '</Relationships>',
+  ].join(''));
+
+  zip.file('xl/workbook.xml', [
+    xmlDeclaration,
+    `<workbook xmlns="${mainNamespace}" xmlns:r="${relationshipsNamespace}"><sheets>`,
+    ...names.map((name, index) => `<sheet name="${escapeXml(name)}" sheetId="${index + 1}" r:id="rId${index + 1}"/>`),
+    '</sheets></workbook>',
+  ].join(''));
+
+  zip.file('xl/_rels/workbook.xml.rels', [
+    xmlDeclaration,
+    `<Relationships xmlns="${packageRelationshipsNamespace}">`,
+    ...sheets.map((sheet, index) => `<Relationship Id="rId${index + 1}" Type="${relationshipsNamespace}/worksheet" Target="worksheets/sheet${index + 1}.xml"/>`),
+    '</Relationships>',
+  ].join(''));
+
+  sheets.forEach(({ rows }, index) => {
+    zip.file(`xl/worksheets/sheet${index + 1}.xml`, worksheetXml(rows));
+  });
+
+  return zip;
+};
+
+module.exports = {
+  checkSheetSize,
+  columnName,
+  createWorkbook,
+  maxColumns,
+  maxRows,
+  uniqueSheetNames,
+};
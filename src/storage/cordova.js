@@ -0,0 +1,35 @@
+const {
+  copy,
+  createWriteStream,
+  makeTempDir,
+  readFile,
+  removeDirectory,
+  splitUrl,
+  writeFile,
+} = require('../utils/filesystem');
+const { archiveCordova } = require('../utils/archive');
+const { handlePlatformSaveDialog } = require('../utils/general');
+
+/**
+ * Formats to the app's cache directory, and shares the zip with the native share sheet.
+ */
+const cordovaStorage = {
+  concurrency: 1,
+  makeTempDir,
+  join: (directory, name) => `${directory}${name}`,
+  basename: (filePath) => splitUrl(filePath)[1],
+  createWriteStream,
+  readFile,
+  writeFile,
+  copy,
+  removeDirectory,
+  archive: (filePaths, directory, filename, updateCallback, shouldContinue) => archiveCordova(
+    filePaths,
+    `${directory}${filename}`,
+    updateCallback,
+    shouldContinue,
+  ),
+  save: (zipLocation, { filename }) => handlePlatformSaveDialog(zipLocation, filename),
+};
+
+module.exports = cordovaStorage;
@@ -0,0 +1,35 @@
+const path = require('path');
+const {
+  copy,
+  createWriteStream,
+  makeTempDir,
+  readFile,
+  removeDirectory,
+  writeFile,
+} = require('../utils/filesystem');
+const { archiveElectron } = require('../utils/archive');
+const { handlePlatformSaveDialog } = require('../utils/general');
+
+/**
+ * Formats to the local filesystem, and saves the zip with a save dialog.
+ */
+const electronStorage = {
+  concurrency: 50,
+  makeTempDir,
+  join: (directory, name) => path.join(directory, name),
+  basename: (filePath) => path.basename(filePath),
+  createWriteStream,
+  readFile,
+  writeFile,
+  copy,
+  removeDirectory,
+  archive: (filePaths, directory, filename, updateCallback, shouldContinue) => archiveElectron(
+    filePaths,
+    path.join(directory, filename),
+    updateCallback,
+    shouldContinue,
+  ),
+  save: (zipLocation, { filename }) => handlePlatformSaveDialog(zipLocation, filename),
+};
+
+module.exports = electronStorage;
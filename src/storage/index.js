@@ -0,0 +1,70 @@
+/**
+ * Storage adapters decide where exported files are written, and what happens to the zip.
+ *
+ * An adapter can be passed to FileExportManager as `exportOptions.storage`; otherwise one
+ * is chosen for the environment. Adapters provide:
+ *
+ * - `makeTempDir()`: resolves to a new directory to format into
+ * - `join(directory, name)`: path of a file within a directory (name may contain `/`)
+ * - `basename(filePath)`: name of a file
+ * - `createWriteStream(filePath)`: resolves to a Writable for the file
+ * - `readFile(filePath)`: resolves to the contents of a file
+ * - `writeFile(filePath, data)`
+ * - `copy(fromPath, toPath)`: creating parent directories as needed
+ * - `removeDirectory(directory)`
+ * - `archive(filePaths, directory, filename, updateCallback, shouldContinue)`: resolves to
+ *   the zip (for example, its path)
+ * - `save(zip, { filename, outputDirectory })`: finalizes the export; run() resolves to the
+ *   result
+ * - `concurrency` (optional): how many files to format at once
+ *
+ * @module Storage
+ */
+const environments = require('../utils/environments');
+const { getEnvironment } = require('../utils/Environment');
+const cordovaStorage = require('./cordova');
+const electronStorage = require('./electron');
+const createMemoryStorage = require('./memory');
+const nodeStorage = require('./node');
+
+const storageMethods = [
+  'makeTempDir',
+  'join',
+  'basename',
+  'createWriteStream',
+  'readFile',
+  'writeFile',
+  'copy',
+  'removeDirectory',
+  'archive',
+  'save',
+];
+
+const isStorageAdapter = (storage) => !!storage
+  && storageMethods.every((method) => typeof storage[method] === 'function');
+
+// Files formatted in the browser are kept in memory for the life of the page
+let webStorage;
+
+const getDefaultStorage = () => {
+  switch (getEnvironment()) {
+    case environments.CORDOVA:
+      return cordovaStorage;
+    case environments.ELECTRON:
+      return electronStorage;
+    case environments.NODE:
+      return nodeStorage;
+    default:
+      webStorage = webStorage || createMemoryStorage();
+      return webStorage;
+  }
+};
+
+module.exports = {
+  cordovaStorage,
+  createMemoryStorage,
+  electronStorage,
+  getDefaultStorage,
+  isStorageAdapter,
+  nodeStorage,
+};
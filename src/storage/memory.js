@@ -0,0 +1,35 @@
+const uuid = require('uuid/v4');
+const { archiveWeb } = require('../utils/archive');
+const { splitUrl } = require('../utils/filesystem');
+const { createMemoryStore, memoryRoot, normalizeDirectory } = require('../utils/memoryStore');
+
+/**
+ * Formats into memory, and resolves with the zip itself (a Blob where available, or a
+ * Uint8Array otherwise). Used in the browser, and by tests.
+ * @return {Object} a storage adapter with its own store
+ */
+const createMemoryStorage = () => {
+  const store = createMemoryStore();
+
+  return {
+    concurrency: 1,
+    makeTempDir: () => Promise.resolve(`${memoryRoot}temp-export-${uuid()}/`),
+    join: (directory, name) => `${normalizeDirectory(directory)}${name}`,
+    basename: (filePath) => splitUrl(filePath)[1],
+    createWriteStream: store.createWriteStream,
+    readFile: store.readFile,
+    writeFile: store.writeFile,
+    copy: store.copy,
+    removeDirectory: store.removeDirectory,
+    listFiles: store.listFiles,
+    archive: (filePaths, directory, filename, updateCallback, shouldContinue) => archiveWeb(
+      filePaths,
+      store.readFile,
+      updateCallback,
+      shouldContinue,
+    ),
+    save: (zip) => Promise.resolve(zip),
+  };
+};
+
+module.exports = createMemoryStorage;
@@ -0,0 +1,20 @@
+const path = require('path');
+const { copy, makeTempDir } = require('../utils/filesystem');
+const electronStorage = require('./electron');
+
+/**
+ * Plain node uses the same filesystem as Electron, but has no save dialog: the zip is
+ * saved to the output directory if one was given, or to a new temp directory otherwise
+ * (so that concurrent exports don't overwrite each other), and run() resolves to its path.
+ */
+const nodeStorage = {
+  ...electronStorage,
+  save: (zipLocation, { filename, outputDirectory }) => (
+    outputDirectory ? Promise.resolve(outputDirectory) : makeTempDir()
+  ).then((directory) => {
+    const destination = path.join(directory, `${filename}.zip`);
+    return copy(zipLocation, destination).then(() => destination);
+  }),
+};
+
+module.exports = nodeStorage;
@@ -6,12 +6,22 @@ if (typeof window !== 'undefined' && window) {
   hasWindow = true;
 }
 
+const hasElectronProcess = typeof process !== 'undefined' && !!process.versions && !!process.versions.electron;
+
 let isElectron;
 if (hasWindow) {
   isElectron = () => !!window.electron || !!window.require;
 } else {
-  // if no window object assume we are in nodejs environment (Electron main)
-  isElectron = () => true;
+  // if no window object we are in a nodejs environment: either Electron main, or plain node
+  isElectron = () => hasElectronProcess;
+}
+
+// Plain node, without Electron (for example, a headless export service)
+let isNode;
+if (hasWindow) {
+  isNode = () => false;
+} else {
+  isNode = () => !hasElectronProcess;
 }
 
 let os;
@@ -36,11 +46,12 @@ if (hasWindow) {
   isCordova = () => false;
 }
 
-const isWeb = () => (!isCordova() && !isElectron());
+const isWeb = () => (!isCordova() && !isElectron() && !isNode());
 
 const getEnvironment = () => {
   if (isCordova()) return environments.CORDOVA;
   if (isElectron()) return environments.ELECTRON;
+  if (isNode()) return environments.NODE;
   return environments.WEB;
 };
 
@@ -53,6 +64,7 @@ module.exports = {
   isElectron,
   isLinux,
   isMacOS,
+  isNode,
   isWeb,
   isWindows,
 };
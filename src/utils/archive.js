@@ -1,7 +1,6 @@
 /* eslint-disable global-require */
 const path = require('path');
 const JSZip = require('jszip');
-const { getEnvironment, isElectron, isCordova } = require('./Environment');
 const {
   resolveFileSystemUrl, splitUrl, readFile, newFile, makeFileWriter,
 } = require('./filesystem');
@@ -107,27 +106,33 @@ const archiveCordova = (sourcePaths, targetFileName, updateCallback, shouldConti
 };
 
 /**
- * Write a bundled (zip) from source files
+ * Bundle source files (zip) in memory, for the browser to download
  * @param {string[]} sourcePaths
- * @param {string} targetFileName full FS path to write
- * @param {object} fileWriter fileWriter to use for outputting zip
- * @param {object} filesystem filesystem to use for reading files in to zip
- * @return Returns a promise that resolves to (sourcePath, destinationPath)
+ * @param {function} readSource reads a source file from where it was written
+ * @return Returns a promise that resolves to the zip, as a Blob where available
+ *         or a Uint8Array otherwise
  */
-const archive = (sourcePaths, tempDir, filename, updateCallback, shouldContinue) => {
-  let writePath;
-  if (isElectron()) {
-    writePath = path.join(tempDir, filename);
-    return archiveElectron(sourcePaths, writePath, updateCallback, shouldContinue);
-  }
-
-  if (isCordova()) {
-    writePath = `${tempDir}${filename}`;
-    return archiveCordova(sourcePaths, writePath, updateCallback, shouldContinue);
-  }
-
-  throw new Error(`zip archiving not available on platform ${getEnvironment()}`);
+const archiveWeb = (sourcePaths, readSource, updateCallback, shouldContinue) => {
+  const zip = new JSZip();
+
+  return Promise.all(sourcePaths.map((sourcePath) => {
+    const [, filename] = splitUrl(sourcePath);
+    return readSource(sourcePath)
+      .then((fileContent) => zip.file(filename, fileContent));
+  }))
+    .then(() => {
+      if (!shouldContinue()) { return null; }
+
+      return zip.generateAsync(
+        { type: typeof Blob !== 'undefined' ? 'blob' : 'uint8array' },
+        (update) => { updateCallback(update.percent); },
+      );
+    });
 };
 
 // This is adapted from Architect; consider using `extract` as well
-module.exports = archive;
+module.exports = {
+  archiveCordova,
+  archiveElectron,
+  archiveWeb,
+};
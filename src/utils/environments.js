@@ -1,11 +1,13 @@
 const CORDOVA = Symbol('ENVIRONMENT/CORDOVA');
 const ELECTRON = Symbol('ENVIRONMENT/ELECTRON');
+const NODE = Symbol('ENVIRONMENT/NODE');
 const WEB = Symbol('ENVIRONMENT/WEB');
 const UNKNOWN = Symbol('ENVIRONMENT/UNKNOWN');
 
 module.exports = {
   CORDOVA,
   ELECTRON,
+  NODE,
   UNKNOWN,
   WEB,
 };
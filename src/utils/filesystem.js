@@ -6,7 +6,9 @@ const { trimChars } = require('lodash/fp');
 const { Buffer } = require('buffer/');
 const environments = require('./environments');
 const { ExportError, ErrorMessages } = require('../errors/ExportError');
-const { inEnvironment, isElectron, isCordova } = require('./Environment');
+const {
+  inEnvironment, isElectron, isCordova, isNode,
+} = require('./Environment');
 
 const trimPath = trimChars('/ ');
 
@@ -36,6 +38,12 @@ const tempDataPath = inEnvironment((environment) => {
     return () => (electron.app || electron.remote.app).getPath('temp');
   }
 
+  if (environment === environments.NODE) {
+    const os = require('os');
+
+    return () => os.tmpdir();
+  }
+
   if (environment === environments.CORDOVA) {
     return () => cordova.file.cacheDirectory;
   }
@@ -54,7 +62,7 @@ const resolveFileSystemUrl = inEnvironment((environment) => {
 });
 
 const createDirectory = inEnvironment((environment) => {
-  if (environment === environments.ELECTRON) {
+  if (environment === environments.ELECTRON || environment === environments.NODE) {
     const fse = require('fs-extra');
 
     return (targetPath) => fse.mkdir(targetPath)
@@ -97,7 +105,7 @@ const createDirectory = inEnvironment((environment) => {
 const makeTempDir = () => {
   const directoryName = `temp-export-${uuid()}`;
   let directoryPath;
-  if (isElectron()) {
+  if (isElectron() || isNode()) {
     const path = require('path');
     directoryPath = path.join(tempDataPath(), directoryName);
   }
@@ -173,7 +181,7 @@ const getTempFileSystem = () => new Promise((resolve, reject) => {
 });
 
 const readFile = inEnvironment((environment) => {
-  if (environment === environments.ELECTRON) {
+  if (environment === environments.ELECTRON || environment === environments.NODE) {
     const fse = require('fs-extra');
 
     return (filename) => fse.readFile(filename, null);
@@ -239,7 +247,7 @@ const writeFile = inEnvironment((environment) => {
     };
   }
 
-  if (environment === environments.ELECTRON) {
+  if (environment === environments.ELECTRON || environment === environments.NODE) {
     const fse = require('fs-extra');
 
     return (filePath, data) => fse.writeFile(filePath, data);
@@ -249,7 +257,7 @@ const writeFile = inEnvironment((environment) => {
 });
 
 const rename = inEnvironment((environment) => {
-  if (environment === environments.ELECTRON) {
+  if (environment === environments.ELECTRON || environment === environments.NODE) {
     const fse = require('fs-extra');
 
     return (oldPath, newPath) => fse.rename(oldPath, newPath);
@@ -269,7 +277,7 @@ const rename = inEnvironment((environment) => {
 });
 
 const copy = inEnvironment((environment) => {
-  if (environment === environments.ELECTRON) {
+  if (environment === environments.ELECTRON || environment === environments.NODE) {
     const fse = require('fs-extra');
 
     return (oldPath, newPath) => fse.copy(oldPath, newPath);
@@ -279,15 +287,19 @@ const copy = inEnvironment((environment) => {
 });
 
 const removeDirectory = inEnvironment((environment) => {
-  if (environment === environments.ELECTRON) {
+  if (environment === environments.ELECTRON || environment === environments.NODE) {
     const fse = require('fs-extra');
 
     return (targetPath) => new Promise((resolve, reject) => {
       try {
-        if (
-          !targetPath.includes(userDataPath())
-            && !targetPath.includes(tempDataPath())
-        ) { reject(new Error('Attempted to remove path outside of safe directories!')); return; }
+        // There is no user data directory outside of Electron
+        const safeDirectories = environment === environments.NODE
+          ? [tempDataPath()]
+          : [userDataPath(), tempDataPath()];
+        if (!safeDirectories.some((directory) => targetPath.includes(directory))) {
+          reject(new Error('Attempted to remove path outside of safe directories!'));
+          return;
+        }
         fse.rmdir(targetPath, { recursive: true }, resolve);
       } catch (error) {
         if (error.code !== 'EEXISTS') { reject(error); }
@@ -317,7 +329,7 @@ const removeDirectory = inEnvironment((environment) => {
 });
 
 const getNestedPaths = inEnvironment((environment) => {
-  if (environment === environments.ELECTRON) {
+  if (environment === environments.ELECTRON || environment === environments.NODE) {
     const path = require('path');
 
     return (targetPath) => targetPath
@@ -358,7 +370,7 @@ const getNestedPaths = inEnvironment((environment) => {
 });
 
 const writeStream = inEnvironment((environment) => {
-  if (environment === environments.ELECTRON) {
+  if (environment === environments.ELECTRON || environment === environments.NODE) {
     const fse = require('fs-extra');
 
     return (destination, stream) => new Promise((resolve, reject) => {
@@ -477,7 +489,7 @@ const writeStream = inEnvironment((environment) => {
 // Objective here is to abstract fs.createWriteStream.
 // Needs to return a writeable stream.
 const createWriteStream = inEnvironment((environment) => {
-  if (environment === environments.ELECTRON) {
+  if (environment === environments.ELECTRON || environment === environments.NODE) {
     const fse = require('fs-extra');
 
     return (destination) => new Promise((resolve, reject) => {
@@ -59,7 +59,22 @@ const makeFilename = (prefix, entityType, exportFormat, extension) => {
 
 const extensions = {
   graphml: '.graphml',
+  gexf: '.gexf',
+  json: '.json',
   csv: '.csv',
+  pajek: '.net',
+  dot: '.dot',
+  svg: '.svg',
+  ucinetDL: '.dl',
+  matrixMarket: '.mtx',
+  xlsx: '.xlsx',
+  sqlite: '.sqlite',
+  spss: '.sav',
+  stata: '.dta',
+  cypher: '.cypher',
+  R: '.R',
+  py: '.py',
+  ddi: '.xml',
 };
 
 /**
@@ -71,11 +86,51 @@ const getFileExtension = (formatterType) => {
   switch (formatterType) {
     case 'graphml':
       return extensions.graphml;
+    case 'gexf':
+      return extensions.gexf;
+    case 'json':
+    case 'codebookJSON':
+      return extensions.json;
     case 'adjacencyMatrix':
     case 'edgeList':
     case 'attributeList':
     case 'ego':
+    case 'stataRenames':
+    case 'matrixMarketLabels':
+    case 'codebook':
+    case 'neo4jEgo':
+    case 'neo4jNodes':
+    case 'neo4jRelationships':
       return extensions.csv;
+    case 'pajek':
+      return extensions.pajek;
+    case 'dot':
+      return extensions.dot;
+    case 'svg':
+      return extensions.svg;
+    case 'ucinetDL':
+      return extensions.ucinetDL;
+    case 'matrixMarket':
+      return extensions.matrixMarket;
+    case 'xlsx':
+      return extensions.xlsx;
+    case 'sqlite':
+      return extensions.sqlite;
+    case 'spssEgo':
+    case 'spssAttributeList':
+      return extensions.spss;
+    case 'stataEgo':
+    case 'stataAttributeList':
+    case 'stataEdgeList':
+      return extensions.stata;
+    case 'cypher':
+      return extensions.cypher;
+    case 'R':
+      return extensions.R;
+    case 'py':
+      return extensions.py;
+    case 'ddi':
+      return extensions.ddi;
     default:
       return null;
   }
@@ -3,6 +3,38 @@ const { AttributeListFormatter } = require('../formatters/csv/attribute-list');
 const { EgoListFormatter } = require('../formatters/csv/ego-list');
 const { EdgeListFormatter } = require('../formatters/csv/edge-list');
 const GraphMLFormatter = require('../formatters/graphml/GraphMLFormatter');
+const GEXFFormatter = require('../formatters/gexf/GEXFFormatter');
+const JSONFormatter = require('../formatters/json/JSONFormatter');
+const PajekFormatter = require('../formatters/pajek/PajekFormatter');
+const DOTFormatter = require('../formatters/dot/DOTFormatter');
+const SVGFormatter = require('../formatters/svg/SVGFormatter');
+const { DLFormatter } = require('../formatters/ucinet/dl');
+const {
+  MatrixMarketFormatter,
+  MatrixMarketLabelsFormatter,
+} = require('../formatters/matrixMarket/mtx');
+const { XLSXFormatter } = require('../formatters/xlsx/XLSXFormatter');
+const { SQLiteFormatter } = require('../formatters/sqlite/SQLiteFormatter');
+const { SPSSAttributeListFormatter, SPSSEgoFormatter } = require('../formatters/spss/SPSSFormatter');
+const {
+  StataAttributeListFormatter,
+  StataEdgeListFormatter,
+  StataEgoFormatter,
+  StataRenamesFormatter,
+} = require('../formatters/stata/StataFormatter');
+const {
+  Neo4jEgoFormatter,
+  Neo4jNodeFormatter,
+  Neo4jRelationshipFormatter,
+} = require('../formatters/neo4j/import-csv');
+const CypherFormatter = require('../formatters/neo4j/CypherFormatter');
+const RScriptFormatter = require('../formatters/r/RScriptFormatter');
+const PythonScriptFormatter = require('../formatters/python/PythonScriptFormatter');
+const {
+  DataDictionaryCSVFormatter,
+  DataDictionaryJSONFormatter,
+} = require('../formatters/codebook/DataDictionaryFormatter');
+const DDIFormatter = require('../formatters/ddi/DDIFormatter');
 
 /**
  * Formatter factory
@@ -13,6 +45,10 @@ const getFormatterClass = (formatterType) => {
   switch (formatterType) {
     case 'graphml':
       return GraphMLFormatter;
+    case 'gexf':
+      return GEXFFormatter;
+    case 'json':
+      return JSONFormatter;
     case 'adjacencyMatrix':
       return AdjacencyMatrixFormatter;
     case 'edgeList':
@@ -21,6 +57,52 @@ const getFormatterClass = (formatterType) => {
       return AttributeListFormatter;
     case 'ego':
       return EgoListFormatter;
+    case 'pajek':
+      return PajekFormatter;
+    case 'dot':
+      return DOTFormatter;
+    case 'svg':
+      return SVGFormatter;
+    case 'ucinetDL':
+      return DLFormatter;
+    case 'matrixMarket':
+      return MatrixMarketFormatter;
+    case 'matrixMarketLabels':
+      return MatrixMarketLabelsFormatter;
+    case 'xlsx':
+      return XLSXFormatter;
+    case 'sqlite':
+      return SQLiteFormatter;
+    case 'spssEgo':
+      return SPSSEgoFormatter;
+    case 'spssAttributeList':
+      return SPSSAttributeListFormatter;
+    case 'stataEgo':
+      return StataEgoFormatter;
+    case 'stataAttributeList':
+      return StataAttributeListFormatter;
+    case 'stataEdgeList':
+      return StataEdgeListFormatter;
+    case 'stataRenames':
+      return StataRenamesFormatter;
+    case 'neo4jEgo':
+      return Neo4jEgoFormatter;
+    case 'neo4jNodes':
+      return Neo4jNodeFormatter;
+    case 'neo4jRelationships':
+      return Neo4jRelationshipFormatter;
+    case 'cypher':
+      return CypherFormatter;
+    case 'R':
+      return RScriptFormatter;
+    case 'py':
+      return PythonScriptFormatter;
+    case 'codebook':
+      return DataDictionaryCSVFormatter;
+    case 'codebookJSON':
+      return DataDictionaryJSONFormatter;
+    case 'ddi':
+      return DDIFormatter;
     default:
       return null;
   }
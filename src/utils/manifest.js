@@ -0,0 +1,138 @@
+const JsSHA = require('jssha/dist/sha256');
+const {
+  caseProperty,
+  entityPrimaryKeyProperty,
+  protocolName,
+  protocolProperty,
+  sessionProperty,
+} = require('./reservedAttributes');
+const { getMatrixLabelling, withEgo } = require('../formatters/csv/matrix');
+const { version: exporterVersion } = require('../../package.json');
+
+const manifestFilename = 'manifest.json';
+
+// Sessions may be unified, in which case sessionVariables are keyed by session ID
+const getSessionVariables = (network) => {
+  const { sessionVariables } = network;
+  if (!sessionVariables) { return []; }
+  if (sessionVariables[sessionProperty] !== undefined) { return [sessionVariables]; }
+  return Object.values(sessionVariables);
+};
+
+/**
+ * The dimension of a matrix: nodes are counted once, even if repeated in a unified
+ * network, and ego (or each session's ego) adds a row when included.
+ */
+const countMatrixRows = (network, exportOptions) => {
+  const { includeEgo } = getMatrixLabelling(null, exportOptions);
+  const { nodes = [] } = includeEgo ? withEgo(network) : network;
+  return new Set(nodes.map((node) => node[entityPrimaryKeyProperty])).size;
+};
+
+/**
+ * The number of data rows in tabular formats, or null for other formats.
+ */
+const countRows = (format, network, exportOptions) => {
+  switch (format) {
+    case 'ego':
+    case 'spssEgo':
+    case 'stataEgo':
+    case 'neo4jEgo':
+      return getSessionVariables(network).length;
+    case 'adjacencyMatrix':
+    case 'matrixMarketLabels':
+      return countMatrixRows(network, exportOptions);
+    case 'attributeList':
+    case 'spssAttributeList':
+    case 'stataAttributeList':
+    case 'neo4jNodes':
+      return network.nodes.length;
+    case 'edgeList':
+    case 'stataEdgeList':
+    case 'neo4jRelationships':
+      return network.edges.length;
+    default:
+      return null;
+  }
+};
+
+const uniqueBy = (items, key) => items
+  .filter((item, index) => items.findIndex((other) => other[key] === item[key]) === index);
+
+/**
+ * Describe an exported file for the manifest.
+ * @param {string} filePath path of the written file
+ * @param {string} format one of the `format`s
+ * @param {string} partitionEntity entity type the file was partitioned by, if any
+ * @param {Array} networks the sessions (or unified networks) in the file
+ * @param {Object} exportOptions the merged export options
+ * @param {Object} storage the storage adapter the file was written with
+ * @return {Object}
+ */
+const describeExportedFile = (
+  filePath, format, partitionEntity, networks, exportOptions, storage,
+) => {
+  const sessionVariables = networks
+    .reduce((acc, network) => [...acc, ...getSessionVariables(network)], []);
+
+  return {
+    filePath,
+    name: storage.basename(filePath),
+    format,
+    partitionEntity: partitionEntity || null,
+    protocols: uniqueBy(sessionVariables.map((variables) => ({
+      protocolUID: variables[protocolProperty],
+      protocolName: variables[protocolName],
+    })), 'protocolUID'),
+    sessions: sessionVariables.map((variables) => ({
+      sessionId: variables[sessionProperty],
+      caseId: variables[caseProperty],
+    })),
+    rows: networks.length === 1 ? countRows(format, networks[0], exportOptions) : null,
+  };
+};
+
+const sha256 = (buffer) => {
+  const shaInstance = new JsSHA('SHA-256', 'UINT8ARRAY');
+  shaInstance.update(new Uint8Array(buffer));
+  return shaInstance.getHash('HEX');
+};
+
+/**
+ * Read each exported file to add its size and checksum.
+ * @param {Array} files described by describeExportedFile()
+ * @param {Object} exportOptions the merged export options
+ * @param {Object} storage the storage adapter the files were written with
+ * @return {Promise} resolves to the manifest object
+ */
+const createManifest = (files, exportOptions, storage) => Promise.all(
+  files.map(({ filePath, ...file }) => storage.readFile(filePath)
+    .then((content) => ({
+      ...file,
+      bytes: content.length,
+      sha256: sha256(content),
+    }))),
+).then((describedFiles) => ({
+  exporterVersion,
+  exportOptions,
+  files: describedFiles.sort((a, b) => a.name.localeCompare(b.name)),
+}));
+
+/**
+ * Write the manifest alongside the exported files.
+ * @return {Promise} resolves to the path of the manifest
+ */
+const writeManifest = (manifest, outDir, storage) => {
+  const filePath = storage.join(outDir, manifestFilename);
+
+  return storage.writeFile(filePath, JSON.stringify(manifest, null, 2))
+    .then(() => filePath);
+};
+
+module.exports = {
+  countRows,
+  createManifest,
+  describeExportedFile,
+  manifestFilename,
+  writeManifest,
+};
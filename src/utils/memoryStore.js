@@ -0,0 +1,75 @@
+const { Writable } = require('stream');
+const { Buffer } = require('buffer/');
+
+const memoryRoot = 'memory://';
+
+const normalizeDirectory = (directory) => (directory.endsWith('/') ? directory : `${directory}/`);
+
+const toBuffer = (data) => (typeof data === 'string' ? Buffer.from(data, 'utf8') : Buffer.from(data));
+
+/**
+ * Where there is no filesystem to format into (such as the browser), files are kept in
+ * memory, keyed by their path.
+ * @return {Object} filesystem-like methods for the store
+ */
+const createMemoryStore = () => {
+  const files = new Map();
+
+  const readFile = (filePath) => {
+    if (!files.has(filePath)) {
+      return Promise.reject(new Error(`File not found: ${filePath}`));
+    }
+    return Promise.resolve(files.get(filePath));
+  };
+
+  const writeFile = (filePath, data) => {
+    files.set(filePath, toBuffer(data));
+    return Promise.resolve(filePath);
+  };
+
+  const copy = (oldPath, newPath) => readFile(oldPath)
+    .then((data) => writeFile(newPath, data));
+
+  const removeDirectory = (directory) => {
+    const prefix = normalizeDirectory(directory);
+    Array.from(files.keys())
+      .filter((filePath) => filePath.startsWith(prefix))
+      .forEach((filePath) => files.delete(filePath));
+    return Promise.resolve();
+  };
+
+  /**
+   * A writable stream that stores the file once it has been written.
+   */
+  const createWriteStream = (filePath) => {
+    const chunks = [];
+
+    return Promise.resolve(new Writable({
+      write(chunk, encoding, callback) {
+        chunks.push(toBuffer(chunk));
+        callback();
+      },
+      final(callback) {
+        files.set(filePath, Buffer.concat(chunks));
+        callback();
+      },
+    }));
+  };
+
+  const listFiles = () => Array.from(files.keys());
+
+  return {
+    copy,
+    createWriteStream,
+    listFiles,
+    readFile,
+    removeDirectory,
+    writeFile,
+  };
+};
+
+module.exports = {
+  createMemoryStore,
+  memoryRoot,
+  normalizeDirectory,
+};
@@ -0,0 +1,58 @@
+const sanitizeFilename = require('sanitize-filename');
+const { inSequence } = require('./filesystem');
+
+const outputModes = {
+  zip: 'zip',
+  directory: 'directory',
+};
+
+/**
+ * Name of the subfolder for a file, or null if the file doesn't belong to a single
+ * protocol (or case), in which case it is placed in the parent folder.
+ */
+const getSubfolder = (subfolder, { format, protocols, sessions }) => {
+  switch (subfolder) {
+    case 'protocol':
+      return protocols.length === 1 && protocols[0].protocolName
+        ? sanitizeFilename(protocols[0].protocolName)
+        : null;
+    case 'case':
+      return sessions.length === 1 ? sanitizeFilename(String(sessions[0].caseId)) : null;
+    case 'format':
+      return format;
+    default:
+      return null;
+  }
+};
+
+/**
+ * Path of an exported file within the output directory.
+ * @param {Object} file described by describeExportedFile()
+ * @param {Array} subfolders any of 'protocol', 'case', or 'format', outermost first
+ * @return {string} relative path, separated by '/'
+ */
+const getOutputPath = (file, subfolders = []) => [
+  ...subfolders.map((subfolder) => getSubfolder(subfolder, file)),
+  file.name,
+].filter(Boolean).join('/');
+
+/**
+ * Copy exported files into place; subfolders are created as needed.
+ * @param {Array} files `[{ filePath, path }]` where path is relative to outputDirectory
+ * @param {string} outputDirectory
+ * @param {Object} storage the storage adapter the files were written with
+ * @return {Promise} resolves once every file has been copied
+ */
+const copyToDirectory = (files, outputDirectory, storage) => inSequence(
+  files,
+  ({ filePath, path: outputPath }) => storage.copy(
+    filePath,
+    storage.join(outputDirectory, outputPath),
+  ),
+);
+
+module.exports = {
+  copyToDirectory,
+  getOutputPath,
+  outputModes,
+};
@@ -18,7 +18,9 @@ const codebookHashProperty = 'codebookHash';
 const nodeExportIDProperty = 'nodeID'; // Incrementing ID number for nodes
 const edgeExportIDProperty = 'edgeID'; // Incrementing ID number for edges
 const egoProperty = 'networkCanvasEgoUUID';
+const nodeMetricsProperty = 'networkCanvasMetrics'; // Network metrics calculated for nodes
 const ncTypeProperty = 'networkCanvasType';
+const ncDirectedProperty = 'networkCanvasDirected'; // Whether an edge's type is directed
 const ncProtocolNameProperty = 'networkCanvasProtocolName';
 const ncCaseProperty = 'networkCanvasCaseID';
 const ncSessionProperty = 'networkCanvasSessionID';
@@ -34,8 +36,10 @@ module.exports = {
   entityAttributesProperty,
   entityPrimaryKeyProperty,
   nodeExportIDProperty,
+  nodeMetricsProperty,
   edgeExportIDProperty,
   ncCaseProperty,
+  ncDirectedProperty,
   ncProtocolNameProperty,
   ncSessionProperty,
   ncSourceUUID,